@@ -3,7 +3,14 @@
 // Falls back to running the same function inline when Workers are not available
 // - notably in the MV3 service worker, which cannot spawn one.
 
-import { computeSimilarPairs, analyzeBookmarkDeep } from './analysis-core.js';
+import {
+  computeSimilarPairs,
+  computeRelatedBookmarks,
+  analyzeBookmarkDeep,
+  computeKnowledgeGraph,
+} from './analysis-core.js';
+import { embedBookmarkSource } from './embeddings.js';
+import { getCustomTopicTaxonomy } from './topics.js';
 
 const WORKER_URL = 'analysis-worker.js';
 
@@ -56,7 +63,9 @@ function runInWorker(task, payload) {
   const id = nextTaskId++;
   return new Promise((resolve, reject) => {
     pending.set(id, { resolve, reject });
-    target.postMessage({ id, task, payload });
+    // The worker has its own copy of topics.js, so the user's taxonomy travels
+    // with each task.
+    target.postMessage({ id, task, payload, taxonomy: getCustomTopicTaxonomy() });
   });
 }
 
@@ -100,6 +109,35 @@ export async function runSimilarityAnalysis(bookmarks, options = {}) {
   };
 }
 
+// The related-bookmark scorer also reads topics and the creator/repo identity.
+// Stored topics are sent when Deep Analysis has produced them; the scorer
+// detects them from the other projected fields otherwise.
+function projectForRelated(bookmark) {
+  return {
+    ...projectForSimilarity(bookmark),
+    topics: bookmark.topics,
+    platform: bookmark.platform,
+    creator: bookmark.creator,
+    platformData: bookmark.platformData?.extra?.repo
+      ? { extra: { repo: bookmark.platformData.extra.repo } }
+      : null,
+  };
+}
+
+/**
+ * Rank every bookmark's related neighbours off the UI thread.
+ * @param {Array} bookmarks
+ * @param {Object} options - forwarded to computeRelatedBookmarks
+ * @returns {Promise<{related: Object, stats: Object}>} Neighbours by id, as plain data.
+ */
+export async function runRelatedAnalysis(bookmarks, options = {}) {
+  const projected = bookmarks.map(projectForRelated);
+  return (
+    (await runInWorker('related', { bookmarks: projected, options })) ??
+    computeRelatedBookmarks(projected, options)
+  );
+}
+
 /**
  * Run deep metadata analysis off the UI thread.
  *
@@ -112,3 +150,29 @@ export async function runSimilarityAnalysis(bookmarks, options = {}) {
 export async function runDeepAnalysis(bookmarks) {
   return (await runInWorker('deepAnalysis', { bookmarks })) ?? bookmarks.map(analyzeBookmarkDeep);
 }
+
+/**
+ * Embed bookmark text for semantic search off the UI thread.
+ * @param {Array<{title: string, description: string, keywords: string}>} sources From embeddingSource().
+ * @returns {Promise<Array<Float32Array|null>>} One vector per input, null when it had no usable words.
+ */
+export async function runEmbedding(sources) {
+  return (await runInWorker('embed', { sources })) ?? sources.map(embedBookmarkSource);
+}
+
+/**
+ * Build, cluster and lay out the knowledge graph off the UI thread.
+ * @param {Array} bookmarks
+ * @param {Object} options - forwarded to computeKnowledgeGraph
+ * @returns {Promise<{nodes: Array, edges: Array, clusters: Array, stats: Object}>}
+ */
+export async function runKnowledgeGraph(bookmarks, options = {}) {
+  const projected = bookmarks.map((bookmark) => ({
+    ...projectForRelated(bookmark),
+    folderPath: bookmark.folderPath,
+  }));
+  return (
+    (await runInWorker('knowledgeGraph', { bookmarks: projected, options })) ??
+    computeKnowledgeGraph(projected, options)
+  );
+}
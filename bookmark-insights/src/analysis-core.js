@@ -307,6 +307,186 @@ export function computeSimilarPairs(bookmarks, options = {}) {
   };
 }
 
+/**
+ * Near-duplicates of one bookmark or page, scored the way computeSimilarPairs
+ * scores a pair, with the same higher bar across domains. Linear in the
+ * library, so it is cheap enough to run on the main thread for a single page.
+ *
+ * @param {Object} target A bookmark, or a page shaped like one (url, title, domain)
+ * @param {Array} bookmarks
+ * @param {{minSimilarity?: number, limit?: number}} [options]
+ * @returns {Array<{bookmark: Object, similarity: number, sameDomain: boolean}>} Best first.
+ *   The target itself and exact URL duplicates are left out.
+ */
+export function findSimilarToBookmark(target, bookmarks, options = {}) {
+  const { minSimilarity = 0.5, limit = 5 } = options;
+  const matches = [];
+
+  for (const bookmark of bookmarks) {
+    if (bookmark.id === target.id || bookmark.url === target.url) continue;
+    const similarity = calculateComprehensiveSimilarity(target, bookmark);
+    const bar = similarity.sameDomain ? minSimilarity : minSimilarity + 0.1;
+    if (similarity.combined >= bar) {
+      matches.push({
+        bookmark,
+        similarity: similarity.combined,
+        sameDomain: similarity.sameDomain,
+      });
+    }
+  }
+
+  return matches.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+}
+
+// Related bookmarks: a discovery view over the same library the duplicate
+// finder scans, but ranked for "worth reading next to this one" rather than
+// "probably the same page".
+
+const RELATED_WEIGHTS = { topics: 0.35, title: 0.3, creator: 0.25, domain: 0.1 };
+
+// Features shared by more bookmarks than this - a broad topic covering half
+// the library, a title word like "guide", a big domain - do not generate
+// candidates on their own. They still count towards the score of pairs found
+// through something more specific, which keeps the scan near-linear.
+const RELATED_MAX_POSTING = 200;
+
+// A shared domain alone (0.1) is not a relation.
+const RELATED_MIN_SCORE = 0.2;
+
+// Same owner on a platform is a relation; the very same repo is a stronger one.
+const SAME_CREATOR_SCORE = 0.7;
+
+function relatedTitleWords(title) {
+  return new Set(
+    (title || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length > 2),
+  );
+}
+
+function relatedFeatures(bookmark) {
+  const topics =
+    Array.isArray(bookmark.topics) && bookmark.topics.length > 0
+      ? bookmark.topics
+      : detectTopics(bookmark);
+  const creator = bookmark.creator
+    ? `${bookmark.platform || bookmark.domain}:${String(bookmark.creator).toLowerCase()}`
+    : null;
+  const repoName = bookmark.platformData?.extra?.repo;
+
+  return {
+    bookmark,
+    topics: new Set(topics),
+    titleWords: relatedTitleWords(bookmark.title),
+    creator,
+    repo: creator && repoName ? `${creator}/${String(repoName).toLowerCase()}` : null,
+    domain: bookmark.domain || null,
+  };
+}
+
+function setOverlap(a, b) {
+  const shared = [];
+  for (const item of a) if (b.has(item)) shared.push(item);
+  const union = a.size + b.size - shared.length;
+  return { shared, jaccard: union === 0 ? 0 : shared.length / union };
+}
+
+function scoreRelated(a, b) {
+  const topics = setOverlap(a.topics, b.topics);
+  const title = setOverlap(a.titleWords, b.titleWords);
+  const sameRepo = Boolean(a.repo && a.repo === b.repo);
+  const sameCreator = Boolean(a.creator && a.creator === b.creator);
+  const sameDomain = Boolean(a.domain && a.domain === b.domain);
+
+  const creatorScore = sameRepo ? 1 : sameCreator ? SAME_CREATOR_SCORE : 0;
+  const score =
+    topics.jaccard * RELATED_WEIGHTS.topics +
+    title.jaccard * RELATED_WEIGHTS.title +
+    creatorScore * RELATED_WEIGHTS.creator +
+    (sameDomain ? RELATED_WEIGHTS.domain : 0);
+
+  return {
+    score,
+    reasons: {
+      topics: topics.shared,
+      titleOverlap: title.jaccard,
+      creator: sameRepo ? 'repo' : sameCreator ? 'creator' : null,
+      sameDomain,
+    },
+  };
+}
+
+/**
+ * Top neighbours of every bookmark, by combined topic overlap, shared creator
+ * or repository, title-word Jaccard and domain. Synchronous: call it from a
+ * worker, or via runRelatedAnalysis in analysis-client.js.
+ *
+ * @param {Array} bookmarks
+ * @param {{limit?: number}} options
+ * @returns {{related: Object<string, Array<{id: string, score: number, reasons: Object}>>,
+ *   stats: {bookmarks: number, withRelated: number}}} Neighbours by bookmark id,
+ *   best first. Exact URL duplicates are left to the duplicates view.
+ */
+export function computeRelatedBookmarks(bookmarks, options = {}) {
+  const { limit = 8 } = options;
+  const features = bookmarks.map(relatedFeatures);
+
+  const postings = new Map();
+  const post = (key, index) => {
+    const list = postings.get(key);
+    if (list) list.push(index);
+    else postings.set(key, [index]);
+  };
+  features.forEach((f, index) => {
+    for (const topic of f.topics) post(`t:${topic}`, index);
+    for (const word of f.titleWords) post(`w:${word}`, index);
+    if (f.creator) post(`c:${f.creator}`, index);
+    if (f.repo) post(`r:${f.repo}`, index);
+    if (f.domain) post(`d:${f.domain}`, index);
+  });
+
+  const lists = features.map(() => []);
+
+  features.forEach((f, i) => {
+    const candidates = new Set();
+    const keys = [
+      ...[...f.topics].map((topic) => `t:${topic}`),
+      ...[...f.titleWords].map((word) => `w:${word}`),
+      f.creator && `c:${f.creator}`,
+      f.repo && `r:${f.repo}`,
+      f.domain && `d:${f.domain}`,
+    ];
+    for (const key of keys) {
+      const list = key && postings.get(key);
+      if (!list || list.length > RELATED_MAX_POSTING) continue;
+      // Each pair is scored once, from its lower index.
+      for (const j of list) if (j > i) candidates.add(j);
+    }
+
+    for (const j of candidates) {
+      const other = features[j];
+      if (f.bookmark.url && f.bookmark.url === other.bookmark.url) continue;
+
+      const { score, reasons } = scoreRelated(f, other);
+      if (score < RELATED_MIN_SCORE) continue;
+      const rounded = Math.round(score * 100) / 100;
+      lists[i].push({ id: other.bookmark.id, score: rounded, reasons });
+      lists[j].push({ id: f.bookmark.id, score: rounded, reasons });
+    }
+  });
+
+  const related = {};
+  let withRelated = 0;
+  features.forEach((f, i) => {
+    if (lists[i].length === 0) return;
+    related[f.bookmark.id] = lists[i].sort((a, b) => b.score - a.score).slice(0, limit);
+    withRelated++;
+  });
+
+  return { related, stats: { bookmarks: bookmarks.length, withRelated } };
+}
+
 /**
  * Deep metadata analysis for one bookmark: reading time, published date,
  * content quality, smart tags, topics and Schema.org-enhanced platform data.
@@ -344,3 +524,266 @@ export function analyzeBookmarkDeep(bookmark) {
 
   return patch;
 }
+
+// Knowledge graph: topics, creators, domains and folders as nodes, linked by
+// the bookmarks they share. Built, clustered and laid out here so the view
+// only has to draw it.
+
+const GRAPH_KIND_LIMITS = { topic: 30, creator: 25, domain: 30, folder: 25 };
+
+function graphMemberships(bookmark, creatorKeys) {
+  const topics =
+    Array.isArray(bookmark.topics) && bookmark.topics.length > 0
+      ? bookmark.topics
+      : detectTopics(bookmark);
+  const members = topics.map((topic) => ({ id: `topic:${topic}`, kind: 'topic', key: topic }));
+
+  if (bookmark.creator) {
+    const identity = `${bookmark.platform || 'other'}:${String(bookmark.creator).toLowerCase()}`;
+    if (!creatorKeys || creatorKeys.has(identity)) {
+      members.push({ id: `creator:${identity}`, kind: 'creator', key: bookmark.creator });
+    }
+  }
+  if (bookmark.domain) {
+    members.push({ id: `domain:${bookmark.domain}`, kind: 'domain', key: bookmark.domain });
+  }
+  if (bookmark.folderPath) {
+    members.push({ id: `folder:${bookmark.folderPath}`, kind: 'folder', key: bookmark.folderPath });
+  }
+  return members;
+}
+
+/**
+ * Weighted label propagation. Nodes are visited biggest first and ties go to
+ * the lowest label, so the same graph always gets the same clusters.
+ */
+function clusterGraph(nodeCount, order, adjacency) {
+  const labels = Array.from({ length: nodeCount }, (_, i) => i);
+
+  for (let round = 0; round < 20; round++) {
+    let changed = false;
+    for (const i of order) {
+      const tally = new Map();
+      for (const [j, weight] of adjacency[i]) {
+        tally.set(labels[j], (tally.get(labels[j]) || 0) + weight);
+      }
+      if (tally.size === 0) continue;
+
+      let best = labels[i];
+      let bestWeight = tally.get(best) || 0;
+      for (const [label, weight] of tally) {
+        if (weight > bestWeight || (weight === bestWeight && label < best)) {
+          best = label;
+          bestWeight = weight;
+        }
+      }
+      if (best !== labels[i]) {
+        labels[i] = best;
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+
+  return labels;
+}
+
+/**
+ * Fruchterman-Reingold. Starts from a golden-angle spiral rather than random
+ * positions, so a graph that did not change does not jump around on reload.
+ */
+function layoutGraph(nodeCount, edges, iterations, size) {
+  const k = Math.sqrt((size * size) / Math.max(1, nodeCount));
+  const xs = new Float64Array(nodeCount);
+  const ys = new Float64Array(nodeCount);
+  for (let i = 0; i < nodeCount; i++) {
+    const radius = k * Math.sqrt(i + 0.5) * 0.5;
+    xs[i] = Math.cos(i * 2.39996) * radius;
+    ys[i] = Math.sin(i * 2.39996) * radius;
+  }
+
+  const dx = new Float64Array(nodeCount);
+  const dy = new Float64Array(nodeCount);
+  let temperature = size / 10;
+  const cooling = temperature / (iterations + 1);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    dx.fill(0);
+    dy.fill(0);
+
+    for (let i = 0; i < nodeCount; i++) {
+      for (let j = i + 1; j < nodeCount; j++) {
+        const ox = xs[i] - xs[j];
+        const oy = ys[i] - ys[j];
+        const distance = Math.max(0.01, Math.hypot(ox, oy));
+        const force = (k * k) / distance;
+        dx[i] += (ox / distance) * force;
+        dy[i] += (oy / distance) * force;
+        dx[j] -= (ox / distance) * force;
+        dy[j] -= (oy / distance) * force;
+      }
+    }
+
+    // Heavy edges pull harder, but logarithmically: one giant domain-folder
+    // pair should not collapse everything else onto it.
+    for (const edge of edges) {
+      const ox = xs[edge.s] - xs[edge.t];
+      const oy = ys[edge.s] - ys[edge.t];
+      const distance = Math.max(0.01, Math.hypot(ox, oy));
+      const force = ((distance * distance) / k) * Math.log2(1 + edge.weight) * 0.25;
+      dx[edge.s] -= (ox / distance) * force;
+      dy[edge.s] -= (oy / distance) * force;
+      dx[edge.t] += (ox / distance) * force;
+      dy[edge.t] += (oy / distance) * force;
+    }
+
+    for (let i = 0; i < nodeCount; i++) {
+      // Gravity keeps unconnected nodes from drifting off
+      dx[i] -= xs[i] * 0.05;
+      dy[i] -= ys[i] * 0.05;
+      const length = Math.hypot(dx[i], dy[i]);
+      if (length > 0) {
+        const step = Math.min(length, temperature);
+        xs[i] += (dx[i] / length) * step;
+        ys[i] += (dy[i] / length) * step;
+      }
+    }
+    temperature = Math.max(size / 200, temperature - cooling);
+  }
+
+  // Fit into [0, size] with a margin for labels
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < nodeCount; i++) {
+    minX = Math.min(minX, xs[i]);
+    maxX = Math.max(maxX, xs[i]);
+    minY = Math.min(minY, ys[i]);
+    maxY = Math.max(maxY, ys[i]);
+  }
+  const margin = size * 0.05;
+  const scale = (size - 2 * margin) / Math.max(1, maxX - minX, maxY - minY);
+  return Array.from({ length: nodeCount }, (_, i) => ({
+    x: Math.round(margin + (xs[i] - minX) * scale),
+    y: Math.round(margin + (ys[i] - minY) * scale),
+  }));
+}
+
+/**
+ * The knowledge graph over the whole library. Synchronous: call it from a
+ * worker, or via runKnowledgeGraph in analysis-client.js.
+ *
+ * @param {Array} bookmarks - With topics, creator, platform, domain and folderPath
+ * @param {{creators?: Array<{creator: string, platform: string}>, limits?: Object,
+ *   minEdgeWeight?: number, maxEdges?: number, iterations?: number, size?: number}} options
+ *   `creators` restricts creator nodes to that list (the creator leaderboard)
+ * @returns {{nodes: Array<{id: string, kind: string, key: string, count: number,
+ *   cluster: number, x: number, y: number}>, edges: Array<{source: string,
+ *   target: string, weight: number}>, clusters: Array<{id: number, lead: string,
+ *   size: number}>, stats: {bookmarks: number, nodes: number, edges: number}}}
+ *   `key` is the value to filter by; edge weight is the number of shared bookmarks.
+ */
+export function computeKnowledgeGraph(bookmarks, options = {}) {
+  const {
+    creators = null,
+    limits = GRAPH_KIND_LIMITS,
+    minEdgeWeight = 2,
+    maxEdges = 400,
+    iterations = 300,
+    size = 1000,
+  } = options;
+  const creatorKeys = creators
+    ? new Set(creators.map((c) => `${c.platform || 'other'}:${String(c.creator).toLowerCase()}`))
+    : null;
+
+  // Pass 1: count every candidate node
+  const memberships = bookmarks.map((bookmark) => graphMemberships(bookmark, creatorKeys));
+  const candidates = new Map();
+  for (const members of memberships) {
+    for (const member of members) {
+      const entry = candidates.get(member.id);
+      if (entry) entry.count++;
+      else candidates.set(member.id, { ...member, count: 1 });
+    }
+  }
+
+  // Keep the biggest of each kind; a node seen once relates nothing
+  const nodes = [];
+  for (const [kind, limit] of Object.entries(limits)) {
+    const ofKind = [...candidates.values()]
+      .filter((node) => node.kind === kind && node.count >= 2)
+      .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id))
+      .slice(0, limit);
+    nodes.push(...ofKind);
+  }
+  const indexById = new Map(nodes.map((node, index) => [node.id, index]));
+
+  // Pass 2: co-occurrence between kept nodes
+  const pairWeights = new Map();
+  for (const members of memberships) {
+    const kept = [...new Set(members.map((m) => indexById.get(m.id)))]
+      .filter((index) => index !== undefined)
+      .sort((a, b) => a - b);
+    for (let a = 0; a < kept.length; a++) {
+      for (let b = a + 1; b < kept.length; b++) {
+        const key = kept[a] * nodes.length + kept[b];
+        pairWeights.set(key, (pairWeights.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const edges = [...pairWeights.entries()]
+    .filter(([, weight]) => weight >= minEdgeWeight)
+    .map(([key, weight]) => ({
+      s: Math.floor(key / nodes.length),
+      t: key % nodes.length,
+      weight,
+    }))
+    .sort((a, b) => b.weight - a.weight || a.s - b.s || a.t - b.t)
+    .slice(0, maxEdges);
+
+  const adjacency = nodes.map(() => []);
+  for (const edge of edges) {
+    adjacency[edge.s].push([edge.t, edge.weight]);
+    adjacency[edge.t].push([edge.s, edge.weight]);
+  }
+
+  const order = nodes.map((_, i) => i).sort((a, b) => nodes[b].count - nodes[a].count || a - b);
+  const labels = clusterGraph(nodes.length, order, adjacency);
+
+  // Number clusters by total size; each is named after its biggest node
+  const groups = new Map();
+  for (const i of order) {
+    const group = groups.get(labels[i]);
+    if (group) group.size += nodes[i].count;
+    else groups.set(labels[i], { lead: i, size: nodes[i].count });
+  }
+  const ranked = [...groups.entries()].sort((a, b) => b[1].size - a[1].size || a[0] - b[0]);
+  const clusterOf = new Map(ranked.map(([label], rank) => [label, rank]));
+  const clusters = ranked.map(([, group], rank) => ({
+    id: rank,
+    lead: nodes[group.lead].id,
+    size: group.size,
+  }));
+
+  const positions = layoutGraph(nodes.length, edges, iterations, size);
+
+  return {
+    nodes: nodes.map((node, i) => ({
+      id: node.id,
+      kind: node.kind,
+      key: node.key,
+      count: node.count,
+      cluster: clusterOf.get(labels[i]),
+      ...positions[i],
+    })),
+    edges: edges.map((edge) => ({
+      source: nodes[edge.s].id,
+      target: nodes[edge.t].id,
+      weight: edge.weight,
+    })),
+    clusters,
+    stats: { bookmarks: bookmarks.length, nodes: nodes.length, edges: edges.length },
+  };
+}
@@ -1,23 +1,34 @@
 // Web Worker entry for CPU-bound analysis.
 //
-// Both tasks are pure functions over plain objects, so they run off the UI
-// thread. Similarity scoring receives bookmarks projected down to the fields the
-// scorer reads, which keeps the structured clone small - the full corpus carries
+// Every task is a pure function over plain objects, so they run off the UI
+// thread. Similarity, related-bookmark scoring and the knowledge graph receive
+// bookmarks projected down to the fields they read, which keeps the structured clone small - the full corpus carries
 // multi-MB `rawMetadata` blobs the scorer never touches. Deep analysis does need
-// `rawMetadata`, so the caller sends it in bounded chunks instead.
+// `rawMetadata`, so the caller sends it in bounded chunks instead. Embedding
+// receives only the title/description/keywords text it vectorises.
 //
-// Neither task is reachable from the MV3 service worker, which cannot spawn a
+// None of the tasks is reachable from the MV3 service worker, which cannot spawn a
 // dedicated worker; analysis-client.js falls back to running them inline there.
 
-import { computeSimilarPairs, analyzeBookmarkDeep } from './analysis-core.js';
+import {
+  computeSimilarPairs,
+  computeRelatedBookmarks,
+  analyzeBookmarkDeep,
+  computeKnowledgeGraph,
+} from './analysis-core.js';
+import { embedBookmarkSource } from './embeddings.js';
+import { setTopicTaxonomy } from './topics.js';
 
 const tasks = {
   similarity: ({ bookmarks, options }) => computeSimilarPairs(bookmarks, options),
+  related: ({ bookmarks, options }) => computeRelatedBookmarks(bookmarks, options),
   deepAnalysis: ({ bookmarks }) => bookmarks.map(analyzeBookmarkDeep),
+  embed: ({ sources }) => sources.map(embedBookmarkSource),
+  knowledgeGraph: ({ bookmarks, options }) => computeKnowledgeGraph(bookmarks, options),
 };
 
 self.addEventListener('message', (event) => {
-  const { id, task, payload } = event.data || {};
+  const { id, task, payload, taxonomy } = event.data || {};
   const run = tasks[task];
 
   if (!run) {
@@ -26,6 +37,7 @@ self.addEventListener('message', (event) => {
   }
 
   try {
+    setTopicTaxonomy(taxonomy);
     self.postMessage({ id, ok: true, result: run(payload) });
   } catch (error) {
     self.postMessage({ id, ok: false, error: error.message });
@@ -0,0 +1,47 @@
+// Full-text index over archived page bodies, behind the `body:` search filter.
+//
+// Kept apart from the main FlexSearch document index: body text is one to two
+// orders of magnitude larger than titles and descriptions, and only `body:`
+// queries need it. The index is built on the first such query and rebuilt when
+// the archive's signature changes, so pages archived by the background since
+// are picked up without watching for them.
+
+import { Index } from 'flexsearch';
+import { getArchivedBodies, getPageArchiveSignature } from './db.js';
+
+let bodyIndex = null;
+let indexedUrls = [];
+let indexedSignature = null;
+let buildPromise = null;
+
+async function loadBodyIndex() {
+  const signature = await getPageArchiveSignature();
+  if (bodyIndex && signature === indexedSignature) return bodyIndex;
+
+  if (!buildPromise) {
+    buildPromise = getArchivedBodies()
+      .then((bodies) => {
+        const index = new Index({ tokenize: 'forward' });
+        bodies.forEach((body, position) => index.add(position, body.text));
+        bodyIndex = index;
+        indexedUrls = bodies.map((body) => body.url);
+        indexedSignature = signature;
+        return index;
+      })
+      .finally(() => {
+        buildPromise = null;
+      });
+  }
+  return buildPromise;
+}
+
+/**
+ * URLs of archived pages whose text contains every word of the query.
+ * @param {string} query
+ * @returns {Promise<Set<string>>}
+ */
+export async function searchArchivedBodies(query) {
+  const index = await loadBodyIndex();
+  const positions = index.search(query, { limit: indexedUrls.length || 1 });
+  return new Set(positions.map((position) => indexedUrls[position]));
+}
@@ -19,16 +19,47 @@ import {
   invalidateBookmarkCorpus,
   getAllBookmarks,
   getBookmark,
-  takeTrashedByUrl,
+  recordCreatedBookmark,
   getDeadLinks,
   resetStaleDeadLinkVerdicts,
-  ENRICHMENT_DEFAULTS
+  applyLinkHealthPatches,
+  saveLinkSweep,
+  getReadingListItems,
+  pruneReadingListMeta,
+  setRevisitScheduled,
+  recordRevisitReview,
+  countDueRevisits,
+  saveThumbnail,
+  getThumbnailCapturedAt
 } from './db.js';
-import { processEnrichmentBatch, enrichBookmark } from './enrichment.js';
+import {
+  processEnrichmentBatch,
+  enrichBookmark,
+  enrichReadingListItem,
+  enrichFromVisit,
+  checkLinkHealth,
+  lookupWebArchive,
+  getEnrichmentStats,
+  resetEnrichmentStats
+} from './enrichment.js';
 import { addToIndex, updateInIndex, removeFromIndex, rebuildSearchIndex, searchBookmarks } from './search.js';
 import { isEnrichable, isEnriched, isPendingEnrichment } from './predicates.js';
 import { selectDeadLinkBatch } from './dead-link-queue.js';
+import {
+  selectSweepSlice,
+  selectSweepCandidates,
+  sweepBlockedReason,
+  classifyLinkChange
+} from './link-sweep.js';
 import { migrateBookmarksWithTopics } from './topics.js';
+import { runAutomationRules, runBookmarkAction, undoRuleRun } from './rules.js';
+import { syncSettings, resetToSyncedSettings, isSyncedChange } from './settings-sync.js';
+import { takeScheduledSnapshot } from './snapshots.js';
+import { reviewRevisit } from './resurface.js';
+import { captureThumbnail } from './thumbnails.js';
+import { capturePageMetadata, needsVisitEnrichment } from './visit-capture.js';
+import { normalizeUrlForMatching, isSamePage } from './utils.js';
+import { loadTopicTaxonomy } from './taxonomy.js';
 
 /**
  * Extract domain from a bookmark URL
@@ -71,6 +102,11 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   
   // Initialize IndexedDB and migrate data if needed
   await initializeDatabase();
+  // Alarms do not survive an extension update; re-create it from the setting.
+  await syncLinkSweepAlarm();
+  await syncSettingsSyncAlarm();
+  await syncSnapshotAlarm();
+  await syncRevisitBadgeAlarm();
   
   // Set up side panel to open on action click (instead of popup)
   chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true })
@@ -114,6 +150,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     // Migrate existing bookmarks to add topics
     console.log('Running topic migration for existing bookmarks...');
     try {
+      await taxonomyReady;
       const result = await migrateBookmarksWithTopics(getAllBookmarks, bulkUpsertBookmarks);
       console.log(`Topic migration complete: ${result.migrated}/${result.total} bookmarks updated`);
     } catch (err) {
@@ -133,6 +170,10 @@ chrome.runtime.onStartup.addListener(async () => {
   console.log('Browser started - initializing database and syncing bookmarks');
   try {
     await initializeDatabase();
+    await syncLinkSweepAlarm();
+    await syncSettingsSyncAlarm();
+    await syncSnapshotAlarm();
+    await syncRevisitBadgeAlarm();
     await syncBookmarks();
   } catch (error) {
     console.error('Startup initialization failed:', error);
@@ -242,6 +283,64 @@ chrome.bookmarks.onMoved.addListener(async (id, moveInfo) => {
   await handleBookmarkMoved(id, moveInfo);
 });
 
+// =========================================
+// Reading list enrichment
+// =========================================
+
+// Chrome owns reading-list entries; their enrichment lives in readingListMeta
+// and is merged in by getReadingListItems. New entries are enriched as they
+// arrive, the way new bookmarks are queued.
+if (chrome.readingList?.onEntryAdded) {
+  chrome.readingList.onEntryAdded.addListener(async entry => {
+    try {
+      const { enrichmentEnabled } = await getSettings();
+      if (!enrichmentEnabled) return;
+      const result = await enrichReadingListItem(entry);
+      if (result.wrote) chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
+    } catch (error) {
+      console.error('Error enriching new reading list entry:', error);
+    }
+  });
+}
+
+// Entries per "Enrich reading list" run. Least recently checked go first and
+// the freshness guard skips the rest, so repeated runs work through a long list.
+const READING_LIST_ENRICH_MAX_BATCH = 50;
+
+async function enrichReadingList({ force = false } = {}) {
+  const settings = await getSettings();
+  if (settings.privacyMode) return { skipped: true, reason: 'Privacy mode enabled' };
+
+  const items = await getReadingListItems();
+  await pruneReadingListMeta(items.map(item => item.url));
+
+  const batch = [...items]
+    .sort((a, b) => (a.lastChecked || 0) - (b.lastChecked || 0))
+    .slice(0, READING_LIST_ENRICH_MAX_BATCH);
+
+  const results = {
+    total: batch.length,
+    pending: items.length - batch.length,
+    enriched: 0,
+    dead: 0,
+    skipped: 0,
+    errors: 0
+  };
+  // Sequential: the per-host limiter spaces requests, and reading lists are short.
+  for (const item of batch) {
+    const result = await enrichReadingListItem(item, { force });
+    if (result.isAlive === false) results.dead++;
+    else if (result.skipped) results.skipped++;
+    else if (!result.success) results.errors++;
+    else results.enriched++;
+  }
+
+  if (results.total > results.skipped) {
+    chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
+  }
+  return { results };
+}
+
 // Handle bookmark creation
 async function handleBookmarkCreated(id, bookmark) {
   try {
@@ -258,11 +357,7 @@ async function handleBookmarkCreated(id, bookmark) {
 
       // An undo, or a re-bookmark of something deleted recently: adopt the
       // enrichment instead of writing a blank record over it.
-      const recovered = (await getBookmark(id)) || (await takeTrashedByUrl(fullBookmark.url));
-
-      const newBookmark = {
-        ...ENRICHMENT_DEFAULTS,
-        ...(recovered || {}),
+      const { record: newBookmark, previousId } = await recordCreatedBookmark({
         id: fullBookmark.id,
         title: fullBookmark.title || 'Untitled',
         url: fullBookmark.url,
@@ -270,16 +365,22 @@ async function handleBookmarkCreated(id, bookmark) {
         dateAdded: fullBookmark.dateAdded || Date.now(),
         folderPath: folderPath,
         parentId: fullBookmark.parentId
-      };
-      
-      // Add to IndexedDB
-      await upsertBookmark(newBookmark);
+      });
       
       // Add to search index
       await addToIndex(newBookmark);
       
-      // Log event
-      await logEvent(id, 'create');
+      // A bookmark that came back from the trash has a new id; previousId links
+      // its timeline to the old one.
+      await logEvent(id, 'create', {
+        after: {
+          title: newBookmark.title,
+          url: newBookmark.url,
+          parentId: newBookmark.parentId,
+          folderPath
+        },
+        ...(previousId ? { recovered: true, previousId } : {})
+      });
       
       // Invalidate relevant caches
       await invalidateMetricCaches('add');
@@ -292,6 +393,14 @@ async function handleBookmarkCreated(id, bookmark) {
         await addToEnrichmentQueue(id, 10); // Higher priority for new bookmarks
       }
 
+      // Restores and undos come back through here too; re-running the rules on
+      // them would trash again what the user just took out of the trash. Only
+      // the trash link says so: imports and reading-list promotions may have
+      // written their record first, and still get the rules.
+      if (!previousId) {
+        await applyAutomationRules([id], 'create');
+      }
+
       // Update URL cache
       if (behaviorTrackingEnabled) {
         const normalizedUrl = normalizeUrlForMatching(newBookmark.url);
@@ -307,6 +416,22 @@ async function handleBookmarkCreated(id, bookmark) {
   }
 }
 
+// Rules for bookmarks that were just created or enriched. Failures are logged
+// and swallowed: a broken rule must not break bookmarking or enrichment.
+async function applyAutomationRules(bookmarkIds, trigger) {
+  if (bookmarkIds.length === 0) return;
+  try {
+    const { runId, rules } = await runAutomationRules({ trigger, bookmarkIds });
+    const applied = rules.reduce((sum, rule) => sum + rule.applied, 0);
+    if (applied > 0) {
+      console.log(`Automation rules (${trigger}): ${applied} action(s) in ${runId}`);
+      chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
+    }
+  } catch (error) {
+    console.error('Error running automation rules:', error);
+  }
+}
+
 // Chrome fires onRemoved exactly once for a folder; every descendant arrives
 // inside removeInfo.node.children and is otherwise never pruned.
 function collectRemovedIds(node, into = []) {
@@ -325,11 +450,21 @@ async function handleBookmarkRemoved(id, removeInfo) {
     if (!removedIds.includes(id)) removedIds.push(id);
     console.log('Bookmark removed:', id, `(${removedIds.length} record(s))`);
 
+    const existing = await getBookmark(id);
+
     for (const removedId of removedIds) {
       await removeFromIndex(removedId);
     }
     await bulkDeleteBookmarks(removedIds);
-    await logEvent(id, 'delete', { removedCount: removedIds.length });
+    await logEvent(id, 'delete', {
+      removedCount: removedIds.length,
+      before: {
+        title: removeInfo?.node?.title,
+        url: removeInfo?.node?.url,
+        parentId: removeInfo?.parentId,
+        folderPath: existing?.folderPath
+      }
+    });
     // Invalidate relevant caches
     await invalidateMetricCaches('delete');
     
@@ -367,14 +502,28 @@ async function handleBookmarkChanged(id, changeInfo) {
         title: changeInfo.title !== undefined ? changeInfo.title : bookmark.title,
         url: changeInfo.url !== undefined ? changeInfo.url : bookmark.url,
         domain: domain,
-        dateAdded: bookmark.dateAdded || Date.now(),
+        dateAdded: existingBookmark?.dateAdded || bookmark.dateAdded || Date.now(),
         folderPath: folderPath,
         parentId: bookmark.parentId
       };
+      // Where the old URL redirected to says nothing about the new one.
+      if (existingBookmark && existingBookmark.url !== updatedBookmark.url) {
+        updatedBookmark.redirect = null;
+        updatedBookmark.canonicalUrl = null;
+      }
       
       await updateInIndex(updatedBookmark);
       await upsertBookmark(updatedBookmark);
-      await logEvent(id, 'update', changeInfo);
+
+      const before = {};
+      const after = {};
+      for (const field of ['title', 'url']) {
+        if (existingBookmark && existingBookmark[field] !== updatedBookmark[field]) {
+          before[field] = existingBookmark[field];
+          after[field] = updatedBookmark[field];
+        }
+      }
+      await logEvent(id, 'update', { ...changeInfo, before, after });
       // A title or URL change feeds domainAnalytics and quickStats; without this
       // the sidebar and header stay wrong for up to an hour.
       await invalidateMetricCaches('update');
@@ -394,6 +543,8 @@ async function handleBookmarkChanged(id, changeInfo) {
       
       // Notify dashboard
       chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
+    } else if (changeInfo.title !== undefined && await refreshFolderPaths(id) > 0) {
+      chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
     }
   } catch (error) {
     console.error('Error handling bookmark change:', error);
@@ -410,20 +561,58 @@ async function handleBookmarkMoved(id, moveInfo) {
     const existingBookmark = await getBookmark(id);
     
     if (existingBookmark) {
+      const before = { parentId: moveInfo.oldParentId, folderPath: existingBookmark.folderPath };
       existingBookmark.folderPath = folderPath;
       existingBookmark.parentId = moveInfo.parentId;
       await upsertBookmark(existingBookmark);
-      await logEvent(id, 'update', { moved: true });
+      await logEvent(id, 'update', {
+        moved: true,
+        before,
+        after: { parentId: moveInfo.parentId, folderPath }
+      });
       await invalidateMetricCaches('update');
       
       // Notify dashboard
       chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
+    } else if (await refreshFolderPaths(id) > 0) {
+      chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
     }
   } catch (error) {
     console.error('Error handling bookmark move:', error);
   }
 }
 
+// Chrome reports a folder rename or move once, for the folder itself. The
+// bookmarks under it keep their old folderPath unless it is rewritten here.
+// Returns how many records changed (0 for a bookmark id or an empty folder).
+async function refreshFolderPaths(folderId) {
+  const [folder] = await chrome.bookmarks.getSubTree(folderId);
+  if (!folder || folder.url) return 0;
+
+  const paths = new Map();
+  function collect(node, path) {
+    for (const child of node.children || []) {
+      if (child.url) {
+        paths.set(child.id, path);
+      } else {
+        collect(child, `${path}/${child.title}`);
+      }
+    }
+  }
+  collect(folder, await getBookmarkFolderPath(folderId));
+  if (paths.size === 0) return 0;
+
+  const records = (await db.bookmarks.bulkGet([...paths.keys()])).filter(Boolean);
+  const changed = records
+    .filter(record => record.folderPath !== paths.get(record.id))
+    .map(record => ({ ...record, folderPath: paths.get(record.id) }));
+  if (changed.length === 0) return 0;
+
+  await bulkUpsertBookmarks(changed);
+  await invalidateMetricCaches('update');
+  return changed.length;
+}
+
 // Helper function to get folder path for a bookmark
 async function getBookmarkFolderPath(parentId) {
   try {
@@ -447,6 +636,281 @@ async function getBookmarkFolderPath(parentId) {
   }
 }
 
+// =========================================
+// Scheduled link-health sweep
+// (Only runs if the user enables linkSweepEnabled)
+// =========================================
+
+const LINK_SWEEP_ALARM = 'linkHealthSweep';
+const LINK_SWEEP_PERIOD_MINUTES = 24 * 60;
+// Small on purpose: each check already waits on awaitHostSlot, and the sweep
+// is background work nobody is watching.
+const LINK_SWEEP_CONCURRENCY = 3;
+
+let linkSweepInFlight = null;
+
+async function syncLinkSweepAlarm() {
+  try {
+    const { linkSweepEnabled } = await getSettings();
+    if (!linkSweepEnabled) {
+      await chrome.alarms.clear(LINK_SWEEP_ALARM);
+      return;
+    }
+    // Keep an existing schedule rather than pushing it back a day on every
+    // browser start.
+    const existing = await chrome.alarms.get(LINK_SWEEP_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(LINK_SWEEP_ALARM, {
+        delayInMinutes: 5,
+        periodInMinutes: LINK_SWEEP_PERIOD_MINUTES
+      });
+    }
+  } catch (error) {
+    console.error('Error scheduling link-health sweep:', error);
+  }
+}
+
+// One sweep at a time: the alarm and a "Run now" click share the same run.
+function runLinkHealthSweep() {
+  if (!linkSweepInFlight) {
+    linkSweepInFlight = sweepLinkHealth().finally(() => {
+      linkSweepInFlight = null;
+    });
+  }
+  return linkSweepInFlight;
+}
+
+/**
+ * Check today's slice of the corpus and record what changed. Results and the
+ * cursor are written after every chunk, so a worker shutdown mid-sweep loses at
+ * most one chunk and the next sweep carries on from there.
+ */
+async function sweepLinkHealth() {
+  const settings = await getSettings();
+  const blocked = sweepBlockedReason(settings);
+  if (blocked) return { skipped: true, reason: blocked };
+
+  const candidates = selectSweepCandidates(await getAllBookmarks(), settings);
+  const { slice, wrapped } = selectSweepSlice(
+    candidates,
+    settings.linkSweepCursor,
+    settings.linkSweepDays
+  );
+
+  const sweep = {
+    startedAt: Date.now(),
+    finishedAt: null,
+    checked: 0,
+    total: candidates.length,
+    completedPass: wrapped,
+    changes: []
+  };
+  sweep.id = await saveLinkSweep(sweep);
+
+  for (let i = 0; i < slice.length; i += LINK_SWEEP_CONCURRENCY) {
+    // Pausing from the monitor stops the sweep between chunks; the cursor
+    // already marks where the next one resumes.
+    if (i > 0 && sweepBlockedReason(await getSettings())) break;
+    const chunk = slice.slice(i, i + LINK_SWEEP_CONCURRENCY);
+    const patches = await Promise.all(
+      chunk.map(async bookmark => {
+        try {
+          return { bookmark, changes: await checkLinkHealth(bookmark) };
+        } catch (error) {
+          console.error(`Link-health check failed for ${bookmark.id}:`, error);
+          return null;
+        }
+      })
+    );
+
+    const applied = patches.filter(Boolean);
+    for (const { bookmark, changes } of applied) {
+      const type = classifyLinkChange(bookmark, changes);
+      if (!type) continue;
+      sweep.changes.push({
+        id: bookmark.id,
+        title: bookmark.title,
+        url: bookmark.url,
+        status: changes.lastStatus,
+        type
+      });
+      await logEvent(bookmark.id, 'linkHealth', { change: type, status: changes.lastStatus });
+    }
+
+    await applyLinkHealthPatches(applied.map(({ bookmark, changes }) => ({ id: bookmark.id, changes })));
+    sweep.checked += chunk.length;
+    await updateSettings({ linkSweepCursor: chunk[chunk.length - 1].id });
+    await saveLinkSweep(sweep);
+  }
+
+  sweep.finishedAt = Date.now();
+  await saveLinkSweep(sweep);
+
+  // A revived link was skipped by enrichment while it was dead; queue it now
+  // that there is a page to read.
+  const revivedIds = sweep.changes.filter(change => change.type === 'revived').map(change => change.id);
+  if (revivedIds.length > 0 && settings.enrichmentEnabled) {
+    await bulkAddToEnrichmentQueue(revivedIds, 0);
+  }
+  if (sweep.changes.length > 0) {
+    chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
+  }
+
+  console.log(
+    `Link-health sweep: ${sweep.checked}/${candidates.length} checked, ${sweep.changes.length} changed`
+  );
+  return { sweep };
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name !== LINK_SWEEP_ALARM) return;
+  runLinkHealthSweep().catch(error => console.error('Link-health sweep failed:', error));
+});
+
+// =========================================
+// Settings sync across devices
+// (Only runs if the user enables settingsSyncEnabled)
+// =========================================
+
+const SETTINGS_SYNC_ALARM = 'settingsSync';
+// Pages write some settings straight to IndexedDB without telling the
+// background, so changes are also picked up on a timer. chrome.storage.sync
+// allows 120 writes a minute; a sync writes only fields that changed.
+const SETTINGS_SYNC_PERIOD_MINUTES = 15;
+
+let settingsSyncInFlight = null;
+
+async function syncSettingsSyncAlarm() {
+  try {
+    const { settingsSyncEnabled } = await getSettings();
+    if (!settingsSyncEnabled) {
+      await chrome.alarms.clear(SETTINGS_SYNC_ALARM);
+      return;
+    }
+    const existing = await chrome.alarms.get(SETTINGS_SYNC_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(SETTINGS_SYNC_ALARM, {
+        delayInMinutes: 1,
+        periodInMinutes: SETTINGS_SYNC_PERIOD_MINUTES
+      });
+    }
+  } catch (error) {
+    console.error('Error scheduling settings sync:', error);
+  }
+}
+
+// One sync at a time; the alarm, remote changes and "Sync now" share the run.
+function runSettingsSync() {
+  if (!settingsSyncInFlight) {
+    settingsSyncInFlight = syncSettingsIfEnabled().finally(() => {
+      settingsSyncInFlight = null;
+    });
+  }
+  return settingsSyncInFlight;
+}
+
+async function syncSettingsIfEnabled() {
+  const { settingsSyncEnabled } = await getSettings();
+  if (!settingsSyncEnabled) return { skipped: true, reason: 'Settings sync disabled' };
+  const status = await syncSettings();
+  await afterSettingsPulled(status.pulled);
+  return status;
+}
+
+// Settings that other parts of the background act on when they change.
+async function afterSettingsPulled(fields) {
+  if (fields.length === 0) return;
+  if (fields.includes('linkSweepEnabled')) await syncLinkSweepAlarm();
+  if (fields.includes('topicTaxonomy')) await loadTopicTaxonomy();
+  chrome.runtime.sendMessage({ action: 'settingsSynced', fields }).catch(() => {});
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name !== SETTINGS_SYNC_ALARM) return;
+  runSettingsSync().catch(error => console.error('Settings sync failed:', error));
+});
+
+// Another device pushed a change.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync' || !isSyncedChange(changes)) return;
+  runSettingsSync().catch(error => console.error('Settings sync failed:', error));
+});
+
+// =========================================
+// Scheduled local snapshots
+// (Only runs if the user enables snapshotsEnabled)
+// =========================================
+
+const SNAPSHOT_ALARM = 'localSnapshot';
+const SNAPSHOT_PERIOD_MINUTES = 24 * 60;
+
+async function syncSnapshotAlarm() {
+  try {
+    const { snapshotsEnabled } = await getSettings();
+    if (!snapshotsEnabled) {
+      await chrome.alarms.clear(SNAPSHOT_ALARM);
+      return;
+    }
+    const existing = await chrome.alarms.get(SNAPSHOT_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(SNAPSHOT_ALARM, {
+        delayInMinutes: 10,
+        periodInMinutes: SNAPSHOT_PERIOD_MINUTES
+      });
+    }
+  } catch (error) {
+    console.error('Error scheduling snapshots:', error);
+  }
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name !== SNAPSHOT_ALARM) return;
+  takeScheduledSnapshot()
+    .then(result => {
+      if (result.snapshot) console.log(`Snapshot taken: ${result.snapshot.bytes} bytes`);
+    })
+    .catch(error => console.error('Scheduled snapshot failed:', error));
+});
+
+// =========================================
+// Revisit badge: due reviews on the action icon
+// =========================================
+
+const REVISIT_BADGE_ALARM = 'revisitBadge';
+// Reviews fall due with the passage of time, not only when something changes,
+// so the count is refreshed on a timer as well as after every review.
+const REVISIT_BADGE_PERIOD_MINUTES = 60;
+
+async function refreshRevisitBadge() {
+  try {
+    const due = await countDueRevisits();
+    await chrome.action.setBadgeText({ text: due === 0 ? '' : due > 99 ? '99+' : String(due) });
+    await chrome.action.setBadgeBackgroundColor({ color: '#7c3aed' });
+  } catch (error) {
+    console.error('Error updating revisit badge:', error);
+  }
+}
+
+async function syncRevisitBadgeAlarm() {
+  try {
+    const existing = await chrome.alarms.get(REVISIT_BADGE_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(REVISIT_BADGE_ALARM, {
+        delayInMinutes: 1,
+        periodInMinutes: REVISIT_BADGE_PERIOD_MINUTES
+      });
+    }
+    await refreshRevisitBadge();
+  } catch (error) {
+    console.error('Error scheduling revisit badge:', error);
+  }
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name !== REVISIT_BADGE_ALARM) return;
+  refreshRevisitBadge();
+});
+
 // Message handling for dashboard / side panel communication.
 // Each handler is a plain async function; the router below turns its resolved
 // value into the response envelope and funnels rejections into one place.
@@ -454,6 +918,10 @@ async function getBookmarkFolderPath(parentId) {
 // Dead-link re-checking is capped per invocation and checkpointed, so a worker
 // termination costs at most one chunk rather than the whole run.
 const RE_ENRICH_MAX_BATCH = 100;
+
+// Archive lookups per "Find archived copies" run. One request per link, spaced
+// by the per-host limiter, so a run takes about a second per link.
+const WEB_ARCHIVE_MAX_BATCH = 50;
 const RE_ENRICH_PROCESSED_KEY = 'reEnrichProcessedIds';
 
 // The checkpoint used to be a numeric index into getDeadLinks(). That list is
@@ -478,6 +946,36 @@ async function setProcessedDeadIds(ids) {
   }
 }
 
+// The enrichment monitor's request statistics are held in enrichment.js's
+// memory. They are saved after each run and read back before the next, so a
+// service-worker restart between runs does not lose them.
+const ENRICHMENT_STATS_KEY = 'enrichmentStats';
+let enrichmentStatsRestored = null;
+
+function restoreEnrichmentStats() {
+  enrichmentStatsRestored ??= (async () => {
+    try {
+      const stored = await chrome.storage.session.get(ENRICHMENT_STATS_KEY);
+      // Requests made since this worker started are newer than the saved copy.
+      const { stats } = getEnrichmentStats();
+      if (stored[ENRICHMENT_STATS_KEY] && Object.keys(stats.hosts).length === 0) {
+        resetEnrichmentStats(stored[ENRICHMENT_STATS_KEY]);
+      }
+    } catch (error) {
+      console.error('Error restoring enrichment statistics:', error);
+    }
+  })();
+  return enrichmentStatsRestored;
+}
+
+async function saveEnrichmentStats() {
+  try {
+    await chrome.storage.session.set({ [ENRICHMENT_STATS_KEY]: getEnrichmentStats().stats });
+  } catch (error) {
+    console.error('Error saving enrichment statistics:', error);
+  }
+}
+
 const messageHandlers = {
   async syncBookmarks() {
     await syncBookmarks();
@@ -518,7 +1016,51 @@ const messageHandlers = {
     return { reset, markedUnfetchable };
   },
 
+  // Dead links that have not been looked up yet, or all of them with `force`.
+  async findWebArchiveCopies(request) {
+    const settings = await getSettings();
+    if (settings.privacyMode) return { skipped: true, reason: 'Privacy mode enabled' };
+
+    const candidates = (await getDeadLinks()).filter(
+      bookmark => request.force || !bookmark.webArchive
+    );
+    const batch = candidates.slice(0, WEB_ARCHIVE_MAX_BATCH);
+    let found = 0;
+    let failed = 0;
+    for (const bookmark of batch) {
+      try {
+        const webArchive = await lookupWebArchive(bookmark, settings);
+        await upsertBookmark({ ...bookmark, webArchive });
+        if (webArchive.url) found++;
+      } catch (error) {
+        console.warn(`Archive lookup failed for ${bookmark.url}:`, error.message);
+        failed++;
+      }
+    }
+    if (batch.length > 0) chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
+    return { checked: batch.length, found, failed, pending: candidates.length - batch.length };
+  },
+
+  // Point dead bookmarks at their archived copy. Each change goes through
+  // chrome.bookmarks, so it lands in the history timeline and can be reverted.
+  async replaceDeadWithArchive(request) {
+    const wanted = request.ids ? new Set(request.ids) : null;
+    const targets = (await getDeadLinks()).filter(
+      bookmark => bookmark.webArchive?.url && (!wanted || wanted.has(bookmark.id))
+    );
+    const errors = [];
+    for (const bookmark of targets) {
+      try {
+        await chrome.bookmarks.update(bookmark.id, { url: bookmark.webArchive.url });
+      } catch (error) {
+        errors.push({ id: bookmark.id, error: error.message });
+      }
+    }
+    return { replaced: targets.length - errors.length, errors };
+  },
+
   async reEnrichDeadLinks(request) {
+    await restoreEnrichmentStats();
     const allDeadLinks = await getDeadLinks();
 
     // The default used to be "every dead link", with no keepalive. A run over a
@@ -535,6 +1077,7 @@ const messageHandlers = {
     let success = 0;
     let stillDead = 0;
     let errors = 0;
+    const enrichedIds = [];
     const total = deadLinks.length;
     const snapshot = () => ({ total, pending, success, stillDead, errors });
 
@@ -561,6 +1104,7 @@ const messageHandlers = {
             // past that guard - one IndexedDB write and one corpus-cache
             // invalidation per link, for nothing.
             const result = await enrichBookmark(bookmark.id, { force: true });
+            if (result.wrote && result.success) enrichedIds.push(bookmark.id);
             if (result.isAlive === false) return 'stillDead';
             return result.success ? 'success' : 'errors';
           } catch (err) {
@@ -583,10 +1127,14 @@ const messageHandlers = {
     // Whole pass done - drop the checkpoint so the next run starts clean.
     if (pending === 0) await setProcessedDeadIds(new Set());
 
+    await applyAutomationRules(enrichedIds, 'enrichment');
+    await saveEnrichmentStats();
+
     return { results: snapshot() };
   },
 
   async runEnrichment(request) {
+    await restoreEnrichmentStats();
     const progressCallback = progress => {
       chrome.runtime.sendMessage({ action: 'enrichmentProgress', progress }).catch(() => {});
     };
@@ -597,6 +1145,8 @@ const messageHandlers = {
       request.concurrency || 3,
       { force: request.force || false }
     );
+    await applyAutomationRules(result.enrichedIds || [], 'enrichment');
+    await saveEnrichmentStats();
     return { result };
   },
 
@@ -604,6 +1154,7 @@ const messageHandlers = {
     const { ids } = request;
     if (!ids || !ids.length) throw new Error('No IDs provided');
 
+    await restoreEnrichmentStats();
     const results = [];
     // Sequential to avoid overwhelming the network
     for (const id of ids) {
@@ -614,12 +1165,107 @@ const messageHandlers = {
         results.push({ id, success: false, error: e.message });
       }
     }
+    await applyAutomationRules(
+      results.filter(r => r.wrote && r.success).map(r => r.id),
+      'enrichment'
+    );
+    await saveEnrichmentStats();
     return { results };
   },
 
+  // Live request statistics for the enrichment monitor.
+  async getEnrichmentMonitor() {
+    await restoreEnrichmentStats();
+    return getEnrichmentStats();
+  },
+
+  async resetEnrichmentMonitor() {
+    resetEnrichmentStats();
+    await saveEnrichmentStats();
+    return {};
+  },
+
+  async runLinkHealthSweep() {
+    return runLinkHealthSweep();
+  },
+
+  async enrichReadingList(request) {
+    return enrichReadingList({ force: request.force || false });
+  },
+
+  // On-demand runs go through the worker like the automatic ones, so every run
+  // is applied and logged the same way. `rules` previews a draft before saving.
+  async runAutomationRules(request) {
+    const result = await runAutomationRules({
+      dryRun: request.dryRun === true,
+      rules: request.rules || null
+    });
+    if (!result.dryRun) chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
+    return result;
+  },
+
+  // Bulk actions and `query → action` chains from the command palette.
+  async runBookmarkAction(request) {
+    const result = await runBookmarkAction({
+      action: request.bookmarkAction,
+      folder: request.folder,
+      query: request.query || '',
+      bookmarkIds: request.bookmarkIds || null
+    });
+    if (result.applied > 0) chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
+    return result;
+  },
+
+  async undoAutomationRun(request) {
+    const result = await undoRuleRun(request.runId);
+    chrome.runtime.sendMessage({ action: 'bookmarksChanged' }).catch(() => {});
+    return result;
+  },
+
+  async setRevisit(request) {
+    const bookmark = await setRevisitScheduled(request.id, request.enabled !== false);
+    if (!bookmark) throw new Error('Could not update the revisit schedule');
+    await refreshRevisitBadge();
+    return { bookmark };
+  },
+
+  async reviewRevisit(request) {
+    const bookmark = await recordRevisitReview(request.id, request.grade);
+    if (!bookmark) throw new Error('Bookmark is not scheduled for review');
+    await refreshRevisitBadge();
+    return { bookmark };
+  },
+
+  async syncSettingsNow() {
+    return { status: await runSettingsSync() };
+  },
+
+  async resetSettingsToSynced() {
+    const result = await resetToSyncedSettings();
+    await afterSettingsPulled(result.applied);
+    return result;
+  },
+
   async updateSettings(request) {
     await updateSettings(request.settings);
 
+    if (request.settings.linkSweepEnabled !== undefined) {
+      await syncLinkSweepAlarm();
+    }
+
+    if (request.settings.settingsSyncEnabled !== undefined) {
+      await syncSettingsSyncAlarm();
+    }
+
+    if (request.settings.snapshotsEnabled !== undefined) {
+      await syncSnapshotAlarm();
+    }
+    runSettingsSync().catch(error => console.error('Settings sync failed:', error));
+
+    if (request.settings.topicTaxonomy !== undefined) {
+      await loadTopicTaxonomy();
+    }
+
     if (request.settings.trackBrowsingBehavior !== undefined) {
       behaviorTrackingEnabled = request.settings.trackBrowsingBehavior;
       console.log(`Behavior tracking ${behaviorTrackingEnabled ? 'enabled' : 'disabled'}`);
@@ -808,18 +1454,6 @@ async function invalidateUrlCache() {
   }
 }
 
-// Normalize URL for matching (remove trailing slashes, www, etc.)
-function normalizeUrlForMatching(url) {
-  try {
-    const urlObj = new URL(url);
-    let normalized = urlObj.hostname.replace(/^www\./, '') + urlObj.pathname;
-    normalized = normalized.replace(/\/$/, ''); // Remove trailing slash
-    return normalized.toLowerCase();
-  } catch (e) {
-    return url.toLowerCase();
-  }
-}
-
 const DEBOUNCE_TIME = 60000; // 1 minute
 
 // Record a bookmark access when user visits a bookmarked URL.
@@ -827,9 +1461,11 @@ const DEBOUNCE_TIME = 60000; // 1 minute
 // across service-worker restarts and cannot grow unbounded. The read, the
 // debounce check and the increment all happen inside one Dexie transaction, so
 // concurrent tab events cannot lose an increment.
+// Opening a bookmark on the revisit schedule counts as reviewing it.
 async function recordBookmarkAccess(bookmarkId, url) {
   try {
     let recorded = false;
+    let revisit = null;
 
     await db.bookmarks
       .where(':id')
@@ -839,6 +1475,10 @@ async function recordBookmarkAccess(bookmarkId, url) {
         if (bookmark.lastAccessed && now - bookmark.lastAccessed < DEBOUNCE_TIME) return;
         bookmark.lastAccessed = now;
         bookmark.accessCount = (bookmark.accessCount || 0) + 1;
+        if (bookmark.revisit) {
+          revisit = reviewRevisit(bookmark.revisit, 'visit', now);
+          bookmark.revisit = revisit;
+        }
         recorded = true;
       });
 
@@ -846,6 +1486,14 @@ async function recordBookmarkAccess(bookmarkId, url) {
 
     invalidateBookmarkCorpus();
     await logEvent(bookmarkId, 'access', { url });
+    if (revisit) {
+      await logEvent(bookmarkId, 'review', {
+        grade: 'visit',
+        interval: revisit.interval,
+        due: revisit.due
+      });
+      await refreshRevisitBadge();
+    }
 
     console.log(`Recorded access for bookmark: ${bookmarkId}`);
     return true;
@@ -878,6 +1526,82 @@ async function findMatchingBookmark(url) {
   return null;
 }
 
+// Thumbnails for the visual grid (opt-in, rides on behaviour tracking).
+// A thumbnail is retaken once it is a month old, so pages that change keep a
+// recent picture without capturing on every visit.
+const THUMBNAIL_REFRESH_MS = 30 * 24 * 60 * 60 * 1000;
+// Give the page a moment to paint after `complete` before taking the picture.
+const THUMBNAIL_CAPTURE_DELAY_MS = 1500;
+
+// onUpdated and onActivated often both fire for one visit.
+const thumbnailCaptures = new Set();
+
+async function captureBookmarkThumbnail(bookmarkId, tab) {
+  if (tab.incognito || thumbnailCaptures.has(bookmarkId)) return;
+  thumbnailCaptures.add(bookmarkId);
+  try {
+    const [settings, bookmark] = await Promise.all([getSettings(), getBookmark(bookmarkId)]);
+    if (!settings.thumbnailsEnabled) return;
+    // findMatchingBookmark ignores the query: another video or wiki page on
+    // the same path is not a picture of this bookmark.
+    if (!bookmark || !isSamePage(bookmark.url, tab.url)) return;
+    const capturedAt = await getThumbnailCapturedAt(bookmarkId);
+    if (capturedAt && Date.now() - capturedAt < THUMBNAIL_REFRESH_MS) return;
+
+    await new Promise(resolve => setTimeout(resolve, THUMBNAIL_CAPTURE_DELAY_MS));
+    // captureVisibleTab takes whatever the window shows, so only go ahead if
+    // that is still this page.
+    const current = await chrome.tabs.get(tab.id).catch(() => null);
+    if (!current?.active || current.url !== tab.url) return;
+
+    const blob = await captureThumbnail(current.windowId);
+    await saveThumbnail(bookmarkId, blob, settings.thumbnailQuotaMB * 1024 * 1024);
+  } catch (error) {
+    // A minimised window or a page Chrome will not capture (the Web Store,
+    // another extension) lands here; the next visit tries again.
+    console.warn(`Thumbnail capture skipped for ${bookmarkId}:`, error.message);
+  } finally {
+    thumbnailCaptures.delete(bookmarkId);
+  }
+}
+
+// Enrichment from visits (opt-in, rides on behaviour tracking). Pages behind a
+// login only show their content to the signed-in user, so the metadata is read
+// from the open tab rather than fetched. Runs once the page has had the same
+// moment to settle as a thumbnail; single-page apps fill in their <head> late.
+const visitCaptures = new Set();
+
+async function captureVisitMetadata(bookmarkId, tab) {
+  if (tab.incognito || visitCaptures.has(bookmarkId)) return;
+  visitCaptures.add(bookmarkId);
+  try {
+    const [settings, bookmark] = await Promise.all([getSettings(), getBookmark(bookmarkId)]);
+    // findMatchingBookmark ignores the query; only the bookmarked page itself
+    // may speak for the bookmark.
+    if (!needsVisitEnrichment(bookmark, settings) || !isSamePage(bookmark.url, tab.url)) return;
+    if (!(await chrome.permissions.contains({ permissions: ['scripting'] }))) return;
+
+    await new Promise(resolve => setTimeout(resolve, THUMBNAIL_CAPTURE_DELAY_MS));
+    const current = await chrome.tabs.get(tab.id).catch(() => null);
+    if (current?.url !== tab.url) return;
+
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: capturePageMetadata
+    });
+    if (!injection?.result) return;
+
+    const result = await enrichFromVisit(bookmarkId, injection.result, tab.url);
+    if (result.wrote) await applyAutomationRules([bookmarkId], 'enrichment');
+  } catch (error) {
+    // Pages Chrome will not script (the Web Store, PDFs, error pages) land
+    // here; the next visit tries again.
+    console.warn(`Visit capture skipped for ${bookmarkId}:`, error.message);
+  } finally {
+    visitCaptures.delete(bookmarkId);
+  }
+}
+
 // Tab listeners are registered synchronously in the first turn (MV3 drops
 // events registered later). They gate on `trackingReady` instead, so events
 // arriving before the settings read completes are still handled.
@@ -892,6 +1616,8 @@ const onTabUpdated = async (tabId, changeInfo, tab) => {
     const bookmarkId = await findMatchingBookmark(tab.url);
     if (bookmarkId) {
       await recordBookmarkAccess(bookmarkId, tab.url);
+      captureBookmarkThumbnail(bookmarkId, tab);
+      captureVisitMetadata(bookmarkId, tab);
     }
   } catch (error) {
     console.error('Error in tab update handler:', error);
@@ -913,6 +1639,8 @@ const onTabActivated = async (activeInfo) => {
     const bookmarkId = await findMatchingBookmark(tab.url);
     if (bookmarkId) {
       await recordBookmarkAccess(bookmarkId, tab.url);
+      captureBookmarkThumbnail(bookmarkId, tab);
+      captureVisitMetadata(bookmarkId, tab);
     }
   } catch (error) {
     console.error('Error in tab activation handler:', error);
@@ -938,6 +1666,11 @@ async function updateBehaviorTrackingListeners(enabled) {
   return behaviorTrackingEnabled;
 }
 
+// Enrichment and the topic migration classify with the user's taxonomy.
+const taxonomyReady = loadTopicTaxonomy().catch(error => {
+  console.error('Error loading taxonomy:', error);
+});
+
 // Resolved once the tracking setting has been read; tab handlers await it.
 const trackingReady = initBehaviorTracking().then((active) => {
   if (active) buildUrlCache();
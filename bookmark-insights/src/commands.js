@@ -0,0 +1,117 @@
+// Command palette matching: fuzzy-ranked commands and `query → action` chains.
+//
+// The palette lists commands; typing narrows them by fuzzy match against each
+// command's label and keywords. Text before an arrow (`→` or `->`) is a search
+// query, and the command after it runs on every bookmark the query matches:
+// `domain:medium.com dead:yes → trash`. A command that takes a folder reads it
+// from the first `/` onwards: `tag:go → move /Code/Go`.
+
+const CHAIN_ARROW = /→|->/;
+
+/**
+ * How well `pattern` matches `text` as a case-insensitive subsequence, or null
+ * when it does not. Consecutive letters and word starts score higher, so "rl"
+ * prefers "Reading List" to "Copy URLs".
+ * @param {string} pattern
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function fuzzyScore(pattern, text) {
+  const needle = pattern.toLowerCase().replace(/\s+/g, '');
+  if (!needle) return 0;
+  const haystack = text.toLowerCase();
+
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+    if (index === previous + 1) score += 3;
+    if (index === 0 || /[\s/:-]/.test(haystack[index - 1])) score += 2;
+    score += 1;
+    previous = index;
+    from = index + 1;
+  }
+  // Among equal matches, the shorter label is the closer one.
+  return score - haystack.length / 100;
+}
+
+/**
+ * Commands that match the typed text, best first; all of them, in order, for
+ * empty text.
+ * @param {Array<{label: string, keywords?: string[]}>} commands
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function rankCommands(commands, text) {
+  if (!text.trim()) return commands.slice();
+  return commands
+    .map((command, index) => {
+      const scores = [command.label, ...(command.keywords || [])]
+        .map((candidate) => fuzzyScore(text, candidate))
+        .filter((score) => score !== null);
+      return { command, index, score: scores.length ? Math.max(...scores) : null };
+    })
+    .filter((entry) => entry.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((entry) => entry.command);
+}
+
+/**
+ * Split palette input into the search it chains from, the command text and
+ * the command's argument.
+ * @param {string} input
+ * @returns {{query: string|null, command: string, argument: string}} `query`
+ *   is null when the input has no arrow
+ */
+export function parseCommandInput(input) {
+  const text = String(input || '');
+  const arrow = text.match(CHAIN_ARROW);
+  const query = arrow ? text.slice(0, arrow.index).trim() : null;
+  const rest = arrow ? text.slice(arrow.index + arrow[0].length) : text;
+
+  const slash = rest.indexOf('/');
+  if (query === null || slash === -1) return { query, command: rest.trim(), argument: '' };
+  return { query, command: rest.slice(0, slash).trim(), argument: rest.slice(slash).trim() };
+}
+
+/**
+ * Bulk actions the palette offers. They act on the selected bookmarks, or on
+ * what a chained query matches. `takesFolder` actions ask for a folder path
+ * when the input does not carry one; `undoable` ones run through the rule
+ * engine so their runs can be reversed.
+ */
+export const BULK_COMMANDS = [
+  {
+    id: 'enrich',
+    label: 'Re-enrich selection',
+    keywords: ['refresh metadata', 'fetch'],
+  },
+  {
+    id: 'move',
+    label: 'Move to folder',
+    keywords: ['file', 'organize'],
+    takesFolder: true,
+    undoable: true,
+  },
+  {
+    id: 'trash',
+    label: 'Delete (move to trash)',
+    keywords: ['trash', 'remove'],
+    undoable: true,
+  },
+  {
+    id: 'readingList',
+    label: 'Add to reading list',
+    keywords: ['read later'],
+    undoable: true,
+  },
+  {
+    id: 'markdown',
+    label: 'Export selection as Markdown',
+    keywords: ['download', 'md'],
+  },
+  { id: 'open', label: 'Open all', keywords: ['tabs'] },
+  { id: 'copy', label: 'Copy URLs', keywords: ['clipboard', 'links'] },
+];
@@ -0,0 +1,20 @@
+// Gzip helpers over the Compression Streams API, which the service worker, the
+// extension pages and Node 18+ all provide.
+
+/**
+ * @param {string} text
+ * @returns {Promise<Blob>} Gzipped UTF-8
+ */
+export async function gzipText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).blob();
+}
+
+/**
+ * @param {Blob} blob From gzipText()
+ * @returns {Promise<string>}
+ */
+export async function gunzipText(blob) {
+  const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
@@ -0,0 +1,138 @@
+// Content fingerprints for spotting pages that changed underneath a bookmark.
+//
+// A liveness check only sees the status code, and a domain that lapsed and now
+// serves a parking page or spam answers 200 like any healthy article. Each
+// successful enrichment stores a fingerprint of what the page said about
+// itself; the next enrichment compares against it and flags the bookmark when
+// the two no longer look like the same page.
+//
+// Everything here is synchronous and dependency-free: it runs in the service
+// worker, once per enriched bookmark.
+
+/** Below this similarity a re-enriched page is reported as drifted. */
+const DRIFT_SIMILARITY_THRESHOLD = 0.35;
+
+const SIGNATURE_SIZE = 32;
+const SHINGLE_WORDS = 3;
+const FNV_OFFSET = 0x811c9dc5;
+
+function normalise(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// 32-bit FNV-1a. Seeding the offset basis gives the independent hash family
+// MinHash needs without pulling in a hashing library.
+function fnv1a(text, seed = FNV_OFFSET) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+const SIGNATURE_SEEDS = Array.from(
+  { length: SIGNATURE_SIZE },
+  (_, i) => (FNV_OFFSET ^ Math.imul(i + 1, 0x9e3779b1)) >>> 0,
+);
+
+/** MinHash signature over word 3-shingles, or null for text too short to shingle. */
+function shingleSignature(text) {
+  const words = normalise(text).split(' ').filter(Boolean);
+  if (words.length === 0) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+  }
+  if (shingles.size === 0) shingles.add(words.join(' '));
+
+  return SIGNATURE_SEEDS.map((seed) => {
+    let min = Infinity;
+    for (const shingle of shingles) min = Math.min(min, fnv1a(shingle, seed));
+    return min;
+  });
+}
+
+function headerText(header) {
+  return normalise([header.title, header.description, header.siteName].join(' '));
+}
+
+function jaccard(a, b) {
+  const left = new Set(a.split(' ').filter(Boolean));
+  const right = new Set(b.split(' ').filter(Boolean));
+  if (left.size === 0 && right.size === 0) return 1;
+  let shared = 0;
+  for (const token of left) if (right.has(token)) shared++;
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Fingerprint a page from the metadata one enrichment fetched.
+ *
+ * @param {{title?: string|null, description?: string|null, siteName?: string|null,
+ *   snippet?: string|null}} page
+ * @returns {{hash: string, header: Object, signature: Array<number>|null,
+ *   computedAt: number}|null} Null when the page gave nothing to fingerprint.
+ */
+export function computeContentFingerprint(page) {
+  const header = {
+    title: page.title || null,
+    description: page.description || null,
+    siteName: page.siteName || null,
+  };
+  const signature = shingleSignature(page.snippet);
+  const text = headerText(header);
+  if (!text && !signature) return null;
+
+  return {
+    hash: fnv1a(text).toString(16),
+    header,
+    signature,
+    computedAt: Date.now(),
+  };
+}
+
+/**
+ * Similarity between two fingerprints, from 0 (unrelated) to 1 (identical).
+ * The title/description/site-name tokens and the snippet signature count
+ * equally; when either side has no snippet, the header decides alone.
+ */
+export function compareFingerprints(previous, current) {
+  const headerSimilarity =
+    previous.hash === current.hash
+      ? 1
+      : jaccard(headerText(previous.header), headerText(current.header));
+
+  if (!previous.signature || !current.signature) return headerSimilarity;
+
+  let matching = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) {
+    if (previous.signature[i] === current.signature[i]) matching++;
+  }
+  return (headerSimilarity + matching / SIGNATURE_SIZE) / 2;
+}
+
+/**
+ * Compare a freshly computed fingerprint with the stored one.
+ *
+ * @returns {{similarity: number, previous: Object, current: Object,
+ *   detectedAt: number}|null} The `contentDrifted` record, or null when the
+ *   page still matches or there is nothing stored to compare against.
+ */
+export function detectContentDrift(previous, current, threshold = DRIFT_SIMILARITY_THRESHOLD) {
+  if (!previous || !current) return null;
+
+  const similarity = compareFingerprints(previous, current);
+  if (similarity >= threshold) return null;
+
+  return {
+    similarity: Math.round(similarity * 100) / 100,
+    previous: previous.header,
+    current: current.header,
+    detectedAt: Date.now(),
+  };
+}
@@ -1,7 +1,7 @@
 // Database Explorer utility functions
 // Provides APIs for exploring and analyzing the IndexedDB database
 
-import { db, CACHE_KEYS, CACHE_DURATIONS } from './db.js';
+import { db, CACHE_KEYS, CACHE_DURATIONS, getPageArchiveStats, getSettings } from './db.js';
 
 /**
  * Table metadata with icons and descriptions
@@ -13,6 +13,10 @@ const TABLE_META = {
   settings: { icon: '⚙️', description: 'Application settings and preferences' },
   computedMetrics: { icon: '📈', description: 'Cached computed metrics with TTL' },
   enrichmentQueue: { icon: '⏳', description: 'Queue of bookmarks pending enrichment' },
+  embeddings: { icon: '🧭', description: 'Cached semantic-search vectors, one per bookmark' },
+  readingListMeta: { icon: '📖', description: 'Enrichment for reading-list entries, by URL' },
+  pageArchive: { icon: '📦', description: 'Compressed readable text of archived pages, by URL' },
+  snapshots: { icon: '🕒', description: 'Rotating compressed local backups' },
 };
 
 /**
@@ -28,6 +32,7 @@ const METRIC_DESCRIPTIONS = {
   [CACHE_KEYS.QUICK_STATS]: 'Dashboard quick statistics',
   [CACHE_KEYS.QUICK_DUPLICATE_COUNT]: 'Duplicate count for the stats store',
   [CACHE_KEYS.SIMILARITIES]: 'Similar bookmark pairs',
+  [CACHE_KEYS.RELATED_BOOKMARKS]: 'Top related neighbours of every bookmark',
 };
 
 function formatTtl(ms) {
@@ -456,6 +461,22 @@ export function downloadJSON(data, filename) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Page archive usage against its quota, for the storage panel
+ */
+export async function getPageArchiveStorage() {
+  const [stats, settings] = await Promise.all([getPageArchiveStats(), getSettings()]);
+  const quotaBytes = (settings.archiveQuotaMB || 100) * 1024 * 1024;
+  return {
+    ...stats,
+    enabled: settings.archiveEnabled === true,
+    quotaBytes,
+    quotaUsed: quotaBytes > 0 ? stats.compressedBytes / quotaBytes : 0,
+    // Characters per compressed byte: the byte ratio for mostly-Latin pages.
+    compressionRatio: stats.compressedBytes > 0 ? stats.textChars / stats.compressedBytes : 0,
+  };
+}
+
 /**
  * Estimate database size using Storage API or sampling
  */
@@ -535,3 +556,12 @@ export function formatTimeRemaining(ms) {
   if (hours < 24) return `${hours}h`;
   return `${days}d`;
 }
+
+/**
+ * Format a byte count for display
+ */
+export function formatBytes(bytes) {
+  if (!bytes) return '0 KB';
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
@@ -2,8 +2,18 @@
 // This provides a structured, indexed storage layer for bookmarks and enrichment data
 
 import Dexie from 'dexie';
-import { isBlocked, isDead, isEnrichable, isEnriched, isPendingEnrichment } from './predicates.js';
+import {
+  isBlocked,
+  isContentDrifted,
+  isDead,
+  isEnrichable,
+  isEnriched,
+  isPendingEnrichment,
+} from './predicates.js';
 import { isFetchableUrl } from './url-safety.js';
+import { gzipText, gunzipText } from './compression.js';
+import { articleText } from './readability.js';
+import { createRevisit, reviewRevisit } from './resurface.js';
 
 // Initialize Dexie database
 export const db = new Dexie('BookmarkInsightsDB');
@@ -13,16 +23,35 @@ export const db = new Dexie('BookmarkInsightsDB');
 // store directly to the newest declared version.
 // Version 6 drops `similarities`, which no code ever wrote to.
 // Version 7 adds `trash`, the 30-day holding area every delete now passes through.
-db.version(7).stores({
+// Version 8 indexes the user's own `tags` (multiEntry), so the tag list and a
+// tag lookup read the index instead of scanning every record.
+// Version 9 adds `linkSweeps`, one summary row per scheduled link-health sweep.
+// Version 10 adds `embeddings`, one cached semantic-search vector per bookmark.
+// Version 11 adds `readingListMeta`, enrichment for Chrome reading-list entries
+// keyed by URL - Chrome owns the entries themselves.
+// Version 12 adds `pageArchive`, gzipped readable text of bookmarked pages.
+// Version 13 adds `snapshots`, the rotating set of gzipped local backups.
+// Version 14 indexes `revisit.due`, so the resurface scheduler reads the due
+// reviews straight off the index.
+// Version 15 adds `thumbnails`, downscaled page captures for the visual grid.
+// Version 16 indexes events by `url`, so an automatic rule run looks up what it
+// has done to a page without reading every rule event.
+db.version(16).stores({
   bookmarks:
-    'id, url, title, domain, category, dateAdded, lastAccessed, lastChecked, isAlive, parentId, platform, creator, contentType, publishedDate',
+    'id, url, title, domain, category, dateAdded, lastAccessed, lastChecked, isAlive, parentId, platform, creator, contentType, publishedDate, *tags, revisit.due',
   enrichmentQueue: '++queueId, bookmarkId, addedAt, priority',
-  events: '++eventId, bookmarkId, type, timestamp',
+  events: '++eventId, bookmarkId, type, timestamp, url',
   cache: 'key',
   settings: 'key',
   similarities: null,
   computedMetrics: 'key',
   trash: 'id, deletedAt',
+  linkSweeps: '++id, startedAt',
+  embeddings: 'id',
+  readingListMeta: 'url',
+  pageArchive: 'url, archivedAt',
+  snapshots: '++id, createdAt',
+  thumbnails: 'id, lastUsed',
 });
 
 // Define default settings
@@ -32,8 +61,30 @@ const DEFAULT_SETTINGS = {
   enrichmentConcurrency: 5, // Number of parallel requests (1-20)
   enrichmentFreshnessDays: 30, // Re-enrich bookmarks older than this many days (0 = always re-enrich)
   privacyMode: false, // If true, skip enrichment entirely - no outbound requests
+  enrichmentPaused: false, // Set from the enrichment monitor; runs stop taking new bookmarks
+  enrichmentExcludedHosts: [], // Hosts (and their subdomains) enrichment never contacts
   trackBrowsingBehavior: false, // If false, don't track tab visits (default OFF for privacy)
   savedSearches: [], // Named queries shown in the sidebar: { id, name, query }
+  linkSweepEnabled: false, // Opt-in daily link-health sweep (chrome.alarms)
+  linkSweepDays: 14, // The sweep covers every bookmark once over this many days
+  linkSweepCursor: null, // Last bookmark id the sweep checked; written by background.js
+  archiveEnabled: false, // Opt-in: keep each page's readable text for offline reading and body: search
+  archiveQuotaMB: 100, // Oldest archives of still-live pages are evicted past this
+  webArchiveEnabled: false, // Opt-in: look dead links up in a web archive; see web-archive.js
+  webArchiveEndpoint: '', // CDX endpoint to ask instead of the Wayback Machine's
+  webArchiveReplayTemplate: '', // Replay URL with {timestamp} and {url}, for a custom endpoint
+  thumbnailsEnabled: false, // Opt-in: capture a thumbnail when tracking sees a bookmarked page open
+  thumbnailQuotaMB: 50, // Least recently shown thumbnails are evicted past this
+  visitEnrichmentEnabled: false, // Opt-in: enrich a bookmarked page from the open tab when tracking sees it (needs "scripting")
+  automationRules: [], // "query -> action" rules, in priority order; see rules.js
+  customUrlParsers: [], // User URL-pattern parsers, tried before the built-ins; see url-parsers.js
+  topicTaxonomy: null, // User's edited copy of the topic taxonomy, null for the built-in; see taxonomy.js
+  categoryRules: null, // Domain -> category rules replacing the built-ins, or null
+  pathPatterns: null, // URL path -> category rules replacing the built-ins, or null
+  snapshotsEnabled: false, // Opt-in daily local backup snapshots (chrome.alarms)
+  snapshotRetention: { daily: 7, weekly: 4, monthly: 6 }, // Snapshots kept per period; see snapshots.js
+  settingsSyncEnabled: false, // Opt-in mirror of these settings in chrome.storage.sync; per device
+  fieldUpdatedAt: {}, // field -> time of its last change; settings sync keeps the newest
   dataVersion: 0, // Set by background.js; gates the update-time index rebuild
 };
 
@@ -60,11 +111,21 @@ export async function getSettings() {
   }
 }
 
-// Update settings
-export async function updateSettings(newSettings) {
+// Update settings. Every field whose value changes is stamped in
+// `fieldUpdatedAt`; settings sync passes `stamps` to keep the remote times.
+export async function updateSettings(newSettings, stamps = null) {
   try {
     const current = await getSettings();
-    await db.settings.put({ key: 'app', ...current, ...newSettings });
+    const now = Date.now();
+    const fieldUpdatedAt = { ...current.fieldUpdatedAt };
+    for (const [field, value] of Object.entries(newSettings)) {
+      if (stamps && stamps[field] !== undefined) {
+        fieldUpdatedAt[field] = stamps[field];
+      } else if (JSON.stringify(value) !== JSON.stringify(current[field])) {
+        fieldUpdatedAt[field] = now;
+      }
+    }
+    await db.settings.put({ key: 'app', ...current, ...newSettings, fieldUpdatedAt });
     return true;
   } catch (error) {
     console.error('Error updating settings:', error);
@@ -101,6 +162,64 @@ export async function deleteSavedSearch(id) {
   await updateSettings({ savedSearches: existing.filter((s) => s.id !== id) });
 }
 
+// =============================================
+// Automation rules
+// =============================================
+
+/**
+ * @returns {Promise<Array<{id: string, name: string, query: string, action: string,
+ *   folder: string|null, minAgeDays: number|null, enabled: boolean}>>} In priority order
+ */
+export async function getAutomationRules() {
+  const settings = await getSettings();
+  return Array.isArray(settings.automationRules) ? settings.automationRules : [];
+}
+
+/** Add a rule, or replace the one with the same id in place. */
+export async function saveAutomationRule(rule) {
+  const existing = await getAutomationRules();
+  const entry = { ...rule, id: rule.id || `rule-${Date.now().toString(36)}` };
+  const next = existing.some((r) => r.id === entry.id)
+    ? existing.map((r) => (r.id === entry.id ? entry : r))
+    : [...existing, entry];
+  await updateSettings({ automationRules: next });
+  return entry;
+}
+
+export async function deleteAutomationRule(id) {
+  const existing = await getAutomationRules();
+  await updateSettings({ automationRules: existing.filter((r) => r.id !== id) });
+}
+
+// =============================================
+// Custom URL parsers
+// =============================================
+
+/**
+ * @returns {Promise<Array<{id: string, name: string, host: string, pattern: string,
+ *   type: string, identifier: string, creator: string, enabled: boolean}>>} In the order tried
+ */
+export async function getCustomUrlParsers() {
+  const settings = await getSettings();
+  return Array.isArray(settings.customUrlParsers) ? settings.customUrlParsers : [];
+}
+
+/** Add a parser template, or replace the one with the same id in place. */
+export async function saveCustomUrlParser(parser) {
+  const existing = await getCustomUrlParsers();
+  const entry = { ...parser, id: parser.id || `parser-${Date.now().toString(36)}` };
+  const next = existing.some((p) => p.id === entry.id)
+    ? existing.map((p) => (p.id === entry.id ? entry : p))
+    : [...existing, entry];
+  await updateSettings({ customUrlParsers: next });
+  return entry;
+}
+
+export async function deleteCustomUrlParser(id) {
+  const existing = await getCustomUrlParsers();
+  await updateSettings({ customUrlParsers: existing.filter((p) => p.id !== id) });
+}
+
 // =============================================
 // Corpus cache
 // =============================================
@@ -194,6 +313,16 @@ export async function getBookmark(id) {
   }
 }
 
+// Get the bookmarks with these IDs, skipping any that no longer exist
+export async function getBookmarksByIds(ids) {
+  try {
+    return (await db.bookmarks.bulkGet(ids)).filter(Boolean);
+  } catch (error) {
+    console.error('Error getting bookmarks:', error);
+    return [];
+  }
+}
+
 // Add or update a bookmark
 export async function upsertBookmark(bookmark) {
   try {
@@ -218,12 +347,48 @@ export async function bulkUpsertBookmarks(bookmarks) {
   }
 }
 
+// Fields only the user writes. Enrichment reads a record, waits on the network
+// and writes it back; these are taken from the row as it is at write time.
+const USER_OWNED_FIELDS = ['tags', 'note', 'revisit'];
+
+/**
+ * Write enrichment results without undoing what the user changed meanwhile:
+ * tags, note and revisit schedule come from the stored row, and a bookmark
+ * deleted while it was being enriched stays deleted.
+ * @param {Object[]} bookmarks - Records as read before enriching, with results applied.
+ * @returns {Promise<boolean>}
+ */
+export async function saveEnrichedBookmarks(bookmarks) {
+  try {
+    await db.transaction('rw', db.bookmarks, async () => {
+      const current = await db.bookmarks.bulkGet(bookmarks.map((bookmark) => bookmark.id));
+      const merged = [];
+      bookmarks.forEach((bookmark, i) => {
+        if (!current[i]) return;
+        const record = { ...bookmark };
+        for (const field of USER_OWNED_FIELDS) {
+          if (field in current[i]) record[field] = current[i][field];
+          else delete record[field];
+        }
+        merged.push(record);
+      });
+      await db.bookmarks.bulkPut(merged);
+    });
+    invalidateBookmarkCorpus();
+    return true;
+  } catch (error) {
+    console.error('Error saving enriched bookmarks:', error);
+    return false;
+  }
+}
+
 /** The shape a bookmark starts life with, before anything has enriched it. */
-export const ENRICHMENT_DEFAULTS = {
+const ENRICHMENT_DEFAULTS = {
   description: null,
   keywords: [],
   category: null,
   tags: [],
+  note: null,
   isAlive: null,
   lastChecked: null,
   enrichedAt: null,
@@ -232,6 +397,8 @@ export const ENRICHMENT_DEFAULTS = {
   faviconUrl: null,
   contentSnippet: null,
   rawMetadata: null,
+  contentFingerprint: null,
+  contentDrifted: null,
   lastAccessed: null,
   accessCount: 0,
   // Platform-specific fields
@@ -242,11 +409,12 @@ export const ENRICHMENT_DEFAULTS = {
 };
 
 // The fields Chrome owns. Everything else on a stored record belongs to this
-// extension and must survive a sync untouched.
+// extension and must survive a sync untouched. `dateAdded` comes from Chrome
+// only for a new record: Chrome never changes it, and an imported bookmark
+// keeps the date it was saved in the service it came from.
 const CHROME_OWNED_FIELDS = [
   'title',
   'url',
-  'dateAdded',
   'parentId',
   'folderPath',
   'domain',
@@ -332,6 +500,8 @@ export async function bulkDeleteBookmarks(ids) {
   if (!ids || ids.length === 0) return true;
   try {
     await db.bookmarks.bulkDelete(ids);
+    await db.embeddings.bulkDelete(ids);
+    await db.thumbnails.bulkDelete(ids);
     invalidateBookmarkCorpus();
     return true;
   } catch (error) {
@@ -340,6 +510,184 @@ export async function bulkDeleteBookmarks(ids) {
   }
 }
 
+// =============================================
+// User annotations
+// =============================================
+
+/**
+ * Canonical form for user tags: trimmed, lower-cased, without a leading `#`,
+ * de-duplicated. Everything that writes `tags` goes through this so `tag:`
+ * filters never have to guess at case.
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  const cleaned = (tags || [])
+    .map((tag) =>
+      String(tag || '')
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase(),
+    )
+    .filter(Boolean);
+  return [...new Set(cleaned)];
+}
+
+/**
+ * Save the user's tags and note on a bookmark. Both live only on the stored
+ * record — Chrome has no field for them — and sync leaves them untouched.
+ * @param {string} id
+ * @param {{tags?: string[], note?: string}} annotations
+ * @returns {Promise<Object|null>} The updated record, or null on failure.
+ */
+export async function updateBookmarkAnnotations(id, annotations) {
+  try {
+    const changes = {};
+    if (annotations.tags !== undefined) changes.tags = normalizeTags(annotations.tags);
+    if (annotations.note !== undefined) changes.note = annotations.note.trim() || null;
+
+    const updated = await db.bookmarks.update(id, changes);
+    if (!updated) return null;
+
+    invalidateBookmarkCorpus();
+    await invalidateMetricCaches('update');
+    return await db.bookmarks.get(id);
+  } catch (error) {
+    console.error('Error updating bookmark annotations:', error);
+    return null;
+  }
+}
+
+/** Every tag in use, alphabetically, read straight from the multiEntry index. */
+export async function getAllUserTags() {
+  try {
+    return await db.bookmarks.orderBy('tags').uniqueKeys();
+  } catch (error) {
+    console.error('Error reading tags:', error);
+    return [];
+  }
+}
+
+// =============================================
+// Revisit scheduling
+// =============================================
+
+/**
+ * Put a bookmark on the revisit schedule, or take it off. Each change and each
+ * review is logged as a 'review' event, which is the review history.
+ * @param {string} id
+ * @param {boolean} enabled
+ * @returns {Promise<Object|null>} The updated record, or null on failure.
+ */
+export async function setRevisitScheduled(id, enabled) {
+  try {
+    const revisit = enabled ? createRevisit() : null;
+    const updated = await db.bookmarks.update(id, { revisit });
+    if (!updated) return null;
+
+    invalidateBookmarkCorpus();
+    await logEvent(id, 'review', { grade: enabled ? 'start' : 'stop', due: revisit?.due ?? null });
+    return await db.bookmarks.get(id);
+  } catch (error) {
+    console.error('Error scheduling revisit:', error);
+    return null;
+  }
+}
+
+/**
+ * Grade a review of a scheduled bookmark and move its schedule on.
+ * @param {string} id
+ * @param {string} grade - 'useful', 'notNow', 'archive' or 'visit'
+ * @returns {Promise<Object|null>} The updated record, or null when the bookmark
+ *   is not scheduled or the write failed.
+ */
+export async function recordRevisitReview(id, grade) {
+  try {
+    let next;
+    const updated = await db.bookmarks
+      .where(':id')
+      .equals(id)
+      .modify((bookmark) => {
+        if (!bookmark.revisit) return;
+        next = reviewRevisit(bookmark.revisit, grade);
+        bookmark.revisit = next;
+      });
+    if (!updated || next === undefined) return null;
+
+    invalidateBookmarkCorpus();
+    await logEvent(id, 'review', {
+      grade,
+      interval: next?.interval ?? null,
+      due: next?.due ?? null,
+    });
+    return await db.bookmarks.get(id);
+  } catch (error) {
+    console.error('Error recording revisit review:', error);
+    return null;
+  }
+}
+
+/** Scheduled bookmarks due by `now`, most overdue first. */
+export async function getDueRevisits(now = Date.now(), limit = 50) {
+  try {
+    return await db.bookmarks.where('revisit.due').belowOrEqual(now).limit(limit).toArray();
+  } catch (error) {
+    console.error('Error reading due revisits:', error);
+    return [];
+  }
+}
+
+/** How many scheduled bookmarks are due by `now`; the action badge shows it. */
+export async function countDueRevisits(now = Date.now()) {
+  try {
+    return await db.bookmarks.where('revisit.due').belowOrEqual(now).count();
+  } catch (error) {
+    console.error('Error counting due revisits:', error);
+    return 0;
+  }
+}
+
+/**
+ * Attach import metadata to a bookmark the importer has just created in Chrome.
+ *
+ * `chrome.bookmarks.onCreated` writes the same record from the service worker,
+ * in no particular order relative to this call. Both sides read and write
+ * inside a transaction, so whichever lands second merges into the first.
+ *
+ * @param {chrome.bookmarks.BookmarkTreeNode} node The node Chrome returned.
+ * @param {{tags: string[], note: string|null, dateAdded: number|null,
+ *   importSource: string|null}} metadata `dateAdded` is when the service the
+ *   bookmark came from saved it, and replaces the time of the import.
+ */
+export async function recordImportedBookmark(node, metadata) {
+  try {
+    await db.transaction('rw', db.bookmarks, async () => {
+      const existing = await db.bookmarks.get(node.id);
+      const base = existing || {
+        ...ENRICHMENT_DEFAULTS,
+        id: node.id,
+        title: node.title,
+        url: node.url,
+        dateAdded: node.dateAdded || Date.now(),
+        parentId: node.parentId,
+      };
+      await db.bookmarks.put({
+        ...base,
+        dateAdded: metadata.dateAdded || base.dateAdded,
+        tags: normalizeTags([...(base.tags || []), ...(metadata.tags || [])]),
+        note: base.note || metadata.note || null,
+        importSource: metadata.importSource,
+        importedAt: Date.now(),
+      });
+    });
+    invalidateBookmarkCorpus();
+    return true;
+  } catch (error) {
+    console.error('Error recording imported bookmark:', error);
+    return false;
+  }
+}
+
 // Note: The main searchBookmarks function is in search.js using FlexSearch
 // This legacy function is kept for backward compatibility but deprecated
 // Use import { searchBookmarks } from './search.js' instead
@@ -365,11 +713,15 @@ export async function getBookmarksByDateRange(startDate, endDate) {
 }
 
 // Event logging
+// Changes to a bookmark carry `before`/`after` objects holding the title, url
+// and parentId/folderPath that changed ('create' has only `after`, 'delete'
+// only `before`), which is what lets history.js describe and revert them one
+// at a time.
 export async function logEvent(bookmarkId, type, metadata = {}) {
   try {
     await db.events.add({
       bookmarkId,
-      type, // 'create', 'delete', 'access', 'update', 'enrichment'
+      type, // 'create', 'delete', 'access', 'update', 'enrichment', 'linkHealth', 'rule', 'rule-undo', 'review'
       timestamp: Date.now(),
       ...metadata,
     });
@@ -380,6 +732,65 @@ export async function logEvent(bookmarkId, type, metadata = {}) {
   }
 }
 
+/** Every event of one type, oldest first. */
+export async function getEventsByType(type) {
+  try {
+    return await db.events.where('type').equals(type).sortBy('timestamp');
+  } catch (error) {
+    console.error('Error reading events:', error);
+    return [];
+  }
+}
+
+/** Events of one type logged against any of these URLs, oldest first. */
+export async function getEventsForUrls(type, urls) {
+  try {
+    return await db.events
+      .where('url')
+      .anyOf(urls)
+      .filter((event) => event.type === type)
+      .sortBy('timestamp');
+  } catch (error) {
+    console.error('Error reading events:', error);
+    return [];
+  }
+}
+
+/** Every event for one bookmark id, oldest first. */
+export async function getEventsForBookmark(bookmarkId) {
+  try {
+    return await db.events.where('bookmarkId').equals(bookmarkId).sortBy('timestamp');
+  } catch (error) {
+    console.error('Error reading bookmark events:', error);
+    return [];
+  }
+}
+
+/**
+ * Events in a time range, newest first.
+ * @param {Object} [options]
+ * @param {string[]|null} [options.types] Only these types
+ * @param {number} [options.since] Inclusive lower bound (ms)
+ * @param {number} [options.until] Inclusive upper bound (ms)
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getRecentEvents(options = {}) {
+  const { types = null, since = 0, until = Date.now(), limit = 200 } = options;
+  try {
+    return await db.events
+      .where('timestamp')
+      .between(since, until, true, true)
+      .reverse()
+      .filter((event) => !types || types.includes(event.type))
+      .limit(limit)
+      .toArray();
+  } catch (error) {
+    console.error('Error reading recent events:', error);
+    return [];
+  }
+}
+
 // Cache operations
 export async function setCache(key, value, ttl = null) {
   try {
@@ -463,6 +874,50 @@ export async function bulkAddToEnrichmentQueue(bookmarkIds, priority = 0) {
   }
 }
 
+/**
+ * Move bookmarks to the front of the enrichment queue, queueing those that are
+ * not in it. Existing rows keep a higher priority they already had.
+ * @param {string[]} bookmarkIds
+ * @param {number} priority
+ * @param {Object} [options]
+ * @param {boolean} [options.force] Enrich them even if recently checked
+ * @returns {Promise<number>} Number of rows added or changed
+ */
+export async function prioritizeEnrichmentQueue(bookmarkIds, priority, options = {}) {
+  const { force = false } = options;
+  if (!bookmarkIds || bookmarkIds.length === 0) return 0;
+
+  try {
+    return await db.transaction('rw', db.enrichmentQueue, async () => {
+      const ids = [...new Set(bookmarkIds)];
+      const existing = await db.enrichmentQueue.where('bookmarkId').anyOf(ids).toArray();
+      const queued = new Map(existing.map((row) => [row.bookmarkId, row]));
+      const addedAt = Date.now();
+      const rows = ids.map((bookmarkId) => {
+        const row = queued.get(bookmarkId);
+        return row
+          ? { ...row, priority: Math.max(row.priority, priority), force: force || row.force === true }
+          : { bookmarkId, addedAt, priority, force };
+      });
+      await db.enrichmentQueue.bulkPut(rows);
+      return rows.length;
+    });
+  } catch (error) {
+    console.error('Error prioritizing enrichment queue:', error);
+    return 0;
+  }
+}
+
+/** @returns {Promise<Array<Object>>} Every queued row, highest priority first */
+export async function getEnrichmentQueue() {
+  try {
+    return await db.enrichmentQueue.orderBy('priority').reverse().toArray();
+  } catch (error) {
+    console.error('Error reading enrichment queue:', error);
+    return [];
+  }
+}
+
 export async function getNextEnrichmentBatch(batchSize = 20) {
   try {
     return await db.enrichmentQueue.orderBy('priority').reverse().limit(batchSize).toArray();
@@ -506,8 +961,14 @@ export async function getReadingListItems() {
       console.warn('Reading List API not available');
       return [];
     }
-    const items = await chrome.readingList.query({});
+    const [items, metaRows] = await Promise.all([
+      chrome.readingList.query({}),
+      db.readingListMeta.toArray(),
+    ]);
+    const metaByUrl = new Map(metaRows.map((row) => [row.url, row]));
     return items.map((item) => ({
+      // Enrichment first, so Chrome's own fields always win.
+      ...metaByUrl.get(item.url),
       ...item,
       id: `reading-list-${encodeURIComponent(item.url)}`, // Unique ID for reading list items
       isReadingListItem: true,
@@ -527,6 +988,26 @@ export async function getReadingListItems() {
   }
 }
 
+/**
+ * Add a page to Chrome's Reading List, unread
+ * @param {{url: string, title: string}} entry
+ * @returns {Promise<boolean>} Success status; false when the URL is already listed
+ */
+export async function addToReadingList({ url, title }) {
+  try {
+    if (!chrome.readingList) {
+      console.warn('Reading List API not available');
+      return false;
+    }
+    await chrome.readingList.addEntry({ url, title: title || url, hasBeenRead: false });
+    readingListCorpus.invalidate();
+    return true;
+  } catch (error) {
+    console.error('Error adding to reading list:', error);
+    return false;
+  }
+}
+
 /**
  * Remove an item from Chrome's Reading List
  * @param {string} url - URL of the item to remove
@@ -539,6 +1020,7 @@ export async function removeFromReadingList(url) {
       return false;
     }
     await chrome.readingList.removeEntry({ url });
+    readingListCorpus.invalidate();
     return true;
   } catch (error) {
     console.error('Error removing from reading list:', error);
@@ -559,6 +1041,7 @@ export async function updateReadingListItem(url, hasBeenRead) {
       return false;
     }
     await chrome.readingList.updateEntry({ url, hasBeenRead });
+    readingListCorpus.invalidate();
     return true;
   } catch (error) {
     console.error('Error updating reading list item:', error);
@@ -566,11 +1049,104 @@ export async function updateReadingListItem(url, hasBeenRead) {
   }
 }
 
+/**
+ * Stored enrichment for one reading-list entry
+ * @param {string} url
+ * @returns {Promise<Object|null>}
+ */
+export async function getReadingListMeta(url) {
+  try {
+    return (await db.readingListMeta.get(url)) || null;
+  } catch (error) {
+    console.error('Error getting reading list metadata:', error);
+    return null;
+  }
+}
+
+/**
+ * Merge enrichment fields into a reading-list entry's metadata row
+ * @param {string} url
+ * @param {Object} changes
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveReadingListMeta(url, changes) {
+  try {
+    await db.transaction('rw', db.readingListMeta, async () => {
+      const existing = await db.readingListMeta.get(url);
+      await db.readingListMeta.put({ ...existing, ...changes, url });
+    });
+    readingListCorpus.invalidate();
+    return true;
+  } catch (error) {
+    console.error('Error saving reading list metadata:', error);
+    return false;
+  }
+}
+
+/**
+ * Drop metadata rows whose entry has left the reading list. Removal keeps the
+ * row so the side panel's undo restores an entry with its enrichment intact;
+ * the enrichment pass tidies up after it.
+ * @param {string[]} liveUrls URLs currently in the reading list
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function pruneReadingListMeta(liveUrls) {
+  try {
+    const live = new Set(liveUrls);
+    const stale = (await db.readingListMeta.toCollection().primaryKeys()).filter(
+      (url) => !live.has(url),
+    );
+    if (stale.length > 0) await db.readingListMeta.bulkDelete(stale);
+    return stale.length;
+  } catch (error) {
+    console.error('Error pruning reading list metadata:', error);
+    return 0;
+  }
+}
+
+/**
+ * Carry a reading-list entry's enrichment over to the bookmark it was
+ * promoted to, and drop the metadata row.
+ *
+ * Like recordImportedBookmark, this races the background's onCreated handler
+ * for the same id; both sides merge inside a transaction.
+ *
+ * @param {chrome.bookmarks.BookmarkTreeNode} node The node Chrome returned.
+ * @returns {Promise<boolean>} Success status
+ */
+export async function adoptReadingListMeta(node) {
+  try {
+    await db.transaction('rw', db.bookmarks, db.readingListMeta, async () => {
+      const meta = await db.readingListMeta.get(node.url);
+      if (!meta) return;
+      const existing = await db.bookmarks.get(node.id);
+      const base = existing || {
+        ...ENRICHMENT_DEFAULTS,
+        id: node.id,
+        title: node.title,
+        url: node.url,
+        dateAdded: node.dateAdded || Date.now(),
+        parentId: node.parentId,
+      };
+      // meta.url is node.url, so the spread only adds enrichment fields.
+      await db.bookmarks.put({ ...base, ...meta });
+      await db.readingListMeta.delete(node.url);
+    });
+    invalidateBookmarkCorpus();
+    return true;
+  } catch (error) {
+    console.error('Error adopting reading list metadata:', error);
+    return false;
+  }
+}
+
 // Initialize database
 export async function initializeDatabase() {
   try {
     await initializeSettings();
     await purgeExpiredTrash();
+    await prunePageArchive();
+    await pruneThumbnails();
     console.log('Database initialized');
     return { success: true };
   } catch (error) {
@@ -597,6 +1173,7 @@ export const CACHE_KEYS = {
   QUICK_STATS: 'quickStats',
   QUICK_DUPLICATE_COUNT: 'quickDuplicateCount',
   SIMILARITIES: 'similarities',
+  RELATED_BOOKMARKS: 'relatedBookmarks',
 };
 
 /**
@@ -611,6 +1188,7 @@ export const CACHE_DURATIONS = {
   [CACHE_KEYS.QUICK_STATS]: 5 * 60 * 1000, // 5 minutes
   [CACHE_KEYS.QUICK_DUPLICATE_COUNT]: 5 * 60 * 1000, // 5 minutes
   [CACHE_KEYS.SIMILARITIES]: 24 * 60 * 60 * 1000, // 24 hours
+  [CACHE_KEYS.RELATED_BOOKMARKS]: 24 * 60 * 60 * 1000, // 24 hours
 };
 
 /**
@@ -660,6 +1238,7 @@ export async function invalidateMetricCaches(changeType) {
     QUICK_STATS,
     QUICK_DUPLICATE_COUNT,
     SIMILARITIES,
+    RELATED_BOOKMARKS,
   } = CACHE_KEYS;
 
   const keysToInvalidate = {
@@ -671,6 +1250,7 @@ export async function invalidateMetricCaches(changeType) {
       DUPLICATES,
       QUICK_DUPLICATE_COUNT,
       QUICK_STATS,
+      RELATED_BOOKMARKS,
     ],
     delete: [
       DOMAIN_ANALYTICS,
@@ -681,9 +1261,10 @@ export async function invalidateMetricCaches(changeType) {
       QUICK_DUPLICATE_COUNT,
       SIMILARITIES,
       QUICK_STATS,
+      RELATED_BOOKMARKS,
     ],
-    update: [WORD_FREQUENCY, DUPLICATES, QUICK_DUPLICATE_COUNT, QUICK_STATS],
-    enrich: [DOMAIN_ANALYTICS, WORD_FREQUENCY, SIMILARITIES, QUICK_STATS],
+    update: [WORD_FREQUENCY, DUPLICATES, QUICK_DUPLICATE_COUNT, QUICK_STATS, RELATED_BOOKMARKS],
+    enrich: [DOMAIN_ANALYTICS, WORD_FREQUENCY, SIMILARITIES, QUICK_STATS, RELATED_BOOKMARKS],
     all: Object.keys(CACHE_DURATIONS),
   };
 
@@ -701,6 +1282,18 @@ export async function invalidateMetricCaches(changeType) {
   }
 }
 
+/**
+ * Related-bookmark neighbour lists. The scoring needs the analysis worker, so
+ * the caller (related.js) supplies `computeFn`; this only owns the cache.
+ */
+export function getRelatedBookmarksMetric(computeFn) {
+  return getCachedMetric(
+    CACHE_KEYS.RELATED_BOOKMARKS,
+    computeFn,
+    CACHE_DURATIONS[CACHE_KEYS.RELATED_BOOKMARKS],
+  );
+}
+
 /**
  * Clear all computed metrics (useful for debugging or forced refresh)
  */
@@ -801,6 +1394,16 @@ export async function getUniqueFolders() {
 /**
  * Find duplicate bookmarks
  */
+/**
+ * The key two bookmarks must share to count as duplicates. The importer flags
+ * incoming links with the same rule, so its preview agrees with this section.
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeUrlForDuplicates(url) {
+  return url.toLowerCase().replace(/\/$/, '');
+}
+
 export async function findDuplicates() {
   return getCachedMetric(
     CACHE_KEYS.DUPLICATES,
@@ -809,7 +1412,7 @@ export async function findDuplicates() {
       const urlMap = {};
 
       bookmarks.forEach((bookmark) => {
-        const normalizedUrl = bookmark.url.toLowerCase().replace(/\/$/, '');
+        const normalizedUrl = normalizeUrlForDuplicates(bookmark.url);
         if (!urlMap[normalizedUrl]) {
           urlMap[normalizedUrl] = [];
         }
@@ -1068,6 +1671,10 @@ export async function mergeBookmarks(keepId, mergeIds) {
     if (values.length > 0) merged[field] = [...new Set(values)];
   }
 
+  // Notes are the user's own words: keep every distinct one, not just the first.
+  const notes = [...new Set(all.map((b) => b.note).filter(Boolean))];
+  if (notes.length > 0) merged.note = notes.join('\n\n');
+
   const isEmpty = (value) => value === null || value === undefined || value === '';
   for (const field of MERGE_DONOR_FIELDS) {
     if (!isEmpty(merged[field])) continue;
@@ -1121,7 +1728,18 @@ export async function restoreFromTrash(ids) {
         title: bookmark.title,
         url: bookmark.url,
       });
-      await db.bookmarks.put({ ...bookmark, id: created.id, parentId: created.parentId });
+      // If onCreated has not written its record yet, `restoredFrom` tells it
+      // where this one came from; it logs the link and drops the field. If it
+      // has, it found this row by URL and already logged it.
+      await db.transaction('rw', db.bookmarks, async () => {
+        const claimed = await db.bookmarks.get(created.id);
+        await db.bookmarks.put({
+          ...bookmark,
+          ...(claimed ? {} : { restoredFrom: row.id }),
+          id: created.id,
+          parentId: created.parentId,
+        });
+      });
       restoredTrashIds.push(row.id);
     } catch (error) {
       console.error(`Error restoring bookmark ${row.id}:`, error);
@@ -1146,7 +1764,8 @@ export async function restoreFromTrash(ids) {
  * whichever way the two writes interleave.
  *
  * @param {string} url
- * @returns {Promise<Object|null>} The stored record without `deletedAt`.
+ * @returns {Promise<{record: Object, previousId: string}|null>} The stored
+ *   record without `deletedAt` or `id`, and the id it had before the delete.
  */
 export async function takeTrashedByUrl(url) {
   if (!url) return null;
@@ -1160,13 +1779,48 @@ export async function takeTrashedByUrl(url) {
     const record = { ...matches[0] };
     delete record.deletedAt;
     delete record.id;
-    return record;
+    return { record, previousId: matches[0].id };
   } catch (error) {
     console.error('Error reading trash by url:', error);
     return null;
   }
 }
 
+/**
+ * Write the record for a bookmark Chrome has just created, keeping whatever is
+ * already known about it.
+ *
+ * The importer, reading-list promotion and restoreFromTrash each write a record
+ * under the new id, racing onCreated; that record is merged. Failing that, the
+ * most recent trashed record for the URL is reclaimed, so an undo or a
+ * re-bookmark gets its enrichment back. The read and the write share a
+ * transaction, so neither side clobbers the other.
+ *
+ * @param {Object} fields Chrome's current fields for the bookmark, with `id`.
+ * @returns {Promise<{record: Object, previousId: string|null}>}
+ *   `previousId` is the id the bookmark had before it was trashed, when it came
+ *   back from the trash.
+ */
+export async function recordCreatedBookmark(fields) {
+  const result = await db.transaction('rw', db.bookmarks, db.trash, async () => {
+    const existing = await db.bookmarks.get(fields.id);
+    const trashed = existing ? null : await takeTrashedByUrl(fields.url);
+    const record = {
+      ...ENRICHMENT_DEFAULTS,
+      ...(existing || trashed?.record || {}),
+      ...fields,
+    };
+    // An import or a restore may have written the record first, with an
+    // earlier date than the moment Chrome created the node.
+    if (existing?.dateAdded) record.dateAdded = existing.dateAdded;
+    delete record.restoredFrom;
+    await db.bookmarks.put(record);
+    return { record, previousId: existing?.restoredFrom || trashed?.previousId || null };
+  });
+  invalidateBookmarkCorpus();
+  return result;
+}
+
 /** Permanently drop trashed records. Omit `ids` to empty the whole trash. */
 export async function purgeTrash(ids = null) {
   try {
@@ -1222,6 +1876,39 @@ export async function getBlockedLinks() {
   }
 }
 
+/**
+ * Bookmarks whose page no longer matches the fingerprint taken at an earlier
+ * enrichment - typically a lapsed domain now serving a parking page. Most
+ * recently detected first.
+ */
+export async function getDriftedBookmarks() {
+  try {
+    const bookmarks = await getAllBookmarks();
+    return bookmarks
+      .filter(isContentDrifted)
+      .sort((a, b) => b.contentDrifted.detectedAt - a.contentDrifted.detectedAt);
+  } catch (error) {
+    console.error('Error getting drifted bookmarks:', error);
+    return [];
+  }
+}
+
+/**
+ * Clear the drift flag after the user has looked at the page and kept it. The
+ * stored fingerprint already describes the new content, so the next
+ * enrichment compares against that rather than flagging it again.
+ */
+export async function dismissContentDrift(ids) {
+  try {
+    await db.bookmarks.bulkUpdate(ids.map((id) => ({ key: id, changes: { contentDrifted: null } })));
+    invalidateBookmarkCorpus();
+    return true;
+  } catch (error) {
+    console.error('Error dismissing content drift:', error);
+    return false;
+  }
+}
+
 /**
  * One-off correction for `isAlive: false` values written by the old dead-link
  * check, which treated any non-2xx/3xx HEAD as dead. That collapsed rate limits
@@ -1284,19 +1971,391 @@ export async function resetStaleDeadLinkVerdicts() {
   }
 }
 
+// =============================================
+// Link-health sweeps
+// =============================================
+
+// Long enough for the "since last week" digest and a month of history in the
+// Health tab; older summaries are dropped whenever a new sweep is recorded.
+const LINK_SWEEP_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Write the link-health fields a sweep produced. `update` rather than `put`,
+ * so a sweep racing an enrichment run only ever touches its own fields.
+ *
+ * @param {Array<{id: string, changes: Object}>} patches
+ */
+export async function applyLinkHealthPatches(patches) {
+  if (patches.length === 0) return;
+  try {
+    await db.bookmarks.bulkUpdate(patches.map(({ id, changes }) => ({ key: id, changes })));
+    invalidateBookmarkCorpus();
+    await invalidateMetricCaches('enrich');
+  } catch (error) {
+    console.error('Error applying link-health results:', error);
+  }
+}
+
+/**
+ * Insert or update a sweep summary. The sweep re-saves its row after every
+ * chunk, so a service-worker shutdown mid-sweep still leaves the partial
+ * result behind.
+ *
+ * @returns {Promise<number|null>} The row id.
+ */
+export async function saveLinkSweep(sweep) {
+  try {
+    const id = await db.linkSweeps.put(sweep);
+    await db.linkSweeps
+      .where('startedAt')
+      .below(Date.now() - LINK_SWEEP_RETENTION_MS)
+      .delete();
+    return id;
+  } catch (error) {
+    console.error('Error saving link sweep:', error);
+    return null;
+  }
+}
+
+/** Sweep summaries started at or after `since`, newest first. */
+export async function getLinkSweepsSince(since) {
+  try {
+    return await db.linkSweeps.where('startedAt').aboveOrEqual(since).reverse().toArray();
+  } catch (error) {
+    console.error('Error loading link sweeps:', error);
+    return [];
+  }
+}
+
+// =============================================
+// Semantic-search embeddings
+// =============================================
+
+/**
+ * Every stored vector. Rows are `{id, model, sourceHash, vector}`; callers
+ * decide from `model` and `sourceHash` whether a row is still current.
+ */
+export async function getEmbeddings() {
+  try {
+    return await db.embeddings.toArray();
+  } catch (error) {
+    console.error('Error loading embeddings:', error);
+    return [];
+  }
+}
+
+/** Insert or replace embedding rows, keyed by bookmark id. */
+export async function saveEmbeddings(rows) {
+  if (rows.length === 0) return;
+  try {
+    await db.embeddings.bulkPut(rows);
+  } catch (error) {
+    console.error('Error saving embeddings:', error);
+  }
+}
+
+// =============================================
+// Page archive
+// =============================================
+
+// Archives are keyed by URL, not bookmark id: duplicates share one copy, and a
+// delete-then-undo (which gives the bookmark a new id) finds its archive again.
+
+/**
+ * Store a page's readable text, gzipped, then evict down to the quota.
+ *
+ * @param {{url: string, title: string, article: Object}} entry `article` from extractArticle().
+ * @param {number} quotaBytes Total compressed size to keep.
+ * @returns {Promise<boolean>} Whether the page is archived
+ */
+export async function savePageArchive({ url, title, article }, quotaBytes) {
+  try {
+    const data = await gzipText(JSON.stringify(article.blocks));
+    await db.pageArchive.put({
+      url,
+      title,
+      archivedAt: Date.now(),
+      size: data.size,
+      textLength: article.textLength,
+      wordCount: article.wordCount,
+      truncated: article.truncated,
+      data,
+    });
+    const evicted = await enforcePageArchiveQuota(quotaBytes);
+    return !evicted.includes(url);
+  } catch (error) {
+    console.error('Error saving page archive:', error);
+    return false;
+  }
+}
+
+// Dead pages cannot be archived again, so their copies go last; among the
+// rest, the oldest archive goes first.
+async function enforcePageArchiveQuota(quotaBytes) {
+  const rows = await db.pageArchive.toArray();
+  let total = rows.reduce((sum, row) => sum + row.size, 0);
+  if (total <= quotaBytes) return [];
+
+  const deadUrls = new Set((await getAllBookmarks()).filter(isDead).map((b) => b.url));
+  rows.sort(
+    (a, b) =>
+      Number(deadUrls.has(a.url)) - Number(deadUrls.has(b.url)) || a.archivedAt - b.archivedAt,
+  );
+
+  const evicted = [];
+  for (const row of rows) {
+    if (total <= quotaBytes) break;
+    evicted.push(row.url);
+    total -= row.size;
+  }
+  await db.pageArchive.bulkDelete(evicted);
+  return evicted;
+}
+
+/**
+ * An archived page with its text blocks, for the reader view
+ * @param {string} url
+ * @returns {Promise<Object|null>} The row plus `blocks`, or null when not archived
+ */
+export async function getPageArchive(url) {
+  try {
+    const row = await db.pageArchive.get(url);
+    if (!row) return null;
+    return { ...row, blocks: JSON.parse(await gunzipText(row.data)) };
+  } catch (error) {
+    console.error('Error loading page archive:', error);
+    return null;
+  }
+}
+
+/**
+ * Every archived page as plain text, for the body: search index
+ * @returns {Promise<Array<{url: string, text: string}>>}
+ */
+export async function getArchivedBodies() {
+  try {
+    const rows = await db.pageArchive.toArray();
+    return await Promise.all(
+      rows.map(async (row) => ({
+        url: row.url,
+        text: articleText(JSON.parse(await gunzipText(row.data))),
+      })),
+    );
+  } catch (error) {
+    console.error('Error loading archived page text:', error);
+    return [];
+  }
+}
+
+/**
+ * Changes whenever a page is archived or evicted, so the body index knows to
+ * rebuild without decompressing anything.
+ * @returns {Promise<string>}
+ */
+export async function getPageArchiveSignature() {
+  try {
+    const [count, latest] = await Promise.all([
+      db.pageArchive.count(),
+      db.pageArchive.orderBy('archivedAt').last(),
+    ]);
+    return `${count}:${latest?.archivedAt || 0}`;
+  } catch (error) {
+    console.error('Error reading page archive signature:', error);
+    return '0:0';
+  }
+}
+
+/**
+ * Storage accounting for the archive
+ * @returns {Promise<{count: number, compressedBytes: number, textChars: number, truncated: number}>}
+ */
+export async function getPageArchiveStats() {
+  const stats = { count: 0, compressedBytes: 0, textChars: 0, truncated: 0 };
+  try {
+    await db.pageArchive.each((row) => {
+      stats.count++;
+      stats.compressedBytes += row.size;
+      stats.textChars += row.textLength;
+      if (row.truncated) stats.truncated++;
+    });
+  } catch (error) {
+    console.error('Error computing page archive stats:', error);
+  }
+  return stats;
+}
+
+/** Delete every archived page. */
+export async function clearPageArchive() {
+  try {
+    await db.pageArchive.clear();
+    return true;
+  } catch (error) {
+    console.error('Error clearing page archive:', error);
+    return false;
+  }
+}
+
+/** Drop archives no bookmark or trashed bookmark points at. Runs at startup. */
+async function prunePageArchive() {
+  try {
+    const [bookmarkUrls, trashed, archivedUrls] = await Promise.all([
+      db.bookmarks.orderBy('url').uniqueKeys(),
+      db.trash.toArray(),
+      db.pageArchive.toCollection().primaryKeys(),
+    ]);
+    const live = new Set([...bookmarkUrls, ...trashed.map((row) => row.url)]);
+    const orphans = archivedUrls.filter((url) => !live.has(url));
+    if (orphans.length > 0) await db.pageArchive.bulkDelete(orphans);
+    return orphans.length;
+  } catch (error) {
+    console.error('Error pruning page archive:', error);
+    return 0;
+  }
+}
+
+// =============================================
+// Thumbnails
+// =============================================
+
+// Showing a thumbnail marks it used, but only once a day, so scrolling the grid
+// does not turn every read into a write.
+const THUMBNAIL_TOUCH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Store a bookmark's page thumbnail, then evict down to the quota. A thumbnail
+ * larger than the whole quota is refused before anything is written.
+ * @param {string} id Bookmark id
+ * @param {Blob} blob
+ * @param {number} quotaBytes Total size to keep.
+ * @returns {Promise<boolean>} Whether the thumbnail is stored
+ */
+export async function saveThumbnail(id, blob, quotaBytes) {
+  if (blob.size > quotaBytes) return false;
+  try {
+    const now = Date.now();
+    await db.transaction('rw', db.thumbnails, async () => {
+      await db.thumbnails.put({ id, blob, size: blob.size, capturedAt: now, lastUsed: now });
+      // Least recently shown go first, and only until the total fits. Only
+      // ids and sizes are kept from the walk, never the rows and their blobs.
+      const rows = [];
+      await db.thumbnails.orderBy('lastUsed').each((row) => {
+        rows.push({ id: row.id, size: row.size });
+      });
+      let total = rows.reduce((sum, row) => sum + row.size, 0);
+      const evicted = [];
+      for (const row of rows) {
+        if (total <= quotaBytes) break;
+        if (row.id === id) continue;
+        evicted.push(row.id);
+        total -= row.size;
+      }
+      if (evicted.length > 0) await db.thumbnails.bulkDelete(evicted);
+    });
+    return true;
+  } catch (error) {
+    console.error('Error saving thumbnail:', error);
+    return false;
+  }
+}
+
+/** When a bookmark's thumbnail was captured, or null when it has none. */
+export async function getThumbnailCapturedAt(id) {
+  try {
+    return (await db.thumbnails.get(id))?.capturedAt ?? null;
+  } catch (error) {
+    console.error('Error reading thumbnail:', error);
+    return null;
+  }
+}
+
+/**
+ * Thumbnails for the given bookmarks, marking them as recently shown.
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, Blob>>} Only the bookmarks that have one
+ */
+export async function getThumbnails(ids) {
+  try {
+    const rows = (await db.thumbnails.bulkGet(ids)).filter(Boolean);
+    const now = Date.now();
+    const stale = rows.filter((row) => now - row.lastUsed > THUMBNAIL_TOUCH_INTERVAL_MS);
+    if (stale.length > 0) {
+      await db.thumbnails.bulkUpdate(
+        stale.map((row) => ({ key: row.id, changes: { lastUsed: now } })),
+      );
+    }
+    return new Map(rows.map((row) => [row.id, row.blob]));
+  } catch (error) {
+    console.error('Error loading thumbnails:', error);
+    return new Map();
+  }
+}
+
+/** @returns {Promise<{count: number, bytes: number}>} */
+export async function getThumbnailStats() {
+  const stats = { count: 0, bytes: 0 };
+  try {
+    await db.thumbnails.each((row) => {
+      stats.count++;
+      stats.bytes += row.size;
+    });
+  } catch (error) {
+    console.error('Error computing thumbnail stats:', error);
+  }
+  return stats;
+}
+
+/** Delete every stored thumbnail. */
+export async function clearThumbnails() {
+  try {
+    await db.thumbnails.clear();
+    return true;
+  } catch (error) {
+    console.error('Error clearing thumbnails:', error);
+    return false;
+  }
+}
+
+/** Drop thumbnails of bookmarks that no longer exist. Runs at startup. */
+async function pruneThumbnails() {
+  try {
+    const [bookmarkIds, thumbnailIds] = await Promise.all([
+      db.bookmarks.toCollection().primaryKeys(),
+      db.thumbnails.toCollection().primaryKeys(),
+    ]);
+    const live = new Set(bookmarkIds);
+    const orphans = thumbnailIds.filter((id) => !live.has(id));
+    if (orphans.length > 0) await db.thumbnails.bulkDelete(orphans);
+    return orphans.length;
+  } catch (error) {
+    console.error('Error pruning thumbnails:', error);
+    return 0;
+  }
+}
+
 // =============================================
 // Backup & Restore System
 // =============================================
 
+// Bump when the shape of `data` changes, and add a step to BACKUP_MIGRATIONS
+// so backups written by older releases stay restorable.
+// 4: adds `trash` and `readingListMeta`; bookmarks always carry `tags`/`note`.
+const BACKUP_SCHEMA_VERSION = 4;
+
 /**
  * Create a full backup of the IndexedDB database
  * @returns {Promise<Object>} Backup object with all data
  */
-async function createBackup() {
+export async function createBackup() {
   try {
     const bookmarks = await db.bookmarks.toArray();
     const settings = await db.settings.toArray();
-    const events = await db.events.orderBy('timestamp').reverse().limit(1000).toArray();
+    // Change history is kept whole so a restore keeps every bookmark's timeline;
+    // only visits, which tracking can log by the ten thousand, are capped.
+    const allEvents = await db.events.orderBy('timestamp').reverse().toArray();
+    const visits = allEvents.filter((e) => e.type === 'access').slice(0, 1000);
+    const events = [...allEvents.filter((e) => e.type !== 'access'), ...visits];
+    const trash = await db.trash.toArray();
+    const readingListMeta = await db.readingListMeta.toArray();
 
     // Get stats for backup metadata
     const enrichedCount = bookmarks.filter(isEnriched).length;
@@ -1304,7 +2363,7 @@ async function createBackup() {
 
     const backup = {
       version: '2.1',
-      schemaVersion: 3,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
       createdAt: new Date().toISOString(),
       metadata: {
         totalBookmarks: bookmarks.length,
@@ -1316,6 +2375,8 @@ async function createBackup() {
         bookmarks,
         settings,
         events,
+        trash,
+        readingListMeta,
       },
     };
 
@@ -1470,15 +2531,20 @@ export async function parseDbBackupFile(arrayBuffer) {
  * @param {Object} options - Restore options
  * @returns {Promise<Object>} Restore result
  */
-export async function restoreFromBackup(backup, options = {}) {
+export async function restoreFromBackup(original, options = {}) {
   const {
     restoreBookmarks = true,
     restoreSettings = true,
     restoreEvents = false, // Events are optional
+    restoreTrash = true,
+    restoreReadingList = true, // Reading-list enrichment (readingListMeta)
+    bookmarkIds = null, // Restore only these bookmark records, leaving the rest untouched
     mergeMode = false, // If true, merge with existing data; if false, replace
   } = options;
 
   try {
+    const backup = migrateBackup(original);
+
     // Validate backup format
     if (!backup || !backup.version || !backup.data) {
       throw new Error('Invalid backup format');
@@ -1492,11 +2558,19 @@ export async function restoreFromBackup(backup, options = {}) {
       bookmarksRestored: 0,
       settingsRestored: 0,
       eventsRestored: 0,
+      trashRestored: 0,
+      readingListRestored: 0,
       errors: [],
     };
 
     // Restore bookmarks
-    if (restoreBookmarks && backup.data.bookmarks.length > 0) {
+    if (restoreBookmarks && bookmarkIds) {
+      // Selective: the backup's copy of each chosen record replaces the current one.
+      const wanted = new Set(bookmarkIds);
+      const rows = backup.data.bookmarks.filter((b) => wanted.has(b.id));
+      await db.bookmarks.bulkPut(rows);
+      results.bookmarksRestored = rows.length;
+    } else if (restoreBookmarks && backup.data.bookmarks.length > 0) {
       if (!mergeMode) {
         await db.bookmarks.clear();
       }
@@ -1512,8 +2586,18 @@ export async function restoreFromBackup(backup, options = {}) {
             // Keep whichever has more recent lastChecked
             const existingTime = existing.lastChecked || 0;
             const backupTime = bookmark.lastChecked || 0;
-            if (backupTime > existingTime) {
-              await db.bookmarks.put(bookmark);
+            const winner = backupTime > existingTime ? bookmark : existing;
+            const other = winner === bookmark ? existing : bookmark;
+
+            // Tags and notes are the user's, not enrichment output, so the
+            // freshness comparison above must not drop them from either side.
+            const tags = normalizeTags([...(winner.tags || []), ...(other.tags || [])]);
+            const note = winner.note || other.note || null;
+            const annotationsChanged =
+              tags.length !== (existing.tags || []).length || note !== (existing.note ?? null);
+
+            if (winner === bookmark || annotationsChanged) {
+              await db.bookmarks.put({ ...winner, tags, note });
               results.bookmarksRestored++;
             }
           } else {
@@ -1546,6 +2630,26 @@ export async function restoreFromBackup(backup, options = {}) {
       results.eventsRestored = backup.data.events.length;
     }
 
+    if (restoreTrash && backup.data.trash && backup.data.trash.length > 0) {
+      if (!mergeMode) {
+        await db.trash.clear();
+      }
+      await db.trash.bulkPut(backup.data.trash);
+      results.trashRestored = backup.data.trash.length;
+    }
+
+    if (
+      restoreReadingList &&
+      backup.data.readingListMeta &&
+      backup.data.readingListMeta.length > 0
+    ) {
+      if (!mergeMode) {
+        await db.readingListMeta.clear();
+      }
+      await db.readingListMeta.bulkPut(backup.data.readingListMeta);
+      results.readingListRestored = backup.data.readingListMeta.length;
+    }
+
     // Clear caches after restore
     await clearAllMetricCaches();
 
@@ -1560,18 +2664,92 @@ export async function restoreFromBackup(backup, options = {}) {
   }
 }
 
+// Which layout a backup uses. Releases before schema 3 was recorded wrote the
+// same `data` layout without the field; the plain JSON export has no `data` at
+// all, just the bookmark records.
+function backupSchemaVersion(backup) {
+  if (typeof backup.schemaVersion === 'number') return backup.schemaVersion;
+  if (backup.data) return 3;
+  if (Array.isArray(backup.bookmarks)) return 0;
+  return null;
+}
+
+// One step per schema change, each taking a backup from `from` to `to`.
+const BACKUP_MIGRATIONS = [
+  {
+    from: 0,
+    to: 3,
+    migrate: (backup) => ({
+      version: backup.version || '2.0',
+      createdAt: backup.exportDate || backup.createdAt,
+      metadata: {
+        totalBookmarks: backup.bookmarks.length,
+        enrichedCount: backup.bookmarks.filter(isEnriched).length,
+        categorizedCount: backup.bookmarks.filter((b) => b.category).length,
+        eventsCount: 0,
+      },
+      data: { bookmarks: backup.bookmarks, settings: [], events: [] },
+    }),
+  },
+  {
+    from: 3,
+    to: 4,
+    migrate: (backup) => ({
+      ...backup,
+      data: {
+        ...backup.data,
+        bookmarks: (backup.data.bookmarks || []).map((b) => ({
+          ...b,
+          tags: b.tags || [],
+          note: b.note ?? null,
+        })),
+        trash: [],
+        readingListMeta: [],
+      },
+    }),
+  },
+];
+
 /**
- * Validate a backup file before restoring
- * @param {Object} backup - The backup object to validate
+ * Upgrade a backup written by an older release to the current layout.
+ * Backups that are already current, newer than this release or unrecognisable
+ * are returned unchanged for validateBackup() to report on.
+ * @param {Object} backup
+ * @returns {Object}
+ */
+export function migrateBackup(backup) {
+  if (!backup || typeof backup !== 'object') return backup;
+  let current = backup;
+  let version = backupSchemaVersion(current);
+  while (version !== null && version < BACKUP_SCHEMA_VERSION) {
+    const step = BACKUP_MIGRATIONS.find((m) => m.from === version);
+    if (!step) break;
+    current = { ...step.migrate(current), schemaVersion: step.to };
+    version = step.to;
+  }
+  return current;
+}
+
+/**
+ * Validate a backup file before restoring. Older layouts are migrated first;
+ * the result carries the migrated backup, which is what should be restored.
+ * @param {Object} original - The backup object to validate
  * @returns {Object} Validation result
  */
-export function validateBackup(backup) {
+export function validateBackup(original) {
   const issues = [];
 
-  if (!backup) {
+  if (!original) {
     return { valid: false, issues: ['Backup is empty or null'] };
   }
 
+  const originalSchema = backupSchemaVersion(original);
+  const backup = migrateBackup(original);
+
+  if (originalSchema > BACKUP_SCHEMA_VERSION) {
+    issues.push('Backup was made by a newer version of the extension');
+  }
+
   if (!backup.version) {
     issues.push('Missing version field');
   }
@@ -1597,5 +2775,59 @@ export function validateBackup(backup) {
     metadata: backup.metadata || null,
     version: backup.version || 'unknown',
     createdAt: backup.createdAt || 'unknown',
+    migratedFrom: originalSchema !== backup.schemaVersion ? originalSchema : null,
+    backup,
   };
 }
+
+// =============================================
+// Local snapshots
+// =============================================
+
+/**
+ * Store a snapshot row: `{ createdAt, trigger, bytes, metadata, blob }`.
+ * @returns {Promise<number|null>} The new id
+ */
+export async function addSnapshot(snapshot) {
+  try {
+    return await db.snapshots.add(snapshot);
+  } catch (error) {
+    console.error('Error saving snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Every snapshot without its payload, newest first.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getSnapshots() {
+  try {
+    const rows = await db.snapshots.orderBy('createdAt').reverse().toArray();
+    for (const row of rows) delete row.blob;
+    return rows;
+  } catch (error) {
+    console.error('Error getting snapshots:', error);
+    return [];
+  }
+}
+
+/** @returns {Promise<Blob|null>} The gzipped backup JSON */
+export async function getSnapshotBlob(id) {
+  try {
+    return (await db.snapshots.get(id))?.blob || null;
+  } catch (error) {
+    console.error('Error getting snapshot:', error);
+    return null;
+  }
+}
+
+export async function deleteSnapshots(ids) {
+  try {
+    await db.snapshots.bulkDelete(ids);
+    return true;
+  } catch (error) {
+    console.error('Error deleting snapshots:', error);
+    return false;
+  }
+}
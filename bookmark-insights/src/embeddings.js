@@ -0,0 +1,166 @@
+// On-device text embeddings for semantic search.
+//
+// The model is bundled, not downloaded: a fixed concept lexicon
+// (semantic-lexicon.js) gives related words a shared dimension, and hashed
+// word and character-trigram features carry everything the lexicon does not
+// know about, so misspellings and unlisted terms still land near their
+// neighbours. It is deterministic, runs in microseconds per bookmark and never
+// touches the network - the same vector comes out in the worker, the service
+// worker and the tests.
+//
+// Vectors are L2-normalised, so cosine similarity is a plain dot product.
+
+import { CONCEPT_GROUPS } from './semantic-lexicon.js';
+
+/**
+ * Identifies the model that produced a stored vector. Bump it whenever the
+ * lexicon or the feature weights change so stale vectors are recomputed.
+ */
+export const EMBEDDING_MODEL = 'lexicon-v1';
+
+const HASH_DIMENSIONS = 256;
+const EMBEDDING_DIMENSIONS = CONCEPT_GROUPS.length + HASH_DIMENSIONS;
+
+// Concepts dominate: they are what makes a search "semantic". Whole words keep
+// exact matches ahead of mere relatives; trigrams only break ties.
+const CONCEPT_WEIGHT = 2;
+const WORD_WEIGHT = 0.6;
+const TRIGRAM_WEIGHT = 0.1;
+
+// A title says what a page is about far more reliably than its description.
+const FIELD_WEIGHTS = { title: 2, keywords: 1.5, description: 1 };
+
+const FNV_OFFSET = 0x811c9dc5;
+
+const STOP_WORDS = new Set(
+  (
+    'a an and are as at be by for from has have how i in into is it its of on or our ' +
+    'that the this to was what when where which who why will with you your vs via'
+  ).split(' '),
+);
+
+function fnv1a(text) {
+  let hash = FNV_OFFSET;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// Deliberately crude: the same rules run over the lexicon and the text, so
+// "containers", "containerized" and "container" only need to agree with each
+// other, not with a dictionary.
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 5 && word.endsWith('ized')) return word.slice(0, -4);
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// Stemmed word or "word word" phrase -> concept dimensions.
+const CONCEPT_INDEX = new Map();
+CONCEPT_GROUPS.forEach((group, dimension) => {
+  for (const term of group) {
+    const key = tokenize(term).join(' ');
+    if (!key) continue;
+    if (!CONCEPT_INDEX.has(key)) CONCEPT_INDEX.set(key, []);
+    CONCEPT_INDEX.get(key).push(dimension);
+  }
+});
+
+function addText(vector, text, weight) {
+  const words = tokenize(text);
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    for (const dimension of CONCEPT_INDEX.get(word) || []) {
+      vector[dimension] += CONCEPT_WEIGHT * weight;
+    }
+    if (i + 1 < words.length) {
+      for (const dimension of CONCEPT_INDEX.get(`${word} ${words[i + 1]}`) || []) {
+        vector[dimension] += CONCEPT_WEIGHT * weight;
+      }
+    }
+
+    vector[CONCEPT_GROUPS.length + (fnv1a(word) % HASH_DIMENSIONS)] += WORD_WEIGHT * weight;
+
+    const padded = `^${word}$`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      const trigram = padded.slice(j, j + 3);
+      vector[CONCEPT_GROUPS.length + (fnv1a(trigram) % HASH_DIMENSIONS)] += TRIGRAM_WEIGHT * weight;
+    }
+  }
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  if (norm === 0) return null;
+  norm = Math.sqrt(norm);
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+/**
+ * Embed free text, such as a search query.
+ * @param {string} text
+ * @returns {Float32Array|null} Null when the text has no usable words.
+ */
+export function embedText(text) {
+  const vector = new Float32Array(EMBEDDING_DIMENSIONS);
+  addText(vector, text, 1);
+  return normalize(vector);
+}
+
+/**
+ * The fields a bookmark's embedding is built from, in the shape the worker
+ * receives. Also the cache key: a bookmark is only re-embedded when this
+ * text changes.
+ *
+ * @returns {{title: string, description: string, keywords: string}}
+ */
+export function embeddingSource(bookmark) {
+  return {
+    title: bookmark.title || '',
+    description: bookmark.description || '',
+    keywords: Array.isArray(bookmark.keywords) ? bookmark.keywords.join(' ') : '',
+  };
+}
+
+/** Stable fingerprint of embeddingSource(), to detect when a vector is stale. */
+export function embeddingSourceHash(source) {
+  return fnv1a(`${source.title}\n${source.description}\n${source.keywords}`).toString(16);
+}
+
+/**
+ * Embed a bookmark's title, description and keywords, weighting the title
+ * highest.
+ * @param {{title: string, description: string, keywords: string}} source From embeddingSource().
+ * @returns {Float32Array|null}
+ */
+export function embedBookmarkSource(source) {
+  const vector = new Float32Array(EMBEDDING_DIMENSIONS);
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    addText(vector, source[field], weight);
+  }
+  return normalize(vector);
+}
+
+/** Cosine similarity of two normalised vectors, from -1 to 1. */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
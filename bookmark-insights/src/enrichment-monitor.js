@@ -0,0 +1,224 @@
+// Enrichment observability: per-host request statistics and failure reasons.
+//
+// Every enrichment request already passes through the per-host limiter in
+// enrichment.js; it now also lands here, so a run that fails 300 bookmarks
+// can be read as "one host answering 429" rather than a column of identical
+// error strings. Statistics are kept per host - requests, outcomes, HTTP
+// statuses, error classes, latency and Retry-After backoffs - and summed into
+// histograms for the monitor view.
+//
+// The browser does not tell a fetch() caller why a request failed: DNS
+// failures, TLS errors and refused connections all surface as the same
+// TypeError, so they share one `network` class here.
+
+// Hosts beyond this are dropped, least recently contacted first.
+const MAX_HOSTS = 500;
+
+/** Error classes, in the order the monitor lists them. */
+const ERROR_CLASSES = {
+  timeout: 'Timed out',
+  network: 'Network error (DNS, TLS or connection)',
+  blocked: 'Blocked as a private address',
+  error: 'Other error',
+};
+
+/**
+ * The class of a failed request.
+ * @param {Error} error As thrown by safeFetch
+ * @returns {'timeout'|'network'|'blocked'|'error'}
+ */
+export function classifyFetchError(error) {
+  if (error?.name === 'AbortError' || error?.name === 'TimeoutError') return 'timeout';
+  if (/^Blocked (URL|redirect)/.test(error?.message || '')) return 'blocked';
+  if (error instanceof TypeError) return 'network';
+  return 'error';
+}
+
+/** @returns {{since: number, hosts: Object<string, Object>}} */
+export function createMonitorStats(now = Date.now()) {
+  return { since: now, hosts: {} };
+}
+
+/**
+ * Add one request to the statistics, in place.
+ * @param {{since: number, hosts: Object}} stats
+ * @param {Object} entry
+ * @param {string} entry.host
+ * @param {number} [entry.status] HTTP status, when a response arrived
+ * @param {string} [entry.error] Error class, when none did
+ * @param {number} entry.latencyMs
+ * @param {number} [entry.backoffMs] Delay the host was given for a 429/503
+ * @param {number} [entry.at]
+ */
+export function recordRequest(stats, entry) {
+  const { host, status = null, error = null, latencyMs, backoffMs = 0, at = Date.now() } = entry;
+  if (!host) return;
+
+  let record = stats.hosts[host];
+  if (!record) {
+    record = {
+      requests: 0,
+      ok: 0,
+      failed: 0,
+      statuses: {},
+      errors: {},
+      latencyTotalMs: 0,
+      latencyMaxMs: 0,
+      backoffs: 0,
+      lastBackoffMs: 0,
+      lastAt: 0,
+    };
+    stats.hosts[host] = record;
+  }
+
+  record.requests++;
+  if (error) {
+    record.failed++;
+    record.errors[error] = (record.errors[error] || 0) + 1;
+  } else {
+    if (status >= 200 && status < 400) record.ok++;
+    else record.failed++;
+    record.statuses[status] = (record.statuses[status] || 0) + 1;
+  }
+  record.latencyTotalMs += latencyMs;
+  record.latencyMaxMs = Math.max(record.latencyMaxMs, latencyMs);
+  if (backoffMs > 0) {
+    record.backoffs++;
+    record.lastBackoffMs = backoffMs;
+  }
+  record.lastAt = at;
+  evictOldHosts(stats);
+}
+
+function evictOldHosts(stats) {
+  const hosts = Object.keys(stats.hosts);
+  if (hosts.length <= MAX_HOSTS) return;
+  hosts
+    .sort((a, b) => stats.hosts[a].lastAt - stats.hosts[b].lastAt)
+    .slice(0, hosts.length - MAX_HOSTS)
+    .forEach((host) => delete stats.hosts[host]);
+}
+
+function addCounts(target, counts) {
+  for (const [key, count] of Object.entries(counts)) target[key] = (target[key] || 0) + count;
+}
+
+/**
+ * Statistics in the shape the monitor shows: hosts with the most failures
+ * first, and status and error histograms over every host.
+ * @param {{since: number, hosts: Object}} stats
+ * @param {Object<string, number>} [backoffUntil] When each backed-off host may be asked again
+ * @param {number} [now]
+ * @returns {{since: number, requests: number, ok: number, failed: number,
+ *   statuses: Array<{status: number, count: number}>,
+ *   errors: Array<{error: string, label: string, count: number}>,
+ *   hosts: Array<Object>}}
+ */
+export function summarizeMonitor(stats, backoffUntil = {}, now = Date.now()) {
+  const statuses = {};
+  const errors = {};
+  let requests = 0;
+  let ok = 0;
+  let failed = 0;
+
+  const hosts = Object.entries(stats.hosts).map(([host, record]) => {
+    requests += record.requests;
+    ok += record.ok;
+    failed += record.failed;
+    addCounts(statuses, record.statuses);
+    addCounts(errors, record.errors);
+    const until = backoffUntil[host] || 0;
+    return {
+      host,
+      requests: record.requests,
+      ok: record.ok,
+      failed: record.failed,
+      statuses: record.statuses,
+      errors: record.errors,
+      avgLatencyMs: record.requests ? Math.round(record.latencyTotalMs / record.requests) : 0,
+      maxLatencyMs: record.latencyMaxMs,
+      backoffs: record.backoffs,
+      lastBackoffMs: record.lastBackoffMs,
+      waitingMs: until > now ? until - now : 0,
+      lastAt: record.lastAt,
+    };
+  });
+
+  hosts.sort((a, b) => b.failed - a.failed || b.requests - a.requests);
+
+  return {
+    since: stats.since,
+    requests,
+    ok,
+    failed,
+    statuses: Object.entries(statuses)
+      .map(([status, count]) => ({ status: Number(status), count }))
+      .sort((a, b) => a.status - b.status),
+    errors: Object.keys(ERROR_CLASSES)
+      .filter((error) => errors[error])
+      .map((error) => ({ error, label: ERROR_CLASSES[error], count: errors[error] })),
+    hosts,
+  };
+}
+
+/**
+ * A host pattern as typed by the user: `https://www.Example.com/x` and
+ * `example.com` both become `example.com`. Null when it is not a hostname.
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function normalizeHostPattern(input) {
+  const text = String(input || '')
+    .trim()
+    .toLowerCase();
+  if (!text) return null;
+  try {
+    const { hostname } = new URL(text.includes('://') ? text : `https://${text}`);
+    const host = hostname.replace(/^www\./, '');
+    return host.includes('.') ? host : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether enrichment should leave a URL alone: its host is an excluded host or
+ * a subdomain of one.
+ * @param {string} url
+ * @param {string[]} excludedHosts
+ * @returns {boolean}
+ */
+export function isHostExcluded(url, excludedHosts) {
+  if (!excludedHosts?.length) return false;
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return excludedHosts.some((excluded) => host === excluded || host.endsWith(`.${excluded}`));
+}
+
+/**
+ * Why a bookmark's last enrichment or link check failed, or null when it did
+ * not. Used to pick the subset to retry.
+ * @param {Object} bookmark
+ * @returns {{kind: 'status'|'error', key: string, label: string}|null}
+ */
+export function describeFailure(bookmark) {
+  if (bookmark.enrichmentError) {
+    return { kind: 'error', key: 'error', label: ERROR_CLASSES.error };
+  }
+  if (bookmark.lastFetchError) {
+    const key = bookmark.lastFetchError;
+    return { kind: 'error', key, label: ERROR_CLASSES[key] || key };
+  }
+  if (bookmark.lastStatus >= 400) {
+    return {
+      kind: 'status',
+      key: String(bookmark.lastStatus),
+      label: `HTTP ${bookmark.lastStatus}`,
+    };
+  }
+  return null;
+}
@@ -5,19 +5,44 @@ import {
   getSettings,
   getNextEnrichmentBatch,
   removeFromEnrichmentQueue,
-  upsertBookmark,
   bulkUpsertBookmarks,
+  saveEnrichedBookmarks,
   getBookmark,
   getAllBookmarks,
+  getReadingListMeta,
+  saveReadingListMeta,
+  savePageArchive,
   logEvent,
   invalidateMetricCaches,
 } from './db.js';
 import { runDeepAnalysis } from './analysis-client.js';
 import { isEnrichable, isEnriched, isPendingEnrichment } from './predicates.js';
-import { parseBookmarkUrl } from './url-parsers.js';
+import { parseBookmarkUrl, enhanceWithSchemaOrg } from './url-parsers.js';
 import { safeFetch, isFetchableUrl, safeImageUrl } from './url-safety.js';
-
-// Domain-based categorization rules
+import { computeContentFingerprint, detectContentDrift } from './content-drift.js';
+import { extractArticle } from './readability.js';
+import { buildCdxQuery, parseCdxResponse, pickClosestCapture, replayUrl } from './web-archive.js';
+import { noteRedirect, resolveCanonical } from './redirects.js';
+import { buildVisitMetadata, needsVisitEnrichment } from './visit-capture.js';
+import { isSamePage } from './utils.js';
+import {
+  classifyFetchError,
+  createMonitorStats,
+  recordRequest,
+  isHostExcluded,
+} from './enrichment-monitor.js';
+
+// Per-bookmark cap on archived text, before compression. A long-read essay is
+// 60-80k characters; anything past this is a book, a changelog or a dump.
+const ARCHIVE_MAX_CHARS = 100000;
+
+// A dead link's archive lookup is repeated at most this often; archives add
+// captures slowly and a dead page gains none.
+const WEB_ARCHIVE_RECHECK_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Domain-based categorization rules. These and the path patterns are the
+// built-in set; settings.categoryRules and settings.pathPatterns replace them
+// when the user has edited them (see taxonomy.js).
 const CATEGORY_RULES = {
   'github.com': 'code',
   'gitlab.com': 'code',
@@ -108,12 +133,18 @@ export async function enrichBookmark(bookmarkId, options = {}) {
       let wrote = false;
       if (bookmark.enrichable !== false) {
         bookmark.enrichable = false;
-        await upsertBookmark(bookmark);
+        await saveEnrichedBookmarks([bookmark]);
         wrote = true;
       }
       return { success: false, error: 'Not a public HTTP URL', skipped: true, wrote };
     }
 
+    // Excluded from the enrichment monitor: nothing is sent to the host, and
+    // the row is left as it is so removing the exclusion picks it up again.
+    if (isHostExcluded(bookmark.url, settings.enrichmentExcludedHosts)) {
+      return { success: false, error: 'Host excluded', skipped: true, excluded: true };
+    }
+
     // Skip if recently enriched (based on freshness settings) - unless force is true
     if (!force) {
       const freshnessDays = settings.enrichmentFreshnessDays || 30;
@@ -132,11 +163,12 @@ export async function enrichBookmark(bookmarkId, options = {}) {
     console.log(`Enriching bookmark: ${bookmark.title} (${bookmark.url})`);
 
     // Parse URL for platform-specific data (fast, no network required)
-    const platformData = parseBookmarkUrl(bookmark.url);
+    const platformData = parseBookmarkUrl(bookmark.url, null, settings.customUrlParsers);
 
     // Check dead links first (quick HEAD request)
     const check = await checkBookmarkAlive(bookmark.url);
     bookmark.lastStatus = check.status ?? null;
+    bookmark.lastFetchError = check.errorClass;
 
     let state = check.state;
     if (check.networkError) {
@@ -151,7 +183,7 @@ export async function enrichBookmark(bookmarkId, options = {}) {
         // and setting it here would park the row for 30 days before the second
         // attempt that settles the verdict. The counter terminates the retry
         // after one more pass regardless.
-        await upsertBookmark(bookmark);
+        await saveEnrichedBookmarks([bookmark]);
         return { success: true, skipped: true, unreachable: true, wrote: true };
       }
     } else {
@@ -160,6 +192,9 @@ export async function enrichBookmark(bookmarkId, options = {}) {
 
     const isAlive = state === LINK_DEAD ? false : state === LINK_UNKNOWN ? null : true;
     bookmark.accessBlocked = state === LINK_BLOCKED;
+    if (state === LINK_ALIVE) {
+      bookmark.redirect = noteRedirect(bookmark.redirect, bookmark.url, check.redirectedTo);
+    }
 
     // Dead or blocked: record the verdict and skip metadata fetching. A page
     // that just refused an anonymous HEAD will refuse an anonymous GET too.
@@ -177,8 +212,21 @@ export async function enrichBookmark(bookmarkId, options = {}) {
         bookmark.contentType = platformData.type;
         bookmark.platformData = platformData;
       }
+      const lastLookup = bookmark.webArchive?.checkedAt || 0;
+      if (
+        state === LINK_DEAD &&
+        settings.webArchiveEnabled &&
+        Date.now() - lastLookup > WEB_ARCHIVE_RECHECK_MS
+      ) {
+        // A failed lookup leaves the verdict alone; the next enrichment retries.
+        try {
+          bookmark.webArchive = await lookupWebArchive(bookmark, settings);
+        } catch (error) {
+          console.warn(`Archive lookup failed for ${bookmark.url}:`, error.message);
+        }
+      }
       // Topics will be detected separately via Deep Analysis
-      await upsertBookmark(bookmark);
+      await saveEnrichedBookmarks([bookmark]);
       await logEvent(bookmarkId, 'enrichment', { isAlive, blocked: state === LINK_BLOCKED });
       return {
         success: true,
@@ -190,14 +238,43 @@ export async function enrichBookmark(bookmarkId, options = {}) {
     }
 
     // Fetch page metadata
-    const metadata = await fetchPageMetadata(bookmark.url);
+    const metadata = await fetchPageMetadata(bookmark.url, {
+      archive: settings.archiveEnabled === true,
+    });
 
     // Auto-categorize
-    const category = categorizeBookmark(bookmark, metadata);
+    const category = categorizeBookmark(bookmark, metadata, settings);
 
     // Merge platform data with metadata for enhanced creator detection
     const enrichedPlatformData = mergePlatformDataWithMetadata(platformData, metadata);
 
+    // Fingerprint what the page says about itself and compare with the last
+    // fetch. Built from this fetch alone - the stored description falls back to
+    // the previous value below, which would hide exactly the change we want.
+    const fingerprint = metadata.rawMetadata
+      ? computeContentFingerprint({
+          title: metadata.rawMetadata.other.title || metadata.rawMetadata.openGraph['og:title'],
+          description: metadata.description,
+          siteName: metadata.rawMetadata.openGraph['og:site_name'],
+          snippet: metadata.snippet,
+        })
+      : null;
+    const drift = fingerprint && detectContentDrift(bookmark.contentFingerprint, fingerprint);
+    if (fingerprint) {
+      if (drift) bookmark.contentDrifted = drift;
+      bookmark.contentFingerprint = fingerprint;
+    }
+
+    // A drifted page is usually whatever replaced the article - a parking page
+    // or a redirect to the homepage - so the copy from before is the one to keep.
+    if (metadata.article && !drift) {
+      const archived = await savePageArchive(
+        { url: bookmark.url, title: bookmark.title, article: metadata.article },
+        (settings.archiveQuotaMB || 100) * 1024 * 1024,
+      );
+      if (archived) bookmark.archivedAt = Date.now();
+    }
+
     // Update bookmark with enriched data
     bookmark.description = metadata.description || bookmark.description;
     bookmark.keywords = metadata.keywords || bookmark.keywords;
@@ -207,12 +284,14 @@ export async function enrichBookmark(bookmarkId, options = {}) {
     // lastChecked is the retry guard and is stamped on failures too; enrichedAt
     // marks an actual successful metadata fetch and drives every user-facing count.
     bookmark.enrichedAt = Date.now();
+    bookmark.enrichedFrom = null;
     bookmark.enrichable = true;
     bookmark.enrichmentError = null;
     bookmark.accessBlocked = false;
     bookmark.faviconUrl = metadata.faviconUrl || bookmark.faviconUrl;
     bookmark.contentSnippet = metadata.snippet || bookmark.contentSnippet;
     bookmark.rawMetadata = metadata.rawMetadata || bookmark.rawMetadata; // Store comprehensive metadata
+    if (metadata.rawMetadata) bookmark.canonicalUrl = metadata.canonicalUrl;
 
     // Add platform-specific fields
     if (enrichedPlatformData) {
@@ -225,12 +304,13 @@ export async function enrichBookmark(bookmarkId, options = {}) {
     // Topics will be detected separately via Deep Analysis - not during enrichment
     // This keeps enrichment fast and allows users to control when topics are generated
 
-    await upsertBookmark(bookmark);
+    await saveEnrichedBookmarks([bookmark]);
     await logEvent(bookmarkId, 'enrichment', {
       success: true,
       category,
       platform: enrichedPlatformData?.platform,
       hasDescription: !!metadata.description,
+      contentDrifted: Boolean(drift),
     });
 
     return {
@@ -252,7 +332,7 @@ export async function enrichBookmark(bookmarkId, options = {}) {
         bookmark.lastChecked = Date.now();
         // Optionally mark as failed so we can filter for them later
         bookmark.enrichmentError = error.message;
-        await upsertBookmark(bookmark);
+        await saveEnrichedBookmarks([bookmark]);
       }
     } catch (dbError) {
       console.error('Error updating bookmark after failure:', dbError);
@@ -263,6 +343,199 @@ export async function enrichBookmark(bookmarkId, options = {}) {
   }
 }
 
+/**
+ * Enrich one Chrome reading-list entry: link health, page metadata, and the
+ * topics and reading time that bookmarks get from Deep Analysis.
+ *
+ * Chrome owns the entry, so the results go to `readingListMeta` keyed by URL
+ * and are merged back in by getReadingListItems. There is no separate Deep
+ * Analysis pass over the reading list, so it runs here, inline.
+ *
+ * @param {{url: string, title: string}} item
+ * @param {Object} options
+ * @param {boolean} options.force - Ignore the freshness guard
+ * @returns {Promise<Object>} Same shape as enrichBookmark's result
+ */
+export async function enrichReadingListItem(item, options = {}) {
+  const { force = false } = options;
+  const { url } = item;
+
+  try {
+    const settings = await getSettings();
+    if (settings.privacyMode) {
+      return { success: false, error: 'Privacy mode enabled', skipped: true };
+    }
+    if (!isFetchableUrl(url)) {
+      return { success: false, error: 'Not a public HTTP URL', skipped: true };
+    }
+    if (isHostExcluded(url, settings.enrichmentExcludedHosts)) {
+      return { success: false, error: 'Host excluded', skipped: true, excluded: true };
+    }
+
+    const meta = (await getReadingListMeta(url)) || {};
+    if (!force) {
+      const freshnessDays = settings.enrichmentFreshnessDays || 30;
+      if (meta.lastChecked && meta.lastChecked > Date.now() - freshnessDays * 24 * 60 * 60 * 1000) {
+        return { success: true, skipped: true, alreadyEnriched: true };
+      }
+    }
+
+    // Same verdict rules as the link sweep: one network error is not a death.
+    const changes = await checkLinkHealth({ url, checkFailures: meta.checkFailures });
+    if (changes.checkFailures > 0 && changes.isAlive === undefined) {
+      await saveReadingListMeta(url, changes);
+      return { success: true, skipped: true, unreachable: true, wrote: true };
+    }
+    changes.lastChecked = Date.now();
+
+    const platformData = parseBookmarkUrl(url, null, settings.customUrlParsers);
+    if (changes.isAlive === false || changes.accessBlocked) {
+      if (platformData) {
+        changes.platform = platformData.platform;
+        changes.creator = platformData.creator;
+        changes.contentType = platformData.type;
+        changes.platformData = platformData;
+      }
+      await saveReadingListMeta(url, changes);
+      return {
+        success: true,
+        isAlive: changes.isAlive,
+        blocked: changes.accessBlocked,
+        skipped: true,
+        wrote: true,
+      };
+    }
+
+    const metadata = await fetchPageMetadata(url);
+    const enrichedPlatformData = mergePlatformDataWithMetadata(platformData, metadata);
+    Object.assign(changes, {
+      description: metadata.description || meta.description || null,
+      keywords: metadata.keywords || meta.keywords || [],
+      category:
+        categorizeBookmark({ url, title: item.title || '' }, metadata, settings) || meta.category,
+      faviconUrl: metadata.faviconUrl || meta.faviconUrl || null,
+      contentSnippet: metadata.snippet || meta.contentSnippet || null,
+      rawMetadata: metadata.rawMetadata || meta.rawMetadata || null,
+      enrichedAt: Date.now(),
+      enrichmentError: null,
+    });
+    if (enrichedPlatformData) {
+      changes.platform = enrichedPlatformData.platform;
+      changes.creator = enrichedPlatformData.creator;
+      changes.contentType = enrichedPlatformData.type;
+      changes.platformData = enrichedPlatformData;
+    }
+
+    const [patch] = await runDeepAnalysis([
+      { ...meta, ...changes, id: url, url, title: item.title },
+    ]);
+    if (patch) {
+      Object.assign(changes, patch);
+      delete changes.id;
+    }
+
+    await saveReadingListMeta(url, changes);
+    return {
+      success: true,
+      category: changes.category,
+      platform: changes.platform,
+      isAlive: changes.isAlive ?? null,
+      wrote: true,
+    };
+  } catch (error) {
+    console.error(`Error enriching reading list item ${url}:`, error);
+    await saveReadingListMeta(url, { lastChecked: Date.now(), enrichmentError: error.message });
+    return { success: false, error: error.message, wrote: true };
+  }
+}
+
+/**
+ * Enrich a bookmark from the page open in a tab, as read by
+ * capturePageMetadata(). No request is made. The link-health fields are left
+ * alone: an anonymous check that found the page blocked is still right about
+ * anonymous access.
+ *
+ * @param {string} bookmarkId
+ * @param {Object} capture From capturePageMetadata()
+ * @param {string} pageUrl The tab's URL
+ * @returns {Promise<Object>} Same shape as enrichBookmark's result
+ */
+export async function enrichFromVisit(bookmarkId, capture, pageUrl) {
+  try {
+    const settings = await getSettings();
+    const bookmark = await getBookmark(bookmarkId);
+    if (!needsVisitEnrichment(bookmark, settings)) {
+      return { success: true, skipped: true, alreadyEnriched: true };
+    }
+    // Visit tracking matches tabs to bookmarks without the query, so the tab
+    // may be showing another page on the same path: another video, another
+    // wiki page id. Its metadata is not this bookmark's.
+    if (!isSamePage(bookmark.url, pageUrl)) {
+      return { success: false, error: 'Different page', skipped: true };
+    }
+    if (capture.signIn) {
+      return { success: false, error: 'Sign-in page', skipped: true };
+    }
+
+    const metadata = buildVisitMetadata(capture, pageUrl);
+    const platformData = parseBookmarkUrl(bookmark.url, null, settings.customUrlParsers);
+    const enrichedPlatformData = mergePlatformDataWithMetadata(platformData, metadata);
+    const category = categorizeBookmark(bookmark, metadata, settings);
+
+    // No content fingerprint: the one on record was taken anonymously, often
+    // of the sign-in page, and comparing the two would report drift every time.
+    Object.assign(bookmark, {
+      description: metadata.description || bookmark.description,
+      keywords: metadata.keywords.length > 0 ? metadata.keywords : bookmark.keywords,
+      category: category || bookmark.category,
+      faviconUrl: metadata.faviconUrl || bookmark.faviconUrl,
+      contentSnippet: metadata.snippet || bookmark.contentSnippet,
+      rawMetadata: metadata.rawMetadata,
+      canonicalUrl: metadata.canonicalUrl,
+      lastChecked: Date.now(),
+      enrichedAt: Date.now(),
+      enrichedFrom: 'visit',
+      enrichable: true,
+      enrichmentError: null,
+    });
+    if (enrichedPlatformData) {
+      bookmark.platform = enrichedPlatformData.platform;
+      bookmark.creator = enrichedPlatformData.creator;
+      bookmark.contentType = enrichedPlatformData.type;
+      bookmark.platformData = enrichedPlatformData;
+    }
+
+    // Deep Analysis inline, as for the reading list: the page is unlikely to
+    // be fetchable again for a batch run to pick it up.
+    const [patch] = await runDeepAnalysis([bookmark]);
+    if (patch) Object.assign(bookmark, patch);
+    // Counted from the text the user sees, which beats an estimate from the
+    // snippet when the page has enough of it.
+    if (metadata.readingTime) bookmark.readingTime = metadata.readingTime;
+
+    await saveEnrichedBookmarks([bookmark]);
+    await invalidateMetricCaches('enrich');
+    await logEvent(bookmarkId, 'enrichment', {
+      success: true,
+      source: 'visit',
+      category,
+      platform: enrichedPlatformData?.platform,
+      hasDescription: !!metadata.description,
+    });
+
+    return {
+      success: true,
+      category,
+      description: metadata.description,
+      platform: enrichedPlatformData?.platform,
+      wrote: true,
+    };
+  } catch (error) {
+    console.error(`Error enriching bookmark ${bookmarkId} from a visit:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
 // Per-hostname politeness. The worker pool used to fire `concurrency` requests
 // with a flat 50 ms gap regardless of target, so a folder of 200 GitHub links
 // meant 200 requests to one host as fast as the pool allowed. Each host now has
@@ -271,6 +544,11 @@ const HOST_MIN_INTERVAL_MS = 1000;
 const HOST_MAX_BACKOFF_MS = 5 * 60 * 1000;
 const hostNextAllowedAt = new Map();
 
+// What every request through the limiter ended in, for the enrichment monitor.
+// Module state like the limiter's; the background saves it to session storage
+// so it outlives a service-worker restart.
+let hostStats = createMonitorStats();
+
 function hostOf(url) {
   try {
     return new URL(url).hostname;
@@ -291,16 +569,110 @@ async function awaitHostSlot(url) {
   if (startAt > now) await sleep(startAt - now);
 }
 
+// Returns the backoff the host was given, or 0.
 function noteHostResponse(url, response) {
-  if (!response || (response.status !== 429 && response.status !== 503)) return;
+  if (!response || (response.status !== 429 && response.status !== 503)) return 0;
 
   const host = hostOf(url);
-  if (!host) return;
+  if (!host) return 0;
 
   const seconds = Number(response.retryAfter);
-  const delay =
-    Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : HOST_MIN_INTERVAL_MS * 10;
-  hostNextAllowedAt.set(host, Date.now() + Math.min(delay, HOST_MAX_BACKOFF_MS));
+  const delay = Math.min(
+    Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : HOST_MIN_INTERVAL_MS * 10,
+    HOST_MAX_BACKOFF_MS,
+  );
+  hostNextAllowedAt.set(host, Date.now() + delay);
+  return delay;
+}
+
+/**
+ * safeFetch behind the per-host limiter, with the outcome recorded for the
+ * monitor. Every enrichment request goes through here.
+ * @param {string} url
+ * @param {Object} options For safeFetch
+ */
+async function hostFetch(url, options) {
+  await awaitHostSlot(url);
+  const host = hostOf(url);
+  const startedAt = Date.now();
+  try {
+    const response = await safeFetch(url, options);
+    const backoffMs = noteHostResponse(url, response);
+    recordRequest(hostStats, {
+      host,
+      status: response.status,
+      latencyMs: Date.now() - startedAt,
+      backoffMs,
+    });
+    return response;
+  } catch (error) {
+    recordRequest(hostStats, {
+      host,
+      error: classifyFetchError(error),
+      latencyMs: Date.now() - startedAt,
+    });
+    throw error;
+  }
+}
+
+/**
+ * The request statistics, and when each backed-off host may be asked again.
+ * @returns {{stats: Object, backoffUntil: Object<string, number>}}
+ */
+export function getEnrichmentStats() {
+  const now = Date.now();
+  const backoffUntil = {};
+  for (const [host, until] of hostNextAllowedAt) {
+    // Past the ordinary spacing, so only real backoffs show.
+    if (until > now + HOST_MIN_INTERVAL_MS) backoffUntil[host] = until;
+  }
+  return { stats: hostStats, backoffUntil };
+}
+
+/**
+ * Start the statistics over, or carry on from saved ones.
+ * @param {Object} [saved] From getEnrichmentStats().stats
+ */
+export function resetEnrichmentStats(saved = null) {
+  hostStats = saved?.hosts ? saved : createMonitorStats();
+}
+
+/**
+ * Ask the configured CDX archive for the capture of a bookmark nearest to when
+ * it was last seen working - its last successful enrichment, else when it was
+ * bookmarked. Goes through the per-host limiter like every other request, and
+ * may reach a private address only because the user typed the endpoint in.
+ *
+ * @param {{url: string, enrichedAt?: number, dateAdded?: number}} bookmark
+ * @param {Object} settings
+ * @returns {Promise<{url: string|null, timestamp: string|null, capturedAt: number|null, checkedAt: number}>}
+ *   `url` is null when the archive has no usable capture
+ * @throws {Error} In privacy mode, or when the archive cannot be reached
+ */
+export async function lookupWebArchive(bookmark, settings) {
+  if (settings.privacyMode) throw new Error('Privacy mode enabled');
+
+  const closestTo = bookmark.enrichedAt || bookmark.dateAdded || Date.now();
+  const query = buildCdxQuery(settings.webArchiveEndpoint, bookmark.url, closestTo);
+  const response = await hostFetch(query, {
+    timeout: 15000,
+    maxBytes: 64 * 1024,
+    allowPrivate: Boolean(settings.webArchiveEndpoint),
+  });
+  // CDX servers answer 404 for a URL they have never captured.
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Archive lookup failed: HTTP ${response.status}`);
+  }
+
+  const capture = response.ok
+    ? pickClosestCapture(parseCdxResponse(response.body), closestTo)
+    : null;
+  return {
+    url: capture ? replayUrl(settings.webArchiveReplayTemplate, capture) : null,
+    timestamp: capture?.timestamp ?? null,
+    capturedAt: capture?.capturedAt ?? null,
+    checkedAt: Date.now(),
+  };
 }
 
 // Statuses that say nothing about whether the page exists: a rate limit, a
@@ -344,53 +716,111 @@ export function classifyStatus(status) {
  * a link dead. The extra request costs one round-trip per genuinely dead link,
  * which is the right trade against offering to delete live bookmarks.
  *
- * @returns {Promise<{state: string, status: number|null, networkError: boolean}>}
+ * `redirectedTo` is where the check ended up when the URL redirected, and
+ * `errorClass` why no response arrived (see enrichment-monitor.js).
+ *
+ * @returns {Promise<{state: string, status: number|null, networkError: boolean,
+ *   redirectedTo: string|null, errorClass: string|null}>}
  */
 export async function checkBookmarkAlive(url) {
-  const unknown = { state: LINK_UNKNOWN, status: null, networkError: false };
+  const unknown = {
+    state: LINK_UNKNOWN,
+    status: null,
+    networkError: false,
+    redirectedTo: null,
+    errorClass: null,
+  };
+  const landing = (response) => (response.redirected ? response.url : null);
   if (!isFetchableUrl(url)) return unknown;
 
-  await awaitHostSlot(url);
-
   try {
-    const response = await safeFetch(url, { method: 'HEAD', timeout: 5000, readBody: false });
-    noteHostResponse(url, response);
+    const response = await hostFetch(url, { method: 'HEAD', timeout: 5000, readBody: false });
     const state = classifyStatus(response.status);
-    if (state !== LINK_DEAD) return { state, status: response.status, networkError: false };
+    if (state !== LINK_DEAD) {
+      return {
+        state,
+        status: response.status,
+        networkError: false,
+        redirectedTo: landing(response),
+        errorClass: null,
+      };
+    }
   } catch (error) {
     if (error.name === 'AbortError') {
       console.log(`Timeout checking ${url}`);
-      return unknown;
+      return { ...unknown, errorClass: 'timeout' };
     }
     // Some servers reject HEAD outright; fall through to the GET.
   }
 
-  await awaitHostSlot(url);
   try {
-    const response = await safeFetch(url, { method: 'GET', timeout: 5000, maxBytes: 1024 });
-    noteHostResponse(url, response);
+    const response = await hostFetch(url, { method: 'GET', timeout: 5000, maxBytes: 1024 });
     return {
       state: classifyStatus(response.status),
       status: response.status,
       networkError: false,
+      redirectedTo: landing(response),
+      errorClass: null,
     };
   } catch (error) {
-    if (error.name === 'AbortError') return unknown;
+    if (error.name === 'AbortError') return { ...unknown, errorClass: 'timeout' };
     console.log(`Error checking ${url}:`, error.message);
-    return { state: LINK_UNKNOWN, status: null, networkError: true };
+    return { ...unknown, networkError: true, errorClass: classifyFetchError(error) };
   }
 }
 
+/**
+ * Re-check a bookmark's link without fetching its metadata, for the scheduled
+ * link-health sweep. Applies the same verdict rules as enrichBookmark - a
+ * network error only becomes "dead" once it repeats, and a transient status
+ * leaves the stored verdict alone.
+ *
+ * `lastChecked` is not touched: it is the enrichment freshness guard, and
+ * stamping it here would hold back unenriched bookmarks the sweep happened to
+ * visit first.
+ *
+ * @param {Object} bookmark
+ * @returns {Promise<Object>} The fields to write. `isAlive` is only present
+ *   when the check reached a verdict.
+ */
+export async function checkLinkHealth(bookmark) {
+  const check = await checkBookmarkAlive(bookmark.url);
+  const changes = {
+    lastStatus: check.status ?? null,
+    lastFetchError: check.errorClass,
+    linkCheckedAt: Date.now(),
+  };
+
+  let state = check.state;
+  if (check.networkError) {
+    changes.checkFailures = (bookmark.checkFailures || 0) + 1;
+    if (changes.checkFailures < NETWORK_FAILURE_THRESHOLD) return changes;
+    state = LINK_DEAD;
+  } else {
+    changes.checkFailures = 0;
+  }
+
+  if (state === LINK_UNKNOWN) return changes;
+
+  changes.isAlive = state !== LINK_DEAD;
+  changes.accessBlocked = state === LINK_BLOCKED;
+  if (state === LINK_ALIVE) {
+    changes.redirect = noteRedirect(bookmark.redirect, bookmark.url, check.redirectedTo);
+  }
+  return changes;
+}
+
 // Fetch metadata from a web page
-async function fetchPageMetadata(url) {
-  await awaitHostSlot(url);
+// @param {Object} options
+// @param {boolean} options.archive - Also extract the readable article text
+async function fetchPageMetadata(url, options = {}) {
+  const { archive = false } = options;
 
   try {
-    const response = await safeFetch(url, {
+    const response = await hostFetch(url, {
       timeout: 10000,
       expectContentType: /text\/html|application\/xhtml\+xml/i,
     });
-    noteHostResponse(url, response);
 
     if (!response.ok || !response.body) {
       return {};
@@ -498,6 +928,8 @@ async function fetchPageMetadata(url) {
       keywords: [],
       faviconUrl: null,
       snippet: null,
+      // Resolved against where the fetch ended up, not the bookmarked URL.
+      canonicalUrl: resolveCanonical(rawMetadata.other.canonical, response.url || url),
       rawMetadata: rawMetadata, // Include comprehensive raw data
     };
 
@@ -561,6 +993,10 @@ async function fetchPageMetadata(url) {
       metadata.snippet = paragraphs.join(' ... ').substring(0, 300);
     }
 
+    if (archive) {
+      metadata.article = extractArticle(html, { maxChars: ARCHIVE_MAX_CHARS });
+    }
+
     return metadata;
   } catch (error) {
     if (error.name === 'AbortError') {
@@ -572,8 +1008,10 @@ async function fetchPageMetadata(url) {
   }
 }
 
-// Auto-categorize a bookmark based on domain, URL path, and content
-function categorizeBookmark(bookmark, metadata = {}) {
+// Auto-categorize a bookmark based on domain, URL path, and content.
+// `rules` is the settings object: its categoryRules and pathPatterns, when
+// set, replace the built-in ones.
+function categorizeBookmark(bookmark, metadata = {}, rules = {}) {
   try {
     const url = new URL(bookmark.url);
     const domain = url.hostname.toLowerCase();
@@ -582,14 +1020,14 @@ function categorizeBookmark(bookmark, metadata = {}) {
     const description = (metadata.description || '').toLowerCase();
 
     // 1. Check domain-based rules (highest priority)
-    for (const [domainPattern, category] of Object.entries(CATEGORY_RULES)) {
+    for (const [domainPattern, category] of Object.entries(rules.categoryRules || CATEGORY_RULES)) {
       if (domain.includes(domainPattern)) {
         return category;
       }
     }
 
     // 2. Check URL path patterns
-    for (const [pathPattern, category] of Object.entries(PATH_PATTERNS)) {
+    for (const [pathPattern, category] of Object.entries(rules.pathPatterns || PATH_PATTERNS)) {
       if (path.includes(pathPattern)) {
         return category;
       }
@@ -620,6 +1058,43 @@ function categorizeBookmark(bookmark, metadata = {}) {
   }
 }
 
+/** @returns {{categoryRules: Object, pathPatterns: Object}} Editable copies of the built-in rules */
+export function getBuiltInCategoryRules() {
+  return { categoryRules: { ...CATEGORY_RULES }, pathPatterns: { ...PATH_PATTERNS } };
+}
+
+/**
+ * Re-run categorization over enriched bookmarks, e.g. after the category rules
+ * changed. Works from the description and keywords stored at enrichment, so no
+ * network requests.
+ *
+ * @param {Array<Object>} bookmarks
+ * @param {Object} rules - The settings object, for categoryRules and pathPatterns
+ * @returns {Promise<{processed: number, updated: number}>}
+ */
+export async function recategorizeBookmarks(bookmarks, rules = {}) {
+  const enriched = bookmarks.filter(isEnriched);
+  const updates = [];
+
+  for (const bookmark of enriched) {
+    const category = categorizeBookmark(
+      bookmark,
+      { description: bookmark.description, keywords: bookmark.keywords },
+      rules,
+    );
+    if (category === (bookmark.category ?? null)) continue;
+    updates.push({ ...bookmark, category });
+  }
+
+  if (updates.length > 0) {
+    await bulkUpsertBookmarks(updates);
+    await invalidateMetricCaches('enrich');
+  }
+
+  console.log(`Re-categorized ${enriched.length} bookmarks: ${updates.length} updated`);
+  return { processed: enriched.length, updated: updates.length };
+}
+
 /**
  * Merge URL-parsed platform data with fetched page metadata for enhanced creator detection
  * @param {Object} platformData - Data from URL parser
@@ -795,6 +1270,13 @@ export async function processEnrichmentBatch(
       console.log(settings.privacyMode ? 'Privacy mode is on' : 'Enrichment is disabled');
       return { processed: 0, success: 0, failed: 0, skipped: 0 };
     }
+    if (settings.enrichmentPaused) {
+      console.log('Enrichment is paused');
+      return { processed: 0, success: 0, failed: 0, skipped: 0, paused: true };
+    }
+    // Excluded hosts are left out of the direct picks below, or they would
+    // fill every batch without ever being processed.
+    const notExcluded = (b) => !isHostExcluded(b.url, settings.enrichmentExcludedHosts);
 
     // Use settings concurrency if not explicitly provided
     const maxConcurrency = concurrency || settings.enrichmentConcurrency || 3;
@@ -810,7 +1292,7 @@ export async function processEnrichmentBatch(
       const allBookmarks = await getAllBookmarks();
 
       // Get all HTTP/HTTPS bookmarks
-      const httpBookmarks = allBookmarks.filter(isEnrichable);
+      const httpBookmarks = allBookmarks.filter((b) => isEnrichable(b) && notExcluded(b));
 
       // Take batchSize number of bookmarks (prioritize unenriched, then oldest enriched)
       const unenriched = httpBookmarks.filter((b) => !isEnriched(b));
@@ -841,7 +1323,9 @@ export async function processEnrichmentBatch(
         // Queue empty - try to get unenriched bookmarks directly
         const allBookmarks = await getAllBookmarks();
 
-        const unenrichedBookmarks = allBookmarks.filter(isPendingEnrichment).slice(0, batchSize);
+        const unenrichedBookmarks = allBookmarks
+          .filter((b) => isPendingEnrichment(b) && notExcluded(b))
+          .slice(0, batchSize);
 
         if (unenrichedBookmarks.length === 0) {
           console.log('No bookmarks in enrichment queue and no unenriched bookmarks found');
@@ -862,6 +1346,8 @@ export async function processEnrichmentBatch(
           bookmarkId: item.bookmarkId,
           queueId: item.queueId,
           directProcess: false,
+          // Queued by a retry from the monitor, past the freshness guard.
+          force: item.force === true,
         }));
       }
     }
@@ -883,6 +1369,8 @@ export async function processEnrichmentBatch(
     // left the Health header quoting a 5-minute-stale dead-link count directly
     // above the freshly-updated list.
     let wroteAnyRecord = false;
+    // Bookmarks with a fresh verdict or metadata, for the rules that run after enrichment.
+    const enrichedIds = [];
 
     // Process bookmarks with concurrency control
     const processBookmark = async (item, index) => {
@@ -902,8 +1390,9 @@ export async function processEnrichmentBatch(
           });
         }
 
-        const result = await enrichBookmark(item.bookmarkId, { force });
+        const result = await enrichBookmark(item.bookmarkId, { force: force || item.force });
         if (result.wrote) wroteAnyRecord = true;
+        if (result.wrote && result.success) enrichedIds.push(item.bookmarkId);
 
         // Update counters
         if (result.success) {
@@ -969,9 +1458,16 @@ export async function processEnrichmentBatch(
     // Process with concurrency limit using a worker pool
     const workers = [];
     let currentIndex = 0;
+    // Pausing from the monitor stops workers taking new items; unprocessed
+    // ones stay in the queue for the next run.
+    let paused = false;
 
     const runWorker = async () => {
       while (currentIndex < bookmarksToProcess.length) {
+        if (paused || (await getSettings()).enrichmentPaused) {
+          paused = true;
+          return;
+        }
         const index = currentIndex++;
         const item = bookmarksToProcess[index];
         await processBookmark(item, index);
@@ -995,10 +1491,11 @@ export async function processEnrichmentBatch(
       await invalidateMetricCaches('enrich');
     }
 
+    const processed = paused ? completed : bookmarksToProcess.length;
     console.log(
-      `Processed ${bookmarksToProcess.length} bookmarks: ${success} success, ${failed} failed, ${skipped} skipped`,
+      `Processed ${processed} bookmarks: ${success} success, ${failed} failed, ${skipped} skipped${paused ? ' (paused)' : ''}`,
     );
-    return { processed: bookmarksToProcess.length, success, failed, skipped };
+    return { processed, success, failed, skipped, enrichedIds, paused };
   } catch (error) {
     console.error('Error processing enrichment batch:', error);
     return { processed: 0, success: 0, failed: 0, skipped: 0, error: error.message };
@@ -1082,7 +1579,7 @@ export async function batchReanalyze(bookmarks, progressCallback = null) {
     }
 
     if (updates.length > 0) {
-      await bulkUpsertBookmarks(updates);
+      await saveEnrichedBookmarks(updates);
     }
 
     // Yield so the UI can paint between chunks
@@ -1098,3 +1595,49 @@ export async function batchReanalyze(bookmarks, progressCallback = null) {
   console.log(`Re-analysis complete: ${success} analyzed, ${failed} failed, ${skipped} skipped`);
   return { processed: bookmarks.length, success, failed, skipped };
 }
+
+/**
+ * Re-run the URL parsers over stored bookmarks, e.g. after the custom parsers
+ * changed. No network requests. Creators and extras that enrichment read from
+ * the page are kept when the platform did not change.
+ *
+ * @param {Array<Object>} bookmarks
+ * @param {Array<Object>} customParsers - settings.customUrlParsers
+ * @returns {Promise<{processed: number, updated: number}>}
+ */
+export async function reparsePlatformData(bookmarks, customParsers = []) {
+  const updates = [];
+
+  for (const bookmark of bookmarks) {
+    const parsed = parseBookmarkUrl(bookmark.url, null, customParsers);
+    if (!parsed) continue;
+
+    const previous = bookmark.platformData;
+    const samePlatform = previous?.platform === parsed.platform;
+    const platformData = enhanceWithSchemaOrg(
+      {
+        ...parsed,
+        creator: parsed.creator || (samePlatform ? previous.creator : null),
+        extra: samePlatform ? { ...previous.extra, ...parsed.extra } : parsed.extra,
+      },
+      bookmark.rawMetadata,
+    );
+
+    if (JSON.stringify(platformData) === JSON.stringify(previous)) continue;
+    updates.push({
+      ...bookmark,
+      platform: platformData.platform,
+      creator: platformData.creator,
+      contentType: platformData.type,
+      platformData,
+    });
+  }
+
+  if (updates.length > 0) {
+    await bulkUpsertBookmarks(updates);
+    await invalidateMetricCaches('enrich');
+  }
+
+  console.log(`Re-parsed ${bookmarks.length} URLs: ${updates.length} updated`);
+  return { processed: bookmarks.length, updated: updates.length };
+}
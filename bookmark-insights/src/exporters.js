@@ -32,6 +32,8 @@ const CSV_COLUMNS = [
   ['description', (b) => b.description],
   ['keywords', (b) => (Array.isArray(b.keywords) ? b.keywords.join('; ') : '')],
   ['topics', (b) => (Array.isArray(b.topics) ? b.topics.join('; ') : '')],
+  ['tags', (b) => (Array.isArray(b.tags) ? b.tags.join('; ') : '')],
+  ['note', (b) => b.note],
   ['dateAdded', (b) => (b.dateAdded ? new Date(b.dateAdded).toISOString() : '')],
   ['lastAccessed', (b) => (b.lastAccessed ? new Date(b.lastAccessed).toISOString() : '')],
   ['accessCount', (b) => b.accessCount ?? 0],
@@ -61,8 +63,10 @@ export function toMarkdown(bookmarks) {
     lines.push(`## ${folder}`, '');
     for (const bookmark of byFolder.get(folder)) {
       const title = (bookmark.title || bookmark.url).replace(/([[\]])/g, '\\$1');
-      lines.push(`- [${title}](${bookmark.url})`);
+      const tags = (bookmark.tags || []).map((tag) => ` #${tag}`).join('');
+      lines.push(`- [${title}](${bookmark.url})${tags}`);
       if (bookmark.description) lines.push(`  - ${bookmark.description.replace(/\s+/g, ' ')}`);
+      if (bookmark.note) lines.push(`  - Note: ${bookmark.note.replace(/\s+/g, ' ')}`);
     }
     lines.push('');
   }
@@ -92,8 +96,11 @@ export function toNetscapeHtml(bookmarks) {
     lines.push(`    <DT><H3>${escapeHtml(folder)}</H3>`, '    <DL><p>');
     for (const bookmark of byFolder.get(folder)) {
       const addDate = Math.floor((bookmark.dateAdded || Date.now()) / 1000);
+      // TAGS is the Firefox/Pinboard extension of the format; browsers without
+      // tags ignore it, and the importer reads it back.
+      const tags = bookmark.tags?.length ? ` TAGS="${escapeHtml(bookmark.tags.join(','))}"` : '';
       lines.push(
-        `        <DT><A HREF="${escapeHtml(bookmark.url)}" ADD_DATE="${addDate}">${escapeHtml(
+        `        <DT><A HREF="${escapeHtml(bookmark.url)}" ADD_DATE="${addDate}"${tags}>${escapeHtml(
           bookmark.title || bookmark.url,
         )}</A>`,
       );
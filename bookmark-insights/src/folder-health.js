@@ -0,0 +1,499 @@
+// Folder health report and restructuring planner.
+//
+// `foldering.js` looks at topics and asks which folder is missing; this looks
+// at the folder tree itself and asks what is wrong with the folders that are
+// there: ones holding a bookmark or two, ones holding hundreds of bookmarks
+// about everything (measured as the entropy of their bookmarks' main topics),
+// near-identical names, very deep nesting and folders that are almost all dead
+// links.
+//
+// From that report the planner proposes merges, splits and renames. A plan can
+// be previewed as the folder tree it would produce, and is applied with
+// chrome.bookmarks calls as one batch. Every move, rename, new folder and
+// removed folder is written to a single `folder-plan` event, which is what
+// makes the whole batch undoable.
+
+import { getEventsByType, logEvent } from './db.js';
+import { detectTopics, getTopicDisplayName } from './topics.js';
+import { normalizeFolderName } from './foldering.js';
+import { isDead } from './predicates.js';
+
+// Folders at this depth or above are Chrome's root folders ("Bookmarks bar",
+// "Other bookmarks"), which can't be renamed, moved or removed.
+const ROOT_DEPTH = 1;
+
+const TINY_MAX_ITEMS = 2;
+
+// "Mixed" needs both volume and spread: 2.5 bits is roughly six topics in
+// equal measure.
+const MIXED_MIN_ITEMS = 100;
+const MIXED_MIN_ENTROPY = 2.5;
+
+// A topic gets its own subfolder in a split only with this many bookmarks.
+const SPLIT_MIN_ITEMS = 10;
+
+const MAX_DEPTH = 5;
+
+const DEAD_SHARE = 0.9;
+const DEAD_MIN_ITEMS = 3;
+
+// "Recipe" and "Recipes" are the same folder.
+function folderKey(title) {
+  const name = normalizeFolderName(title);
+  return name.length > 3 ? name.replace(/s$/, '') : name;
+}
+
+/**
+ * Index a chrome.bookmarks.getTree() result by folder id.
+ * @param {Array<Object>} tree
+ * @returns {Map<string, Object>}
+ */
+function indexFolders(tree) {
+  const folders = new Map();
+
+  function visit(node, parent) {
+    const depth = parent ? parent.depth + 1 : 0;
+    const folder = {
+      id: node.id,
+      title: node.title || '',
+      parentId: parent?.id ?? null,
+      path: parent?.path ? `${parent.path}/${node.title}` : node.title || '',
+      depth,
+      protected: depth <= ROOT_DEPTH,
+      childFolderIds: [],
+      bookmarkIds: [],
+      total: 0,
+    };
+    folders.set(node.id, folder);
+    parent?.childFolderIds.push(node.id);
+
+    for (const child of node.children || []) {
+      if (child.url) {
+        folder.bookmarkIds.push(child.id);
+      } else {
+        visit(child, folder);
+      }
+    }
+    folder.total =
+      folder.bookmarkIds.length +
+      folder.childFolderIds.reduce((sum, id) => sum + folders.get(id).total, 0);
+  }
+
+  for (const root of tree) visit(root, null);
+  return folders;
+}
+
+function primaryTopic(bookmark) {
+  if (!bookmark) return null;
+  return (bookmark.topics?.length ? bookmark.topics : detectTopics(bookmark))[0] || null;
+}
+
+/**
+ * Shannon entropy, in bits, of a distribution given as counts.
+ * @param {number[]} counts
+ * @returns {number}
+ */
+function entropy(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  let bits = 0;
+  for (const count of counts) {
+    const p = count / total;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+function summary(folder) {
+  return { folderId: folder.id, title: folder.title, path: folder.path, count: folder.total };
+}
+
+/**
+ * Evaluate the folder tree and propose changes.
+ *
+ * Each folder is the source of at most one merge, and a merge never targets a
+ * folder that is itself being merged away, so the proposals can be applied in
+ * any combination.
+ *
+ * @param {Array<Object>} tree From chrome.bookmarks.getTree()
+ * @param {Array<Object>} bookmarks Bookmark records, for topics and link health
+ * @returns {{folders: number, issues: Object, proposals: Array<Object>}}
+ */
+export function analyzeFolderHealth(tree, bookmarks) {
+  const folders = indexFolders(tree);
+  const records = new Map(bookmarks.map((b) => [b.id, b]));
+  const candidates = [...folders.values()].filter((folder) => !folder.protected);
+
+  const issues = { tiny: [], mixed: [], similar: [], deep: [], dead: [] };
+  const proposals = [];
+  const sources = new Set();
+  const targets = new Set();
+
+  const proposeMerge = (from, into, reason) => {
+    if (sources.has(from.id) || targets.has(from.id) || sources.has(into.id)) return;
+    sources.add(from.id);
+    targets.add(into.id);
+    proposals.push({
+      id: `merge:${from.id}:${into.id}`,
+      type: 'merge',
+      folderId: from.id,
+      intoId: into.id,
+      reason,
+      description: `Merge /${from.path} into /${into.path}`,
+    });
+  };
+
+  // Near-identical names. Under the same parent they are merged into the
+  // biggest; elsewhere they are only renamed to the most used spelling.
+  const byKey = new Map();
+  for (const folder of candidates) {
+    const key = folderKey(folder.title);
+    if (!key) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(folder);
+  }
+  for (const group of byKey.values()) {
+    if (group.length < 2) continue;
+    const sharesParent = new Set(group.map((f) => f.parentId)).size < group.length;
+    const spellings = new Set(group.map((f) => f.title));
+    if (!sharesParent && spellings.size === 1) continue;
+
+    const ranked = [...group].sort((a, b) => b.total - a.total);
+    issues.similar.push({ key: folderKey(ranked[0].title), folders: ranked.map(summary) });
+
+    const keepers = new Map();
+    for (const folder of ranked) {
+      const keeper = keepers.get(folder.parentId);
+      if (keeper) {
+        proposeMerge(folder, keeper, `Same name as /${keeper.path}`);
+      } else {
+        keepers.set(folder.parentId, folder);
+      }
+    }
+    const canonical = ranked[0].title;
+    for (const folder of keepers.values()) {
+      if (folder.title === canonical || sources.has(folder.id)) continue;
+      proposals.push({
+        id: `rename:${folder.id}`,
+        type: 'rename',
+        folderId: folder.id,
+        title: canonical,
+        reason: `Spelled "${canonical}" elsewhere`,
+        description: `Rename /${folder.path} to "${canonical}"`,
+      });
+    }
+  }
+
+  for (const folder of candidates) {
+    const items = folder.bookmarkIds.map((id) => records.get(id)).filter(Boolean);
+
+    if (
+      folder.bookmarkIds.length > 0 &&
+      folder.bookmarkIds.length <= TINY_MAX_ITEMS &&
+      folder.childFolderIds.length === 0
+    ) {
+      issues.tiny.push(summary(folder));
+      const parent = folders.get(folder.parentId);
+      const noun = folder.bookmarkIds.length === 1 ? 'bookmark' : 'bookmarks';
+      proposeMerge(folder, parent, `Only ${folder.bookmarkIds.length} ${noun}`);
+    }
+
+    if (folder.depth > MAX_DEPTH && folder.bookmarkIds.length > 0) {
+      issues.deep.push({ ...summary(folder), depth: folder.depth });
+    }
+
+    const dead = items.filter(isDead).length;
+    if (items.length >= DEAD_MIN_ITEMS && dead / items.length >= DEAD_SHARE) {
+      issues.dead.push({ ...summary(folder), count: items.length, dead });
+    }
+
+    if (folder.bookmarkIds.length < MIXED_MIN_ITEMS) continue;
+    const byTopic = new Map();
+    for (const bookmark of items) {
+      const topic = primaryTopic(bookmark);
+      if (!topic) continue;
+      if (!byTopic.has(topic)) byTopic.set(topic, []);
+      byTopic.get(topic).push(bookmark.id);
+    }
+    const bits = entropy([...byTopic.values()].map((ids) => ids.length));
+    if (bits < MIXED_MIN_ENTROPY) continue;
+    issues.mixed.push({ ...summary(folder), entropy: Math.round(bits * 100) / 100 });
+
+    // Topics that already have a subfolder fill that one instead of a new one.
+    const subfolders = new Map(
+      folder.childFolderIds.map((id) => [normalizeFolderName(folders.get(id).title), id]),
+    );
+    const groups = [...byTopic.entries()]
+      .filter(([, ids]) => ids.length >= SPLIT_MIN_ITEMS)
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([topic, bookmarkIds]) => {
+        const name = getTopicDisplayName(topic);
+        return {
+          topic,
+          name,
+          folderId: subfolders.get(normalizeFolderName(name)) || null,
+          bookmarkIds,
+        };
+      });
+    if (groups.length < 2 || sources.has(folder.id)) continue;
+    proposals.push({
+      id: `split:${folder.id}`,
+      type: 'split',
+      folderId: folder.id,
+      groups,
+      reason: `${folder.bookmarkIds.length} bookmarks across ${byTopic.size} topics`,
+      description: `Split /${folder.path} into ${groups.length} topic folders`,
+    });
+  }
+
+  for (const list of Object.values(issues)) list.sort((a, b) => (b.count ?? 0) - (a.count ?? 0));
+
+  return { folders: candidates.length, issues, proposals };
+}
+
+/**
+ * The folder tree a set of proposals would produce, reduced to the branches
+ * that change, flattened in display order.
+ *
+ * @param {Array<Object>} tree From chrome.bookmarks.getTree()
+ * @param {Array<Object>} proposals From analyzeFolderHealth()
+ * @returns {Array<{id: string, depth: number, title: string, previousTitle: string|null,
+ *   count: number, delta: number, status: 'new'|'removed'|'renamed'|'changed'|null}>}
+ */
+export function previewFolderPlan(tree, proposals) {
+  const folders = indexFolders(tree);
+  const nodes = new Map();
+  for (const folder of folders.values()) {
+    nodes.set(folder.id, {
+      id: folder.id,
+      title: folder.title,
+      previousTitle: null,
+      count: folder.bookmarkIds.length,
+      delta: 0,
+      status: null,
+      children: [],
+    });
+  }
+  for (const folder of folders.values()) {
+    if (folder.parentId) nodes.get(folder.parentId).children.push(nodes.get(folder.id));
+  }
+
+  const mark = (node, status) => {
+    if (!node.status || node.status === 'changed') node.status = status;
+  };
+
+  for (const proposal of proposals) {
+    const node = nodes.get(proposal.folderId);
+    if (!node) continue;
+
+    if (proposal.type === 'rename') {
+      node.previousTitle = node.title;
+      node.title = proposal.title;
+      mark(node, 'renamed');
+    } else if (proposal.type === 'merge') {
+      const into = nodes.get(proposal.intoId);
+      into.count += node.count;
+      into.delta += node.count;
+      into.children.push(...node.children.filter((child) => child.status !== 'removed'));
+      node.children = node.children.filter((child) => child.status === 'removed');
+      node.delta -= node.count;
+      node.count = 0;
+      node.status = 'removed';
+      mark(into, 'changed');
+    } else if (proposal.type === 'split') {
+      for (const group of proposal.groups) {
+        let target = group.folderId && nodes.get(group.folderId);
+        if (!target) {
+          target = {
+            id: `new:${proposal.folderId}:${group.topic}`,
+            title: group.name,
+            previousTitle: null,
+            count: 0,
+            delta: 0,
+            status: 'new',
+            children: [],
+          };
+          node.children.push(target);
+        }
+        target.count += group.bookmarkIds.length;
+        target.delta += group.bookmarkIds.length;
+        node.count -= group.bookmarkIds.length;
+        node.delta -= group.bookmarkIds.length;
+        mark(target, 'changed');
+      }
+      mark(node, 'changed');
+    }
+  }
+
+  const rows = [];
+  function walk(node, depth) {
+    const start = rows.length;
+    rows.push(null);
+    for (const child of node.children) walk(child, depth + 1);
+    if (!node.status && rows.length === start + 1) {
+      rows.pop();
+      return;
+    }
+    const { id, title, previousTitle, count, delta, status } = node;
+    rows[start] = { id, depth, title, previousTitle, count, delta, status };
+  }
+  for (const root of tree) {
+    for (const child of root.children || []) {
+      if (!child.url) walk(nodes.get(child.id), 0);
+    }
+  }
+  return rows;
+}
+
+// Move one node and note where it was, so undo can put it back in place.
+async function moveNode(id, parentId, record) {
+  const [node] = await chrome.bookmarks.get(id);
+  await chrome.bookmarks.move(id, { parentId });
+  record.moves.push({ id, fromParentId: node.parentId, index: node.index, toParentId: parentId });
+}
+
+async function applyProposal(proposal, record) {
+  if (proposal.type === 'rename') {
+    const [folder] = await chrome.bookmarks.get(proposal.folderId);
+    await chrome.bookmarks.update(proposal.folderId, { title: proposal.title });
+    record.renamed.push({ id: proposal.folderId, from: folder.title, to: proposal.title });
+  } else if (proposal.type === 'merge') {
+    for (const child of await chrome.bookmarks.getChildren(proposal.folderId)) {
+      await moveNode(child.id, proposal.intoId, record);
+    }
+    const [folder] = await chrome.bookmarks.get(proposal.folderId);
+    await chrome.bookmarks.remove(proposal.folderId);
+    record.removed.push({
+      id: folder.id,
+      title: folder.title,
+      parentId: folder.parentId,
+      index: folder.index,
+    });
+  } else if (proposal.type === 'split') {
+    for (const group of proposal.groups) {
+      let parentId = group.folderId;
+      if (!parentId) {
+        const created = await chrome.bookmarks.create({
+          parentId: proposal.folderId,
+          title: group.name,
+        });
+        parentId = created.id;
+        record.created.push(parentId);
+      }
+      for (const id of group.bookmarkIds) await moveNode(id, parentId, record);
+    }
+  }
+}
+
+/**
+ * Apply proposals as one undoable batch.
+ * @param {Array<Object>} proposals From analyzeFolderHealth()
+ * @returns {Promise<{planId: string, moved: number, created: number, removed: number,
+ *   renamed: number, errors: Array<{id: string, error: string}>}>}
+ */
+export async function applyFolderPlan(proposals) {
+  const planId = `plan-${crypto.randomUUID()}`;
+  const record = { moves: [], created: [], removed: [], renamed: [] };
+  const errors = [];
+
+  for (const proposal of proposals) {
+    try {
+      await applyProposal(proposal, record);
+    } catch (error) {
+      console.error(`Error applying folder plan step ${proposal.id}:`, error);
+      errors.push({ id: proposal.id, error: error.message });
+    }
+  }
+
+  await logEvent(null, 'folder-plan', { planId, ...record, failed: errors.length });
+  return {
+    planId,
+    moved: record.moves.length,
+    created: record.created.length,
+    removed: record.removed.length,
+    renamed: record.renamed.length,
+    errors,
+  };
+}
+
+/**
+ * Reverse a plan: recreate the folders it removed, move everything back to
+ * where it was, restore the old names and remove the folders it created.
+ * @param {string} planId
+ * @returns {Promise<{undone: number, errors: Array<{id: string, error: string}>}>}
+ * @throws {Error} When the plan is unknown or has already been undone
+ */
+export async function undoFolderPlan(planId) {
+  const plan = (await getEventsByType('folder-plan')).find((event) => event.planId === planId);
+  if (!plan) throw new Error('Plan not found');
+  // A second undo would recreate the removed folders again and move back
+  // whatever has been reorganised since.
+  const undos = await getEventsByType('folder-plan-undo');
+  if (undos.some((event) => event.planId === planId)) throw new Error('Plan already undone');
+
+  const errors = [];
+  let undone = 0;
+  const step = async (id, action) => {
+    try {
+      await action();
+      undone++;
+    } catch (error) {
+      errors.push({ id, error: error.message });
+    }
+  };
+
+  // Recreated folders get new ids, which the moves back have to follow.
+  const recreated = new Map();
+  const resolve = (id) => recreated.get(id) || id;
+  for (const folder of [...plan.removed].reverse()) {
+    await step(folder.id, async () => {
+      const created = await chrome.bookmarks.create({
+        parentId: resolve(folder.parentId),
+        index: folder.index,
+        title: folder.title,
+      });
+      recreated.set(folder.id, created.id);
+    });
+  }
+  for (const move of [...plan.moves].reverse()) {
+    await step(move.id, () =>
+      chrome.bookmarks.move(move.id, { parentId: resolve(move.fromParentId), index: move.index }),
+    );
+  }
+  for (const rename of plan.renamed) {
+    await step(rename.id, () => chrome.bookmarks.update(rename.id, { title: rename.from }));
+  }
+  // Chrome refuses to remove a folder that is not empty, so anything added to
+  // a new folder since the plan ran keeps it.
+  for (const id of plan.created) {
+    await step(id, () => chrome.bookmarks.remove(id));
+  }
+
+  await logEvent(null, 'folder-plan-undo', { planId, undone, failed: errors.length });
+  return { undone, errors };
+}
+
+/**
+ * Recent applied plans, newest first.
+ * @param {number} [limit]
+ * @returns {Promise<Array<{planId: string, timestamp: number, moved: number, created: number,
+ *   removed: number, renamed: number, undone: boolean}>>}
+ */
+export async function getRecentFolderPlans(limit = 5) {
+  const [plans, undos] = await Promise.all([
+    getEventsByType('folder-plan'),
+    getEventsByType('folder-plan-undo'),
+  ]);
+  const undonePlans = new Set(undos.map((event) => event.planId));
+  return plans
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit)
+    .map((event) => ({
+      planId: event.planId,
+      timestamp: event.timestamp,
+      moved: event.moves.length,
+      created: event.created.length,
+      removed: event.removed.length,
+      renamed: event.renamed.length,
+      undone: undonePlans.has(event.planId),
+    }));
+}
@@ -6,14 +6,20 @@
 // look like DevOps but live in 9 different folders — create /DevOps?".
 
 import { getAllBookmarks } from './db.js';
-import { getTopicDisplayName } from './topics.js';
+import { detectTopics, getTopicDisplayName } from './topics.js';
 
 // A suggestion is only worth showing when the topic is well represented *and*
 // currently scattered; otherwise it is just noise about an existing folder.
 const MIN_BOOKMARKS = 8;
 const MIN_DISTINCT_FOLDERS = 3;
 
-function normalizeFolderName(name) {
+// A folder counts as a topic's home once it holds this many of its bookmarks.
+const MIN_HOME_BOOKMARKS = 3;
+
+// chrome.bookmarks' "Other Bookmarks", where new folders go.
+const OTHER_BOOKMARKS_ID = '2';
+
+export function normalizeFolderName(name) {
   return String(name || '')
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, '');
@@ -76,7 +82,7 @@ export async function getFolderingSuggestions() {
  * @param {Object} suggestion From getFolderingSuggestions().
  * @param {string} [parentId] Defaults to "Other Bookmarks".
  */
-export async function applyFolderingSuggestion(suggestion, parentId = '2') {
+export async function applyFolderingSuggestion(suggestion, parentId = OTHER_BOOKMARKS_ID) {
   const folder = await chrome.bookmarks.create({ parentId, title: suggestion.name });
 
   let moved = 0;
@@ -93,3 +99,58 @@ export async function applyFolderingSuggestion(suggestion, parentId = '2') {
 
   return { folderId: folder.id, moved, errors };
 }
+
+/**
+ * Where one bookmark, or a page about to be bookmarked, belongs. For each of
+ * its topics in turn: a folder already named after the topic, else the folder
+ * holding most of the library's bookmarks on it. When no topic has a home, a
+ * new folder named after the first topic is proposed.
+ *
+ * @param {Object} bookmark A bookmark, or a page shaped like one
+ * @param {Array<Object>} bookmarks The library
+ * @param {Array<{id: string, path: string}>} folders From flattenFolders()
+ * @returns {{topic: string, name: string, folderId: string|null, path: string,
+ *   create: boolean, parentId?: string}|null} Null when no topic was detected.
+ */
+export function suggestFolderForBookmark(bookmark, bookmarks, folders) {
+  const topics =
+    Array.isArray(bookmark.topics) && bookmark.topics.length > 0
+      ? bookmark.topics
+      : detectTopics(bookmark);
+  if (topics.length === 0) return null;
+
+  const byName = new Map();
+  for (const folder of folders) {
+    const key = normalizeFolderName(folder.path.split('/').pop());
+    if (key && !byName.has(key)) byName.set(key, folder);
+  }
+  const byId = new Map(folders.map((folder) => [folder.id, folder]));
+
+  for (const topic of topics) {
+    const name = getTopicDisplayName(topic);
+    const named = byName.get(normalizeFolderName(name));
+    if (named) return { topic, name, folderId: named.id, path: named.path, create: false };
+
+    const counts = new Map();
+    for (const other of bookmarks) {
+      if (other.id === bookmark.id || !other.topics?.includes(topic)) continue;
+      if (byId.has(other.parentId))
+        counts.set(other.parentId, (counts.get(other.parentId) || 0) + 1);
+    }
+    const [homeId, count] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+    if (count >= MIN_HOME_BOOKMARKS) {
+      return { topic, name, folderId: homeId, path: byId.get(homeId).path, create: false };
+    }
+  }
+
+  const name = getTopicDisplayName(topics[0]);
+  const parent = byId.get(OTHER_BOOKMARKS_ID);
+  return {
+    topic: topics[0],
+    name,
+    folderId: null,
+    path: parent ? `${parent.path}/${name}` : name,
+    create: true,
+    parentId: OTHER_BOOKMARKS_ID,
+  };
+}
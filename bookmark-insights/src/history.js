@@ -0,0 +1,320 @@
+// Bookmark change history: per-bookmark timelines and the global activity feed.
+//
+// Everything here is read back from the `events` table. Renames, URL edits and
+// moves record the values before and after the change, so each one can be
+// described ("moved from Reading to Archive/2024") and reverted on its own;
+// events written before that was recorded still show, just without a revert.
+// Dead and revived links are inferred from consecutive link checks, and runs of
+// visits are folded into one "opened N times" entry.
+
+import { getEventsForBookmark, getRecentEvents, restoreFromTrash, deleteBookmarks } from './db.js';
+import { LINK_CHANGE_DEAD, LINK_CHANGE_REVIVED, LINK_CHANGE_BLOCKED } from './link-sweep.js';
+
+/** Activity-feed filters, each a set of event types. */
+export const ACTIVITY_FILTERS = [
+  { key: 'all', label: 'All activity', types: null },
+  {
+    key: 'changes',
+    label: 'Added, edited, moved, deleted',
+    types: [
+      'create',
+      'update',
+      'delete',
+      'folder-plan',
+      'folder-plan-undo',
+      'url-move',
+      'url-move-undo',
+    ],
+  },
+  { key: 'health', label: 'Link health', types: ['linkHealth', 'enrichment'] },
+  { key: 'visits', label: 'Visits', types: ['access'] },
+  { key: 'rules', label: 'Automation rules', types: ['rule', 'rule-undo'] },
+  { key: 'reviews', label: 'Revisit reviews', types: ['review'] },
+];
+
+const RULE_ACTION_TEXT = {
+  move: 'moved it',
+  trash: 'moved it to the trash',
+  readingList: 'added it to the reading list',
+};
+
+const REVIEW_TEXT = {
+  start: 'Marked to revisit',
+  stop: 'Taken off the revisit schedule',
+  useful: 'Reviewed: useful',
+  notNow: 'Reviewed: not now',
+  visit: 'Revisited',
+  archive: 'Archived from review',
+};
+
+// Guards against a cycle of previousId links in hand-edited data.
+const MAX_ID_HOPS = 20;
+
+function quote(text) {
+  return `“${text || 'Untitled'}”`;
+}
+
+function folderLabel(change) {
+  return change?.folderPath ? `/${change.folderPath}` : 'another folder';
+}
+
+function hasFields(change) {
+  return Boolean(change) && Object.keys(change).length > 0;
+}
+
+/**
+ * Whether revertEvent() can undo this event.
+ * @param {Object} event
+ * @returns {boolean}
+ */
+function isRevertible(event) {
+  if (event.type === 'update') return hasFields(event.before) && hasFields(event.after);
+  if (event.type === 'delete') return Boolean(event.before?.url);
+  if (event.type === 'create') return Boolean(event.after);
+  return false;
+}
+
+function describeUpdate(event) {
+  const { before = {}, after = {} } = event;
+  if (!hasFields(before)) {
+    // Written before the old values were recorded.
+    if (event.moved) return 'Moved';
+    if (event.title !== undefined) return `Renamed to ${quote(event.title)}`;
+    if (event.url !== undefined) return `URL changed to ${event.url}`;
+    return 'Edited';
+  }
+  const parts = [];
+  if ('title' in before) parts.push(`Renamed from ${quote(before.title)} to ${quote(after.title)}`);
+  if ('url' in before) parts.push(`URL changed from ${before.url} to ${after.url}`);
+  if ('parentId' in before) {
+    parts.push(`Moved from ${folderLabel(before)} to ${folderLabel(after)}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Icon and one-line text for a single event.
+ * @param {Object} event
+ * @returns {{icon: string, text: string}}
+ */
+export function describeEvent(event) {
+  switch (event.type) {
+    case 'create':
+      return {
+        icon: '➕',
+        text: event.recovered
+          ? 'Restored from the trash'
+          : event.after?.folderPath
+            ? `Bookmarked in /${event.after.folderPath}`
+            : 'Bookmarked',
+      };
+    case 'update':
+      return { icon: event.moved ? '📁' : '✏️', text: describeUpdate(event) };
+    case 'delete':
+      return {
+        icon: '🗑️',
+        text:
+          event.removedCount > 1
+            ? `Deleted with ${event.removedCount - 1} other bookmarks`
+            : event.before?.folderPath
+              ? `Deleted from /${event.before.folderPath}`
+              : 'Deleted',
+      };
+    case 'access':
+      return { icon: '👁️', text: 'Opened' };
+    case 'enrichment':
+      if (event.success === false) return { icon: '⚠️', text: `Enrichment failed: ${event.error}` };
+      if (event.blocked) return { icon: '🚧', text: 'Link check blocked by the site' };
+      if (event.isAlive === false) return { icon: '💀', text: 'Link found dead' };
+      return {
+        icon: '✨',
+        text: event.category ? `Enriched (${event.category})` : 'Enriched',
+      };
+    case 'linkHealth':
+      if (event.change === LINK_CHANGE_DEAD) {
+        return { icon: '💀', text: `Went dead${event.status ? ` (${event.status})` : ''}` };
+      }
+      if (event.change === LINK_CHANGE_REVIVED) return { icon: '💚', text: 'Revived' };
+      if (event.change === LINK_CHANGE_BLOCKED) return { icon: '🚧', text: 'Became blocked' };
+      return { icon: '🔗', text: 'Link checked' };
+    case 'rule':
+      return {
+        icon: '⚙️',
+        text: `Rule ${quote(event.ruleName)} ${RULE_ACTION_TEXT[event.action]}`,
+      };
+    case 'rule-undo':
+      return { icon: '↩️', text: `Undid a rule run (${event.undone} actions)` };
+    case 'folder-plan':
+      return {
+        icon: '🗂️',
+        text: `Reorganized folders (${event.moves.length} moved, ${event.renamed.length} renamed, ${event.removed.length} removed)`,
+      };
+    case 'folder-plan-undo':
+      return { icon: '↩️', text: `Undid a folder reorganization (${event.undone} steps)` };
+    case 'url-move':
+      return {
+        icon: '↪️',
+        text: `Updated ${event.changes.length} moved bookmarks to their new URLs`,
+      };
+    case 'url-move-undo':
+      return { icon: '↩️', text: `Restored the old URLs of ${event.undone} moved bookmarks` };
+    case 'review': {
+      const text = REVIEW_TEXT[event.grade] || 'Reviewed';
+      return {
+        icon: '🔁',
+        text: event.interval
+          ? `${text} · next in ${event.interval} day${event.interval === 1 ? '' : 's'}`
+          : text,
+      };
+    }
+    default:
+      return { icon: '•', text: event.type };
+  }
+}
+
+// Whether an event tells us the link was up (true), down (false) or neither.
+function linkState(event) {
+  if (event.type === 'linkHealth') {
+    if (event.change === LINK_CHANGE_DEAD) return false;
+    if (event.change === LINK_CHANGE_REVIVED) return true;
+    return null;
+  }
+  if (event.type !== 'enrichment' || event.blocked) return null;
+  if (event.isAlive === false) return false;
+  if (event.success === true || event.isAlive === true) return true;
+  return null;
+}
+
+/**
+ * A bookmark's events as timeline entries, newest first. Consecutive visits
+ * become one entry, and a link check that finds the link in a different state
+ * than the previous one reads as "went dead" or "revived".
+ * @param {Array<Object>} events
+ * @returns {Array<{event: Object, icon: string, text: string, count: number,
+ *   until: number, revertible: boolean}>}
+ */
+export function buildTimeline(events) {
+  const entries = [];
+  let alive = null;
+
+  for (const event of [...events].sort((a, b) => a.timestamp - b.timestamp)) {
+    const last = entries[entries.length - 1];
+    if (event.type === 'access' && last?.event.type === 'access') {
+      last.count++;
+      last.until = event.timestamp;
+      last.text = `Opened ${last.count} times`;
+      continue;
+    }
+
+    const entry = {
+      event,
+      ...describeEvent(event),
+      count: 1,
+      until: event.timestamp,
+      revertible: isRevertible(event),
+    };
+
+    const state = linkState(event);
+    if (event.type === 'enrichment' && state !== null && alive !== null && state !== alive) {
+      Object.assign(
+        entry,
+        state ? { icon: '💚', text: 'Revived' } : { icon: '💀', text: 'Went dead' },
+      );
+    }
+    if (state !== null) alive = state;
+
+    entries.push(entry);
+  }
+
+  return entries.reverse();
+}
+
+/**
+ * Every event of a bookmark, including those logged under the ids it had
+ * before it was deleted and restored.
+ * @param {string} bookmarkId
+ * @returns {Promise<Array<Object>>} Oldest first
+ */
+export async function getBookmarkHistory(bookmarkId) {
+  const events = [];
+  const seen = new Set();
+  let id = bookmarkId;
+  while (id && !seen.has(id) && seen.size < MAX_ID_HOPS) {
+    seen.add(id);
+    const own = await getEventsForBookmark(id);
+    events.push(...own);
+    id = own.find((event) => event.type === 'create' && event.previousId)?.previousId;
+  }
+  return events.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * The activity feed: recent events of the chosen kind, newest first.
+ * @param {Object} [options]
+ * @param {string} [options.filter='all'] An ACTIVITY_FILTERS key
+ * @param {number} [options.since]
+ * @param {number} [options.until]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<Object>>} Events with `icon`, `text` and `revertible`
+ */
+export async function getActivityFeed(options = {}) {
+  const { filter = 'all', since, until, limit } = options;
+  const types = ACTIVITY_FILTERS.find((f) => f.key === filter)?.types || null;
+  const events = await getRecentEvents({ types, since, until, limit });
+  return events.map((event) => ({
+    ...event,
+    ...describeEvent(event),
+    revertible: isRevertible(event),
+  }));
+}
+
+async function currentNode(id) {
+  try {
+    const [node] = await chrome.bookmarks.get(id);
+    return node;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Undo one logged change: rename back, change the URL back, move back to the
+ * old folder, bring a deleted bookmark back from the trash, or trash a newly
+ * created one. Refuses when the bookmark has changed again since, rather than
+ * silently undoing the later change too.
+ * @param {Object} event
+ */
+export async function revertEvent(event) {
+  const id = event.bookmarkId;
+
+  if (event.type === 'delete') {
+    const { restored, errors } = await restoreFromTrash([id]);
+    if (restored === 0) throw new Error(errors[0]?.error || 'It is no longer in the trash');
+    return;
+  }
+
+  if (!isRevertible(event)) throw new Error('This change cannot be reverted');
+
+  const node = await currentNode(id);
+  if (!node) throw new Error('The bookmark no longer exists');
+
+  if (event.type === 'create') {
+    const { deletedIds, errors } = await deleteBookmarks([id]);
+    if (deletedIds.length === 0) throw new Error(errors[0]?.error || 'Could not delete it');
+    return;
+  }
+
+  const { before, after } = event;
+  const changes = {};
+  for (const field of ['title', 'url']) {
+    if (!(field in before)) continue;
+    if (node[field] !== after[field]) throw new Error(`The ${field} has changed again since`);
+    changes[field] = before[field];
+  }
+  if ('parentId' in before && node.parentId !== after.parentId) {
+    throw new Error('It has been moved again since');
+  }
+
+  if (Object.keys(changes).length > 0) await chrome.bookmarks.update(id, changes);
+  if ('parentId' in before) await chrome.bookmarks.move(id, { parentId: before.parentId });
+}
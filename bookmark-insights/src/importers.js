@@ -0,0 +1,348 @@
+// Import from other bookmark managers.
+//
+// The mirror image of `exporters.js`. Each parser turns one service's export
+// file into the same neutral item shape — `{ url, title, tags, note,
+// dateAdded, folders }` — so the preview, the duplicate check and the write path never
+// need to know where a file came from. `folders` is the source folder path as
+// titles, outermost first: a title may itself contain a slash, such as "CI/CD".
+//
+// Imported links become real Chrome bookmarks; the extension's own record is
+// only where the source tags and notes are kept, since Chrome has nowhere to
+// put them.
+
+import { normalizeTags, normalizeUrlForDuplicates, recordImportedBookmark } from './db.js';
+
+export const IMPORT_FORMATS = {
+  netscape: 'Browser bookmarks (HTML)',
+  'pocket-html': 'Pocket (HTML)',
+  'pocket-csv': 'Pocket (CSV)',
+  raindrop: 'Raindrop.io (CSV)',
+  pinboard: 'Pinboard (JSON)',
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return String(text ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+function splitTags(value, separator) {
+  return normalizeTags(String(value || '').split(separator));
+}
+
+/** Unix seconds (Netscape, Pocket) or an ISO string (Raindrop, Pinboard) to ms. */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) {
+    const number = Number(value);
+    // ADD_DATE is seconds, but some exporters write milliseconds or microseconds.
+    if (number > 1e14) return Math.floor(number / 1000);
+    return number > 1e11 ? number : number * 1000;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, doubled quotes and newlines.
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+/** CSV rows as objects keyed by lower-cased header names. */
+function csvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const keys = header.map((name) => name.trim().toLowerCase());
+  return {
+    keys,
+    records: rows.map((cells) => Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? '']))),
+  };
+}
+
+/**
+ * Netscape bookmark files — every browser's export, and Pocket's HTML export,
+ * which uses the same anchors without the `<DL>` folder structure.
+ */
+function parseNetscapeHtml(html) {
+  const items = [];
+  const folders = [];
+  let pendingFolder = null;
+
+  const pattern = /<h3\b[^>]*>([\s\S]*?)<\/h3>|<a\b([^>]*)>([\s\S]*?)<\/a>|<dl\b[^>]*>|<\/dl>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    const token = match[0].slice(0, 3).toLowerCase();
+    if (match[1] !== undefined) {
+      pendingFolder = decodeEntities(match[1].replace(/<[^>]+>/g, '')).trim();
+    } else if (match[2] !== undefined) {
+      const attributes = parseAttributes(match[2]);
+      items.push({
+        url: attributes.href,
+        title: decodeEntities(match[3].replace(/<[^>]+>/g, '')).trim(),
+        tags: splitTags(attributes.tags, ','),
+        note: null,
+        dateAdded: parseDate(attributes.add_date ?? attributes.time_added),
+        folders: folders.filter(Boolean),
+      });
+    } else if (token === '</d') {
+      folders.pop();
+    } else {
+      // The outermost <DL> has no heading; it must still be pushed so the
+      // matching </DL> pops the right level.
+      folders.push(pendingFolder);
+      pendingFolder = null;
+    }
+  }
+  return items;
+}
+
+// Pocket's current CSV export: title,url,time_added,tags,status — tags are
+// pipe-separated.
+function parsePocketCsv(text) {
+  return csvRecords(text).records.map((record) => ({
+    url: record.url,
+    title: record.title,
+    tags: splitTags(record.tags, '|'),
+    note: null,
+    dateAdded: parseDate(record.time_added),
+    folders: [],
+  }));
+}
+
+// Raindrop.io: id,title,note,excerpt,url,folder,tags,created,... — nested
+// collections are written as "Parent / Child", so only a spaced slash nests;
+// a collection named "CI/CD" stays one folder.
+function parseRaindropCsv(text) {
+  return csvRecords(text).records.map((record) => ({
+    url: record.url,
+    title: record.title,
+    tags: splitTags(record.tags, ','),
+    note: record.note || null,
+    dateAdded: parseDate(record.created),
+    folders: String(record.folder || '')
+      .split(/\s+\/\s+/)
+      .map((part) => part.trim())
+      .filter(Boolean),
+  }));
+}
+
+// Pinboard's JSON export: `description` is the title, `extended` the note and
+// tags are space-separated.
+function parsePinboardJson(entries) {
+  return entries.map((entry) => ({
+    url: entry.href,
+    title: entry.description,
+    tags: splitTags(entry.tags, /\s+/),
+    note: entry.extended || null,
+    dateAdded: parseDate(entry.time),
+    folders: [],
+  }));
+}
+
+/**
+ * Work out which service produced a file from its content alone, so the user
+ * never has to pick a format by hand.
+ * @param {string} text
+ * @returns {string|null} An IMPORT_FORMATS key.
+ */
+export function detectImportFormat(text) {
+  const head = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .trimStart();
+
+  if (head.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(head);
+      return Array.isArray(parsed) && parsed.some((entry) => entry?.href) ? 'pinboard' : null;
+    } catch {
+      return null;
+    }
+  }
+
+  if (/^<!doctype netscape-bookmark-file/i.test(head) || /<dt>\s*<a\b/i.test(head)) {
+    return 'netscape';
+  }
+  if (/<title>\s*pocket export\s*<\/title>/i.test(head) || /<a\b[^>]*\btime_added=/i.test(head)) {
+    return 'pocket-html';
+  }
+
+  const { keys } = csvRecords(head.split(/\r?\n/, 1)[0] || '');
+  if (keys.includes('url') && keys.includes('time_added')) return 'pocket-csv';
+  if (keys.includes('url') && (keys.includes('excerpt') || keys.includes('folder'))) {
+    return 'raindrop';
+  }
+  return null;
+}
+
+function isImportableUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse an export file from any supported service.
+ * @param {string} text The file contents.
+ * @returns {{format: string, items: Array, skipped: number}}
+ * @throws {Error} When the format is not recognised.
+ */
+export function parseImportFile(text) {
+  const format = detectImportFormat(text);
+  if (!format) {
+    throw new Error('Unrecognised file. Expected a Pocket, Raindrop, Pinboard or browser export.');
+  }
+
+  let parsed;
+  if (format === 'pinboard') parsed = parsePinboardJson(JSON.parse(text.replace(/^\uFEFF/, '')));
+  else if (format === 'pocket-csv') parsed = parsePocketCsv(text);
+  else if (format === 'raindrop') parsed = parseRaindropCsv(text);
+  else parsed = parseNetscapeHtml(text);
+
+  const items = [];
+  for (const item of parsed) {
+    const url = String(item.url || '').trim();
+    if (!isImportableUrl(url)) continue;
+    items.push({ ...item, url, title: String(item.title || '').trim() || url });
+  }
+
+  return { format, items, skipped: parsed.length - items.length };
+}
+
+/**
+ * Flag every item that is already bookmarked, or repeats an earlier line of
+ * the same file, using the normalisation `findDuplicates` groups by.
+ * @param {Array} items Parsed import items.
+ * @param {Array} existing Stored bookmarks.
+ * @returns {Array} The items with `duplicateOf` (an existing bookmark) or
+ *   `duplicateInFile` set.
+ */
+export function flagImportDuplicates(items, existing) {
+  const known = new Map();
+  for (const bookmark of existing) {
+    if (bookmark.url) known.set(normalizeUrlForDuplicates(bookmark.url), bookmark);
+  }
+
+  const seen = new Set();
+  return items.map((item) => {
+    const key = normalizeUrlForDuplicates(item.url);
+    const duplicateOf = known.get(key) || null;
+    const duplicateInFile = !duplicateOf && seen.has(key);
+    seen.add(key);
+    return { ...item, duplicateOf, duplicateInFile };
+  });
+}
+
+/**
+ * Create the items as Chrome bookmarks under `parentId`, recreating any
+ * source folders beneath it, and store their tags and notes on the extension's
+ * record.
+ * @param {Array} items
+ * @param {string} parentId
+ * @param {Object} [options]
+ * @param {string} [options.source] The IMPORT_FORMATS key, kept on each record.
+ * @param {(processed: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<{imported: number, errors: Array}>}
+ */
+export async function importBookmarks(items, parentId, options = {}) {
+  const { source = null, onProgress } = options;
+  // Keyed by the JSON of the titles, since a title may contain any separator.
+  const folderIds = new Map();
+  const errors = [];
+  let imported = 0;
+
+  async function resolveFolder(folders = []) {
+    let id = parentId;
+    for (let depth = 1; depth <= folders.length; depth++) {
+      const key = JSON.stringify(folders.slice(0, depth));
+      if (!folderIds.has(key)) {
+        const folder = await chrome.bookmarks.create({ parentId: id, title: folders[depth - 1] });
+        folderIds.set(key, folder.id);
+      }
+      id = folderIds.get(key);
+    }
+    return id;
+  }
+
+  for (const item of items) {
+    try {
+      const created = await chrome.bookmarks.create({
+        parentId: await resolveFolder(item.folders),
+        title: item.title,
+        url: item.url,
+      });
+      await recordImportedBookmark(created, {
+        tags: item.tags,
+        note: item.note,
+        dateAdded: item.dateAdded,
+        importSource: source,
+      });
+      imported++;
+    } catch (error) {
+      console.error(`Error importing ${item.url}:`, error);
+      errors.push({ url: item.url, error: error.message });
+    }
+    onProgress?.(imported + errors.length, items.length);
+  }
+
+  return { imported, errors };
+}
@@ -358,9 +358,10 @@ export async function getActionableInsights() {
         ageInDays: Math.floor((now - b.dateAdded) / (24 * 60 * 60 * 1000)),
       }));
 
-    // Rediscovery Feed: Random selection of old but alive bookmarks
+    // Rediscovery Feed: Random selection of old but alive bookmarks. Ones
+    // already on the revisit schedule come back through that instead.
     const rediscoveryCandidates = bookmarks.filter(
-      (b) => b.dateAdded < ninetyDaysAgo && !isDead(b) && b.title && b.url,
+      (b) => b.dateAdded < ninetyDaysAgo && !isDead(b) && !b.revisit && b.title && b.url,
     );
 
     // Shuffle and pick 10
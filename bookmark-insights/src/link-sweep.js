@@ -0,0 +1,128 @@
+// Slice selection and change tracking for the scheduled link-health sweep.
+//
+// The sweep re-checks a fixed share of the corpus each day rather than the
+// whole library at once: a 3,000-bookmark profile checked in one go is an hour
+// of host-spaced requests the service worker cannot stay alive for. The cursor
+// is a bookmark id, not an index, for the same reason the dead-link re-check
+// uses ids - the list is recomputed every run and shifts as bookmarks are
+// added and deleted.
+
+import { isBlocked, isDead, isEnrichable } from './predicates.js';
+import { isHostExcluded } from './enrichment-monitor.js';
+
+// The `change` of a `linkHealth` event; the bookmark timeline reads them back.
+export const LINK_CHANGE_DEAD = 'dead';
+export const LINK_CHANGE_REVIVED = 'revived';
+export const LINK_CHANGE_BLOCKED = 'blocked';
+
+// Chrome bookmark ids are numeric strings; compare them as numbers so "10"
+// sorts after "9", and fall back to string order for anything else.
+function compareIds(a, b) {
+  const diff = Number(a) - Number(b);
+  if (Number.isFinite(diff) && diff !== 0) return diff;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Why the sweep must not run, or carry on, under these settings: privacy mode
+ * forbids any request, and pausing enrichment from the monitor holds the sweep
+ * too. Null when it may go ahead.
+ * @param {Object} settings
+ * @returns {string|null}
+ */
+export function sweepBlockedReason(settings) {
+  if (settings.privacyMode) return 'Privacy mode enabled';
+  if (settings.enrichmentPaused) return 'Enrichment paused';
+  return null;
+}
+
+/**
+ * The bookmarks the sweep checks: enrichable ones whose host is not excluded
+ * in the enrichment monitor. Excluded hosts are left out before slicing, so
+ * they neither get requests nor take up a day's share.
+ * @param {Array<Object>} bookmarks
+ * @param {Object} settings
+ * @returns {Array<Object>}
+ */
+export function selectSweepCandidates(bookmarks, settings) {
+  return bookmarks.filter(
+    (bookmark) =>
+      isEnrichable(bookmark) && !isHostExcluded(bookmark.url, settings.enrichmentExcludedHosts),
+  );
+}
+
+/**
+ * Pick today's slice: the next `ceil(total / days)` bookmarks after `cursor`
+ * in id order, wrapping to the start once the end is reached.
+ *
+ * @param {Array<{id: string}>} bookmarks Candidates, in any order.
+ * @param {string|null} cursor Last id checked by the previous sweep.
+ * @param {number} days How many daily sweeps one full pass should take.
+ * @returns {{slice: Array<{id: string}>, cursor: string|null, wrapped: boolean}}
+ *   `wrapped` is true when this slice completes a pass over the corpus.
+ */
+export function selectSweepSlice(bookmarks, cursor, days) {
+  if (bookmarks.length === 0) return { slice: [], cursor: null, wrapped: false };
+
+  const ordered = bookmarks.slice().sort((a, b) => compareIds(a.id, b.id));
+  const size = Math.ceil(ordered.length / Math.max(1, Math.floor(days) || 1));
+
+  let start = cursor == null ? 0 : ordered.findIndex((b) => compareIds(b.id, cursor) > 0);
+  if (start === -1) start = 0;
+
+  const slice = ordered.slice(start, start + size);
+  const wrapped = start + size >= ordered.length;
+  if (slice.length < size) slice.push(...ordered.slice(0, Math.min(size - slice.length, start)));
+
+  return { slice, cursor: slice[slice.length - 1].id, wrapped };
+}
+
+/**
+ * How a check moved a bookmark, judged against the verdict stored before it.
+ * Only transitions count: a link that was already dead and still is has not
+ * changed, and an inconclusive check (no `isAlive` in the patch) never does.
+ *
+ * @param {Object} bookmark The record as it was before the check.
+ * @param {Object} changes The fields the check is about to write.
+ * @returns {'dead'|'revived'|'blocked'|null}
+ */
+export function classifyLinkChange(bookmark, changes) {
+  if (changes.isAlive === undefined) return null;
+
+  const wasDead = isDead(bookmark);
+  const wasBlocked = isBlocked(bookmark);
+
+  if (changes.isAlive === false) return wasDead ? null : LINK_CHANGE_DEAD;
+  if (changes.accessBlocked) return wasBlocked ? null : LINK_CHANGE_BLOCKED;
+  return wasDead ? LINK_CHANGE_REVIVED : null;
+}
+
+/**
+ * Fold several sweep summaries into one digest. A bookmark that changed more
+ * than once in the window is reported once, under its most recent change.
+ *
+ * @param {Array<Object>} sweeps Summaries as stored by saveLinkSweep, newest first.
+ * @returns {{sweeps: number, checked: number, lastSweepAt: number|null,
+ *   dead: Array<Object>, revived: Array<Object>, blocked: Array<Object>}}
+ */
+export function summarizeLinkSweeps(sweeps) {
+  const digest = {
+    sweeps: sweeps.length,
+    checked: 0,
+    lastSweepAt: sweeps[0]?.finishedAt || sweeps[0]?.startedAt || null,
+    [LINK_CHANGE_DEAD]: [],
+    [LINK_CHANGE_REVIVED]: [],
+    [LINK_CHANGE_BLOCKED]: [],
+  };
+  const seen = new Set();
+
+  for (const sweep of sweeps) {
+    digest.checked += sweep.checked || 0;
+    for (const change of sweep.changes || []) {
+      if (seen.has(change.id)) continue;
+      seen.add(change.id);
+      digest[change.type]?.push(change);
+    }
+  }
+  return digest;
+}
@@ -0,0 +1,144 @@
+// The side panel's "current page" card: what the library already knows about
+// the tab the user is looking at.
+//
+// Everything here works from the stored bookmarks and the tab's URL and title;
+// nothing is fetched. A page matches a bookmark only when both show the same
+// page, query included: `watch?v=A` is not bookmarked because `watch?v=B` is.
+// Bookmarks that differ only in the query are listed as the same source.
+
+import { parseBookmarkUrl } from './url-parsers.js';
+import { findSimilarToBookmark } from './analysis-core.js';
+import { suggestFolderForBookmark } from './foldering.js';
+import { normalizeUrlForMatching, isSamePage } from './utils.js';
+
+const SAME_SOURCE_LIMIT = 5;
+const NEAR_DUPLICATE_LIMIT = 3;
+
+/**
+ * Bookmarks of this page, ignoring the fragment and tracking parameters.
+ * Usually one; duplicates in different folders are all returned.
+ * @param {string} url
+ * @param {Array<Object>} bookmarks
+ * @returns {Array<Object>}
+ */
+export function findPageBookmarks(url, bookmarks) {
+  return bookmarks.filter((bookmark) => isSamePage(bookmark.url, url));
+}
+
+/**
+ * A tab shaped like a bookmark, so the similarity, topic and platform code can
+ * take it as one.
+ * @param {{url: string, title: string}} tab
+ * @param {Array<Object>} [customParsers] settings.customUrlParsers
+ * @returns {Object}
+ */
+export function pageFromTab(tab, customParsers = []) {
+  const platformData = parseBookmarkUrl(tab.url, null, customParsers);
+  let domain = null;
+  try {
+    domain = new URL(tab.url).hostname;
+  } catch {
+    // Not a URL; the caller only passes web pages
+  }
+  return {
+    id: null,
+    url: tab.url,
+    title: tab.title || '',
+    domain,
+    platform: platformData?.platform || null,
+    creator: platformData?.creator || null,
+    platformData,
+  };
+}
+
+function sameText(a, b) {
+  return Boolean(a && b) && String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Other bookmarks from where this page comes from: the same address with a
+ * different query, else the same repository, else the same creator or channel
+ * on the platform, else the same site. The first of these with any bookmarks
+ * wins.
+ * @param {Object} page A bookmark, or pageFromTab()
+ * @param {Array<Object>} bookmarks
+ * @param {Set<string>} [exclude] Ids not to list, such as the page's own bookmarks
+ * @returns {{kind: 'path'|'repo'|'creator'|'domain', label: string, total: number,
+ *   bookmarks: Array<Object>}|null}
+ */
+export function findSameSource(page, bookmarks, exclude = new Set()) {
+  const others = bookmarks.filter(
+    (bookmark) => !exclude.has(bookmark.id) && !isSamePage(bookmark.url, page.url),
+  );
+  const repo = page.platformData?.extra?.repo;
+  const hasCreator = page.creator && page.platform && page.platform !== 'other';
+  const path = normalizeUrlForMatching(page.url);
+
+  const groups = [
+    {
+      kind: 'path',
+      label: path,
+      test: (b) => Boolean(b.url) && normalizeUrlForMatching(b.url) === path,
+    },
+    repo && {
+      kind: 'repo',
+      label: `${page.creator}/${repo}`,
+      test: (b) =>
+        b.platform === page.platform &&
+        sameText(b.creator, page.creator) &&
+        sameText(b.platformData?.extra?.repo, repo),
+    },
+    hasCreator && {
+      kind: 'creator',
+      label: page.creator,
+      test: (b) => b.platform === page.platform && sameText(b.creator, page.creator),
+    },
+    page.domain && {
+      kind: 'domain',
+      label: page.domain.replace(/^www\./, ''),
+      test: (b) => b.domain === page.domain,
+    },
+  ].filter(Boolean);
+
+  for (const { kind, label, test } of groups) {
+    const matches = others.filter(test);
+    if (matches.length === 0) continue;
+    return {
+      kind,
+      label,
+      total: matches.length,
+      bookmarks: matches.sort((a, b) => b.dateAdded - a.dateAdded).slice(0, SAME_SOURCE_LIMIT),
+    };
+  }
+  return null;
+}
+
+/**
+ * Everything the card shows for a tab.
+ * @param {{url: string, title: string}} tab
+ * @param {Array<Object>} bookmarks
+ * @param {Array<{id: string, path: string}>} folders From flattenFolders()
+ * @param {Object} [settings]
+ * @returns {{page: Object, matches: Array<Object>, sameSource: Object|null,
+ *   nearDuplicates: Array<{bookmark: Object, similarity: number, sameDomain: boolean}>,
+ *   suggestion: Object|null}}
+ */
+export function buildPageContext(tab, bookmarks, folders, settings = {}) {
+  const matches = findPageBookmarks(tab.url, bookmarks);
+  // The stored record knows more than the tab: description, topics, creator.
+  const page = matches[0] || pageFromTab(tab, settings.customUrlParsers);
+  const own = new Set(matches.map((bookmark) => bookmark.id));
+
+  return {
+    page,
+    matches,
+    sameSource: findSameSource(page, bookmarks, own),
+    nearDuplicates: findSimilarToBookmark(
+      page,
+      bookmarks.filter((bookmark) => !own.has(bookmark.id)),
+      { limit: NEAR_DUPLICATE_LIMIT },
+    ),
+    // Only asked for when there is something to bookmark.
+    suggestion: matches.length === 0 ? suggestFolderForBookmark(page, bookmarks, folders) : null,
+  };
+}
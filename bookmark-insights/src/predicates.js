@@ -68,6 +68,15 @@ export function isBlocked(bookmark) {
   return bookmark?.accessBlocked === true;
 }
 
+/**
+ * Re-enrichment found a page that no longer resembles the one first fetched -
+ * the URL still answers, but with different content (a parked or resold
+ * domain, a rewritten article). Cleared when the user dismisses it.
+ */
+export function isContentDrifted(bookmark) {
+  return Boolean(bookmark?.contentDrifted);
+}
+
 /** Never opened since the extension started tracking access. */
 export function isNeverAccessed(bookmark) {
   return !bookmark?.accessCount;
@@ -0,0 +1,502 @@
+// Search query language: tokenizer and parser.
+//
+// A query is a boolean expression over words, "phrases", /regexes/, field
+// filters and comparisons:
+//
+//   (domain:github.com OR domain:gitlab.com) added:>2024-01-01 readingTime:<10 -dead:yes
+//
+// Operands side by side are ANDed, except that plain words keep the meaning
+// they have always had: `rust async` matches bookmarks containing either word,
+// ranked by how many match, so saved searches, automation rules and the omnibox
+// read the same as before. Join words with AND, or prefix them with +, to
+// require each one. OR, AND and NOT are operators only in capitals, and `-x`
+// is NOT x.
+//
+// parseQuery() never throws: a query it cannot read comes back with an error
+// and the position it was found at, for the search box to point at. Matching a
+// parsed query against bookmarks lives in search.js.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A `~` in front of the text switches the search to semantic mode.
+const SEMANTIC_PREFIX = '~';
+
+const OPERATORS = { OR: 'or', AND: 'and', NOT: 'not' };
+
+// Field filters, by the key typed, with the field they are stored under and
+// how their value is read.
+const FILTER_KEYS = {
+  category: { key: 'category', kind: 'text' },
+  domain: { key: 'domain', kind: 'text' },
+  platform: { key: 'platform', kind: 'text' },
+  channel: { key: 'creator', kind: 'raw' },
+  author: { key: 'creator', kind: 'raw' },
+  repo: { key: 'repo', kind: 'text' },
+  type: { key: 'contentType', kind: 'text' },
+  hasimage: { key: 'hasImage', kind: 'yesno' },
+  playlist: { key: 'playlist', kind: 'raw' },
+  accessed: { key: 'accessed', kind: 'yesno' },
+  stale: { key: 'stale', kind: 'yesno' },
+  enriched: { key: 'enriched', kind: 'yesno' },
+  dead: { key: 'dead', kind: 'yesno' },
+  drifted: { key: 'drifted', kind: 'yesno' },
+  folder: { key: 'folder', kind: 'text' },
+  tag: { key: 'tag', kind: 'tag' },
+  note: { key: 'note', kind: 'text' },
+  body: { key: 'body', kind: 'text' },
+};
+
+// Comparable fields, by the key typed (full field name or a short alias).
+const COMPARE_KEYS = {
+  dateadded: 'dateAdded',
+  added: 'dateAdded',
+  lastaccessed: 'lastAccessed',
+  visited: 'lastAccessed',
+  publisheddate: 'publishedDate',
+  published: 'publishedDate',
+  readingtime: 'readingTime',
+  accesscount: 'accessCount',
+  visits: 'accessCount',
+  contentquality: 'contentQuality',
+  quality: 'contentQuality',
+};
+
+const DATE_FIELDS = new Set(['dateAdded', 'lastAccessed', 'publishedDate']);
+
+const RELATIVE_UNIT_DAYS = { d: 1, w: 7, m: 30, y: 365 };
+
+const DATE_HINT = 'a date such as 2024-01-31, 2024-01, 2024 or 30d (30 days ago)';
+
+const MAX_REGEX_LENGTH = 200;
+// A quantifier applied to a group that already contains one — `(a+)+`, `(a*)*`.
+const NESTED_QUANTIFIER = /\([^)]*[+*][^)]*\)\s*[+*{]/;
+
+/**
+ * Compile a user-supplied regex from the search box.
+ *
+ * Two hazards are handled here:
+ * - `g`/`y` make `.test()` stateful via `lastIndex`, and the compiled object is
+ *   reused across every bookmark, so results alternated match/no-match.
+ * - An unbounded pattern such as `/(a+)+$/` runs on the UI thread against every
+ *   bookmark's concatenated text and freezes the dashboard.
+ *
+ * @returns {RegExp|null} null when the pattern is rejected or invalid
+ */
+export function compileUserRegex(pattern, flags) {
+  if (!pattern || pattern.length > MAX_REGEX_LENGTH) {
+    console.warn('Rejected search regex: pattern too long');
+    return null;
+  }
+
+  if (NESTED_QUANTIFIER.test(pattern)) {
+    console.warn('Rejected search regex: nested quantifier (catastrophic backtracking risk)');
+    return null;
+  }
+
+  // Default to case-insensitive; strip the stateful flags entirely.
+  const safeFlags = (flags || 'i').replace(/[gy]/g, '') || 'i';
+
+  try {
+    return new RegExp(pattern, safeFlags);
+  } catch (e) {
+    console.warn('Invalid regex pattern:', pattern, e.message);
+    return null;
+  }
+}
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+function isBoundary(char) {
+  return char === undefined || /\s/.test(char) || char === '(' || char === ')';
+}
+
+// Index of the first boundary at or after `from`.
+function wordEnd(query, from) {
+  let end = from;
+  while (!isBoundary(query[end])) end++;
+  return end;
+}
+
+function dayRange(year, month, day) {
+  return {
+    start: new Date(year, month, day).getTime(),
+    end: new Date(year, month, day + 1).getTime(),
+  };
+}
+
+/**
+ * The period a date value covers, as [start, end) timestamps in local time.
+ * @returns {{start: number, end: number}|null}
+ */
+function parseDateValue(text, now) {
+  let match = text.match(/^(\d{4})$/);
+  if (match) {
+    const year = Number(match[1]);
+    return { start: new Date(year, 0, 1).getTime(), end: new Date(year + 1, 0, 1).getTime() };
+  }
+
+  match = text.match(/^(\d{4})-(\d{1,2})$/);
+  if (match) {
+    const [year, month] = [Number(match[1]), Number(match[2]) - 1];
+    if (month < 0 || month > 11) return null;
+    return {
+      start: new Date(year, month, 1).getTime(),
+      end: new Date(year, month + 1, 1).getTime(),
+    };
+  }
+
+  match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    const [year, month, day] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+    const date = new Date(year, month, day);
+    if (date.getMonth() !== month || date.getDate() !== day) return null;
+    return dayRange(year, month, day);
+  }
+
+  // 30d, 2w, 6m, 1y: the day that long ago.
+  match = text.toLowerCase().match(/^(\d+)([dwmy])$/);
+  if (match) {
+    const date = new Date(now - Number(match[1]) * RELATIVE_UNIT_DAYS[match[2]] * DAY_MS);
+    return dayRange(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  return null;
+}
+
+// Reads a filter value at `from`: "quoted" or up to the next boundary.
+function readValue(query, from) {
+  if (query[from] === '"') {
+    const close = query.indexOf('"', from + 1);
+    if (close === -1) throw new QuerySyntaxError('Unclosed quote', from);
+    return { value: query.slice(from + 1, close), end: close + 1 };
+  }
+  const end = wordEnd(query, from);
+  return { value: query.slice(from, end), end };
+}
+
+function filterToken(name, spec, query, keyStart, valueStart) {
+  const { value, end } = readValue(query, valueStart);
+  if (!value) throw new QuerySyntaxError(`Expected a value after ${name}:`, valueStart);
+
+  let parsed;
+  if (spec.kind === 'yesno') {
+    const answer = value.toLowerCase();
+    if (answer !== 'yes' && answer !== 'no') {
+      throw new QuerySyntaxError(`Expected yes or no after ${name}:`, valueStart);
+    }
+    parsed = answer === 'yes';
+  } else if (spec.kind === 'tag') {
+    parsed = value.replace(/^#/, '').toLowerCase();
+  } else {
+    parsed = spec.kind === 'text' ? value.toLowerCase() : value;
+  }
+  return {
+    type: 'filter',
+    node: { type: 'filter', key: spec.key, value: parsed },
+    pos: keyStart,
+    end,
+  };
+}
+
+function compareToken(name, field, query, keyStart, valueStart, now) {
+  const end = wordEnd(query, valueStart);
+  const text = query.slice(valueStart, end);
+  const [, op = '=', rest] = text.match(/^(>=|<=|>|<|=)?(.*)$/);
+  const restStart = valueStart + text.length - rest.length;
+
+  if (!rest) throw new QuerySyntaxError(`Expected a value after ${name}:${text}`, restStart);
+
+  if (DATE_FIELDS.has(field)) {
+    const range = parseDateValue(rest, now);
+    if (!range) throw new QuerySyntaxError(`Expected ${DATE_HINT}`, restStart);
+    return { type: 'compare', node: { type: 'compare', field, op, ...range }, pos: keyStart, end };
+  }
+
+  if (!/^\d+(\.\d+)?$/.test(rest)) throw new QuerySyntaxError('Expected a number', restStart);
+  const node = { type: 'compare', field, op, value: Number(rest) };
+  return { type: 'compare', node, pos: keyStart, end };
+}
+
+/**
+ * Split a query into tokens.
+ * @returns {{tokens: Array<Object>, semantic: boolean}}
+ */
+function tokenize(query, now) {
+  const tokens = [];
+  let semantic = false;
+  // `~` only counts before the first bit of text, after any field filters.
+  let seenText = false;
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === SEMANTIC_PREFIX && !seenText && !semantic) {
+      semantic = true;
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', pos: i, end: i + 1 });
+      seenText = true;
+      i++;
+      continue;
+    }
+
+    const next = query[i + 1];
+    if ((char === '-' || char === '+') && next && !/\s/.test(next) && next !== ')') {
+      tokens.push({ type: char === '-' ? 'minus' : 'plus', pos: i, end: i + 1 });
+      seenText = true;
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const close = query.indexOf('"', i + 1);
+      if (close === -1) throw new QuerySyntaxError('Unclosed quote', i);
+      const value = query.slice(i + 1, close).trim();
+      if (!value) throw new QuerySyntaxError('Empty quotes', i);
+      tokens.push({ type: 'phrase', value: value.toLowerCase(), pos: i, end: close + 1 });
+      seenText = true;
+      i = close + 1;
+      continue;
+    }
+
+    // /pattern/flags is a regex when it stands on its own; `/docs/api` and an
+    // unclosed `/docs` are ordinary words.
+    if (char === '/') {
+      const close = query.indexOf('/', i + 1);
+      const flags = close > i + 1 ? query.slice(close + 1).match(/^[gimsuvy]*/)[0] : '';
+      if (close > i + 1 && isBoundary(query[close + 1 + flags.length])) {
+        const regex = compileUserRegex(query.slice(i + 1, close), flags);
+        if (!regex) throw new QuerySyntaxError('Invalid or unsafe regular expression', i);
+        tokens.push({ type: 'regex', regex, pos: i, end: close + 1 + flags.length });
+        seenText = true;
+        i = close + 1 + flags.length;
+        continue;
+      }
+    }
+
+    const keyMatch = query.slice(i).match(/^([a-z]+):/i);
+    const name = keyMatch?.[1].toLowerCase();
+    if (name && FILTER_KEYS[name]) {
+      const token = filterToken(name, FILTER_KEYS[name], query, i, i + keyMatch[0].length);
+      tokens.push(token);
+      i = token.end;
+      continue;
+    }
+    if (name && COMPARE_KEYS[name]) {
+      const token = compareToken(name, COMPARE_KEYS[name], query, i, i + keyMatch[0].length, now);
+      tokens.push(token);
+      i = token.end;
+      continue;
+    }
+
+    const end = wordEnd(query, i);
+    const word = query.slice(i, end);
+    tokens.push(
+      OPERATORS[word]
+        ? { type: OPERATORS[word], pos: i, end }
+        : { type: 'word', value: word.toLowerCase(), pos: i, end },
+    );
+    seenText = true;
+    i = end;
+  }
+
+  return { tokens, semantic };
+}
+
+// Recursive-descent parser over the token list:
+//   or    := and (OR and)*
+//   and   := unary ([AND] unary)*
+//   unary := NOT unary | -unary | +unary | primary
+//   primary := ( or ) | word | phrase | regex | filter | compare
+function parseTokens(tokens, queryLength) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const positionOf = (token) => (token ? token.pos : queryLength);
+
+  function expectOperand(after) {
+    const next = peek();
+    if (!next || next.type === 'rparen' || next.type === 'or' || next.type === 'and') {
+      throw new QuerySyntaxError(`Expected a search term after ${after}`, positionOf(next));
+    }
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new QuerySyntaxError('Expected a search term', queryLength);
+
+    switch (token.type) {
+      case 'lparen': {
+        index++;
+        if (peek()?.type === 'rparen') throw new QuerySyntaxError('Empty parentheses', token.pos);
+        const node = parseOr();
+        if (peek()?.type !== 'rparen') {
+          throw new QuerySyntaxError('Missing ) to close this (', token.pos);
+        }
+        index++;
+        return node;
+      }
+      case 'rparen':
+        throw new QuerySyntaxError('Unmatched )', token.pos);
+      case 'or':
+      case 'and':
+        throw new QuerySyntaxError(
+          `Expected a search term before ${token.type.toUpperCase()}`,
+          token.pos,
+        );
+      case 'word':
+        index++;
+        return { type: 'term', value: token.value };
+      case 'phrase':
+        index++;
+        return { type: 'phrase', value: token.value };
+      case 'regex':
+        index++;
+        return { type: 'regex', regex: token.regex };
+      case 'filter':
+      case 'compare':
+        index++;
+        return token.node;
+      default:
+        throw new QuerySyntaxError('Unexpected input', token.pos);
+    }
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token?.type === 'not' || token?.type === 'minus') {
+      index++;
+      expectOperand(token.type === 'not' ? 'NOT' : '-');
+      return { type: 'not', child: parseUnary() };
+    }
+    if (token?.type === 'plus') {
+      index++;
+      expectOperand('+');
+      const node = parseUnary();
+      return node.type === 'term' ? { ...node, required: true } : node;
+    }
+    return parsePrimary();
+  }
+
+  function parseAnd() {
+    const items = [];
+    let explicit = false;
+    for (
+      let token = peek();
+      token && token.type !== 'rparen' && token.type !== 'or';
+      token = peek()
+    ) {
+      if (token.type === 'and') {
+        if (items.length === 0)
+          throw new QuerySyntaxError('Expected a search term before AND', token.pos);
+        index++;
+        expectOperand('AND');
+        explicit = true;
+        continue;
+      }
+      items.push(parseUnary());
+    }
+    if (items.length === 0)
+      throw new QuerySyntaxError('Expected a search term', positionOf(peek()));
+
+    // Plain words side by side match any of them, as they always have.
+    const words = explicit ? [] : items.filter((node) => node.type === 'term' && !node.required);
+    const children =
+      words.length > 0
+        ? [{ type: 'any', children: words }, ...items.filter((node) => !words.includes(node))]
+        : items;
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      index++;
+      expectOperand('OR');
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  const ast = parseOr();
+  if (index < tokens.length) throw new QuerySyntaxError('Unmatched )', tokens[index].pos);
+  return ast;
+}
+
+/**
+ * Parse a search query into an expression tree.
+ *
+ * Nodes are `and`/`or`/`any` (with `children`), `not` (with `child`), `term`
+ * and `phrase` (lower-cased `value`; a `+term` is `required`), `regex`,
+ * `filter` (`key`, `value`) and `compare` (`field`, `op`, and a `value` for
+ * numbers or the `start`/`end` of the period a date covers).
+ *
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.now] Reference time for relative dates such as 30d
+ * @returns {{ast: Object|null, semantic: boolean,
+ *   error: {message: string, position: number}|null}} `ast` is null for an
+ *   empty query or an error
+ */
+export function parseQuery(query, options = {}) {
+  const text = query || '';
+  const { now = Date.now() } = options;
+  try {
+    const { tokens, semantic } = tokenize(text, now);
+    if (tokens.length === 0) return { ast: null, semantic, error: null };
+    return { ast: parseTokens(tokens, text.length), semantic, error: null };
+  } catch (err) {
+    if (!(err instanceof QuerySyntaxError)) throw err;
+    return { ast: null, semantic: false, error: { message: err.message, position: err.position } };
+  }
+}
+
+/**
+ * The words, phrases and regexes a parsed query looks for, in the flat shape
+ * used for ranking, highlighting and the search box's term chips. Anything
+ * under a NOT is `negative`; regexes under a NOT are left out.
+ * @param {Object|null} ast
+ * @returns {{positive: string[], negative: string[], phrases: string[],
+ *   regular: string[], regexPatterns: RegExp[]}}
+ */
+export function summarizeQuery(ast) {
+  const summary = { positive: [], negative: [], phrases: [], regular: [], regexPatterns: [] };
+
+  (function walk(node, negated) {
+    if (!node) return;
+    switch (node.type) {
+      case 'and':
+      case 'or':
+      case 'any':
+        node.children.forEach((child) => walk(child, negated));
+        break;
+      case 'not':
+        walk(node.child, !negated);
+        break;
+      case 'term':
+        if (negated) summary.negative.push(node.value);
+        else (node.required ? summary.positive : summary.regular).push(node.value);
+        break;
+      case 'phrase':
+        (negated ? summary.negative : summary.phrases).push(node.value);
+        break;
+      case 'regex':
+        if (!negated) summary.regexPatterns.push(node.regex);
+        break;
+    }
+  })(ast, false);
+
+  return summary;
+}
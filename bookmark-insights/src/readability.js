@@ -0,0 +1,162 @@
+// Readable-text extraction for the page archive.
+//
+// A regex pass in the spirit of Readability, because the service worker that
+// runs enrichment has no DOMParser. It narrows the page to its <article> or
+// <main> when there is one, then keeps the headings, paragraphs, list items,
+// quotes and code blocks that read like prose: long enough to be sentences and
+// not mostly links. Navigation menus, link farms and cookie banners fall out on
+// those two tests alone.
+//
+// The result is plain text in typed blocks, never markup, so the reader view
+// can render it with text interpolation and nothing from the page executes.
+
+// Elements whose contents are never article text.
+const NOISE_ELEMENTS =
+  /<(script|style|noscript|template|svg|nav|header|footer|aside|form|iframe|button|select|textarea)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+const BLOCK_ELEMENTS = /<(h[1-6]|p|li|blockquote|pre)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi;
+
+const LINK_ELEMENTS = /<a\b[^>]*>([\s\S]*?)<\/a\s*>/gi;
+
+// Short fragments and link-dominated blocks are chrome, not content.
+const MIN_PARAGRAPH_CHARS = 40;
+const MIN_LIST_ITEM_CHARS = 20;
+const MAX_HEADING_CHARS = 200;
+const MAX_LINK_DENSITY = 0.5;
+
+// Below this much prose the page is an app shell, a listing or a login wall.
+const MIN_ARTICLE_CHARS = 250;
+
+const BOILERPLATE = /\b(cookies?|all rights reserved|subscribe to our newsletter|sign up for)\b/i;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  copy: '©',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function toText(html, preserveWhitespace = false) {
+  const text = decodeEntities(
+    html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, preserveWhitespace ? '' : ' '),
+  );
+  return preserveWhitespace ? text.replace(/^\n+|\s+$/g, '') : text.replace(/\s+/g, ' ').trim();
+}
+
+// The largest <article>, else <main>, else the whole body.
+function contentRoot(html) {
+  for (const tag of ['article', 'main']) {
+    const pattern = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}\\s*>`, 'gi');
+    let best = null;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      if (!best || match[1].length > best.length) best = match[1];
+    }
+    if (best && toText(best).length >= MIN_ARTICLE_CHARS) return best;
+  }
+  return html;
+}
+
+function blockType(tag) {
+  if (tag[0] === 'h') return 'heading';
+  if (tag === 'li') return 'item';
+  if (tag === 'blockquote') return 'quote';
+  if (tag === 'pre') return 'code';
+  return 'paragraph';
+}
+
+function keepBlock(type, text, inner) {
+  if (!text) return false;
+  if (type === 'heading') return text.length <= MAX_HEADING_CHARS;
+  if (type === 'code') return true;
+
+  const minChars = type === 'item' ? MIN_LIST_ITEM_CHARS : MIN_PARAGRAPH_CHARS;
+  if (text.length < minChars) return false;
+  if (type !== 'quote' && BOILERPLATE.test(text) && text.length < 300) return false;
+
+  let linkChars = 0;
+  for (const link of inner.matchAll(LINK_ELEMENTS)) linkChars += toText(link[1]).length;
+  return linkChars / text.length <= MAX_LINK_DENSITY;
+}
+
+/**
+ * Extract a page's readable text.
+ *
+ * @param {string} html Raw page HTML.
+ * @param {Object} [options]
+ * @param {number} [options.maxChars=100000] Text beyond this is dropped and `truncated` set.
+ * @returns {{blocks: Array<{type: string, text: string}>, textLength: number,
+ *   wordCount: number, truncated: boolean}|null} Null when the page has too
+ *   little prose to be worth keeping.
+ */
+export function extractArticle(html, options = {}) {
+  const { maxChars = 100000 } = options;
+  if (!html) return null;
+
+  const headEnd = html.search(/<\/head\s*>/i);
+  const body = (headEnd === -1 ? html : html.slice(headEnd))
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(NOISE_ELEMENTS, '');
+  const root = contentRoot(body);
+
+  const blocks = [];
+  let textLength = 0;
+  let proseLength = 0;
+  let truncated = false;
+
+  for (const [, tag, inner] of root.matchAll(BLOCK_ELEMENTS)) {
+    const type = blockType(tag.toLowerCase());
+    let text = toText(inner, type === 'code');
+    if (!keepBlock(type, text, inner)) continue;
+    // Some templates repeat the title or a pull quote back to back.
+    if (blocks.length > 0 && blocks[blocks.length - 1].text === text) continue;
+
+    if (textLength + text.length > maxChars) {
+      text = text.slice(0, Math.max(0, maxChars - textLength));
+      truncated = true;
+    }
+    if (text) {
+      blocks.push({ type, text });
+      textLength += text.length;
+      if (type !== 'heading') proseLength += text.length;
+    }
+    if (truncated) break;
+  }
+
+  if (proseLength < MIN_ARTICLE_CHARS) return null;
+
+  const wordCount = blocks.reduce((sum, block) => sum + block.text.split(/\s+/).length, 0);
+  return { blocks, textLength, wordCount, truncated };
+}
+
+/**
+ * The archived blocks as one searchable string.
+ * @param {Array<{text: string}>} blocks
+ * @returns {string}
+ */
+export function articleText(blocks) {
+  return blocks.map((block) => block.text).join('\n\n');
+}
@@ -0,0 +1,60 @@
+// Triage for Chrome's reading list: bulk "mark read" and promotion of entries
+// to real bookmarks. Used by the side panel's reading-list view.
+//
+// Promotion creates the bookmark, hands the entry's enrichment to the new
+// record, then removes the entry - in that order, so a failure part-way leaves
+// the page in the reading list rather than nowhere.
+
+import { adoptReadingListMeta, removeFromReadingList, updateReadingListItem } from './db.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Unread entries added more than `days` days ago.
+ * @param {Array<Object>} items From getReadingListItems()
+ * @param {number} days
+ * @param {number} [now]
+ * @returns {Array<Object>}
+ */
+export function selectUnreadOlderThan(items, days, now = Date.now()) {
+  const cutoff = now - days * DAY_MS;
+  return items.filter((item) => !item.hasBeenRead && item.creationTime < cutoff);
+}
+
+/**
+ * Mark several entries read.
+ * @param {Array<{url: string}>} items
+ * @returns {Promise<number>} Entries updated
+ */
+export async function markReadingListItemsRead(items) {
+  let updated = 0;
+  for (const item of items) {
+    if (await updateReadingListItem(item.url, true)) updated++;
+  }
+  return updated;
+}
+
+/**
+ * Turn reading-list entries into bookmarks in one folder, keeping their
+ * enrichment, and take them off the reading list.
+ *
+ * @param {Array<{url: string, title: string}>} items
+ * @param {string} parentId Destination folder id
+ * @returns {Promise<{promoted: number, failed: number}>}
+ */
+export async function promoteReadingListItems(items, parentId) {
+  let promoted = 0;
+  let failed = 0;
+  for (const item of items) {
+    try {
+      const node = await chrome.bookmarks.create({ parentId, title: item.title, url: item.url });
+      await adoptReadingListMeta(node);
+      await removeFromReadingList(item.url);
+      promoted++;
+    } catch (error) {
+      console.error(`Error promoting reading list item ${item.url}:`, error);
+      failed++;
+    }
+  }
+  return { promoted, failed };
+}
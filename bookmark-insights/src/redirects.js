@@ -0,0 +1,215 @@
+// Redirect tracking for bookmarks whose pages have moved.
+//
+// Link checks follow redirects, so a bookmark to an `http://` or old-domain
+// address reads as alive forever while every visit bounces through the
+// redirect. The checks now record where the URL ended up, and enrichment
+// records the page's `<link rel="canonical">`.
+//
+// fetch() hides the status codes along a redirect chain, so a 301 and a 302
+// look the same from here. A redirect counts as permanent once separate checks
+// have landed on the same target, which is also how network failures are
+// confirmed before a link is called dead. Redirects to a sign-in page, or from
+// a deep link to the site's front page, are not moves and are never offered.
+//
+// Updating a bookmark goes through chrome.bookmarks, so each change also shows
+// in the bookmark's own history. A batch is written to a single `url-move`
+// event, which is what makes the batch undoable as a whole.
+
+import { getEventsByType, logEvent } from './db.js';
+
+// Checks that must land on the same target before a redirect counts as a move.
+export const REDIRECT_CONFIRMATIONS = 2;
+
+const SIGN_IN_PATH =
+  /\/(log-?in|log-?on|sign-?in|sso|oauth2?|auth|authorize|authenticate|session|account\/login)(\/|\.|$)/i;
+
+function parseHttpUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function withoutHash(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed) return url;
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Fold one link check into a bookmark's redirect record.
+ * @param {Object|null} previous The stored record
+ * @param {string} url The bookmark's URL
+ * @param {string|null} finalUrl Where the check ended up, when it was redirected
+ * @param {number} [now]
+ * @returns {{url: string, count: number, firstSeen: number, lastSeen: number}|null}
+ *   Null when the check was not redirected.
+ */
+export function noteRedirect(previous, url, finalUrl, now = Date.now()) {
+  if (!finalUrl || !parseHttpUrl(finalUrl) || withoutHash(url) === withoutHash(finalUrl)) {
+    return null;
+  }
+  if (previous?.url === finalUrl) {
+    return { ...previous, count: previous.count + 1, lastSeen: now };
+  }
+  return { url: finalUrl, count: 1, firstSeen: now, lastSeen: now };
+}
+
+/**
+ * A page's canonical link as an absolute http(s) URL, or null.
+ * @param {string} href As written in the page
+ * @param {string} base The URL the page was served from
+ * @returns {string|null}
+ */
+export function resolveCanonical(href, base) {
+  if (!href) return null;
+  try {
+    return parseHttpUrl(new URL(href.trim(), base).href)?.href || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a redirect from `from` to `to` looks like the page moving, rather
+ * than a sign-in wall or a removed page sent to the front page.
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function isLikelyMove(from, to) {
+  const source = parseHttpUrl(from);
+  const target = parseHttpUrl(to);
+  if (!source || !target) return false;
+  if (withoutHash(from) === withoutHash(to)) return false;
+  if (SIGN_IN_PATH.test(target.pathname)) return false;
+  if (source.pathname !== '/' && target.pathname === '/' && !target.search) return false;
+  return true;
+}
+
+/**
+ * The URL a bookmark should be updated to, or null when it has not moved.
+ * The page's canonical URL wins over the redirect target when both are on the
+ * same site, since it drops tracking parameters and session paths. A fragment
+ * in the bookmark is kept; redirects never carry one.
+ * @param {Object} bookmark
+ * @returns {string|null}
+ */
+export function movedTarget(bookmark) {
+  const redirect = bookmark.redirect;
+  if (!redirect || redirect.count < REDIRECT_CONFIRMATIONS) return null;
+
+  let target = redirect.url;
+  const canonical = parseHttpUrl(bookmark.canonicalUrl);
+  if (canonical && canonical.origin === parseHttpUrl(target)?.origin) target = canonical.href;
+  if (!isLikelyMove(bookmark.url, target)) return null;
+
+  const source = new URL(bookmark.url);
+  const next = new URL(target);
+  if (source.hash && !next.hash) next.hash = source.hash;
+  return next.href === bookmark.url ? null : next.href;
+}
+
+/**
+ * Live bookmarks whose URL permanently redirects, newest redirect first.
+ * @param {Array<Object>} bookmarks
+ * @returns {Array<{id: string, title: string, url: string, to: string,
+ *   folderPath: string, since: number}>}
+ */
+export function findMovedBookmarks(bookmarks) {
+  const moved = [];
+  for (const bookmark of bookmarks) {
+    if (bookmark.isAlive === false) continue;
+    const to = movedTarget(bookmark);
+    if (!to) continue;
+    moved.push({
+      id: bookmark.id,
+      title: bookmark.title,
+      url: bookmark.url,
+      to,
+      folderPath: bookmark.folderPath || '',
+      since: bookmark.redirect.firstSeen,
+    });
+  }
+  return moved.sort((a, b) => b.since - a.since);
+}
+
+/**
+ * Point bookmarks at their new URLs as one undoable batch.
+ * @param {Array<{id: string, to: string}>} moves
+ * @returns {Promise<{moveId: string, updated: number,
+ *   errors: Array<{id: string, error: string}>}>}
+ */
+export async function applyUrlMoves(moves) {
+  const moveId = `move-${crypto.randomUUID()}`;
+  const changes = [];
+  const errors = [];
+
+  for (const { id, to } of moves) {
+    try {
+      const [node] = await chrome.bookmarks.get(id);
+      if (node.url === to) continue;
+      await chrome.bookmarks.update(id, { url: to });
+      changes.push({ id, from: node.url, to });
+    } catch (error) {
+      console.error(`Error updating the URL of bookmark ${id}:`, error);
+      errors.push({ id, error: error.message });
+    }
+  }
+
+  await logEvent(null, 'url-move', { moveId, changes, failed: errors.length });
+  return { moveId, updated: changes.length, errors };
+}
+
+/**
+ * Put a batch's bookmarks back on their old URLs. A bookmark whose URL has
+ * changed again since is left alone.
+ * @param {string} moveId
+ * @returns {Promise<{undone: number, errors: Array<{id: string, error: string}>}>}
+ */
+export async function undoUrlMoves(moveId) {
+  const batch = (await getEventsByType('url-move')).find((event) => event.moveId === moveId);
+  if (!batch) throw new Error('Batch not found');
+
+  const errors = [];
+  let undone = 0;
+  for (const change of batch.changes) {
+    try {
+      const [node] = await chrome.bookmarks.get(change.id);
+      if (node.url !== change.to) throw new Error('The URL has changed again since');
+      await chrome.bookmarks.update(change.id, { url: change.from });
+      undone++;
+    } catch (error) {
+      errors.push({ id: change.id, error: error.message });
+    }
+  }
+
+  await logEvent(null, 'url-move-undo', { moveId, undone, failed: errors.length });
+  return { undone, errors };
+}
+
+/**
+ * Recent URL update batches, newest first.
+ * @param {number} [limit]
+ * @returns {Promise<Array<{moveId: string, timestamp: number, updated: number,
+ *   undone: boolean}>>}
+ */
+export async function getRecentUrlMoves(limit = 5) {
+  const [batches, undos] = await Promise.all([
+    getEventsByType('url-move'),
+    getEventsByType('url-move-undo'),
+  ]);
+  const undoneBatches = new Set(undos.map((event) => event.moveId));
+  return batches
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit)
+    .map((event) => ({
+      moveId: event.moveId,
+      timestamp: event.timestamp,
+      updated: event.changes.length,
+      undone: undoneBatches.has(event.moveId),
+    }));
+}
@@ -0,0 +1,66 @@
+// "Related bookmarks": the nearest neighbours of one bookmark, for the
+// dashboard's inline panel and the side panel's hover card.
+//
+// The whole library is scored at once in the analysis worker and cached in
+// computedMetrics, so after the first request every lookup is a cache read.
+// Adding, deleting, editing or enriching bookmarks invalidates the cache.
+
+import { getAllBookmarks, getRelatedBookmarksMetric } from './db.js';
+import { runRelatedAnalysis } from './analysis-client.js';
+import { getTopicDisplayName } from './topics.js';
+
+// Stored per bookmark; the panels show fewer.
+const RELATED_STORED_PER_BOOKMARK = 8;
+
+// Concurrent hovers share one computation instead of each starting their own.
+let computePromise = null;
+
+function loadRelatedIndex() {
+  if (!computePromise) {
+    computePromise = getRelatedBookmarksMetric(async () => {
+      const bookmarks = await getAllBookmarks();
+      const { related } = await runRelatedAnalysis(bookmarks, {
+        limit: RELATED_STORED_PER_BOOKMARK,
+      });
+      return related;
+    }).finally(() => {
+      computePromise = null;
+    });
+  }
+  return computePromise;
+}
+
+/**
+ * Short labels explaining why a neighbour was picked, strongest first.
+ * @param {{topics: string[], titleOverlap: number, creator: string|null, sameDomain: boolean}} reasons
+ * @returns {string[]}
+ */
+export function describeRelatedReasons(reasons) {
+  const labels = [];
+  if (reasons.creator === 'repo') labels.push('Same repo');
+  else if (reasons.creator === 'creator') labels.push('Same creator');
+  for (const topic of reasons.topics.slice(0, 2)) labels.push(getTopicDisplayName(topic));
+  if (reasons.titleOverlap >= 0.2) labels.push('Similar title');
+  if (reasons.sameDomain) labels.push('Same site');
+  return labels;
+}
+
+/**
+ * The top neighbours of a bookmark, hydrated into full records.
+ *
+ * @param {string} bookmarkId
+ * @param {number} [limit]
+ * @returns {Promise<Array<{bookmark: Object, score: number, reasons: Object}>>}
+ */
+export async function getRelatedBookmarks(bookmarkId, limit = 5) {
+  const related = await loadRelatedIndex();
+  const neighbours = (related?.[bookmarkId] || []).slice(0, limit);
+  if (neighbours.length === 0) return [];
+
+  const bookmarks = await getAllBookmarks();
+  const byId = new Map(bookmarks.map((bookmark) => [bookmark.id, bookmark]));
+
+  return neighbours
+    .map(({ id, score, reasons }) => ({ bookmark: byId.get(id), score, reasons }))
+    .filter((entry) => entry.bookmark);
+}
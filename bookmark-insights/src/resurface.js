@@ -0,0 +1,99 @@
+// Spaced-repetition scheduling for bookmarks worth revisiting.
+//
+// A bookmark marked "revisit" carries a `revisit` record with an SM-2 style
+// schedule: an ease factor, the current interval in days, the number of
+// reviews so far and the time it is next due. Each review is graded, and the
+// grade decides how far out the next one lands. Opening the page yourself
+// counts as a review too; opening it before it is due restarts the clock on
+// the current interval rather than moving the schedule along.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// "Not now" asks again this many days later. It is a deferral, not a review:
+// the interval and the review count stay where they were.
+const NOT_NOW_DAYS = 3;
+
+// SM-2 response quality (0-5) for each review grade. Archive has none: it
+// takes the bookmark off the schedule.
+const GRADE_QUALITY = {
+  useful: 5,
+  visit: 4,
+  notNow: 3,
+  archive: null,
+};
+
+/**
+ * A fresh schedule for a bookmark just marked "revisit". The first review is
+ * due a day later.
+ * @param {number} [now]
+ * @returns {Object}
+ */
+export function createRevisit(now = Date.now()) {
+  return {
+    ease: INITIAL_EASE,
+    interval: 1,
+    repetitions: 0,
+    scheduledAt: now,
+    lastReviewed: null,
+    due: now + DAY_MS,
+  };
+}
+
+// SM-2's ease update for a review of quality `q`, rounded to hundredths.
+function nextEase(ease, q) {
+  const next = Math.max(MIN_EASE, ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+  return Math.round(next * 100) / 100;
+}
+
+/**
+ * Apply one graded review to a schedule.
+ * @param {Object} revisit - The bookmark's current `revisit` record
+ * @param {string} grade - 'useful', 'notNow', 'archive' or 'visit'
+ * @param {number} [now]
+ * @returns {Object|null} The next schedule, or null when the grade retires it
+ */
+export function reviewRevisit(revisit, grade, now = Date.now()) {
+  const q = GRADE_QUALITY[grade];
+  if (q === undefined) throw new Error(`Unknown review grade: ${grade}`);
+  if (q === null) return null;
+
+  const state = revisit || createRevisit(now);
+  if (grade === 'notNow') {
+    // The ease still drops, so later reviews spread out more slowly.
+    return {
+      ...state,
+      ease: nextEase(state.ease, q),
+      lastReviewed: now,
+      due: now + NOT_NOW_DAYS * DAY_MS,
+    };
+  }
+  if (now < state.due) {
+    return { ...state, lastReviewed: now, due: now + state.interval * DAY_MS };
+  }
+
+  const ease = nextEase(state.ease, q);
+  // Marking a bookmark sets SM-2's first one-day interval; its second, six
+  // days, follows the first review.
+  const interval = state.repetitions === 0 ? 6 : Math.round(state.interval * ease);
+
+  return {
+    ...state,
+    ease,
+    interval,
+    repetitions: state.repetitions + 1,
+    lastReviewed: now,
+    due: now + interval * DAY_MS,
+  };
+}
+
+/**
+ * Whole days until a schedule is due; 0 or less means it is due now.
+ * @param {Object} revisit
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function daysUntilDue(revisit, now = Date.now()) {
+  return Math.ceil((revisit.due - now) / DAY_MS);
+}
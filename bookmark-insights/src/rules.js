@@ -0,0 +1,401 @@
+// Automation rules: "when a bookmark matches this query, do that".
+//
+// A rule is a query in the search language plus one action: move to a folder,
+// move to the trash, or add to Chrome's reading list. Rules run on new
+// bookmarks, on bookmarks whose enrichment just finished, and on demand over
+// the whole library. They are tried top to bottom, and the first rule that
+// would actually change a bookmark handles it.
+//
+// Every action is logged to `events` under one run id, which is what makes a
+// run undoable: moved bookmarks go back to the folder they came from, trashed
+// ones come back out of the trash and reading-list entries are removed. The
+// automatic triggers never repeat what a rule has already done to a page, so
+// an undone action stays undone instead of returning with the next enrichment.
+
+import {
+  getAllBookmarks,
+  getBookmarksByIds,
+  getAutomationRules,
+  getReadingListItems,
+  getEventsByType,
+  getEventsForUrls,
+  logEvent,
+  deleteBookmarks,
+  restoreFromTrash,
+  addToReadingList,
+  removeFromReadingList,
+} from './db.js';
+import { filterBookmarksByQuery } from './search.js';
+import { parseQuery } from './query-parser.js';
+
+const RULE_ACTIONS = ['move', 'trash', 'readingList'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bookmarks listed per rule in a dry run; the count covers the rest.
+const PREVIEW_LIMIT = 20;
+
+// A folder path that names no root folder is created under Other Bookmarks,
+// the same default the folder suggestions use.
+const DEFAULT_ROOT_ID = '2';
+
+// One-off actions from the command palette run as this rule. It is never
+// saved; its runs show up in the rule history and undo like any other.
+const PALETTE_RULE = { id: 'palette', name: 'Command palette', enabled: true, minAgeDays: null };
+
+function splitFolderPath(path) {
+  return String(path || '')
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Why a rule cannot run, or null when it can.
+ * @param {Object} rule
+ * @returns {string|null}
+ */
+export function validateRule(rule) {
+  const query = (rule.query || '').trim();
+  if (!query) return 'A rule needs a query';
+  const { semantic, error } = parseQuery(query);
+  if (error) return `Query error at character ${error.position + 1}: ${error.message}`;
+  if (semantic) return 'Rules cannot use semantic (~) search';
+  return validateAction(rule);
+}
+
+function validateAction(rule) {
+  if (!RULE_ACTIONS.includes(rule.action)) return 'Choose what the rule should do';
+  if (rule.action === 'move' && splitFolderPath(rule.folder).length === 0) {
+    return 'Choose a folder to move bookmarks to';
+  }
+  if (rule.minAgeDays !== null && rule.minAgeDays !== undefined && !(rule.minAgeDays >= 0)) {
+    return 'The age limit must be a number of days';
+  }
+  return null;
+}
+
+/**
+ * One-line summary of a rule's action, e.g. "Move to /Code/Repos".
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function describeRuleAction(rule) {
+  if (rule.action === 'move') return `Move to /${splitFolderPath(rule.folder).join('/')}`;
+  if (rule.action === 'trash') return 'Move to trash';
+  return 'Add to reading list';
+}
+
+// Where a folder path points: the root it starts in, the folder titles below
+// that, and the `folderPath` a bookmark inside it would have.
+function locateFolder(path, roots) {
+  const segments = splitFolderPath(path);
+  const named = roots.find((root) => root.title.toLowerCase() === segments[0]?.toLowerCase());
+  const root = named || roots.find((r) => r.id === DEFAULT_ROOT_ID) || roots[0];
+  const titles = named ? segments.slice(1) : segments;
+  return { root, titles, folderPath: [root.title, ...titles].join('/') };
+}
+
+// Whether the rule's action would change the bookmark at all.
+function wouldChange(rule, bookmark, targetPath, readingListUrls) {
+  if (targetPath !== null && (bookmark.folderPath || '').toLowerCase() === targetPath) {
+    return false;
+  }
+  return !(rule.action === 'readingList' && readingListUrls.has(bookmark.url));
+}
+
+// The folder's id, creating whatever part of the path does not exist yet.
+async function ensureFolder({ root, titles }) {
+  let parentId = root.id;
+  for (const title of titles) {
+    const children = await chrome.bookmarks.getChildren(parentId);
+    const existing = children.find(
+      (child) => !child.url && child.title.toLowerCase() === title.toLowerCase(),
+    );
+    parentId = existing ? existing.id : (await chrome.bookmarks.create({ parentId, title })).id;
+  }
+  return parentId;
+}
+
+/**
+ * Work out which bookmarks each rule would act on, without acting.
+ *
+ * @param {Array<Object>} rules In priority order; disabled and invalid rules are ignored
+ * @param {Array<Object>} bookmarks Candidates
+ * @param {Object} context
+ * @param {Array<{id: string, title: string}>} context.roots Root folders, from chrome.bookmarks.getChildren('0')
+ * @param {Set<string>} context.readingListUrls Already on the reading list
+ * @param {(rule: Object, bookmark: Object) => boolean} [context.skip] Leave this pair alone
+ * @param {number} [context.now]
+ * @returns {Promise<Array<{rule: Object, bookmarks: Array<Object>}>>}
+ */
+export async function planRules(rules, bookmarks, context) {
+  const { roots, readingListUrls, skip = () => false, now = Date.now() } = context;
+  const handled = new Set();
+  const plan = [];
+
+  for (const rule of rules) {
+    if (!rule.enabled || validateRule(rule)) continue;
+
+    const cutoff = rule.minAgeDays ? now - rule.minAgeDays * DAY_MS : null;
+    const targetPath =
+      rule.action === 'move' ? locateFolder(rule.folder, roots).folderPath.toLowerCase() : null;
+
+    const candidates = bookmarks.filter(
+      (bookmark) =>
+        !handled.has(bookmark.id) && (cutoff === null || (bookmark.dateAdded || now) <= cutoff),
+    );
+    const matched = await filterBookmarksByQuery(candidates, rule.query);
+
+    // Already where the rule would put it: not this rule's to handle.
+    const selected = matched.filter(
+      (bookmark) =>
+        wouldChange(rule, bookmark, targetPath, readingListUrls) && !skip(rule, bookmark),
+    );
+
+    for (const bookmark of selected) handled.add(bookmark.id);
+    plan.push({ rule, bookmarks: selected });
+  }
+
+  return plan;
+}
+
+async function applyRule(rule, bookmarks, { runId, trigger, roots }) {
+  const result = {
+    ruleId: rule.id,
+    name: rule.name,
+    action: describeRuleAction(rule),
+    applied: 0,
+    failed: 0,
+  };
+  if (bookmarks.length === 0) return result;
+
+  const logAction = (bookmark, extra = {}) =>
+    logEvent(bookmark.id, 'rule', {
+      runId,
+      trigger,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      action: rule.action,
+      url: bookmark.url,
+      title: bookmark.title,
+      ...extra,
+    });
+
+  if (rule.action === 'trash') {
+    const { deletedIds, errors } = await deleteBookmarks(bookmarks.map((b) => b.id));
+    const deleted = new Set(deletedIds);
+    for (const bookmark of bookmarks) {
+      if (deleted.has(bookmark.id)) await logAction(bookmark);
+    }
+    result.applied = deletedIds.length;
+    result.failed = errors.length;
+    return result;
+  }
+
+  const toParentId =
+    rule.action === 'move' ? await ensureFolder(locateFolder(rule.folder, roots)) : null;
+
+  for (const bookmark of bookmarks) {
+    try {
+      if (rule.action === 'move') {
+        const fromParentId = bookmark.parentId;
+        await chrome.bookmarks.move(bookmark.id, { parentId: toParentId });
+        await logAction(bookmark, { fromParentId, toParentId });
+      } else {
+        if (!(await addToReadingList(bookmark))) throw new Error('Could not add to reading list');
+        await logAction(bookmark);
+      }
+      result.applied++;
+    } catch (error) {
+      console.error(`Error applying rule "${rule.name}" to ${bookmark.id}:`, error);
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Run the automation rules, or preview what they would do.
+ *
+ * @param {Object} [options]
+ * @param {'manual'|'create'|'enrichment'} [options.trigger='manual'] Automatic
+ *   triggers skip pages a rule has acted on before
+ * @param {string[]|null} [options.bookmarkIds] Limit to these bookmarks
+ * @param {Array<Object>|null} [options.rules] Run these instead of the saved rules, e.g. a draft
+ * @param {boolean} [options.dryRun=false] Report matches without acting
+ * @returns {Promise<{runId: string|null, dryRun: boolean, rules: Array<Object>}>}
+ */
+export async function runAutomationRules(options = {}) {
+  const { trigger = 'manual', bookmarkIds = null, dryRun = false } = options;
+  const rules = (options.rules || (await getAutomationRules())).filter((rule) => rule.enabled);
+  if (rules.length === 0) return { runId: null, dryRun, rules: [] };
+
+  const bookmarks = bookmarkIds ? await getBookmarksByIds(bookmarkIds) : await getAllBookmarks();
+
+  const [roots, readingList] = await Promise.all([
+    chrome.bookmarks.getChildren('0'),
+    getReadingListItems(),
+  ]);
+
+  let skip;
+  if (trigger !== 'manual') {
+    const urls = bookmarks.map((bookmark) => bookmark.url);
+    const acted = new Set(
+      (await getEventsForUrls('rule', urls)).map((e) => `${e.ruleId} ${e.url}`),
+    );
+    skip = (rule, bookmark) => acted.has(`${rule.id} ${bookmark.url}`);
+  }
+
+  const plan = await planRules(rules, bookmarks, {
+    roots,
+    readingListUrls: new Set(readingList.map((item) => item.url)),
+    skip,
+  });
+
+  if (dryRun) {
+    return {
+      runId: null,
+      dryRun,
+      rules: plan.map(({ rule, bookmarks: matched }) => ({
+        ruleId: rule.id,
+        name: rule.name,
+        action: describeRuleAction(rule),
+        matched: matched.length,
+        preview: matched.slice(0, PREVIEW_LIMIT).map(({ id, title, url, folderPath }) => ({
+          id,
+          title,
+          url,
+          folderPath,
+        })),
+      })),
+    };
+  }
+
+  const runId = newRunId();
+  const results = [];
+  for (const { rule, bookmarks: matched } of plan) {
+    results.push(await applyRule(rule, matched, { runId, trigger, roots }));
+  }
+  return { runId, dryRun, rules: results };
+}
+
+// Create-triggered runs during an import start many times a millisecond, and
+// undo reverts by runId, so the id must not come from the clock.
+function newRunId() {
+  return `run-${crypto.randomUUID()}`;
+}
+
+/**
+ * Apply one action without saving a rule: to the bookmarks a query matches,
+ * to chosen bookmarks, or to the chosen ones the query matches. The command
+ * palette's bulk actions and `query → action` chains run here.
+ *
+ * @param {Object} options
+ * @param {'move'|'trash'|'readingList'} options.action
+ * @param {string} [options.folder] Folder path, for 'move'
+ * @param {string} [options.query] Search-language query
+ * @param {string[]|null} [options.bookmarkIds] Limit to these bookmarks
+ * @returns {Promise<{runId: string|null, matched: number, applied: number, failed: number}>}
+ * @throws {Error} When the action is incomplete, or neither a query nor bookmarks are given
+ */
+export async function runBookmarkAction(options) {
+  const { query = '', bookmarkIds = null } = options;
+  const rule = { ...PALETTE_RULE, action: options.action, folder: options.folder, query };
+  const error = query.trim() ? validateRule(rule) : validateAction(rule);
+  if (error) throw new Error(error);
+  if (!query.trim() && !bookmarkIds) throw new Error('Choose bookmarks or a query to act on');
+
+  const bookmarks = bookmarkIds ? await getBookmarksByIds(bookmarkIds) : await getAllBookmarks();
+
+  const [roots, readingList] = await Promise.all([
+    chrome.bookmarks.getChildren('0'),
+    getReadingListItems(),
+  ]);
+  const readingListUrls = new Set(readingList.map((item) => item.url));
+  const targetPath =
+    rule.action === 'move' ? locateFolder(rule.folder, roots).folderPath.toLowerCase() : null;
+
+  const matched = (await filterBookmarksByQuery(bookmarks, query)).filter((bookmark) =>
+    wouldChange(rule, bookmark, targetPath, readingListUrls),
+  );
+  if (matched.length === 0) return { runId: null, matched: 0, applied: 0, failed: 0 };
+
+  const runId = newRunId();
+  const { applied, failed } = await applyRule(rule, matched, { runId, trigger: 'palette', roots });
+  return { runId, matched: matched.length, applied, failed };
+}
+
+/**
+ * Reverse every action of one run.
+ * @param {string} runId
+ * @returns {Promise<{undone: number, errors: Array<{id: string, error: string}>}>}
+ * @throws {Error} When the run has already been undone
+ */
+export async function undoRuleRun(runId) {
+  // A second undo would move back whatever has been moved since.
+  const undos = await getEventsByType('rule-undo');
+  if (undos.some((event) => event.runId === runId)) throw new Error('Run already undone');
+  const events = (await getEventsByType('rule')).filter((event) => event.runId === runId);
+  const errors = [];
+  let undone = 0;
+
+  for (const event of events) {
+    try {
+      if (event.action === 'move') {
+        await chrome.bookmarks.move(event.bookmarkId, { parentId: event.fromParentId });
+      } else if (event.action === 'readingList') {
+        if (!(await removeFromReadingList(event.url))) throw new Error('Not on the reading list');
+      } else {
+        continue;
+      }
+      undone++;
+    } catch (error) {
+      errors.push({ id: event.bookmarkId, error: error.message });
+    }
+  }
+
+  // The trash keeps records under their original ids, which is what the events hold.
+  const trashedIds = events.filter((e) => e.action === 'trash').map((e) => e.bookmarkId);
+  if (trashedIds.length > 0) {
+    const restored = await restoreFromTrash(trashedIds);
+    undone += restored.restored;
+    errors.push(...restored.errors);
+  }
+
+  await logEvent(null, 'rule-undo', { runId, undone, failed: errors.length });
+  return { undone, errors };
+}
+
+/**
+ * Recent rule runs that did something, newest first.
+ * @param {number} [limit]
+ * @returns {Promise<Array<{runId: string, trigger: string, timestamp: number,
+ *   actions: number, rules: string[], undone: boolean}>>}
+ */
+export async function getRecentRuleRuns(limit = 10) {
+  const [events, undos] = await Promise.all([
+    getEventsByType('rule'),
+    getEventsByType('rule-undo'),
+  ]);
+  const undoneRuns = new Set(undos.map((event) => event.runId));
+
+  const runs = new Map();
+  for (const event of events) {
+    if (!runs.has(event.runId)) {
+      runs.set(event.runId, {
+        runId: event.runId,
+        trigger: event.trigger,
+        timestamp: event.timestamp,
+        actions: 0,
+        rules: [],
+        undone: undoneRuns.has(event.runId),
+      });
+    }
+    const run = runs.get(event.runId);
+    run.actions++;
+    if (!run.rules.includes(event.ruleName)) run.rules.push(event.ruleName);
+  }
+
+  return [...runs.values()].sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
+}
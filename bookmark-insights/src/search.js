@@ -3,11 +3,19 @@
 
 import { Document } from 'flexsearch';
 import { getAllBookmarksWithReadingList, setCache, getCache } from './db.js';
-import { isDead, isEnriched, isNeverAccessed, isStale } from './predicates.js';
+import { isContentDrifted, isDead, isEnriched, isNeverAccessed, isStale } from './predicates.js';
 import { getSortFunction } from './utils.js';
+import { scoreSemanticSimilarity } from './semantic-search.js';
+import { searchArchivedBodies } from './archive-search.js';
+import { parseQuery, summarizeQuery } from './query-parser.js';
 
 // FlexSearch index instance
 let searchIndex = null;
+
+// The serialized index is only importable into the field list it was exported
+// from. Bump the suffix whenever createSearchIndex() changes, so an old cache
+// is ignored and rebuilt instead of importing into the wrong shape.
+const INDEX_CACHE_KEY = 'flexsearch_index_v2';
 let indexInitialized = false;
 let indexInitPromise = null;
 
@@ -16,6 +24,15 @@ const getBookmarksCached = getAllBookmarksWithReadingList;
 
 const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
 
+// A `~` in front of the text query (see query-parser.js) switches it to
+// semantic mode: bookmarks match by meaning (cosine similarity of on-device
+// embeddings) as well as by the words themselves.
+// Below this a bookmark is only a semantic match by coincidence of wording.
+const SEMANTIC_MIN_SIMILARITY = 0.3;
+// Scales cosine (0-1) onto calculateRelevanceScore's range, where one title hit
+// is worth 10-15: a close semantic match ranks like a title match.
+const SEMANTIC_SCORE_WEIGHT = 30;
+
 /**
  * When the content itself was published, as a timestamp. Deep Analysis stores
  * this as either a number or an ISO string depending on the source.
@@ -28,191 +45,180 @@ export function publishedTimestamp(bookmark) {
   return Number.isFinite(ts) ? ts : null;
 }
 
-/**
- * Compile a user-supplied regex from the search box.
- *
- * Two hazards are handled here:
- * - `g`/`y` make `.test()` stateful via `lastIndex`, and the compiled object is
- *   reused across every bookmark, so results alternated match/no-match.
- * - An unbounded pattern such as `/(a+)+$/` runs on the UI thread against every
- *   bookmark's concatenated text and freezes the dashboard.
- *
- * @returns {RegExp|null} null when the pattern is rejected or invalid
- */
-const MAX_REGEX_LENGTH = 200;
-// A quantifier applied to a group that already contains one — `(a+)+`, `(a*)*`.
-const NESTED_QUANTIFIER = /\([^)]*[+*][^)]*\)\s*[+*{]/;
-
-export function compileUserRegex(pattern, flags) {
-  if (!pattern || pattern.length > MAX_REGEX_LENGTH) {
-    console.warn('Rejected search regex: pattern too long');
-    return null;
-  }
+// Lower-cased and original searchable text of a bookmark, built on first use.
+function searchableText(doc) {
+  if (doc.original === null) {
+    const { bookmark } = doc;
+    doc.original = [
+      bookmark.title || '',
+      bookmark.url || '',
+      bookmark.description || '',
+      bookmark.domain || '',
+      bookmark.category || '',
+      Array.isArray(bookmark.keywords) ? bookmark.keywords.join(' ') : '',
+      Array.isArray(bookmark.tags) ? bookmark.tags.join(' ') : '',
+      bookmark.note || '',
+    ].join(' ');
+    doc.lower = doc.original.toLowerCase();
+  }
+  return doc;
+}
 
-  if (NESTED_QUANTIFIER.test(pattern)) {
-    console.warn('Rejected search regex: nested quantifier (catastrophic backtracking risk)');
-    return null;
-  }
+function hasThumbnail(bookmark) {
+  return Boolean(
+    bookmark.platformData?.extra?.thumbnail ||
+    bookmark.rawMetadata?.openGraph?.['og:image'] ||
+    bookmark.rawMetadata?.twitterCard?.['twitter:image'],
+  );
+}
 
-  // Default to case-insensitive; strip the stateful flags entirely.
-  const safeFlags = (flags || 'i').replace(/[gy]/g, '') || 'i';
+// Field filters, by the key query-parser.js stores them under. Each is called
+// with the bookmark, the filter's value and the evaluation context.
+const FILTER_MATCHERS = {
+  category: (bookmark, value) => (bookmark.category || 'uncategorized').toLowerCase() === value,
+  domain: (bookmark, value) => (bookmark.domain || '').toLowerCase().includes(value),
+  platform: (bookmark, value) => (bookmark.platform || 'other').toLowerCase() === value,
+  creator: (bookmark, value) => {
+    const creator = (bookmark.creator || '').toLowerCase();
+    const wanted = value.toLowerCase();
+    // Match with or without @ prefix
+    return (
+      creator.includes(wanted) ||
+      creator.includes(wanted.replace(/^@/, '')) ||
+      `@${creator}`.includes(wanted)
+    );
+  },
+  repo: (bookmark, value) => {
+    const { owner, repo } = bookmark.platformData?.extra || {};
+    return owner && repo ? `${owner}/${repo}`.toLowerCase().includes(value) : false;
+  },
+  // Pipe-separated values: type:video|article
+  contentType: (bookmark, value) =>
+    value
+      .split('|')
+      .map((t) => t.trim())
+      .includes((bookmark.contentType || '').toLowerCase()),
+  hasImage: (bookmark, value) => value === hasThumbnail(bookmark),
+  playlist: (bookmark, value) => (bookmark.platformData?.extra?.playlistId || '').includes(value),
+  accessed: (bookmark, value) => value !== isNeverAccessed(bookmark),
+  stale: (bookmark, value, context) => value === isStale(bookmark, context.now),
+  enriched: (bookmark, value) => value === isEnriched(bookmark),
+  dead: (bookmark, value) => value === isDead(bookmark),
+  drifted: (bookmark, value) => value === isContentDrifted(bookmark),
+  folder: (bookmark, value) => (bookmark.folderPath || '').toLowerCase().includes(value),
+  tag: (bookmark, value) => Array.isArray(bookmark.tags) && bookmark.tags.includes(value),
+  note: (bookmark, value) => (bookmark.note || '').toLowerCase().includes(value),
+  body: (bookmark, value, context) => Boolean(context.bodyMatches.get(value)?.has(bookmark.url)),
+};
+
+// Values of the comparable fields. A bookmark without one (never opened, no
+// published date, not analysed yet) matches no comparison on it.
+const COMPARABLE_VALUES = {
+  dateAdded: (bookmark) => bookmark.dateAdded ?? null,
+  lastAccessed: (bookmark) => bookmark.lastAccessed || null,
+  publishedDate: publishedTimestamp,
+  readingTime: (bookmark) => (Number.isFinite(bookmark.readingTime) ? bookmark.readingTime : null),
+  accessCount: (bookmark) => bookmark.accessCount || 0,
+  contentQuality: (bookmark) =>
+    Number.isFinite(bookmark.contentQualityScore) ? bookmark.contentQualityScore : null,
+};
+
+function compareMatches(actual, node) {
+  if (actual === null) return false;
+
+  // A date covers a period: added:2024-03 is any time in March 2024, and
+  // added:>2024-03 starts after it.
+  if (node.start !== undefined) {
+    if (node.op === '>') return actual >= node.end;
+    if (node.op === '>=') return actual >= node.start;
+    if (node.op === '<') return actual < node.start;
+    if (node.op === '<=') return actual < node.end;
+    return actual >= node.start && actual < node.end;
+  }
+
+  if (node.op === '>') return actual > node.value;
+  if (node.op === '>=') return actual >= node.value;
+  if (node.op === '<') return actual < node.value;
+  if (node.op === '<=') return actual <= node.value;
+  return actual === node.value;
+}
 
-  try {
-    return new RegExp(pattern, safeFlags);
-  } catch (e) {
-    console.warn('Invalid regex pattern:', pattern, e.message);
-    return null;
+function matchesNode(node, doc, context) {
+  switch (node.type) {
+    case 'and':
+      return node.children.every((child) => matchesNode(child, doc, context));
+    case 'or':
+    case 'any':
+      return node.children.some((child) => matchesNode(child, doc, context));
+    case 'not':
+      return !matchesNode(node.child, doc, context);
+    case 'term':
+    case 'phrase':
+      return searchableText(doc).lower.includes(node.value);
+    case 'regex': {
+      const { original, lower } = searchableText(doc);
+      // Use original text if regex is case-sensitive, otherwise use lowercase
+      return node.regex.test(node.regex.flags.includes('i') ? lower : original);
+    }
+    case 'filter':
+      return FILTER_MATCHERS[node.key](doc.bookmark, node.value, context);
+    case 'compare':
+      return compareMatches(COMPARABLE_VALUES[node.field](doc.bookmark), node);
+    default:
+      return false;
   }
 }
 
 /**
- * Parse advanced search query with +/- modifiers, quoted phrases, and regex patterns
- * @param {string} query - The raw search query
- * @returns {Object} Parsed query components
+ * Whether a bookmark matches a parsed query.
+ * @param {Object} bookmark
+ * @param {Object} ast - From parseQuery()
+ * @param {Object} context - `now`, and `bodyMatches` from matchArchivedBodies()
+ * @returns {boolean}
  */
-function parseAdvancedQuery(query) {
-  if (!query || !query.trim()) {
-    return {
-      positive: [],
-      negative: [],
-      phrases: [],
-      regular: [],
-      regexPatterns: [],
-      hasModifiers: false,
-    };
-  }
-
-  const positive = []; // Must include (+term)
-  const negative = []; // Must exclude (-term)
-  const phrases = []; // Exact phrases ("exact match")
-  const regular = []; // Regular search terms
-  const regexPatterns = []; // Regex patterns (/pattern/)
-
-  // Extract regex patterns first (format: /pattern/ or /pattern/flags)
-  const regexExtractPattern = /\/([^/]+)\/([gimsuvy]*)?/g;
-  let match;
-  let remaining = query;
-
-  while ((match = regexExtractPattern.exec(query)) !== null) {
-    const regex = compileUserRegex(match[1], match[2]);
-    if (regex) regexPatterns.push(regex);
-  }
-
-  // Remove regex patterns from remaining query
-  remaining = remaining.replace(/\/[^/]+\/[gimsuvy]*/g, '').trim();
-
-  // Extract quoted phrases (including their modifiers)
-  const phraseRegex = /([+-]?)"([^"]+)"/g;
-  while ((match = phraseRegex.exec(remaining)) !== null) {
-    const modifier = match[1];
-    const phrase = match[2].toLowerCase();
-    if (modifier === '+') {
-      positive.push(phrase);
-    } else if (modifier === '-') {
-      negative.push(phrase);
-    } else {
-      phrases.push(phrase);
-    }
-  }
-
-  // Remove quoted phrases for further parsing
-  remaining = remaining.replace(/[+-]?"[^"]+"/g, '').trim();
-
-  // Split into terms and categorize
-  const terms = remaining.split(/\s+/).filter((t) => t.length > 0);
-
-  for (const term of terms) {
-    const lowerTerm = term.toLowerCase();
-    if (term.startsWith('+') && term.length > 1) {
-      positive.push(lowerTerm.slice(1));
-    } else if (term.startsWith('-') && term.length > 1) {
-      negative.push(lowerTerm.slice(1));
-    } else {
-      regular.push(lowerTerm);
-    }
-  }
-
-  return {
-    positive,
-    negative,
-    phrases,
-    regular,
-    regexPatterns,
-    hasModifiers:
-      positive.length > 0 || negative.length > 0 || phrases.length > 0 || regexPatterns.length > 0,
-  };
+function matchesQuery(bookmark, ast, context) {
+  return matchesNode(ast, { bookmark, original: null, lower: null }, context);
 }
 
 /**
- * Check if a bookmark matches the parsed query
- * @param {Object} bookmark - The bookmark to check
- * @param {Object} parsedQuery - Parsed query from parseAdvancedQuery
- * @returns {boolean} Whether the bookmark matches
+ * body: reads the page archive, which lives outside the bookmark records, so
+ * each body: value in the query is looked up once before matching.
+ * @param {Object} ast
+ * @returns {Promise<Map<string, Set<string>>>} Matching URLs by body: value
  */
-function matchesAdvancedQuery(bookmark, parsedQuery) {
-  const { positive, negative, phrases, regular, regexPatterns = [] } = parsedQuery;
-
-  // Build searchable text from bookmark (cached for performance)
-  const searchableText = [
-    bookmark.title || '',
-    bookmark.url || '',
-    bookmark.description || '',
-    bookmark.domain || '',
-    bookmark.category || '',
-    Array.isArray(bookmark.keywords) ? bookmark.keywords.join(' ') : '',
-  ]
-    .join(' ')
-    .toLowerCase();
-
-  // For regex, we may want to preserve case in some cases
-  const searchableTextOriginal = [
-    bookmark.title || '',
-    bookmark.url || '',
-    bookmark.description || '',
-    bookmark.domain || '',
-    bookmark.category || '',
-    Array.isArray(bookmark.keywords) ? bookmark.keywords.join(' ') : '',
-  ].join(' ');
-
-  // All positive terms must be present
-  for (const term of positive) {
-    if (!searchableText.includes(term)) {
-      return false;
-    }
-  }
-
-  // All negative terms must be absent
-  for (const term of negative) {
-    if (searchableText.includes(term)) {
-      return false;
-    }
-  }
-
-  // All exact phrases must be present
-  for (const phrase of phrases) {
-    if (!searchableText.includes(phrase)) {
-      return false;
-    }
-  }
-
-  // All regex patterns must match
-  for (const regex of regexPatterns) {
-    // Use original text if regex is case-sensitive, otherwise use lowercase
-    const textToSearch = regex.flags.includes('i') ? searchableText : searchableTextOriginal;
-    if (!regex.test(textToSearch)) {
-      return false;
-    }
-  }
-
-  // If there are regular terms, at least one must match
-  if (regular.length > 0) {
-    const hasRegularMatch = regular.some((term) => searchableText.includes(term));
-    if (!hasRegularMatch) {
-      return false;
+async function matchArchivedBodies(ast) {
+  const values = new Set();
+  (function collect(node) {
+    if (node.type === 'filter' && node.key === 'body') values.add(node.value);
+    if (node.child) collect(node.child);
+    node.children?.forEach(collect);
+  })(ast);
+
+  const matches = new Map();
+  for (const value of values) {
+    try {
+      matches.set(value, await searchArchivedBodies(value));
+    } catch (err) {
+      console.error('Archived text search failed:', err);
+      matches.set(value, new Set());
     }
   }
+  return matches;
+}
 
-  return true;
+/**
+ * Split a query into its top-level plain words and everything else. The words
+ * go through the index and, in semantic mode, can be matched by meaning
+ * instead; the rest are constraints every result must meet.
+ * @param {Object} ast
+ * @returns {{pool: Object|null, rest: Object|null}}
+ */
+function splitWordPool(ast) {
+  if (ast.type === 'any') return { pool: ast, rest: null };
+  const pool = ast.type === 'and' ? ast.children.find((c) => c.type === 'any') : null;
+  if (!pool) return { pool: null, rest: ast };
+  const others = ast.children.filter((c) => c !== pool);
+  return { pool, rest: others.length === 1 ? others[0] : { type: 'and', children: others } };
 }
 
 /**
@@ -230,6 +236,8 @@ function calculateRelevanceScore(bookmark, parsedQuery) {
   const domain = (bookmark.domain || '').toLowerCase();
   const description = (bookmark.description || '').toLowerCase();
   const category = (bookmark.category || '').toLowerCase();
+  const tags = Array.isArray(bookmark.tags) ? bookmark.tags : [];
+  const note = (bookmark.note || '').toLowerCase();
 
   const allTerms = [...positive, ...phrases, ...regular];
 
@@ -244,8 +252,11 @@ function calculateRelevanceScore(bookmark, parsedQuery) {
     if (domain.includes(term)) score += 5;
     // Category matches
     if (category.includes(term)) score += 4;
-    // Description matches
+    // The user's own tags are a deliberate label, worth close to a title hit
+    if (tags.includes(term)) score += 6;
+    // Description and note matches
     if (description.includes(term)) score += 2;
+    if (note.includes(term)) score += 2;
     // URL matches
     if (url.includes(term)) score += 1;
   }
@@ -266,7 +277,7 @@ function createSearchIndex() {
   return new Document({
     document: {
       id: 'id',
-      index: ['title', 'url', 'description', 'keywords', 'category', 'domain'],
+      index: ['title', 'url', 'description', 'keywords', 'category', 'domain', 'tags', 'note'],
       store: true,
     },
     tokenize: 'forward',
@@ -293,7 +304,7 @@ async function initializeSearchIndex() {
     console.log('Initializing FlexSearch index...');
 
     // Try to load serialized index from cache
-    const cachedIndex = await getCache('flexsearch_index');
+    const cachedIndex = await getCache(INDEX_CACHE_KEY);
 
     if (cachedIndex && cachedIndex.serialized) {
       try {
@@ -360,6 +371,8 @@ export async function addToIndex(bookmark, saveCache = true) {
     keywords: Array.isArray(bookmark.keywords) ? bookmark.keywords.join(' ') : '',
     category: bookmark.category || '',
     domain: bookmark.domain || '',
+    tags: Array.isArray(bookmark.tags) ? bookmark.tags.join(' ') : '',
+    note: bookmark.note || '',
   };
 
   await searchIndex.add(doc);
@@ -415,7 +428,7 @@ async function saveIndexToCache() {
     await searchIndex.export((key, data) => {
       serialized[key] = data;
     });
-    await setCache('flexsearch_index', { serialized, timestamp: Date.now() });
+    await setCache(INDEX_CACHE_KEY, { serialized, timestamp: Date.now() });
   } catch (error) {
     console.error('Error caching index:', error);
   }
@@ -428,224 +441,26 @@ export function invalidateSearchIndex() {
 }
 
 /**
- * Parse special filter prefixes from search query
- * Supports: category:X, domain:X, accessed:yes/no, stale:yes, enriched:yes/no, dead:yes
- * Platform filters: platform:X, channel:X, repo:X, author:X, type:X, hasimage:yes/no
- * @param {string} query - Raw search query
- * @returns {Object} { filters, remainingQuery }
+ * The bookmarks among `bookmarks` that a query matches, unranked.
+ *
+ * Same filters and term rules as searchBookmarks, but it reads only the records
+ * it is given and never the index, so automation rules can test a single new
+ * bookmark cheaply. Semantic (`~`) queries are not supported.
+ *
+ * @param {Array<Object>} bookmarks
+ * @param {string} query
+ * @returns {Promise<Array<Object>>}
  */
-function parseSpecialFilters(query) {
-  if (!query || !query.trim()) {
-    return { filters: {}, remainingQuery: '' };
-  }
-
-  const filters = {};
-  let remaining = query;
-
-  // Category filter: category:value
-  const categoryMatch = remaining.match(/category:(\S+)/i);
-  if (categoryMatch) {
-    filters.category = categoryMatch[1].toLowerCase();
-    remaining = remaining.replace(categoryMatch[0], '').trim();
-  }
-
-  // Domain filter: domain:value
-  const domainMatch = remaining.match(/domain:(\S+)/i);
-  if (domainMatch) {
-    filters.domain = domainMatch[1].toLowerCase();
-    remaining = remaining.replace(domainMatch[0], '').trim();
-  }
-
-  // Platform filter: platform:youtube, platform:github, etc.
-  const platformMatch = remaining.match(/platform:(\S+)/i);
-  if (platformMatch) {
-    filters.platform = platformMatch[1].toLowerCase();
-    remaining = remaining.replace(platformMatch[0], '').trim();
-  }
-
-  // Channel/Creator filter: channel:@username or channel:username
-  const channelMatch = remaining.match(/channel:(@?\S+)/i);
-  if (channelMatch) {
-    filters.creator = channelMatch[1];
-    remaining = remaining.replace(channelMatch[0], '').trim();
-  }
-
-  // Author filter (alias for channel/creator): author:username
-  const authorMatch = remaining.match(/author:(@?\S+)/i);
-  if (authorMatch) {
-    filters.creator = authorMatch[1];
-    remaining = remaining.replace(authorMatch[0], '').trim();
-  }
-
-  // Repo filter: repo:owner/repo
-  const repoMatch = remaining.match(/repo:(\S+)/i);
-  if (repoMatch) {
-    filters.repo = repoMatch[1].toLowerCase();
-    remaining = remaining.replace(repoMatch[0], '').trim();
-  }
-
-  // Content type filter: type:video, type:issue, type:article, etc.
-  const typeMatch = remaining.match(/type:(\S+)/i);
-  if (typeMatch) {
-    filters.contentType = typeMatch[1].toLowerCase();
-    remaining = remaining.replace(typeMatch[0], '').trim();
-  }
-
-  // Has image filter: hasimage:yes/no
-  const hasImageMatch = remaining.match(/hasimage:(yes|no)/i);
-  if (hasImageMatch) {
-    filters.hasImage = hasImageMatch[1].toLowerCase() === 'yes';
-    remaining = remaining.replace(hasImageMatch[0], '').trim();
-  }
-
-  // Playlist filter: playlist:ID
-  const playlistMatch = remaining.match(/playlist:(\S+)/i);
-  if (playlistMatch) {
-    filters.playlist = playlistMatch[1];
-    remaining = remaining.replace(playlistMatch[0], '').trim();
-  }
-
-  // Accessed filter: accessed:yes/no
-  const accessedMatch = remaining.match(/accessed:(yes|no)/i);
-  if (accessedMatch) {
-    filters.accessed = accessedMatch[1].toLowerCase() === 'yes';
-    remaining = remaining.replace(accessedMatch[0], '').trim();
-  }
-
-  // Stale filter: stale:yes (old and never accessed)
-  const staleMatch = remaining.match(/stale:(yes|no)/i);
-  if (staleMatch) {
-    filters.stale = staleMatch[1].toLowerCase() === 'yes';
-    remaining = remaining.replace(staleMatch[0], '').trim();
+export async function filterBookmarksByQuery(bookmarks, query) {
+  const { ast, error } = parseQuery(query);
+  if (error) {
+    console.warn(`Query error at ${error.position + 1}: ${error.message}`);
+    return [];
   }
+  if (!ast) return bookmarks;
 
-  // Enriched filter: enriched:yes/no
-  const enrichedMatch = remaining.match(/enriched:(yes|no)/i);
-  if (enrichedMatch) {
-    filters.enriched = enrichedMatch[1].toLowerCase() === 'yes';
-    remaining = remaining.replace(enrichedMatch[0], '').trim();
-  }
-
-  // Dead link filter: dead:yes/no
-  const deadMatch = remaining.match(/dead:(yes|no)/i);
-  if (deadMatch) {
-    filters.dead = deadMatch[1].toLowerCase() === 'yes';
-    remaining = remaining.replace(deadMatch[0], '').trim();
-  }
-
-  // Folder filter: folder:value or folder:"value with spaces"
-  const folderMatch = remaining.match(/folder:(?:"([^"]+)"|(\S+))/i);
-  if (folderMatch) {
-    filters.folder = (folderMatch[1] || folderMatch[2]).toLowerCase();
-    remaining = remaining.replace(folderMatch[0], '').trim();
-  }
-
-  return { filters, remainingQuery: remaining };
-}
-
-/**
- * Apply special filters to bookmarks
- * @param {Array} bookmarks - Array of bookmarks
- * @param {Object} filters - Special filters from parseSpecialFilters
- * @returns {Array} Filtered bookmarks
- */
-function applySpecialFilters(bookmarks, filters) {
-  const now = Date.now();
-
-  return bookmarks.filter((bookmark) => {
-    // Category filter
-    if (filters.category) {
-      const bookmarkCategory = (bookmark.category || 'uncategorized').toLowerCase();
-      if (bookmarkCategory !== filters.category) return false;
-    }
-
-    // Domain filter
-    if (filters.domain) {
-      const bookmarkDomain = (bookmark.domain || '').toLowerCase();
-      if (!bookmarkDomain.includes(filters.domain)) return false;
-    }
-
-    // Accessed filter
-    if (filters.accessed !== undefined) {
-      if (filters.accessed === isNeverAccessed(bookmark)) return false;
-    }
-
-    // Stale filter (old + never accessed)
-    if (filters.stale) {
-      if (!isStale(bookmark, now)) return false;
-    }
-
-    // Enriched filter
-    if (filters.enriched !== undefined) {
-      if (filters.enriched !== isEnriched(bookmark)) return false;
-    }
-
-    // Dead link filter
-    if (filters.dead !== undefined) {
-      if (filters.dead !== isDead(bookmark)) return false;
-    }
-
-    // Folder filter
-    if (filters.folder) {
-      const folderPath = (bookmark.folderPath || '').toLowerCase();
-      if (!folderPath.includes(filters.folder)) return false;
-    }
-
-    // Platform filter
-    if (filters.platform) {
-      const bookmarkPlatform = (bookmark.platform || 'other').toLowerCase();
-      if (bookmarkPlatform !== filters.platform) return false;
-    }
-
-    // Creator/Channel filter
-    if (filters.creator) {
-      const bookmarkCreator = (bookmark.creator || '').toLowerCase();
-      const filterCreator = filters.creator.toLowerCase();
-      // Match with or without @ prefix
-      if (
-        !bookmarkCreator.includes(filterCreator) &&
-        !bookmarkCreator.includes(filterCreator.replace(/^@/, '')) &&
-        !`@${bookmarkCreator}`.includes(filterCreator)
-      ) {
-        return false;
-      }
-    }
-
-    // Repository filter (owner/repo format)
-    if (filters.repo) {
-      const repoName =
-        bookmark.platformData?.extra?.owner && bookmark.platformData?.extra?.repo
-          ? `${bookmark.platformData.extra.owner}/${bookmark.platformData.extra.repo}`.toLowerCase()
-          : '';
-      if (!repoName.includes(filters.repo)) return false;
-    }
-
-    // Content type filter
-    if (filters.contentType) {
-      const bookmarkType = (bookmark.contentType || '').toLowerCase();
-      // Support pipe-separated values: type:video|article
-      const allowedTypes = filters.contentType.split('|').map((t) => t.trim());
-      if (!allowedTypes.includes(bookmarkType)) return false;
-    }
-
-    // Has image filter
-    if (filters.hasImage !== undefined) {
-      const hasThumbnail = Boolean(
-        bookmark.platformData?.extra?.thumbnail ||
-        bookmark.rawMetadata?.openGraph?.['og:image'] ||
-        bookmark.rawMetadata?.twitterCard?.['twitter:image'],
-      );
-      if (filters.hasImage !== hasThumbnail) return false;
-    }
-
-    // Playlist filter
-    if (filters.playlist) {
-      const playlistId = bookmark.platformData?.extra?.playlistId || '';
-      if (!playlistId.includes(filters.playlist)) return false;
-    }
-
-    return true;
-  });
+  const context = { now: Date.now(), bodyMatches: await matchArchivedBodies(ast) };
+  return bookmarks.filter((bookmark) => matchesQuery(bookmark, ast, context));
 }
 
 // Search bookmarks with advanced query support
@@ -698,6 +513,12 @@ export async function searchBookmarks(query, activeFilters = null, options = {})
         if (!b.tags || !Array.isArray(b.tags)) return false;
         if (!activeFilters.tags.some((t) => b.tags.includes(t))) return false;
       }
+      if (activeFilters.creators && activeFilters.creators.length > 0) {
+        const creator = (b.creator || '').toLowerCase();
+        if (!creator || !activeFilters.creators.some((c) => creator === c.toLowerCase())) {
+          return false;
+        }
+      }
       if (activeFilters.deadLinks) {
         if (!isDead(b)) return false;
       }
@@ -751,7 +572,16 @@ export async function searchBookmarks(query, activeFilters = null, options = {})
     });
   }
 
-  if (!query || !query.trim()) {
+  const { ast, semantic, error } = parseQuery(query);
+
+  // The search box points at the error; nothing matches until it is fixed.
+  if (error) {
+    const response = { results: [], total: 0, hasMore: false, parsedQuery: null, error };
+    if (computeStats) response.stats = computeSearchResultStats([]);
+    return response;
+  }
+
+  if (!ast) {
     const sortFn = getSortFunction(options.sortBy || 'date_desc');
     // slice() first: filteredBookmarks may still be the shared cached corpus.
     const sorted = filteredBookmarks.slice().sort(sortFn);
@@ -770,83 +600,105 @@ export async function searchBookmarks(query, activeFilters = null, options = {})
     return response;
   }
 
-  // Parse special filters first
-  const { filters: specialFilters, remainingQuery } = parseSpecialFilters(query);
+  const parsedQuery = summarizeQuery(ast);
+  const hasText = Object.values(parsedQuery).some((terms) => terms.length > 0);
+  const { pool, rest } = splitWordPool(ast);
+  const context = { now: Date.now(), bodyMatches: await matchArchivedBodies(ast) };
 
-  // Parse the advanced query from remaining text
-  const parsedQuery = parseAdvancedQuery(remainingQuery);
+  // Semantic similarity keyed by id, when the query asked for it.
+  let semanticScores = null;
 
   // Relevance scores keyed by id, so only the returned page carries _searchScore.
   let scoreLookup = null;
 
-  // Apply special filters first
-  if (Object.keys(specialFilters).length > 0) {
-    filteredBookmarks = applySpecialFilters(filteredBookmarks, specialFilters);
+  // Field filters, comparisons, exclusions and grouped terms first, so the
+  // index and the embeddings only see what they can still narrow down.
+  if (rest) {
+    filteredBookmarks = filteredBookmarks.filter((bookmark) =>
+      matchesQuery(bookmark, rest, context),
+    );
+  }
+
+  // Negative terms and regexes are constraints, not something to mean; only
+  // the wanted words are embedded.
+  const semanticText = semantic
+    ? [...parsedQuery.positive, ...parsedQuery.phrases, ...parsedQuery.regular].join(' ')
+    : '';
+  if (semanticText) {
+    try {
+      semanticScores = await scoreSemanticSimilarity(filteredBookmarks, semanticText);
+    } catch (err) {
+      console.error('Semantic scoring failed, falling back to keyword search:', err);
+    }
   }
 
-  // If there's remaining text query, filter further
-  if (remainingQuery.trim()) {
-    // Use FlexSearch for regular terms if available
-    if (parsedQuery.regular.length > 0) {
-      try {
-        const index = await initializeSearchIndex();
-        const regularQuery = parsedQuery.regular.join(' ');
-
-        // Search using FlexSearch
-        const searchResults = await index.search(regularQuery, {
-          limit: 10000, // Get all potential matches
-          suggest: true, // Enable suggestions/fuzzy matching
+  if (semanticScores) {
+    // A bookmark qualifies by meaning or by wording; the constraints above
+    // hold either way.
+    filteredBookmarks = filteredBookmarks.filter(
+      (bookmark) =>
+        semanticScores.get(bookmark.id) >= SEMANTIC_MIN_SIMILARITY ||
+        (pool !== null && matchesQuery(bookmark, pool, context)),
+    );
+  } else if (pool) {
+    // Use FlexSearch for the plain words if available
+    try {
+      const index = await initializeSearchIndex();
+      const regularQuery = pool.children.map((term) => term.value).join(' ');
+
+      // Search using FlexSearch
+      const searchResults = await index.search(regularQuery, {
+        limit: 10000, // Get all potential matches
+        suggest: true, // Enable suggestions/fuzzy matching
+      });
+
+      // FlexSearch Document search returns results grouped by field:
+      // [{ field: 'title', result: [id1, id2] }, { field: 'url', result: [id3] }, ...]
+      // We need to collect all unique IDs
+      const resultIds = new Set();
+
+      if (Array.isArray(searchResults)) {
+        searchResults.forEach((fieldResult) => {
+          if (fieldResult && Array.isArray(fieldResult.result)) {
+            fieldResult.result.forEach((id) => resultIds.add(id));
+          }
         });
+      }
 
-        // FlexSearch Document search returns results grouped by field:
-        // [{ field: 'title', result: [id1, id2] }, { field: 'url', result: [id3] }, ...]
-        // We need to collect all unique IDs
-        const resultIds = new Set();
-
-        if (Array.isArray(searchResults)) {
-          searchResults.forEach((fieldResult) => {
-            if (fieldResult && Array.isArray(fieldResult.result)) {
-              fieldResult.result.forEach((id) => resultIds.add(id));
-            }
-          });
-        }
+      // Filter the already filtered bookmarks (from the constraints)
+      // to only include those found by FlexSearch.
+      // Reading-list rows carry synthetic ids and are never added to the index,
+      // so intersecting on id alone dropped 100% of them; they are matched by
+      // matchesQuery below instead.
+      filteredBookmarks = filteredBookmarks.filter(
+        (bookmark) => bookmark.isReadingListItem || resultIds.has(bookmark.id),
+      );
 
-        // Filter the already filtered bookmarks (from special filters)
-        // to only include those found by FlexSearch.
-        // Reading-list rows carry synthetic ids and are never added to the index,
-        // so intersecting on id alone dropped 100% of them; they are matched by
-        // matchesAdvancedQuery below instead.
-        filteredBookmarks = filteredBookmarks.filter(
-          (bookmark) => bookmark.isReadingListItem || resultIds.has(bookmark.id),
-        );
-
-        // Then apply the remaining advanced query logic (negative terms, phrases, regex)
-        // This is still needed because FlexSearch might not handle negative terms/regex exactly as we want
-        // or we want to be double sure
-        filteredBookmarks = filteredBookmarks.filter((bookmark) =>
-          matchesAdvancedQuery(bookmark, parsedQuery),
-        );
-      } catch (err) {
-        console.error('FlexSearch failed, falling back to manual search:', err);
-        // Fallback to manual search
-        filteredBookmarks = filteredBookmarks.filter((bookmark) =>
-          matchesAdvancedQuery(bookmark, parsedQuery),
-        );
-      }
-    } else {
-      // No regular terms (only negative, phrases, or regex), use manual filter
+      // FlexSearch matches fuzzily; keep only bookmarks that contain a word.
       filteredBookmarks = filteredBookmarks.filter((bookmark) =>
-        matchesAdvancedQuery(bookmark, parsedQuery),
+        matchesQuery(bookmark, pool, context),
+      );
+    } catch (err) {
+      console.error('FlexSearch failed, falling back to manual search:', err);
+      // Fallback to manual search
+      filteredBookmarks = filteredBookmarks.filter((bookmark) =>
+        matchesQuery(bookmark, pool, context),
       );
     }
+  }
 
+  if (hasText) {
     // Score into a side map rather than spreading every matching record. The old
     // version cloned the full object — `rawMetadata` blobs included — for every
     // match, on every keystroke, only to slice one page out of it afterwards.
     const sortBy = options.sortBy || 'relevance';
     scoreLookup = new Map();
     for (const bookmark of filteredBookmarks) {
-      scoreLookup.set(bookmark.id, calculateRelevanceScore(bookmark, parsedQuery));
+      let score = calculateRelevanceScore(bookmark, parsedQuery);
+      if (semanticScores) {
+        score += Math.round(SEMANTIC_SCORE_WEIGHT * (semanticScores.get(bookmark.id) || 0));
+      }
+      scoreLookup.set(bookmark.id, score);
     }
 
     filteredBookmarks = filteredBookmarks.slice();
@@ -874,7 +726,7 @@ export async function searchBookmarks(query, activeFilters = null, options = {})
     total,
     hasMore: offset + limit < total,
     parsedQuery,
-    specialFilters,
+    semantic: Boolean(semanticScores),
   };
 
   // Compute stats in single pass if requested (avoids second search call)
@@ -0,0 +1,164 @@
+// Concept groups for the bundled embedding model (see embeddings.js).
+//
+// Each group is a set of words and two-word phrases that mean roughly the same
+// thing, or that a searcher would expect to find each other. Every group is one
+// dimension of the embedding, so "container orchestration" and "Kubernetes in
+// practice" land on the same axis without sharing a single word.
+//
+// Order matters: a group's position is its dimension. Append new groups at the
+// end and bump EMBEDDING_MODEL in embeddings.js so stored vectors are rebuilt.
+
+export const CONCEPT_GROUPS = [
+  // Software and infrastructure
+  ['kubernetes', 'k8s', 'container', 'docker', 'orchestration', 'helm', 'pod', 'podman', 'nomad'],
+  [
+    'devops',
+    'ci',
+    'cd',
+    'pipeline',
+    'deployment',
+    'deploy',
+    'github actions',
+    'jenkins',
+    'gitlab ci',
+  ],
+  ['cloud', 'aws', 'azure', 'gcp', 'serverless', 'lambda', 'ec2', 's3', 'cloudflare'],
+  ['infrastructure', 'terraform', 'ansible', 'pulumi', 'provisioning', 'iac'],
+  ['database', 'sql', 'postgres', 'postgresql', 'mysql', 'sqlite', 'query', 'schema', 'index'],
+  ['nosql', 'mongodb', 'redis', 'dynamodb', 'cassandra', 'key value', 'document store'],
+  ['javascript', 'js', 'typescript', 'node', 'nodejs', 'npm', 'deno', 'bun', 'ecmascript'],
+  ['frontend', 'react', 'vue', 'svelte', 'angular', 'component', 'jsx', 'nextjs', 'ui framework'],
+  ['css', 'tailwind', 'stylesheet', 'flexbox', 'grid layout', 'sass', 'styling', 'responsive'],
+  ['python', 'pip', 'django', 'flask', 'fastapi', 'pandas', 'numpy', 'jupyter'],
+  ['rust', 'cargo', 'crate', 'borrow checker', 'ownership', 'lifetime', 'tokio'],
+  ['golang', 'goroutine', 'gopher', 'go module'],
+  ['java', 'jvm', 'kotlin', 'spring', 'gradle', 'maven', 'scala'],
+  ['systems programming', 'cpp', 'clang', 'compiler', 'llvm', 'assembly', 'memory management'],
+  ['api', 'rest', 'graphql', 'endpoint', 'http', 'webhook', 'grpc', 'openapi'],
+  ['testing', 'test', 'unit test', 'integration test', 'jest', 'vitest', 'pytest', 'tdd', 'mock'],
+  ['debugging', 'debug', 'bug', 'error', 'stack trace', 'troubleshooting', 'crash', 'fix'],
+  [
+    'performance',
+    'optimization',
+    'latency',
+    'throughput',
+    'benchmark',
+    'profiling',
+    'fast',
+    'speed',
+  ],
+  ['architecture', 'microservice', 'monolith', 'design pattern', 'system design', 'scalability'],
+  ['git', 'version control', 'commit', 'branch', 'merge', 'rebase', 'pull request', 'github'],
+  ['linux', 'unix', 'shell', 'bash', 'terminal', 'command line', 'cli', 'zsh', 'ubuntu'],
+  ['editor', 'vim', 'neovim', 'emacs', 'vscode', 'ide', 'plugin', 'extension'],
+  ['security', 'vulnerability', 'exploit', 'cve', 'xss', 'csrf', 'injection', 'pentest', 'hacking'],
+  ['authentication', 'auth', 'oauth', 'login', 'password', 'jwt', 'sso', 'identity', '2fa'],
+  ['cryptography', 'encryption', 'crypto', 'tls', 'ssl', 'cipher', 'hash', 'signature'],
+  ['network', 'networking', 'tcp', 'dns', 'ip', 'router', 'vpn', 'protocol', 'bandwidth'],
+  ['mobile', 'ios', 'android', 'swift', 'app store', 'react native', 'flutter', 'smartphone'],
+  ['browser', 'chrome', 'firefox', 'safari', 'web extension', 'dom', 'webkit'],
+
+  // Data and AI
+  [
+    'machine learning',
+    'ml',
+    'deep learning',
+    'neural network',
+    'model training',
+    'pytorch',
+    'tensorflow',
+  ],
+  [
+    'llm',
+    'gpt',
+    'chatgpt',
+    'language model',
+    'transformer',
+    'prompt',
+    'claude',
+    'gemini',
+    'openai',
+  ],
+  ['ai', 'artificial intelligence', 'agent', 'inference', 'embedding', 'rag'],
+  ['data science', 'analytics', 'statistics', 'visualization', 'dataset', 'regression', 'chart'],
+  ['data engineering', 'etl', 'spark', 'kafka', 'warehouse', 'stream processing', 'airflow'],
+  ['computer vision', 'image recognition', 'object detection', 'ocr', 'segmentation'],
+
+  // Product, design and work
+  ['design', 'ux', 'user experience', 'ui', 'figma', 'prototype', 'wireframe', 'usability'],
+  ['typography', 'font', 'typeface', 'lettering'],
+  ['color', 'palette', 'colour', 'gradient', 'contrast'],
+  ['accessibility', 'a11y', 'screen reader', 'aria', 'wcag'],
+  ['productivity', 'workflow', 'habit', 'focus', 'time management', 'todo', 'gtd', 'routine'],
+  ['note taking', 'notes', 'notion', 'obsidian', 'zettelkasten', 'second brain', 'knowledge base'],
+  ['career', 'job', 'interview', 'resume', 'hiring', 'salary', 'promotion', 'recruiting'],
+  ['management', 'manager', 'leadership', 'team', 'one on one', 'okr', 'meeting'],
+  ['startup', 'founder', 'venture capital', 'fundraising', 'seed', 'pitch', 'yc', 'entrepreneur'],
+  ['marketing', 'seo', 'growth', 'advertising', 'brand', 'campaign', 'newsletter', 'audience'],
+  ['business', 'revenue', 'pricing', 'strategy', 'market', 'customer', 'sales', 'b2b', 'saas'],
+
+  // Learning and reference
+  [
+    'tutorial',
+    'guide',
+    'how to',
+    'walkthrough',
+    'introduction',
+    'beginner',
+    'getting started',
+    'course',
+  ],
+  ['documentation', 'docs', 'reference', 'manual', 'spec', 'specification', 'handbook'],
+  ['research', 'paper', 'arxiv', 'study', 'journal', 'preprint', 'thesis', 'academic'],
+  ['book', 'ebook', 'reading', 'novel', 'author', 'chapter', 'library'],
+  ['video', 'youtube', 'talk', 'lecture', 'webinar', 'screencast', 'stream'],
+  ['podcast', 'episode', 'audio', 'interview show', 'listen'],
+  ['mathematics', 'math', 'algebra', 'calculus', 'geometry', 'probability', 'proof', 'theorem'],
+  [
+    'algorithm',
+    'data structure',
+    'sorting',
+    'graph',
+    'tree',
+    'dynamic programming',
+    'leetcode',
+    'complexity',
+  ],
+  ['physics', 'quantum', 'relativity', 'particle', 'astronomy', 'space', 'nasa', 'cosmology'],
+  ['biology', 'genetics', 'dna', 'evolution', 'cell', 'neuroscience', 'brain'],
+  ['history', 'historical', 'ancient', 'war', 'empire', 'century', 'archive'],
+  ['philosophy', 'ethics', 'stoicism', 'logic', 'metaphysics', 'epistemology'],
+  ['language learning', 'vocabulary', 'grammar', 'spanish', 'french', 'japanese', 'duolingo'],
+
+  // Everyday life
+  ['finance', 'investing', 'stock', 'portfolio', 'etf', 'retirement', 'savings', 'budget', 'money'],
+  ['cryptocurrency', 'bitcoin', 'ethereum', 'blockchain', 'web3', 'defi', 'nft', 'wallet'],
+  ['health', 'fitness', 'exercise', 'workout', 'nutrition', 'diet', 'sleep', 'wellness', 'running'],
+  ['medicine', 'medical', 'doctor', 'disease', 'treatment', 'symptom', 'clinical', 'vaccine'],
+  ['mental health', 'anxiety', 'depression', 'therapy', 'meditation', 'mindfulness', 'stress'],
+  ['cooking', 'recipe', 'food', 'baking', 'kitchen', 'meal', 'cuisine', 'ingredient'],
+  ['travel', 'trip', 'flight', 'hotel', 'destination', 'itinerary', 'vacation', 'backpacking'],
+  ['shopping', 'buy', 'deal', 'discount', 'product', 'review', 'price', 'store'],
+  ['home', 'diy', 'garden', 'furniture', 'renovation', 'interior', 'repair'],
+  ['parenting', 'kids', 'children', 'baby', 'family', 'school'],
+  ['news', 'politics', 'election', 'government', 'policy', 'breaking', 'report'],
+  ['climate', 'environment', 'energy', 'solar', 'renewable', 'carbon', 'sustainability'],
+  ['music', 'song', 'album', 'spotify', 'guitar', 'piano', 'playlist', 'band'],
+  ['movie', 'film', 'cinema', 'tv', 'series', 'netflix', 'show', 'trailer'],
+  ['gaming', 'game', 'gamedev', 'unity', 'unreal', 'steam', 'console', 'esports'],
+  ['photography', 'photo', 'camera', 'lens', 'lightroom', 'image editing'],
+  ['art', 'drawing', 'illustration', 'painting', 'sketch', 'artist', 'creative'],
+  ['writing', 'blogging', 'essay', 'copywriting', 'storytelling', 'draft', 'blog'],
+  [
+    'hardware',
+    'electronics',
+    'arduino',
+    'raspberry pi',
+    'circuit',
+    'soldering',
+    '3d printing',
+    'maker',
+  ],
+  ['privacy', 'tracking', 'surveillance', 'gdpr', 'anonymity', 'data protection'],
+  ['open source', 'oss', 'foss', 'license', 'contributor', 'maintainer'],
+];
@@ -0,0 +1,101 @@
+// Vector side of semantic search: keeps one embedding per bookmark current and
+// scores candidates against a query.
+//
+// Vectors are computed lazily, on the first semantic query after a bookmark
+// is added or its title, description or keywords change, so enrichment and
+// sync never pay for a feature the user may not use. The vectors live in the
+// `embeddings` table and in memory for the life of the page.
+
+import { getEmbeddings, saveEmbeddings } from './db.js';
+import { runEmbedding } from './analysis-client.js';
+import {
+  EMBEDDING_MODEL,
+  cosineSimilarity,
+  embedText,
+  embeddingSource,
+  embeddingSourceHash,
+} from './embeddings.js';
+
+// Bounds one structured clone to the worker; the whole backlog of a fresh
+// 3,000-bookmark profile is embedded in a handful of round trips.
+const EMBED_CHUNK_SIZE = 500;
+
+// id -> {sourceHash, vector}
+let vectorCache = null;
+let vectorCachePromise = null;
+
+function loadVectorCache() {
+  if (vectorCache) return Promise.resolve(vectorCache);
+  if (!vectorCachePromise) {
+    vectorCachePromise = getEmbeddings()
+      .then((rows) => {
+        vectorCache = new Map(
+          rows
+            .filter((row) => row.model === EMBEDDING_MODEL)
+            .map((row) => [row.id, { sourceHash: row.sourceHash, vector: row.vector }]),
+        );
+        return vectorCache;
+      })
+      .finally(() => {
+        vectorCachePromise = null;
+      });
+  }
+  return vectorCachePromise;
+}
+
+/**
+ * Make sure every bookmark has a vector for its current text, embedding the
+ * missing and stale ones in the analysis worker.
+ *
+ * @param {Array<Object>} bookmarks
+ * @returns {Promise<Map<string, {sourceHash: string, vector: Float32Array|null}>>}
+ */
+async function ensureEmbeddings(bookmarks) {
+  const cache = await loadVectorCache();
+
+  const stale = [];
+  for (const bookmark of bookmarks) {
+    const source = embeddingSource(bookmark);
+    const sourceHash = embeddingSourceHash(source);
+    if (cache.get(bookmark.id)?.sourceHash !== sourceHash) {
+      stale.push({ id: bookmark.id, source, sourceHash });
+    }
+  }
+
+  for (let i = 0; i < stale.length; i += EMBED_CHUNK_SIZE) {
+    const chunk = stale.slice(i, i + EMBED_CHUNK_SIZE);
+    const vectors = await runEmbedding(chunk.map((item) => item.source));
+    const rows = chunk.map((item, index) => ({
+      id: item.id,
+      model: EMBEDDING_MODEL,
+      sourceHash: item.sourceHash,
+      vector: vectors[index],
+    }));
+    for (const row of rows) {
+      cache.set(row.id, { sourceHash: row.sourceHash, vector: row.vector });
+    }
+    await saveEmbeddings(rows);
+  }
+
+  return cache;
+}
+
+/**
+ * Cosine similarity of each bookmark to the query text.
+ *
+ * @param {Array<Object>} bookmarks Candidates, already narrowed by any filters.
+ * @param {string} queryText
+ * @returns {Promise<Map<string, number>>} Similarity by bookmark id; bookmarks
+ *   with no usable text score 0.
+ */
+export async function scoreSemanticSimilarity(bookmarks, queryText) {
+  const scores = new Map();
+  const queryVector = embedText(queryText);
+  if (!queryVector) return scores;
+
+  const cache = await ensureEmbeddings(bookmarks);
+  for (const bookmark of bookmarks) {
+    scores.set(bookmark.id, cosineSimilarity(queryVector, cache.get(bookmark.id)?.vector));
+  }
+  return scores;
+}
@@ -0,0 +1,290 @@
+// Mirror of the user's preferences in chrome.storage.sync.
+//
+// Bookmarks already travel between machines through Chrome itself; settings,
+// saved searches, automation rules, the taxonomy and the dashboard view live in IndexedDB and
+// chrome.storage.local, so every device used to start from scratch. Each synced
+// field is stored under its own key with the time it was last changed, and a
+// sync keeps whichever side changed a field last. Fields are independent: a
+// saved search added on one machine and a batch size changed on another both
+// survive.
+//
+// chrome.storage.sync caps every item at 8 KB. A value that does not fit is
+// split into chunk items behind a header that records how many there are and a
+// hash of the whole, so a value read while another device is halfway through
+// writing it is recognised as incomplete and left for the next sync.
+
+import { getSettings, updateSettings } from './db.js';
+import { loadStampedViewState, applySyncedViewState } from './viewState.js';
+
+// Device-specific fields (the sync switch itself, browsing tracking, the sweep
+// cursor, the data version) are deliberately missing.
+const SYNCED_SETTINGS = [
+  'enrichmentEnabled',
+  'enrichmentBatchSize',
+  'enrichmentConcurrency',
+  'enrichmentFreshnessDays',
+  'enrichmentExcludedHosts',
+  'privacyMode',
+  'savedSearches',
+  'linkSweepEnabled',
+  'linkSweepDays',
+  'archiveEnabled',
+  'archiveQuotaMB',
+  'webArchiveEnabled',
+  'automationRules',
+  'customUrlParsers',
+  'topicTaxonomy',
+  'categoryRules',
+  'pathPatterns',
+];
+const VIEW_STATE_FIELD = 'viewState';
+
+const KEY_PREFIX = 'bi:';
+const STATUS_KEY = 'settingsSyncStatus';
+
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM, counted over the key plus the
+// JSON-encoded value. A little is held back for the header fields.
+const ITEM_QUOTA_BYTES = 8192;
+const ITEM_MARGIN_BYTES = 64;
+
+const encoder = new TextEncoder();
+
+function byteLength(text) {
+  return encoder.encode(text).length;
+}
+
+function itemBytes(key, value) {
+  return byteLength(key) + byteLength(JSON.stringify(value));
+}
+
+function chunkKey(field, index) {
+  return `${KEY_PREFIX}${field}#${index}`;
+}
+
+// FNV-1a over the UTF-16 code units; only has to notice a torn write.
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+// Cut `json` into pieces that each fit one item once JSON-encoded again,
+// never between the two halves of a surrogate pair.
+function splitForQuota(json, budget) {
+  const pieces = [];
+  let start = 0;
+  while (start < json.length) {
+    let end = Math.min(json.length, start + budget);
+    let size = byteLength(JSON.stringify(json.slice(start, end)));
+    while (size > budget) {
+      end = start + Math.max(1, Math.floor(((end - start) * budget) / size) - 1);
+      size = byteLength(JSON.stringify(json.slice(start, end)));
+    }
+    const last = json.charCodeAt(end - 1);
+    if (end < json.length && end - start > 1 && last >= 0xd800 && last <= 0xdbff) end--;
+    pieces.push(json.slice(start, end));
+    start = end;
+  }
+  return pieces;
+}
+
+/**
+ * The sync items for one field: a single `{t, v}` item when it fits, otherwise
+ * a `{t, n, h}` header plus `n` chunk items.
+ * @param {string} field
+ * @param {*} value
+ * @param {number} updatedAt
+ * @returns {Object<string, *>}
+ */
+export function encodeField(field, value, updatedAt) {
+  const key = KEY_PREFIX + field;
+  const inline = { t: updatedAt, v: value };
+  if (itemBytes(key, inline) <= ITEM_QUOTA_BYTES) return { [key]: inline };
+
+  const json = JSON.stringify(value);
+  const budget = ITEM_QUOTA_BYTES - ITEM_MARGIN_BYTES - byteLength(chunkKey(field, 9999));
+  const pieces = splitForQuota(json, budget);
+  const items = { [key]: { t: updatedAt, n: pieces.length, h: hashText(json) } };
+  pieces.forEach((piece, index) => {
+    items[chunkKey(field, index)] = piece;
+  });
+  return items;
+}
+
+/**
+ * Read one field back out of the full sync area.
+ * @param {Object<string, *>} area Result of chrome.storage.sync.get(null)
+ * @param {string} field
+ * @returns {{updatedAt: number, value: *}|{updatedAt: number, unreadable: true}|null}
+ *   null when the field has never been synced
+ */
+export function decodeField(area, field) {
+  const header = area[KEY_PREFIX + field];
+  if (!header || typeof header.t !== 'number') return null;
+  if ('v' in header) return { updatedAt: header.t, value: header.v };
+
+  const pieces = [];
+  for (let i = 0; i < header.n; i++) {
+    const piece = area[chunkKey(field, i)];
+    if (typeof piece !== 'string') return { updatedAt: header.t, unreadable: true };
+    pieces.push(piece);
+  }
+  const json = pieces.join('');
+  if (hashText(json) !== header.h) return { updatedAt: header.t, unreadable: true };
+  try {
+    return { updatedAt: header.t, value: JSON.parse(json) };
+  } catch {
+    return { updatedAt: header.t, unreadable: true };
+  }
+}
+
+// Chunk items left behind by a longer earlier value of the field.
+function staleChunkKeys(area, field, items) {
+  const prefix = `${KEY_PREFIX}${field}#`;
+  return Object.keys(area).filter((key) => key.startsWith(prefix) && !(key in items));
+}
+
+/** Whether a chrome.storage.onChanged batch touched the synced copy. */
+export function isSyncedChange(changes) {
+  return Object.keys(changes).some((key) => key.startsWith(KEY_PREFIX));
+}
+
+// This device's value and change time for every synced field. Fields that
+// still hold their defaults have no time and are never pushed over a remote
+// value.
+async function readLocalFields() {
+  const settings = await getSettings();
+  const stamps = settings.fieldUpdatedAt || {};
+  const fields = {};
+  for (const field of SYNCED_SETTINGS) {
+    fields[field] = { value: settings[field], updatedAt: stamps[field] || 0 };
+  }
+  const viewState = await loadStampedViewState();
+  fields[VIEW_STATE_FIELD] = { value: viewState.state, updatedAt: viewState.updatedAt };
+  return fields;
+}
+
+async function applyRemoteFields(remote) {
+  const changes = {};
+  const stamps = {};
+  for (const [field, { value, updatedAt }] of Object.entries(remote)) {
+    if (field === VIEW_STATE_FIELD) {
+      await applySyncedViewState(value, updatedAt);
+    } else {
+      changes[field] = value;
+      stamps[field] = updatedAt;
+    }
+  }
+  if (Object.keys(changes).length > 0 && !(await updateSettings(changes, stamps))) {
+    throw new Error('Could not save synced settings');
+  }
+}
+
+async function saveStatus(status) {
+  const previous = await getSyncStatus();
+  const next = {
+    ...previous,
+    ...status,
+    lastAttemptAt: Date.now(),
+  };
+  if (!status.error) next.lastSyncAt = next.lastAttemptAt;
+  await chrome.storage.local.set({ [STATUS_KEY]: next });
+  return next;
+}
+
+/**
+ * Outcome of the last sync on this device.
+ * @returns {Promise<{lastSyncAt: number|null, lastAttemptAt: number|null,
+ *   pulled: string[], pushed: string[], unreadable: string[], unsent: string[],
+ *   error: string|null}>} `unsent` are the local changes the sync area refused
+ */
+export async function getSyncStatus() {
+  const empty = {
+    lastSyncAt: null,
+    lastAttemptAt: null,
+    pulled: [],
+    pushed: [],
+    unreadable: [],
+    unsent: [],
+    error: null,
+  };
+  try {
+    const stored = await chrome.storage.local.get(STATUS_KEY);
+    return { ...empty, ...stored[STATUS_KEY] };
+  } catch (error) {
+    console.error('Error reading settings sync status:', error);
+    return empty;
+  }
+}
+
+/**
+ * Merge this device's settings with the synced copy, field by field: the side
+ * that changed a field last wins. Fields whose synced copy is incomplete are
+ * left alone until a later sync can read them.
+ * @returns {Promise<Object>} The recorded status
+ */
+export async function syncSettings() {
+  const pulled = [];
+  const pushed = [];
+  const unreadable = [];
+  const unsent = [];
+  try {
+    const area = await chrome.storage.sync.get(null);
+    const local = await readLocalFields();
+    const incoming = {};
+
+    for (const [field, mine] of Object.entries(local)) {
+      const theirs = decodeField(area, field);
+      if (theirs?.unreadable) {
+        unreadable.push(field);
+      } else if (theirs && theirs.updatedAt > mine.updatedAt) {
+        incoming[field] = theirs;
+        pulled.push(field);
+      } else if (mine.updatedAt > 0 && (!theirs || mine.updatedAt > theirs.updatedAt)) {
+        const items = encodeField(field, mine.value, mine.updatedAt);
+        try {
+          await chrome.storage.sync.set(items);
+        } catch (error) {
+          // Typically a quota error: the field is more than the sync area
+          // holds, or there were too many writes this minute. The other fields
+          // still sync; this one is retried next time.
+          console.error(`Error syncing setting ${field}:`, error);
+          unsent.push(field);
+          continue;
+        }
+        const stale = staleChunkKeys(area, field, items);
+        if (stale.length > 0) await chrome.storage.sync.remove(stale);
+        pushed.push(field);
+      }
+    }
+
+    await applyRemoteFields(incoming);
+    return await saveStatus({ pulled, pushed, unreadable, unsent, error: null });
+  } catch (error) {
+    console.error('Error syncing settings:', error);
+    return saveStatus({ pulled, pushed, unreadable, unsent, error: error.message });
+  }
+}
+
+/**
+ * Overwrite this device's synced fields with the synced copy, whatever their
+ * timestamps. Fields that were never synced keep their local value.
+ * @returns {Promise<{applied: string[], unreadable: string[]}>}
+ */
+export async function resetToSyncedSettings() {
+  const area = await chrome.storage.sync.get(null);
+  const remote = {};
+  const unreadable = [];
+  for (const field of [...SYNCED_SETTINGS, VIEW_STATE_FIELD]) {
+    const theirs = decodeField(area, field);
+    if (theirs?.unreadable) unreadable.push(field);
+    else if (theirs) remote[field] = theirs;
+  }
+  await applyRemoteFields(remote);
+  const applied = Object.keys(remote);
+  await saveStatus({ pulled: applied, pushed: [], unreadable, unsent: [], error: null });
+  return { applied, unreadable };
+}
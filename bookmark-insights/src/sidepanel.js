@@ -1,5 +1,6 @@
 import SidePanel from './SidePanel.svelte';
 import { renderErrorBoundary } from './error-boundary.js';
+import { loadTopicTaxonomy } from './taxonomy.js';
 
 // Global error handler for uncaught errors
 window.addEventListener('error', (event) => {
@@ -11,6 +12,10 @@ window.addEventListener('unhandledrejection', (event) => {
   console.error('Unhandled promise rejection:', event.reason);
 });
 
+// Topic names and detection follow the user's taxonomy, so it has to be in
+// place before anything renders.
+await loadTopicTaxonomy().catch((error) => console.error('Error loading taxonomy:', error));
+
 const app = new SidePanel({
   target: document.body,
 });
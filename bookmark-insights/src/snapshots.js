@@ -0,0 +1,214 @@
+// Rotating local backups.
+//
+// A snapshot is the same backup object "Download backup" produces, gzipped and
+// kept in IndexedDB, so recovering from a bad restore or a bad bulk edit does
+// not depend on someone having remembered to download a file. Snapshots are
+// taken once a day when enabled, on demand, and automatically right before any
+// restore. The scheduled and on-demand ones rotate: the newest snapshot of each
+// of the last few days, weeks and months is kept and the rest are dropped.
+// Pre-restore snapshots sit outside the rotation so a later daily snapshot
+// cannot push out the copy taken just before a restore went wrong.
+//
+// Restores go through diffBackup() first, which lists what a restore would
+// change so individual tables or bookmarks can be picked instead of replacing
+// everything.
+
+import {
+  createBackup,
+  migrateBackup,
+  addSnapshot,
+  getSnapshots,
+  getSnapshotBlob,
+  deleteSnapshots,
+  getSettings,
+  getAllBookmarks,
+} from './db.js';
+import { gzipText, gunzipText } from './compression.js';
+
+const DEFAULT_RETENTION = { daily: 7, weekly: 4, monthly: 6 };
+
+const PRE_RESTORE_KEEP = 3;
+
+// The alarm fires daily, but a browser that was closed at the alarm time fires
+// it on the next start; this keeps that from stacking a second one on top of a
+// manual snapshot taken the same morning.
+const SCHEDULED_MIN_GAP_MS = 20 * 60 * 60 * 1000;
+
+// Settings fields that differ between any two copies without anyone changing
+// a setting.
+const SETTINGS_DIFF_IGNORED = new Set(['key', 'fieldUpdatedAt', 'linkSweepCursor']);
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+// Weeks start on Monday.
+function weekKey(date) {
+  const offset = (date.getDay() + 6) % 7;
+  return dayKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset));
+}
+
+function monthKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}`;
+}
+
+const PERIODS = [
+  ['daily', dayKey],
+  ['weekly', weekKey],
+  ['monthly', monthKey],
+];
+
+/**
+ * Which snapshots the retention policy keeps: the newest snapshot in each of
+ * the most recent `daily` days, `weekly` weeks and `monthly` months, the newest
+ * snapshot overall, and the last few pre-restore snapshots.
+ * @param {Array<{id: number, createdAt: number, trigger: string}>} snapshots
+ * @param {{daily: number, weekly: number, monthly: number}} [retention]
+ * @returns {Set<number>} Ids to keep
+ */
+export function selectSnapshotsToKeep(snapshots, retention = DEFAULT_RETENTION) {
+  const newestFirst = [...snapshots].sort((a, b) => b.createdAt - a.createdAt);
+  const rotating = newestFirst.filter((s) => s.trigger !== 'pre-restore');
+  const keep = new Set();
+
+  if (rotating.length > 0) keep.add(rotating[0].id);
+  for (const [period, keyOf] of PERIODS) {
+    const limit = retention[period] ?? DEFAULT_RETENTION[period];
+    const seen = new Set();
+    for (const snapshot of rotating) {
+      const key = keyOf(new Date(snapshot.createdAt));
+      if (seen.has(key)) continue;
+      if (seen.size >= limit) break;
+      seen.add(key);
+      keep.add(snapshot.id);
+    }
+  }
+
+  newestFirst
+    .filter((s) => s.trigger === 'pre-restore')
+    .slice(0, PRE_RESTORE_KEEP)
+    .forEach((s) => keep.add(s.id));
+  return keep;
+}
+
+/**
+ * Drop the snapshots the retention policy no longer keeps.
+ * @returns {Promise<number>} How many were deleted
+ */
+export async function pruneSnapshots() {
+  const { snapshotRetention } = await getSettings();
+  const snapshots = await getSnapshots();
+  const keep = selectSnapshotsToKeep(snapshots, { ...DEFAULT_RETENTION, ...snapshotRetention });
+  const drop = snapshots.filter((s) => !keep.has(s.id)).map((s) => s.id);
+  if (drop.length > 0) await deleteSnapshots(drop);
+  return drop.length;
+}
+
+/**
+ * Back up the database into a new snapshot, then apply the retention policy.
+ * @param {'scheduled'|'manual'|'pre-restore'} [trigger='manual']
+ * @returns {Promise<Object>} The snapshot, without its payload
+ */
+export async function takeSnapshot(trigger = 'manual') {
+  const backup = await createBackup();
+  const blob = await gzipText(JSON.stringify(backup));
+  const snapshot = {
+    createdAt: Date.now(),
+    trigger,
+    bytes: blob.size,
+    metadata: backup.metadata,
+  };
+  const id = await addSnapshot({ ...snapshot, blob });
+  if (id === null) throw new Error('Could not save the snapshot');
+  await pruneSnapshots();
+  return { id, ...snapshot };
+}
+
+/**
+ * The daily snapshot, unless one was taken recently.
+ * @returns {Promise<Object>}
+ */
+export async function takeScheduledSnapshot() {
+  const latest = (await getSnapshots()).find((s) => s.trigger !== 'pre-restore');
+  if (latest && Date.now() - latest.createdAt < SCHEDULED_MIN_GAP_MS) {
+    return { skipped: true, reason: 'A snapshot was taken recently' };
+  }
+  return { snapshot: await takeSnapshot('scheduled') };
+}
+
+/**
+ * A snapshot's backup, migrated to the current layout.
+ * @param {number} id
+ * @returns {Promise<Object>}
+ */
+export async function loadSnapshot(id) {
+  const blob = await getSnapshotBlob(id);
+  if (!blob) throw new Error('Snapshot not found');
+  return migrateBackup(JSON.parse(await gunzipText(blob)));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function changedFields(current, backup, ignored = new Set()) {
+  const keys = new Set([...Object.keys(current), ...Object.keys(backup)]);
+  return [...keys].filter((key) => !ignored.has(key) && !sameValue(current[key], backup[key]));
+}
+
+function summarize(bookmark) {
+  return { id: bookmark.id, title: bookmark.title, url: bookmark.url };
+}
+
+/**
+ * What restoring `backup` over the current data would change.
+ *
+ * `added` are records only the backup has, `removed` those only the current
+ * data has (a full restore drops them), and `modified` those both have with
+ * different contents, with the fields that differ.
+ *
+ * @param {Object} backup A migrated backup
+ * @param {{bookmarks: Array<Object>, settings: Object}} current
+ * @returns {{added: Array<Object>, removed: Array<Object>, modified: Array<Object>,
+ *   settings: Array<{key: string, current: *, backup: *}>}}
+ */
+export function diffBackup(backup, current) {
+  const backupById = new Map(backup.data.bookmarks.map((b) => [b.id, b]));
+  const currentById = new Map(current.bookmarks.map((b) => [b.id, b]));
+  const added = [];
+  const modified = [];
+  const removed = [];
+
+  for (const [id, theirs] of backupById) {
+    const mine = currentById.get(id);
+    if (!mine) {
+      added.push(summarize(theirs));
+      continue;
+    }
+    const fields = changedFields(mine, theirs);
+    if (fields.length > 0) modified.push({ ...summarize(theirs), fields });
+  }
+  for (const [id, mine] of currentById) {
+    if (!backupById.has(id)) removed.push(summarize(mine));
+  }
+
+  const backupSettings = (backup.data.settings || []).find((row) => row.key === 'app');
+  const settings = backupSettings
+    ? changedFields(current.settings, backupSettings, SETTINGS_DIFF_IGNORED).map((key) => ({
+        key,
+        current: current.settings[key],
+        backup: backupSettings[key],
+      }))
+    : [];
+
+  return { added, removed, modified, settings };
+}
+
+/**
+ * diffBackup() against the data in this browser.
+ * @param {Object} backup A migrated backup
+ */
+export async function diffAgainstCurrent(backup) {
+  const [bookmarks, settings] = await Promise.all([getAllBookmarks(), getSettings()]);
+  return diffBackup(backup, { bookmarks, settings });
+}
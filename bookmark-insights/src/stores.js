@@ -39,12 +39,13 @@ function createBookmarksStore() {
 
 export const allBookmarks = createBookmarksStore();
 
-function createActiveFiltersStore() {
-  const { subscribe, set, update } = writable({
+function emptyFilters() {
+  return {
     domains: [],
     folders: [],
     topics: [],
     tags: [],
+    creators: [],
     deadLinks: false,
     stale: false,
     dateRange: null,
@@ -53,11 +54,17 @@ function createActiveFiltersStore() {
     hasPublishedDate: null,
     contentAgeYears: null, // Content (not the bookmark) published at least N years ago
     readingList: false, // Filter to show only reading list items
-  });
+  };
+}
+
+function createActiveFiltersStore() {
+  const { subscribe, set, update } = writable(emptyFilters());
 
   return {
     subscribe,
-    set,
+    // Filters saved before a category existed (saved searches, view state)
+    // get it filled in, so every array category is always an array.
+    set: (filters) => set({ ...emptyFilters(), ...filters }),
     addFilter: (category, value) =>
       update((state) => {
         if (Array.isArray(state[category])) {
@@ -112,21 +119,7 @@ function createActiveFiltersStore() {
         return state;
       }),
     setFilter: (category, value) => update((state) => ({ ...state, [category]: value })),
-    clearFilters: () =>
-      set({
-        domains: [],
-        folders: [],
-        topics: [],
-        tags: [],
-        deadLinks: false,
-        stale: false,
-        dateRange: null,
-        readingTimeRange: null,
-        qualityScoreRange: null,
-        hasPublishedDate: null,
-        contentAgeYears: null,
-        readingList: false,
-      }),
+    clearFilters: () => set(emptyFilters()),
     /** @deprecated Use clearFilters() instead */
     reset: function () {
       this.clearFilters();
@@ -163,9 +156,29 @@ function createSelectedBookmarksStore() {
         newSet.delete(id);
         return newSet;
       }),
+    // Shift-selection: add every id between `fromId` and `toId` in the
+    // rendered order, or just `toId` when `fromId` is no longer on screen.
+    addRange: (ids, fromId, toId) =>
+      update((s) => {
+        const newSet = new Set(s);
+        const from = ids.indexOf(fromId);
+        const to = ids.indexOf(toId);
+        if (from === -1 || to === -1) {
+          newSet.add(toId);
+          return newSet;
+        }
+        for (const id of ids.slice(Math.min(from, to), Math.max(from, to) + 1)) newSet.add(id);
+        return newSet;
+      }),
     selectAll: (ids) => set(new Set(ids)),
     clear: () => set(new Set()),
   };
 }
 
 export const selectedBookmarks = createSelectedBookmarksStore();
+
+// The bookmark whose archived copy is open in the reader view, or null.
+export const readerBookmark = writable(null);
+
+// The bookmark whose history timeline is open, or null.
+export const timelineBookmark = writable(null);
@@ -0,0 +1,216 @@
+// User-editable classification: the topic taxonomy and the category rules.
+//
+// Both ship built in (TOPIC_TAXONOMY in topics.js, CATEGORY_RULES and
+// PATH_PATTERNS in enrichment.js). Editing either stores a full copy in
+// settings (topicTaxonomy, categoryRules, pathPatterns); null means "use the
+// built-in one", so a reset is just clearing the field. The copies travel
+// with settings sync, chunked like any other large field; a JSON export shares
+// them with other people, or with a device when a copy is too large to sync.
+//
+// Topic ids are what bookmarks store, so renaming a topic changes its name and
+// icon but never its id.
+
+import { getSettings } from './db.js';
+import { setTopicTaxonomy } from './topics.js';
+
+const EXPORT_FORMAT = 'bookmark-insights-taxonomy';
+const EXPORT_VERSION = 1;
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const DEFAULT_ICON = '🏷️';
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string');
+}
+
+function validateTopic(topic, key, expectedId) {
+  if (!topic || typeof topic !== 'object') return `Topic "${key}" is not an object`;
+  if (!ID_PATTERN.test(key)) return `Topic key "${key}" may only use a-z, 0-9 and dashes`;
+  if (topic.id !== expectedId) return `Topic "${key}" must have the id "${expectedId}"`;
+  if (typeof topic.name !== 'string' || !topic.name.trim()) return `Topic "${key}" needs a name`;
+  for (const field of ['keywords', 'domains', 'paths']) {
+    if (topic[field] !== undefined && !isStringList(topic[field])) {
+      return `The ${field} of "${key}" must be a list of strings`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Why a taxonomy cannot be used, or null when it can.
+ * @param {Object} taxonomy Same shape as TOPIC_TAXONOMY
+ * @returns {string|null}
+ */
+export function validateTaxonomy(taxonomy) {
+  if (!taxonomy || typeof taxonomy !== 'object' || Array.isArray(taxonomy)) {
+    return 'The taxonomy must be an object of topics';
+  }
+  for (const [key, topic] of Object.entries(taxonomy)) {
+    const error = validateTopic(topic, key, key);
+    if (error) return error;
+    for (const [subKey, subtopic] of Object.entries(topic.subtopics || {})) {
+      const subError = validateTopic(subtopic, subKey, `${key}/${subKey}`);
+      if (subError) return subError;
+    }
+  }
+  return null;
+}
+
+/**
+ * Add a topic, or a subtopic under `parentKey`. The id comes from the name.
+ * @param {Object} taxonomy Edited in place
+ * @param {string} name
+ * @param {string|null} [parentKey]
+ * @returns {string} The new topic's id
+ */
+export function addTopic(taxonomy, name, parentKey = null) {
+  const key = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (!key) throw new Error('Give the topic a name with letters or digits');
+
+  const siblings = parentKey ? (taxonomy[parentKey].subtopics ||= {}) : taxonomy;
+  if (siblings[key]) throw new Error(`There is already a topic "${key}"`);
+
+  const id = parentKey ? `${parentKey}/${key}` : key;
+  siblings[key] = { id, name: name.trim(), keywords: [], domains: [], paths: [] };
+  if (!parentKey) siblings[key].icon = DEFAULT_ICON;
+  return id;
+}
+
+/**
+ * "pattern = category" lines, one rule per line, for the rule editors.
+ * @param {Object} rules
+ * @returns {string}
+ */
+export function formatRuleLines(rules) {
+  return Object.entries(rules)
+    .map(([pattern, category]) => `${pattern} = ${category}`)
+    .join('\n');
+}
+
+/**
+ * Parse the rule editor's text back into a rules object.
+ * @param {string} text
+ * @returns {Object}
+ * @throws {Error} Naming the first line that is not "pattern = category"
+ */
+export function parseRuleLines(text) {
+  const rules = {};
+  String(text || '')
+    .split('\n')
+    .forEach((line, index) => {
+      if (!line.trim()) return;
+      const match = line.match(/^\s*(\S+)\s*=\s*([a-z0-9-]+)\s*$/i);
+      if (!match) throw new Error(`Line ${index + 1}: expected "pattern = category"`);
+      rules[match[1].toLowerCase()] = match[2].toLowerCase();
+    });
+  return rules;
+}
+
+/**
+ * The taxonomy and category rules as a JSON document.
+ * @param {{topicTaxonomy: Object, categoryRules: Object, pathPatterns: Object}} current
+ *   The rules in effect, built-in ones included
+ * @returns {string}
+ */
+export function exportTaxonomy({ topicTaxonomy, categoryRules, pathPatterns }) {
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      topics: topicTaxonomy,
+      categoryRules,
+      pathPatterns,
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Read an exported taxonomy. Sections missing from the file come back as
+ * undefined, so an import can replace just the topics.
+ * @param {string} text
+ * @returns {{topicTaxonomy?: Object, categoryRules?: Object, pathPatterns?: Object}}
+ * @throws {Error} When the file is not a usable taxonomy export
+ */
+export function parseTaxonomyImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+  if (data?.format !== EXPORT_FORMAT) throw new Error('Not a taxonomy export');
+  if (data.version > EXPORT_VERSION) throw new Error('Exported by a newer version');
+
+  const error = data.topics === undefined ? null : validateTaxonomy(data.topics);
+  if (error) throw new Error(error);
+  for (const field of ['categoryRules', 'pathPatterns']) {
+    const rules = data[field];
+    if (rules === undefined) continue;
+    if (
+      !rules ||
+      typeof rules !== 'object' ||
+      Object.values(rules).some((v) => typeof v !== 'string')
+    ) {
+      throw new Error(`${field} must map patterns to category names`);
+    }
+  }
+  return {
+    topicTaxonomy: data.topics,
+    categoryRules: data.categoryRules,
+    pathPatterns: data.pathPatterns,
+  };
+}
+
+/**
+ * How a re-classification moved bookmarks between topics, judged by each
+ * bookmark's main (first) topic.
+ * @param {Array<{before: string[], after: string[]}>} changes From migrateBookmarksWithTopics()
+ * @returns {{changed: number, moves: Array<{from: string|null, to: string|null, count: number}>,
+ *   topics: Array<{topic: string, before: number, after: number}>}}
+ */
+export function summarizeReclassification(changes) {
+  const moves = new Map();
+  const topics = new Map();
+  const count = (topic, field) => {
+    if (!topics.has(topic)) topics.set(topic, { topic, before: 0, after: 0 });
+    topics.get(topic)[field]++;
+  };
+
+  for (const { before, after } of changes) {
+    before.forEach((topic) => count(topic, 'before'));
+    after.forEach((topic) => count(topic, 'after'));
+
+    const from = before[0] || null;
+    const to = after[0] || null;
+    if (from === to) continue;
+    const key = `${from} ${to}`;
+    if (!moves.has(key)) moves.set(key, { from, to, count: 0 });
+    moves.get(key).count++;
+  }
+
+  return {
+    changed: changes.length,
+    moves: [...moves.values()].sort((a, b) => b.count - a.count),
+    topics: [...topics.values()]
+      .filter((entry) => entry.before !== entry.after)
+      .sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before)),
+  };
+}
+
+/**
+ * Make the user's taxonomy active in this context. Every entry point calls
+ * this before it classifies or names a topic.
+ * @returns {Promise<void>}
+ */
+export async function loadTopicTaxonomy() {
+  // A taxonomy restored from a backup has not been through the editor.
+  const { topicTaxonomy } = await getSettings();
+  setTopicTaxonomy(topicTaxonomy && !validateTaxonomy(topicTaxonomy) ? topicTaxonomy : null);
+}
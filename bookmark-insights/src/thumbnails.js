@@ -0,0 +1,44 @@
+// Page thumbnails for the dashboard's visual grid.
+//
+// When thumbnails are switched on and behaviour tracking sees a bookmarked page
+// open in the active tab, the background captures what is on screen with
+// chrome.tabs.captureVisibleTab, scales it down and stores it as a WebP blob
+// keyed by bookmark id. Nothing is fetched: the page is already open. The
+// store is capped by total size, and the thumbnails the grid has shown least
+// recently are evicted first.
+
+const THUMBNAIL_MAX_WIDTH = 400;
+const THUMBNAIL_QUALITY = 0.7;
+
+/**
+ * Scale a capture to fit the thumbnail width, keeping its aspect ratio and
+ * never scaling up.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [maxWidth]
+ * @returns {{width: number, height: number}}
+ */
+export function thumbnailSize(width, height, maxWidth = THUMBNAIL_MAX_WIDTH) {
+  if (width <= maxWidth) return { width, height };
+  return { width: maxWidth, height: Math.max(1, Math.round((height * maxWidth) / width)) };
+}
+
+/**
+ * Capture the visible tab of a window and scale it down.
+ * @param {number} windowId
+ * @returns {Promise<Blob>} A WebP thumbnail
+ */
+export async function captureThumbnail(windowId) {
+  const dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: 'jpeg', quality: 85 });
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  try {
+    const { width, height } = thumbnailSize(bitmap.width, bitmap.height);
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+    return await canvas.convertToBlob({ type: 'image/webp', quality: THUMBNAIL_QUALITY });
+  } finally {
+    bitmap.close();
+  }
+}
@@ -9,7 +9,12 @@
  * - icon: emoji for visual identification
  * - keywords: words/phrases that indicate this topic
  * - domains: domains strongly associated with this topic
+ * - paths: optional URL path fragments that indicate this topic (user topics)
  * - subtopics: optional nested topics for finer categorization
+ *
+ * This is the built-in taxonomy. Users can replace it with an edited copy
+ * (settings.topicTaxonomy, see taxonomy.js), which setTopicTaxonomy() makes
+ * the active one.
  */
 const TOPIC_TAXONOMY = {
   tech: {
@@ -751,6 +756,29 @@ const TOPIC_TAXONOMY = {
   },
 };
 
+// Module state rather than a parameter so that detectTopics and the display
+// helpers keep their synchronous signatures across every caller. Each context
+// (background, dashboard, side panel, analysis worker) sets it on start.
+let activeTaxonomy = TOPIC_TAXONOMY;
+
+/**
+ * Make a user taxonomy the active one, or go back to the built-in with null.
+ * @param {Object|null} taxonomy Same shape as TOPIC_TAXONOMY
+ */
+export function setTopicTaxonomy(taxonomy) {
+  activeTaxonomy = taxonomy || TOPIC_TAXONOMY;
+}
+
+/** @returns {Object|null} The user's taxonomy, or null while the built-in one is active */
+export function getCustomTopicTaxonomy() {
+  return activeTaxonomy === TOPIC_TAXONOMY ? null : activeTaxonomy;
+}
+
+/** @returns {Object} An editable copy of the built-in taxonomy */
+export function getBuiltInTopicTaxonomy() {
+  return structuredClone(TOPIC_TAXONOMY);
+}
+
 /**
  * Get topic display info by ID
  * @param {string} topicId - Topic ID (e.g., 'tech' or 'tech/ai')
@@ -760,7 +788,7 @@ function getTopicInfo(topicId) {
   if (!topicId) return null;
 
   const parts = topicId.split('/');
-  const mainTopic = TOPIC_TAXONOMY[parts[0]];
+  const mainTopic = activeTaxonomy[parts[0]];
 
   if (!mainTopic) return null;
 
@@ -847,8 +875,18 @@ export function detectTopics(bookmark) {
     ogType = (og['og:type'] || '').toLowerCase();
   }
 
+  let path = '';
+  try {
+    path = new URL(bookmark.url).pathname.toLowerCase();
+  } catch {
+    // No URL, or not one with a path
+  }
+  const matchesPath = (patterns) =>
+    Boolean(path) && patterns.some((pattern) => path.includes(pattern.toLowerCase()));
+
   // Score multipliers for different matches
   const DOMAIN_MATCH_SCORE = 10;
+  const PATH_MATCH_SCORE = 6;
   const KEYWORD_TITLE_SCORE = 5;
   const KEYWORD_DESC_SCORE = 3;
   const KEYWORD_CONTENT_SCORE = 2;
@@ -862,7 +900,7 @@ export function detectTopics(bookmark) {
   };
 
   // Check each topic in taxonomy
-  for (const topic of Object.values(TOPIC_TAXONOMY)) {
+  for (const topic of Object.values(activeTaxonomy)) {
     // Check domain matches (high confidence)
     if (topic.domains) {
       for (const topicDomain of topic.domains) {
@@ -873,6 +911,10 @@ export function detectTopics(bookmark) {
       }
     }
 
+    if (topic.paths && matchesPath(topic.paths)) {
+      addScore(topic.id, PATH_MATCH_SCORE);
+    }
+
     // Check keyword matches
     if (topic.keywords) {
       for (const keyword of topic.keywords) {
@@ -908,6 +950,11 @@ export function detectTopics(bookmark) {
           }
         }
 
+        if (subtopic.paths && matchesPath(subtopic.paths)) {
+          addScore(subtopic.id, PATH_MATCH_SCORE);
+          addScore(topic.id, PATH_MATCH_SCORE / 2);
+        }
+
         // Check subtopic keywords
         if (subtopic.keywords) {
           for (const keyword of subtopic.keywords) {
@@ -963,26 +1010,34 @@ export function detectTopics(bookmark) {
 
 /**
  * Migrate existing bookmarks to add topics
- * This runs topic detection on bookmarks that don't have topics yet
+ * This runs topic detection on bookmarks that don't have topics yet, or with
+ * `options.all` on every bookmark, e.g. after the taxonomy was edited
  * @param {Function} getAllBookmarks - Function to get all bookmarks
  * @param {Function} bulkUpsertBookmarks - Function to bulk update bookmarks
  * @param {Function} onProgress - Optional callback for progress updates
- * @returns {Promise<{migrated: number, total: number}>} Migration stats
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Re-detect topics that are already set
+ * @returns {Promise<{migrated: number, total: number,
+ *   changes: Array<{id: string, before: string[], after: string[]}>}>} Migration stats
+ *   and every bookmark whose topics changed
  */
 export async function migrateBookmarksWithTopics(
   getAllBookmarks,
   bulkUpsertBookmarks,
   onProgress = null,
+  options = {},
 ) {
   try {
     const allBookmarks = await getAllBookmarks();
 
     // Find bookmarks without topics that have been enriched (have metadata)
-    const needsMigration = allBookmarks.filter((b) => !b.topics || b.topics.length === 0);
+    const needsMigration = options.all
+      ? allBookmarks
+      : allBookmarks.filter((b) => !b.topics || b.topics.length === 0);
 
     if (needsMigration.length === 0) {
       console.log('Topic migration: All bookmarks already have topics');
-      return { migrated: 0, total: allBookmarks.length };
+      return { migrated: 0, total: allBookmarks.length, changes: [] };
     }
 
     console.log(`Topic migration: Processing ${needsMigration.length} bookmarks...`);
@@ -990,22 +1045,26 @@ export async function migrateBookmarksWithTopics(
     // Process in batches for better performance
     const BATCH_SIZE = 100;
     let migrated = 0;
+    const changes = [];
 
     for (let i = 0; i < needsMigration.length; i += BATCH_SIZE) {
       const batch = needsMigration.slice(i, i + BATCH_SIZE);
 
-      // Detect topics for each bookmark in the batch
-      const updatedBatch = batch.map((bookmark) => ({
-        ...bookmark,
-        topics: detectTopics(bookmark),
-      }));
-
-      // Only update bookmarks that got topics assigned
-      const withTopics = updatedBatch.filter((b) => b.topics && b.topics.length > 0);
+      // Detect topics for each bookmark in the batch. Only bookmarks whose
+      // topics changed are written; a re-run may also clear topics that no
+      // longer match anything.
+      const changed = [];
+      for (const bookmark of batch) {
+        const before = bookmark.topics || [];
+        const topics = detectTopics(bookmark);
+        if (JSON.stringify(topics) === JSON.stringify(before)) continue;
+        changed.push({ ...bookmark, topics });
+        changes.push({ id: bookmark.id, before, after: topics });
+      }
 
-      if (withTopics.length > 0) {
-        await bulkUpsertBookmarks(withTopics);
-        migrated += withTopics.length;
+      if (changed.length > 0) {
+        await bulkUpsertBookmarks(changed);
+        migrated += changed.length;
       }
 
       // Report progress
@@ -1019,7 +1078,7 @@ export async function migrateBookmarksWithTopics(
     }
 
     console.log(`Topic migration complete: ${migrated} bookmarks updated with topics`);
-    return { migrated, total: allBookmarks.length };
+    return { migrated, total: allBookmarks.length, changes };
   } catch (error) {
     console.error('Topic migration error:', error);
     throw error;
@@ -1,5 +1,8 @@
 // Platform-specific URL parsers for extracting structured data from bookmark URLs
 // Extracts platform, content type, creator, and other structured info without additional fetches
+//
+// Each platform is one entry in PLATFORM_PARSERS. Users can add their own as
+// URL-pattern templates (settings.customUrlParsers), which are tried first.
 
 import { flattenRawMetadata } from './metadata-analyzer.js';
 
@@ -7,42 +10,27 @@ import { flattenRawMetadata } from './metadata-analyzer.js';
  * Main entry point - parse a bookmark URL and extract structured platform data
  * @param {string} url - The bookmark URL to parse
  * @param {Object} metadata - Optional metadata object with Schema.org types for enhanced detection
+ * @param {Array<Object>} customParsers - User templates from settings.customUrlParsers
  * @returns {Object} Structured platform data
  */
-export function parseBookmarkUrl(url, metadata = null) {
+export function parseBookmarkUrl(url, metadata = null, customParsers = []) {
   if (!url) return null;
 
   try {
     const urlObj = new URL(url);
     const hostname = urlObj.hostname.toLowerCase();
 
-    // Try platform-specific parsers
-    if (isYouTube(hostname)) {
-      return parseYouTubeUrl(urlObj, metadata);
+    // User templates can cover self-hosted instances or override a built-in.
+    // One whose path pattern does not match falls through to the next.
+    for (const parser of compileCustomParsers(customParsers)) {
+      if (!matchesHost(hostname, parser.hosts)) continue;
+      const result = parser.parse(urlObj);
+      if (result) return result;
     }
-    if (isGitHub(hostname)) {
-      return parseGitHubUrl(urlObj, metadata);
-    }
-    if (isMedium(hostname)) {
-      return parseMediumUrl(urlObj, metadata);
-    }
-    if (isDevTo(hostname)) {
-      return parseDevToUrl(urlObj, metadata);
-    }
-    if (isSubstack(hostname)) {
-      return parseSubstackUrl(urlObj, metadata);
-    }
-    if (isTwitter(hostname)) {
-      return parseTwitterUrl(urlObj, metadata);
-    }
-    if (isReddit(hostname)) {
-      return parseRedditUrl(urlObj, metadata);
-    }
-    if (isStackOverflow(hostname)) {
-      return parseStackOverflowUrl(urlObj, metadata);
-    }
-    if (isNpm(hostname)) {
-      return parseNpmUrl(urlObj, metadata);
+
+    const parser = PLATFORM_PARSERS.find((p) => matchesHost(hostname, p.hosts));
+    if (parser) {
+      return parser.parse(urlObj, metadata);
     }
 
     // Generic parsing for unknown platforms (use Schema.org if available)
@@ -133,63 +121,293 @@ export function enhanceWithSchemaOrg(platformData, rawMetadata) {
   return platformData;
 }
 
-// Platform detection helpers
-function isYouTube(hostname) {
-  return (
-    hostname === 'youtube.com' ||
-    hostname === 'www.youtube.com' ||
-    hostname === 'm.youtube.com' ||
-    hostname === 'youtu.be' ||
-    hostname === 'music.youtube.com'
+// Platform registry. `hosts` are exact hostnames, or `*.example.com` for any
+// subdomain; the first entry with a matching host parses the URL.
+const PLATFORM_PARSERS = [
+  {
+    platform: 'youtube',
+    name: 'YouTube',
+    icon: '📺',
+    hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtu.be', 'music.youtube.com'],
+    parse: parseYouTubeUrl,
+  },
+  {
+    platform: 'github',
+    name: 'GitHub',
+    icon: '🐙',
+    hosts: ['github.com', 'www.github.com', 'gist.github.com'],
+    parse: parseGitHubUrl,
+  },
+  {
+    platform: 'medium',
+    name: 'Medium',
+    icon: '📝',
+    hosts: ['medium.com', '*.medium.com'],
+    parse: parseMediumUrl,
+  },
+  {
+    platform: 'devto',
+    name: 'DEV Community',
+    icon: '👩‍💻',
+    hosts: ['dev.to', 'www.dev.to'],
+    parse: parseDevToUrl,
+  },
+  {
+    platform: 'substack',
+    name: 'Substack',
+    icon: '📨',
+    hosts: ['*.substack.com'],
+    parse: parseSubstackUrl,
+  },
+  {
+    platform: 'twitter',
+    name: 'Twitter/X',
+    icon: '🐦',
+    hosts: ['twitter.com', 'www.twitter.com', 'x.com', 'www.x.com'],
+    parse: parseTwitterUrl,
+  },
+  {
+    platform: 'reddit',
+    name: 'Reddit',
+    icon: '🤖',
+    hosts: ['reddit.com', '*.reddit.com'],
+    parse: parseRedditUrl,
+  },
+  {
+    platform: 'stackoverflow',
+    name: 'Stack Overflow',
+    icon: '📚',
+    hosts: ['stackoverflow.com', 'www.stackoverflow.com', '*.stackexchange.com'],
+    parse: parseStackOverflowUrl,
+  },
+  {
+    platform: 'npm',
+    name: 'npm',
+    icon: '📦',
+    hosts: ['npmjs.com', 'www.npmjs.com'],
+    parse: parseNpmUrl,
+  },
+  {
+    platform: 'gitlab',
+    name: 'GitLab',
+    icon: '🦊',
+    hosts: ['gitlab.com', 'www.gitlab.com'],
+    parse: parseGitLabUrl,
+  },
+  {
+    platform: 'arxiv',
+    name: 'arXiv',
+    icon: '🎓',
+    hosts: ['arxiv.org', 'www.arxiv.org', 'export.arxiv.org'],
+    parse: parseArxivUrl,
+  },
+  {
+    platform: 'pypi',
+    name: 'PyPI',
+    icon: '🐍',
+    hosts: ['pypi.org', 'www.pypi.org'],
+    parse: parsePypiUrl,
+  },
+  {
+    platform: 'crates',
+    name: 'crates.io',
+    icon: '🦀',
+    hosts: ['crates.io', 'www.crates.io', 'docs.rs'],
+    parse: parseCratesUrl,
+  },
+  {
+    platform: 'hackernews',
+    name: 'Hacker News',
+    icon: '🟧',
+    hosts: ['news.ycombinator.com'],
+    parse: parseHackerNewsUrl,
+  },
+  {
+    platform: 'jira',
+    name: 'Jira',
+    icon: '🎫',
+    hosts: ['*.atlassian.net'],
+    parse: parseJiraUrl,
+  },
+  {
+    platform: 'googledocs',
+    name: 'Google Docs',
+    icon: '📄',
+    hosts: ['docs.google.com', 'drive.google.com'],
+    parse: parseGoogleDocsUrl,
+  },
+  {
+    platform: 'figma',
+    name: 'Figma',
+    icon: '🎨',
+    hosts: ['figma.com', 'www.figma.com'],
+    parse: parseFigmaUrl,
+  },
+  {
+    platform: 'notion',
+    name: 'Notion',
+    icon: '🗒️',
+    hosts: ['notion.so', 'www.notion.so', '*.notion.site'],
+    parse: parseNotionUrl,
+  },
+  {
+    platform: 'spotify',
+    name: 'Spotify',
+    icon: '🎧',
+    hosts: ['open.spotify.com'],
+    parse: parseSpotifyUrl,
+  },
+  {
+    platform: 'applepodcasts',
+    name: 'Apple Podcasts',
+    icon: '🎙️',
+    hosts: ['podcasts.apple.com'],
+    parse: parseApplePodcastsUrl,
+  },
+  {
+    platform: 'wikipedia',
+    name: 'Wikipedia',
+    icon: '📖',
+    hosts: ['wikipedia.org', '*.wikipedia.org'],
+    parse: parseWikipediaUrl,
+  },
+];
+
+function matchesHost(hostname, hosts) {
+  return hosts.some((host) =>
+    host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host,
   );
 }
 
-function isGitHub(hostname) {
-  return (
-    hostname === 'github.com' || hostname === 'www.github.com' || hostname === 'gist.github.com'
-  );
-}
+// =============================================
+// User-defined parsers
+// =============================================
 
-function isMedium(hostname) {
-  return hostname === 'medium.com' || hostname.endsWith('.medium.com');
-}
+// `{name}` in a template path captures one path segment (or part of one); `*`
+// matches anything, slashes included.
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+const HOST_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+// Compiled once per settings array: re-parsing a whole library passes the
+// same array thousands of times.
+const compiledTemplates = new WeakMap();
+
+/**
+ * Check a user parser template before it is saved.
+ * @param {{name: string, host: string, pattern: string, type?: string,
+ *   identifier?: string, creator?: string}} template
+ * @returns {string|null} Error message, or null when the template is usable
+ */
+export function validateUrlParser(template) {
+  if (!customPlatformId(template?.name)) {
+    return 'Give the parser a name with at least one letter or digit';
+  }
+
+  const hosts = splitHosts(template.host);
+  if (hosts.length === 0) return 'Enter a host, e.g. jira.example.com';
+  const badHost = hosts.find((host) => !HOST_PATTERN.test(host));
+  if (badHost) return `"${badHost}" is not a host name (use *.example.com for subdomains)`;
+
+  const pattern = (template.pattern || '').trim();
+  if (!pattern) return 'Enter a path pattern, e.g. /browse/{key}';
+  if (/[{}]/.test(pattern.replace(PLACEHOLDER_PATTERN, ''))) {
+    return 'Placeholders look like {name}, using letters, digits and _';
+  }
+  const names = [...pattern.matchAll(PLACEHOLDER_PATTERN)].map((m) => m[1]);
+  const repeated = names.find((name, i) => names.indexOf(name) !== i);
+  if (repeated) return `{${repeated}} appears twice in the pattern`;
 
-function isDevTo(hostname) {
-  return hostname === 'dev.to' || hostname === 'www.dev.to';
+  for (const field of ['identifier', 'creator']) {
+    for (const [, used] of (template[field] || '').matchAll(PLACEHOLDER_PATTERN)) {
+      if (!names.includes(used)) return `The ${field} uses {${used}}, which is not in the pattern`;
+    }
+  }
+
+  if (template.type && !/^[a-z0-9-]+$/.test(template.type)) {
+    return 'The type may only use lowercase letters, digits and -';
+  }
+  return null;
 }
 
-function isSubstack(hostname) {
-  return hostname.endsWith('.substack.com');
+function customPlatformId(name) {
+  return (name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
 }
 
-function isTwitter(hostname) {
-  return (
-    hostname === 'twitter.com' ||
-    hostname === 'www.twitter.com' ||
-    hostname === 'x.com' ||
-    hostname === 'www.x.com'
-  );
+function splitHosts(host) {
+  return (host || '')
+    .toLowerCase()
+    .split(/[\s,]+/)
+    .filter(Boolean);
 }
 
-function isReddit(hostname) {
-  return (
-    hostname === 'reddit.com' ||
-    hostname === 'www.reddit.com' ||
-    hostname === 'old.reddit.com' ||
-    hostname.endsWith('.reddit.com')
-  );
+function compileCustomParsers(templates) {
+  if (!Array.isArray(templates) || templates.length === 0) return [];
+
+  let compiled = compiledTemplates.get(templates);
+  if (!compiled) {
+    // Invalid templates can only arrive through sync or a backup; skip them.
+    compiled = templates
+      .filter((template) => template && template.enabled !== false && !validateUrlParser(template))
+      .map(compileTemplate);
+    compiledTemplates.set(templates, compiled);
+  }
+  return compiled;
 }
 
-function isStackOverflow(hostname) {
-  return (
-    hostname === 'stackoverflow.com' ||
-    hostname === 'www.stackoverflow.com' ||
-    hostname.endsWith('.stackexchange.com')
-  );
+function compileTemplate(template) {
+  const path = template.pattern.trim().replace(/\/+$/, '');
+  const source = (path.startsWith('/') ? path : `/${path}`)
+    .split(/(\{[A-Za-z_][A-Za-z0-9_]*\}|\*)/)
+    .map((part) => {
+      if (part === '*') return '.*';
+      const placeholder = part.match(/^\{(\w+)\}$/);
+      if (placeholder) return `(?<${placeholder[1]}>[^/]+?)`;
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  const regex = new RegExp(`^${source}/?$`, 'i');
+  const platform = customPlatformId(template.name);
+
+  const fill = (text, values) =>
+    text ? text.replace(PLACEHOLDER_PATTERN, (_, name) => values[name] ?? '') || null : null;
+
+  return {
+    hosts: splitHosts(template.host),
+    parse(urlObj) {
+      const match = urlObj.pathname.match(regex);
+      if (!match) return null;
+
+      const values = {};
+      for (const [name, value] of Object.entries(match.groups || {})) {
+        values[name] = safeDecode(value);
+      }
+      const captured = Object.values(values);
+
+      return {
+        platform,
+        type: template.type || 'page',
+        creator: fill(template.creator, values),
+        // Without an identifier template, the last placeholder is the ID
+        identifier: template.identifier
+          ? fill(template.identifier, values)
+          : captured[captured.length - 1] || null,
+        subtype: null,
+        extra: { ...values, customParser: template.name.trim() },
+      };
+    },
+  };
 }
 
-function isNpm(hostname) {
-  return hostname === 'npmjs.com' || hostname === 'www.npmjs.com';
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
 }
 
 /**
@@ -987,6 +1205,534 @@ function parseNpmUrl(urlObj) {
   return result;
 }
 
+/**
+ * Result skeleton shared by the parsers below
+ */
+function platformResult(platform, type = null) {
+  return {
+    platform,
+    type,
+    creator: null,
+    identifier: null,
+    subtype: null,
+    extra: {},
+  };
+}
+
+function pathParts(urlObj) {
+  return urlObj.pathname.slice(1).split('/').filter(Boolean);
+}
+
+// "Q3-Roadmap-Draft" -> "Q3 Roadmap Draft"
+function slugToTitle(slug) {
+  return safeDecode(slug)
+    .replace(/[-_+]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse GitLab URLs
+ * Projects can sit in nested groups; everything after "/-/" is a project page:
+ * /group/subgroup/project/-/merge_requests/12
+ */
+function parseGitLabUrl(urlObj) {
+  const parts = pathParts(urlObj);
+  const result = platformResult('gitlab', 'home');
+  if (parts.length === 0) return result;
+
+  const dash = parts.indexOf('-');
+  const projectParts = dash === -1 ? parts : parts.slice(0, dash);
+  const page = dash === -1 ? [] : parts.slice(dash + 1);
+
+  result.creator = projectParts[0];
+
+  // User or group: /NAME
+  if (projectParts.length === 1) {
+    result.type = 'profile';
+    result.identifier = projectParts[0];
+    return result;
+  }
+
+  // Same extra fields as GitHub, so repo: filters work for both
+  const repo = projectParts[projectParts.length - 1];
+  result.identifier = repo;
+  result.extra.owner = projectParts.slice(0, -1).join('/');
+  result.extra.repo = repo;
+
+  const number = /^\d+$/.test(page[1] || '') ? parseInt(page[1], 10) : null;
+  switch (page[0]) {
+    case 'merge_requests':
+      result.type = number ? 'pr' : 'pulls';
+      result.subtype = number ? 'merge-request' : 'list';
+      if (number) result.extra.number = number;
+      break;
+    case 'issues':
+      result.type = number ? 'issue' : 'issues';
+      if (number) result.extra.number = number;
+      else result.subtype = 'list';
+      break;
+    case 'commit':
+      result.type = 'commit';
+      result.extra.sha = page[1];
+      break;
+    case 'commits':
+      result.type = 'commits';
+      if (page[1]) result.extra.branch = page[1];
+      break;
+    case 'blob':
+    case 'tree':
+      result.type = 'file';
+      result.subtype = page[0];
+      if (page[1]) result.extra.branch = page[1];
+      if (page.length > 2) result.extra.path = page.slice(2).join('/');
+      break;
+    case 'pipelines':
+    case 'jobs':
+      result.type = 'pipeline';
+      if (number) result.extra.pipelineId = number;
+      break;
+    case 'wikis':
+      result.type = 'wiki';
+      if (page.length > 1) result.extra.page = page.slice(1).join('/');
+      break;
+    case 'releases':
+    case 'tags':
+      result.type = page[0];
+      break;
+    default:
+      result.type = 'repo';
+      if (page.length > 0) result.extra.subPath = page.join('/');
+  }
+
+  return result;
+}
+
+/**
+ * Parse arXiv URLs
+ * Papers are identified without their version: /abs/2301.01234v2 -> 2301.01234
+ */
+function parseArxivUrl(urlObj) {
+  const parts = pathParts(urlObj);
+  const result = platformResult('arxiv', 'home');
+  if (parts.length === 0) return result;
+
+  const [section, ...rest] = parts;
+
+  // New-style (2301.01234) and old-style (hep-th/9901001) IDs
+  if (['abs', 'pdf', 'html', 'format'].includes(section) && rest.length > 0) {
+    result.type = 'paper';
+    const match = rest
+      .join('/')
+      .replace(/\.pdf$/, '')
+      .match(/^(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(v\d+)?$/);
+    if (match) {
+      result.identifier = match[1];
+      if (match[2]) result.extra.version = match[2];
+    }
+    if (section === 'pdf') result.subtype = 'pdf';
+    return result;
+  }
+
+  // Subject listing: /list/cs.LG/recent
+  if (section === 'list' && rest.length > 0) {
+    result.type = 'listing';
+    result.identifier = rest[0];
+    return result;
+  }
+
+  // Author page: /a/surname_f_1
+  if (section === 'a' && rest.length > 0) {
+    result.type = 'profile';
+    result.creator = rest[0].replace(/\.html$/, '');
+    result.identifier = result.creator;
+    return result;
+  }
+
+  if (section === 'search') {
+    result.type = 'search';
+    result.extra.query = urlObj.searchParams.get('query');
+    return result;
+  }
+
+  result.type = 'page';
+  return result;
+}
+
+/**
+ * Parse PyPI URLs
+ */
+function parsePypiUrl(urlObj) {
+  const parts = pathParts(urlObj);
+  const result = platformResult('pypi', parts.length === 0 ? 'home' : 'page');
+
+  // Package: /project/NAME[/VERSION]
+  if (parts[0] === 'project' && parts[1]) {
+    result.type = 'package';
+    result.identifier = parts[1];
+    if (parts[2]) result.extra.version = parts[2];
+  } else if (parts[0] === 'user' && parts[1]) {
+    result.type = 'profile';
+    result.creator = parts[1];
+    result.identifier = parts[1];
+  } else if (parts[0] === 'search') {
+    result.type = 'search';
+    result.extra.query = urlObj.searchParams.get('q');
+  }
+
+  return result;
+}
+
+/**
+ * Parse crates.io and docs.rs URLs
+ */
+function parseCratesUrl(urlObj) {
+  const parts = pathParts(urlObj);
+  const result = platformResult('crates', parts.length === 0 ? 'home' : 'page');
+
+  // docs.rs/CRATE/VERSION/... or docs.rs/crate/CRATE/VERSION
+  if (urlObj.hostname === 'docs.rs') {
+    const offset = parts[0] === 'crate' ? 1 : 0;
+    const name = parts[offset];
+    if (name && !['releases', 'about', '-'].includes(name)) {
+      result.type = 'documentation';
+      result.identifier = name;
+      const version = parts[offset + 1];
+      if (version && version !== 'latest') result.extra.version = version;
+    }
+    return result;
+  }
+
+  // Crate: /crates/NAME[/VERSION]
+  if (parts[0] === 'crates' && parts[1]) {
+    result.type = 'package';
+    result.identifier = parts[1];
+    if (parts[2] && /^\d/.test(parts[2])) result.extra.version = parts[2];
+  } else if (parts[0] === 'users' && parts[1]) {
+    result.type = 'profile';
+    result.creator = parts[1];
+    result.identifier = parts[1];
+  } else if (parts[0] === 'search') {
+    result.type = 'search';
+    result.extra.query = urlObj.searchParams.get('q');
+  }
+
+  return result;
+}
+
+/**
+ * Parse Hacker News URLs
+ * Everything is addressed by query string: /item?id=123, /user?id=pg
+ */
+function parseHackerNewsUrl(urlObj) {
+  const page = urlObj.pathname.slice(1);
+  const id = urlObj.searchParams.get('id');
+  const result = platformResult('hackernews', 'home');
+
+  if (page === 'item' && id) {
+    result.type = 'discussion';
+    result.identifier = id;
+  } else if (page === 'user' && id) {
+    result.type = 'profile';
+    result.creator = id;
+    result.identifier = id;
+  } else if (page === 'from' && urlObj.searchParams.get('site')) {
+    result.type = 'site';
+    result.identifier = urlObj.searchParams.get('site');
+  } else if (
+    ['news', 'newest', 'front', 'best', 'ask', 'show', 'jobs', 'asknew', 'shownew'].includes(page)
+  ) {
+    result.type = 'listing';
+    result.identifier = page;
+  } else if (page) {
+    result.type = 'page';
+  }
+
+  return result;
+}
+
+/**
+ * Parse Jira and Confluence Cloud URLs (SITE.atlassian.net)
+ * Self-hosted Jira needs a user template, e.g. /browse/{key}
+ */
+function parseJiraUrl(urlObj) {
+  const parts = pathParts(urlObj);
+  const result = platformResult('jira', 'home');
+  const site = urlObj.hostname.split('.')[0];
+  result.creator = site;
+  result.extra.site = site;
+
+  const setIssue = (key) => {
+    result.type = 'issue';
+    result.identifier = key;
+    result.extra.project = key.split('-')[0];
+  };
+
+  // Issue: /browse/KEY-123
+  if (parts[0] === 'browse' && /^[A-Z][A-Z0-9_]*-\d+$/.test(parts[1] || '')) {
+    setIssue(parts[1]);
+    return result;
+  }
+
+  // Confluence: /wiki/spaces/SPACE/pages/ID/Title
+  if (parts[0] === 'wiki') {
+    result.platform = 'confluence';
+    result.type = 'space';
+    if (parts[1] === 'spaces' && parts[2]) {
+      result.extra.space = parts[2];
+      result.identifier = parts[2];
+      if (parts[3] === 'pages' && parts[4]) {
+        result.type = 'page';
+        result.identifier = parts[4];
+        if (parts[5]) result.extra.title = slugToTitle(parts[5]);
+      }
+    }
+    return result;
+  }
+
+  // Boards and project pages: /jira/software/projects/KEY/boards/1?selectedIssue=KEY-2
+  const selected = urlObj.searchParams.get('selectedIssue');
+  if (selected && /^[A-Z][A-Z0-9_]*-\d+$/.test(selected)) {
+    setIssue(selected);
+    return result;
+  }
+  const projectIndex = parts.indexOf('projects');
+  if (projectIndex !== -1 && parts[projectIndex + 1]) {
+    result.type = 'project';
+    result.identifier = parts[projectIndex + 1];
+    result.extra.project = parts[projectIndex + 1];
+    if (parts[projectIndex + 2]) result.extra.section = parts[projectIndex + 2];
+    return result;
+  }
+
+  if (parts.length > 0) result.type = 'page';
+  return result;
+}
+
+/**
+ * Parse Google Docs/Sheets/Slides/Forms and Drive URLs
+ * The file ID follows "/d/", possibly after an account switch: /document/u/1/d/ID/edit
+ */
+function parseGoogleDocsUrl(urlObj) {
+  const parts = pathParts(urlObj);
+  const result = platformResult('googledocs', 'home');
+
+  const types = {
+    document: 'document',
+    spreadsheets: 'spreadsheet',
+    presentation: 'presentation',
+    forms: 'form',
+    drawings: 'drawing',
+    file: 'file',
+  };
+
+  const idIndex = parts.indexOf('d');
+  if (idIndex !== -1 && parts[idIndex + 1]) {
+    result.type = types[parts[0]] || 'file';
+    result.identifier = parts[idIndex + 1] === 'e' ? parts[idIndex + 2] : parts[idIndex + 1];
+    if (parts[idIndex + 1] === 'e') result.subtype = 'published';
+    return result;
+  }
+
+  // Drive folder: drive.google.com/drive/folders/ID
+  const folderIndex = parts.indexOf('folders');
+  if (folderIndex !== -1 && parts[folderIndex + 1]) {
+    result.type = 'folder';
+    result.identifier = parts[folderIndex + 1];
+    return result;
+  }
+
+  // drive.google.com/open?id=ID
+  if (urlObj.searchParams.get('id')) {
+    result.type = 'file';
+    result.identifier = urlObj.searchParams.get('id');
+  }
+
+  return result;
+}
+
+/**
+ * Parse Figma URLs
+ * /file/KEY/Title, /design/KEY/Title, /proto/KEY, /board/KEY (FigJam)
+ */
+function parseFigmaUrl(urlObj) {
+  const parts = pathParts(urlObj);
+  const result = platformResult('figma', 'home');
+
+  const types = {
+    file: 'design',
+    design: 'design',
+    proto: 'prototype',
+    board: 'whiteboard',
+    slides: 'presentation',
+  };
+
+  let offset = 0;
+  if (parts[0] === 'community' && parts[1] === 'file') {
+    result.subtype = 'community';
+    offset = 1;
+  }
+
+  const kind = parts[offset];
+  if (types[kind] && parts[offset + 1]) {
+    result.type = types[kind];
+    result.identifier = parts[offset + 1];
+    if (parts[offset + 2]) result.extra.title = slugToTitle(parts[offset + 2]);
+    const nodeId = urlObj.searchParams.get('node-id');
+    if (nodeId) result.extra.nodeId = nodeId;
+    return result;
+  }
+
+  // Profile: /@handle
+  if (parts[0]?.startsWith('@')) {
+    result.type = 'profile';
+    result.creator = parts[0];
+    result.identifier = parts[0].slice(1);
+    return result;
+  }
+
+  if (parts.length > 0) result.type = 'page';
+  return result;
+}
+
+/**
+ * Parse Notion URLs
+ * Pages end in a 32-character hex ID: /workspace/Page-Title-0123456789abcdef0123456789abcdef
+ */
+function parseNotionUrl(urlObj) {
+  const parts = pathParts(urlObj);
+  const result = platformResult('notion', 'home');
+
+  // Public sites: WORKSPACE.notion.site/Page-ID
+  if (urlObj.hostname.endsWith('.notion.site')) {
+    result.creator = urlObj.hostname.split('.')[0];
+  } else if (parts.length > 1) {
+    result.creator = parts[0];
+  }
+
+  const last = parts[parts.length - 1];
+  const match = last?.match(/^(?:(.*)-)?([0-9a-f]{32})$/i);
+  if (match) {
+    // ?v= selects a database view
+    result.type = urlObj.searchParams.get('v') ? 'database' : 'page';
+    result.identifier = match[2].toLowerCase();
+    if (match[1]) result.extra.title = slugToTitle(match[1]);
+    return result;
+  }
+
+  if (parts.length > 0) result.type = 'page';
+  return result;
+}
+
+/**
+ * Parse Spotify URLs: open.spotify.com/[intl-xx/]KIND/ID
+ */
+function parseSpotifyUrl(urlObj) {
+  const parts = pathParts(urlObj).filter((part) => !part.startsWith('intl-'));
+  const result = platformResult('spotify', 'home');
+
+  const types = {
+    track: 'track',
+    album: 'album',
+    artist: 'artist',
+    playlist: 'playlist',
+    episode: 'podcast-episode',
+    show: 'podcast',
+    user: 'profile',
+  };
+
+  if (types[parts[0]] && parts[1]) {
+    result.type = types[parts[0]];
+    result.identifier = parts[1];
+    if (parts[0] === 'user') result.creator = parts[1];
+  } else if (parts[0] === 'search') {
+    result.type = 'search';
+    if (parts[1]) result.extra.query = safeDecode(parts[1]);
+  } else if (parts.length > 0) {
+    result.type = 'page';
+  }
+
+  return result;
+}
+
+/**
+ * Parse Apple Podcasts URLs
+ * /us/podcast/show-name/id1234567890?i=1000123456789 (the i= parameter is an episode)
+ */
+function parseApplePodcastsUrl(urlObj) {
+  const parts = pathParts(urlObj);
+  const result = platformResult('applepodcasts', 'home');
+
+  if (/^[a-z]{2}$/.test(parts[0] || '')) {
+    result.extra.country = parts[0];
+    parts.shift();
+  }
+
+  if (parts[0] === 'podcast') {
+    const idPart = parts.find((part) => /^id\d+$/.test(part));
+    const slug = parts[1] && parts[1] !== idPart ? parts[1] : null;
+    if (slug) result.creator = slugToTitle(slug);
+    if (idPart) result.extra.showId = idPart.slice(2);
+
+    const episodeId = urlObj.searchParams.get('i');
+    if (episodeId) {
+      result.type = 'podcast-episode';
+      result.identifier = episodeId;
+    } else {
+      result.type = 'podcast';
+      result.identifier = result.extra.showId || null;
+    }
+    return result;
+  }
+
+  if (parts[0] === 'channel' && parts[1]) {
+    result.type = 'channel';
+    result.creator = slugToTitle(parts[1]);
+    result.identifier = parts.find((part) => /^id\d+$/.test(part))?.slice(2) || null;
+    return result;
+  }
+
+  if (parts.length > 0) result.type = 'page';
+  return result;
+}
+
+/**
+ * Parse Wikipedia URLs: LANG[.m].wikipedia.org/wiki/Title
+ */
+function parseWikipediaUrl(urlObj) {
+  const parts = pathParts(urlObj);
+  const result = platformResult('wikipedia', 'home');
+
+  const language = urlObj.hostname.split('.')[0];
+  if (language !== 'www' && language !== 'wikipedia') {
+    result.extra.language = language;
+  }
+
+  if (parts[0] !== 'wiki' || !parts[1]) {
+    if (parts.length > 0) result.type = 'page';
+    return result;
+  }
+
+  const title = safeDecode(parts.slice(1).join('/')).replace(/_/g, ' ');
+  const namespace = title.match(
+    /^(Category|User|Special|Talk|File|Help|Portal|Template|Wikipedia):/,
+  );
+
+  result.identifier = title;
+  if (!namespace) {
+    result.type = 'article';
+  } else if (namespace[1] === 'Category') {
+    result.type = 'category';
+  } else if (namespace[1] === 'User') {
+    result.type = 'profile';
+    result.creator = title.slice(namespace[0].length);
+  } else {
+    result.type = 'special';
+    result.subtype = namespace[1].toLowerCase();
+  }
+
+  return result;
+}
+
 /**
  * Generic URL parser for unknown platforms
  */
@@ -1044,19 +1790,7 @@ function parseGenericUrl(urlObj) {
  * @returns {string} Human-readable platform name
  */
 export function getPlatformDisplayName(platform) {
-  const names = {
-    youtube: 'YouTube',
-    github: 'GitHub',
-    medium: 'Medium',
-    devto: 'DEV Community',
-    substack: 'Substack',
-    twitter: 'Twitter/X',
-    reddit: 'Reddit',
-    stackoverflow: 'Stack Overflow',
-    npm: 'npm',
-    other: 'Other',
-  };
-  return names[platform] || platform;
+  return platformInfo(platform)?.name || platform;
 }
 
 /**
@@ -1065,17 +1799,15 @@ export function getPlatformDisplayName(platform) {
  * @returns {string} Emoji representing the platform
  */
 export function getPlatformIcon(platform) {
-  const icons = {
-    youtube: '📺',
-    github: '🐙',
-    medium: '📝',
-    devto: '👩‍💻',
-    substack: '📨',
-    twitter: '🐦',
-    reddit: '🤖',
-    stackoverflow: '📚',
-    npm: '📦',
-    other: '🌐',
-  };
-  return icons[platform] || '🔗';
+  return platformInfo(platform)?.icon || '🔗';
+}
+
+// Platforms a parser produces without having a registry entry of their own
+const OTHER_PLATFORMS = [
+  { platform: 'confluence', name: 'Confluence', icon: '📘' },
+  { platform: 'other', name: 'Other', icon: '🌐' },
+];
+
+function platformInfo(platform) {
+  return [...PLATFORM_PARSERS, ...OTHER_PLATFORMS].find((p) => p.platform === platform);
 }
@@ -74,6 +74,14 @@ export function isFetchableUrl(url) {
   }
 }
 
+function isHttpUrl(url) {
+  try {
+    return FETCHABLE_SCHEMES.has(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Resolve a possibly-relative image reference and allow only renderable schemes.
  * `new URL()` ignores the base for absolute-scheme inputs, so `javascript:` must
@@ -122,7 +130,11 @@ export function safeHref(url) {
  * @param {number} [options.maxBytes=524288]
  * @param {RegExp} [options.expectContentType] Applied to the Content-Type header.
  * @param {boolean} [options.readBody=true]
- * @returns {Promise<{ok: boolean, status: number, retryAfter: string|null, body: string}>}
+ * @param {boolean} [options.allowPrivate=false] Also allow private and loopback
+ *   hosts. Only for addresses the user typed in themselves, such as a
+ *   self-hosted archive endpoint - never for bookmark URLs.
+ * @returns {Promise<{ok: boolean, status: number, retryAfter: string|null, body: string,
+ *   url: string, redirected: boolean}>} `url` is where the redirects, if any, ended.
  */
 export async function safeFetch(url, options = {}) {
   const {
@@ -131,9 +143,11 @@ export async function safeFetch(url, options = {}) {
     maxBytes = MAX_BODY_BYTES,
     expectContentType = null,
     readBody = true,
+    allowPrivate = false,
   } = options;
 
-  if (!isFetchableUrl(url)) {
+  const allowed = allowPrivate ? isHttpUrl : isFetchableUrl;
+  if (!allowed(url)) {
     throw new Error('Blocked URL: not a public http(s) address');
   }
 
@@ -152,9 +166,10 @@ export async function safeFetch(url, options = {}) {
     });
 
     // A redirect can leave the public range; re-check the final URL.
-    if (response.url && !isFetchableUrl(response.url)) {
+    if (response.url && !allowed(response.url)) {
       throw new Error('Blocked redirect into a private address');
     }
+    const landing = { url: response.url || url, redirected: Boolean(response.redirected) };
 
     if (!readBody || method === 'HEAD' || !response.body) {
       return {
@@ -162,6 +177,7 @@ export async function safeFetch(url, options = {}) {
         status: response.status,
         retryAfter: response.headers.get('retry-after'),
         body: '',
+        ...landing,
       };
     }
 
@@ -171,6 +187,7 @@ export async function safeFetch(url, options = {}) {
         status: response.status,
         retryAfter: response.headers.get('retry-after'),
         body: '',
+        ...landing,
       };
     }
 
@@ -180,6 +197,7 @@ export async function safeFetch(url, options = {}) {
       status: response.status,
       retryAfter: response.headers.get('retry-after'),
       body,
+      ...landing,
     };
   } finally {
     clearTimeout(timeoutId);
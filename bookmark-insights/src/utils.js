@@ -89,6 +89,59 @@ export function getDomainLabel(bookmark) {
   }
 }
 
+/**
+ * A URL reduced to host (without `www.`) and path, lowercased and without a
+ * trailing slash: `https://www.Example.com/Docs/` becomes `example.com/docs`.
+ * Visit tracking and the side panel's current-page card match bookmarks on it.
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeUrlForMatching(url) {
+  try {
+    const urlObj = new URL(url);
+    const normalized = urlObj.hostname.replace(/^www\./, '') + urlObj.pathname;
+    return normalized.replace(/\/$/, '').toLowerCase();
+  } catch {
+    return url.toLowerCase();
+  }
+}
+
+// Query parameters that say how a link was reached, not what it shows.
+const TRACKING_PARAM =
+  /^(utm_.+|fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi)$/i;
+
+/**
+ * A URL reduced to the page it shows: host without `www.`, path without a
+ * trailing slash, and the query without tracking parameters, sorted. The
+ * fragment is dropped. Unlike normalizeUrlForMatching the query stays, so
+ * `watch?v=A` and `watch?v=B` are different pages.
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizePageUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    const params = [...urlObj.searchParams]
+      .filter(([key]) => !TRACKING_PARAM.test(key))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const query = new URLSearchParams(params).toString();
+    const page = urlObj.hostname.replace(/^www\./, '') + urlObj.pathname.replace(/\/$/, '');
+    return query ? `${page}?${query}` : page;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Whether two URLs show the same page, by normalizePageUrl().
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function isSamePage(a, b) {
+  return Boolean(a && b) && normalizePageUrl(a) === normalizePageUrl(b);
+}
+
 /**
  * Copy text to clipboard
  * @param {string} text - Text to copy
@@ -138,6 +191,24 @@ export function shuffle(items) {
   return result;
 }
 
+/**
+ * Flatten chrome.bookmarks.getTree() into a folder picker list.
+ * @param {Array<chrome.bookmarks.BookmarkTreeNode>} nodes
+ * @param {string} prefix - Path of the parent folder
+ * @returns {Array<{id: string, path: string}>} Folders in tree order, e.g. "Bookmarks Bar/Dev"
+ */
+export function flattenFolders(nodes, prefix = '') {
+  const list = [];
+  for (const node of nodes) {
+    if (node.url) continue;
+    // The invisible root (id "0") contributes no path segment.
+    const path = node.id === '0' ? '' : prefix ? `${prefix}/${node.title}` : node.title;
+    if (path) list.push({ id: node.id, path });
+    list.push(...flattenFolders(node.children || [], path));
+  }
+  return list;
+}
+
 /**
  * Sort options for bookmarks
  */
@@ -2,9 +2,11 @@
 //
 // `currentView` already persists via the URL hash; the view mode, sort order
 // and active filters did not, so every reopen dropped whatever the user had set
-// up. Stored in chrome.storage.local next to the dark-mode preference.
+// up. Stored in chrome.storage.local next to the dark-mode preference, with the
+// time of the last change so settings sync can tell which device's copy is newer.
 
 const STORAGE_KEY = 'dashboardViewState';
+const UPDATED_AT_KEY = 'dashboardViewStateUpdatedAt';
 
 /** @returns {Promise<Object|null>} */
 export async function loadViewState() {
@@ -20,8 +22,28 @@ export async function loadViewState() {
 /** @param {Object} state */
 export async function saveViewState(state) {
   try {
-    await chrome.storage.local.set({ [STORAGE_KEY]: state });
+    await chrome.storage.local.set({ [STORAGE_KEY]: state, [UPDATED_AT_KEY]: Date.now() });
   } catch (error) {
     console.error('Error saving view state:', error);
   }
 }
+
+/** @returns {Promise<{state: Object|null, updatedAt: number}>} updatedAt is 0 if never saved */
+export async function loadStampedViewState() {
+  try {
+    const stored = await chrome.storage.local.get([STORAGE_KEY, UPDATED_AT_KEY]);
+    return { state: stored[STORAGE_KEY] || null, updatedAt: stored[UPDATED_AT_KEY] || 0 };
+  } catch (error) {
+    console.error('Error loading view state:', error);
+    return { state: null, updatedAt: 0 };
+  }
+}
+
+/**
+ * Store a view state that came from another device, keeping its change time.
+ * @param {Object|null} state
+ * @param {number} updatedAt
+ */
+export async function applySyncedViewState(state, updatedAt) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: state, [UPDATED_AT_KEY]: updatedAt });
+}
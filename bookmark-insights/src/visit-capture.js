@@ -0,0 +1,154 @@
+// Enrichment from pages the user has open.
+//
+// Anything behind a login - internal wikis, issue trackers, shared documents -
+// answers enrichment's anonymous fetch with a sign-in page, so those bookmarks
+// are left blocked with no description or topics. When behaviour tracking sees
+// a bookmarked page open, and the user has opted in, the page's own metadata is
+// read from the rendered document instead: no request is made, the tab has
+// already loaded it.
+//
+// capturePageMetadata() is injected with chrome.scripting.executeScript, which
+// serialises the function's source. It must not use anything from this module
+// or any import. buildVisitMetadata() turns its result into the shape
+// fetchPageMetadata() returns, so enrichment treats both alike.
+
+import { safeImageUrl } from './url-safety.js';
+import { resolveCanonical } from './redirects.js';
+import { isHostExcluded } from './enrichment-monitor.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Average reading speed, as in metadata-analyzer.js.
+const WORDS_PER_MINUTE = 225;
+// Fewer words than this is a dashboard or an app shell, not something to read.
+const MIN_READING_WORDS = 100;
+
+/**
+ * Read the rendered page's metadata. Runs in the page's isolated world.
+ * Values are capped, since the page decides what is in them.
+ * @returns {{meta: Object, openGraph: Object, twitterCard: Object, jsonLd: Array,
+ *   other: Object, favicon: string|null, paragraphs: string[], wordCount: number,
+ *   signIn: boolean}}
+ */
+export function capturePageMetadata() {
+  const MAX_VALUE = 2000;
+  const MAX_JSON_LD = 20;
+  const MAX_JSON_LD_CHARS = 50000;
+  const cap = (value) =>
+    String(value || '')
+      .trim()
+      .slice(0, MAX_VALUE);
+
+  const raw = { meta: {}, openGraph: {}, twitterCard: {}, jsonLd: [], other: {} };
+
+  for (const tag of document.querySelectorAll('meta[content]')) {
+    const name = tag.getAttribute('property') || tag.getAttribute('name');
+    const content = cap(tag.getAttribute('content'));
+    if (!name || !content) continue;
+    if (name.startsWith('og:')) raw.openGraph[name] = content;
+    else if (name.startsWith('twitter:')) raw.twitterCard[name] = content;
+    else raw.meta[name] = content;
+  }
+
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    if (raw.jsonLd.length >= MAX_JSON_LD) break;
+    const text = script.textContent || '';
+    if (text.length > MAX_JSON_LD_CHARS) continue;
+    try {
+      raw.jsonLd.push(JSON.parse(text));
+    } catch {
+      // Ignore invalid JSON-LD
+    }
+  }
+
+  if (document.title) raw.other.title = cap(document.title);
+  const canonical = document.querySelector('link[rel="canonical"]');
+  if (canonical) raw.other.canonical = cap(canonical.getAttribute('href'));
+  if (document.documentElement.lang) raw.other.language = cap(document.documentElement.lang);
+  if (raw.meta.author) raw.other.author = raw.meta.author;
+
+  const icon = document.querySelector('link[rel="icon"], link[rel="shortcut icon"]');
+
+  // The readable part of the page: the article or main element when there is
+  // one, without navigation and page furniture.
+  const root = document.querySelector('article, main, [role="main"]') || document.body;
+  const paragraphs = [];
+  for (const p of root ? root.querySelectorAll('p') : []) {
+    if (p.closest('nav, header, footer, aside')) continue;
+    const text = p.textContent.replace(/\s+/g, ' ').trim();
+    if (text.length > 50) paragraphs.push(text.slice(0, 500));
+    if (paragraphs.length >= 3) break;
+  }
+  const words = root ? (root.innerText || '').match(/\S+/g) : null;
+
+  return {
+    ...raw,
+    favicon: icon ? cap(icon.getAttribute('href')) : null,
+    paragraphs,
+    wordCount: words ? words.length : 0,
+    // A password field means the tab is showing a sign-in form, not the page.
+    signIn: Boolean(document.querySelector('input[type="password"]')),
+  };
+}
+
+/**
+ * Page metadata from a capture, in fetchPageMetadata()'s shape, plus a
+ * reading time counted from the rendered text.
+ * @param {Object} capture From capturePageMetadata()
+ * @param {string} pageUrl The tab's URL, for resolving relative links
+ * @returns {{description: string|null, keywords: string[], faviconUrl: string|null,
+ *   snippet: string|null, canonicalUrl: string|null, rawMetadata: Object,
+ *   readingTime: number|null}}
+ */
+export function buildVisitMetadata(capture, pageUrl) {
+  const rawMetadata = {
+    meta: { ...capture.meta },
+    openGraph: { ...capture.openGraph },
+    twitterCard: { ...capture.twitterCard },
+    jsonLd: Array.isArray(capture.jsonLd) ? capture.jsonLd : [],
+    other: { ...capture.other },
+  };
+
+  const keywords = rawMetadata.meta.keywords
+    ? rawMetadata.meta.keywords
+        .split(',')
+        .map((k) => k.trim())
+        .filter((k) => k.length > 0)
+        .slice(0, 10)
+    : [];
+
+  const paragraphs = (capture.paragraphs || []).filter((text) => !/cookie|copyright/i.test(text));
+
+  return {
+    description:
+      rawMetadata.openGraph['og:description'] ||
+      rawMetadata.meta.description ||
+      rawMetadata.twitterCard['twitter:description'] ||
+      null,
+    keywords,
+    faviconUrl: capture.favicon ? safeImageUrl(capture.favicon, pageUrl) : null,
+    snippet: paragraphs.length > 0 ? paragraphs.join(' ... ').substring(0, 300) : null,
+    canonicalUrl: resolveCanonical(rawMetadata.other.canonical, pageUrl),
+    rawMetadata,
+    readingTime:
+      capture.wordCount >= MIN_READING_WORDS
+        ? Math.ceil(capture.wordCount / WORDS_PER_MINUTE)
+        : null,
+  };
+}
+
+/**
+ * Whether a visit to this bookmark should be captured: the setting is on, and
+ * the bookmark has no enrichment newer than the freshness window. Privacy mode
+ * and host exclusions apply as they do to fetching.
+ * @param {Object} bookmark
+ * @param {Object} settings
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function needsVisitEnrichment(bookmark, settings, now = Date.now()) {
+  if (!bookmark || !settings.visitEnrichmentEnabled || settings.privacyMode) return false;
+  if (isHostExcluded(bookmark.url, settings.enrichmentExcludedHosts)) return false;
+  const freshnessDays = settings.enrichmentFreshnessDays || 30;
+  return !bookmark.enrichedAt || now - bookmark.enrichedAt > freshnessDays * DAY_MS;
+}
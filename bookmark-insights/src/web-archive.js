@@ -0,0 +1,159 @@
+// Web archive lookup for dead links.
+//
+// When a bookmark dies, a public archive often still has the page. The lookup
+// asks a CDX server - the capture index behind the Wayback Machine, pywb and
+// other Memento archives - for the captures of the bookmark's URL nearest to
+// when it was last known to work, and records the closest successful one as a
+// replay URL. The endpoint and the replay URL template are settings, so a
+// self-hosted archive or a local stub can stand in for the Wayback Machine.
+//
+// Everything here is pure; the fetch itself lives in enrichment.js, behind
+// safeFetch and the per-host limiter.
+
+export const DEFAULT_CDX_ENDPOINT = 'https://web.archive.org/cdx/search/cdx';
+export const DEFAULT_REPLAY_TEMPLATE = 'https://web.archive.org/web/{timestamp}/{url}';
+
+// Captures asked for per lookup. The server sorts them by distance when it
+// supports `sort=closest`; otherwise these are the earliest and we still pick
+// the nearest among them.
+const CAPTURE_LIMIT = 25;
+
+/**
+ * A time as a 14-digit archive timestamp, `YYYYMMDDhhmmss` in UTC.
+ * @param {number} ms
+ * @returns {string}
+ */
+export function toArchiveTimestamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * The time an archive timestamp stands for. Short timestamps are padded the
+ * way archives read them: `2019` is the start of 2019.
+ * @param {string} timestamp
+ * @returns {number|null}
+ */
+export function fromArchiveTimestamp(timestamp) {
+  const digits = String(timestamp || '');
+  if (!/^\d{4,14}$/.test(digits)) return null;
+  const [y, mo, d, h, mi, s] = digits
+    .padEnd(14, '0')
+    .match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/)
+    .slice(1)
+    .map(Number);
+  return Date.UTC(y, Math.max(mo, 1) - 1, Math.max(d, 1), h, mi, s);
+}
+
+/**
+ * The CDX query for the captures of `url` nearest to `closestTo`.
+ * @param {string} endpoint CDX endpoint; the Wayback Machine's when empty
+ * @param {string} url
+ * @param {number} closestTo
+ * @returns {string}
+ * @throws {Error} When the endpoint is not an http(s) URL
+ */
+export function buildCdxQuery(endpoint, url, closestTo) {
+  const query = new URL(endpoint || DEFAULT_CDX_ENDPOINT);
+  if (query.protocol !== 'http:' && query.protocol !== 'https:') {
+    throw new Error('The archive endpoint must be an http(s) URL');
+  }
+  query.searchParams.set('url', url);
+  query.searchParams.set('output', 'json');
+  query.searchParams.set('fl', 'timestamp,original,statuscode');
+  query.searchParams.set('closest', toArchiveTimestamp(closestTo));
+  query.searchParams.set('sort', 'closest');
+  query.searchParams.set('limit', String(CAPTURE_LIMIT));
+  return query.href;
+}
+
+/**
+ * Captures from a CDX response, in any of the shapes CDX servers answer
+ * with: a JSON table with a header row (Wayback), one JSON object per line
+ * (pywb), or space-separated `timestamp original statuscode` lines.
+ * @param {string} body
+ * @returns {Array<{timestamp: string, original: string, status: string|null}>}
+ */
+export function parseCdxResponse(body) {
+  const text = String(body || '').trim();
+  if (!text) return [];
+
+  let rows = null;
+  try {
+    rows = JSON.parse(text);
+  } catch {
+    // Not one JSON document; read it line by line.
+  }
+
+  if (Array.isArray(rows)) {
+    const [header, ...data] = rows;
+    if (!Array.isArray(header)) return [];
+    const column = (names) => header.findIndex((name) => names.includes(name));
+    const at = { timestamp: column(['timestamp']), original: column(['original', 'url']) };
+    const status = column(['statuscode', 'status']);
+    if (at.timestamp === -1 || at.original === -1) return [];
+    return data.map((row) => ({
+      timestamp: String(row[at.timestamp]),
+      original: String(row[at.original]),
+      status: status === -1 ? null : String(row[status]),
+    }));
+  }
+
+  const captures = [];
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    if (trimmed.startsWith('{')) {
+      try {
+        const row = JSON.parse(trimmed);
+        captures.push({
+          timestamp: String(row.timestamp ?? ''),
+          original: String(row.original ?? row.url ?? ''),
+          status: row.statuscode ?? row.status ?? null,
+        });
+      } catch {
+        // A torn line; skip it.
+      }
+      continue;
+    }
+    const [timestamp, original, status = null] = trimmed.split(/\s+/);
+    captures.push({ timestamp, original, status });
+  }
+  return captures.filter((capture) => capture.timestamp && capture.original);
+}
+
+/**
+ * The successful capture nearest in time to `closestTo`, or null. Captures
+ * with no status, or `-` for a revisit record, count as successful; redirects
+ * and errors do not, since replaying them shows the same dead page.
+ * @param {Array<{timestamp: string, original: string, status: string|null}>} captures
+ * @param {number} closestTo
+ * @returns {{timestamp: string, original: string, capturedAt: number}|null}
+ */
+export function pickClosestCapture(captures, closestTo) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const capture of captures) {
+    const status = capture.status === null ? null : String(capture.status);
+    if (status !== null && status !== '-' && !status.startsWith('2')) continue;
+    const capturedAt = fromArchiveTimestamp(capture.timestamp);
+    if (capturedAt === null) continue;
+    const distance = Math.abs(capturedAt - closestTo);
+    if (!best || distance < bestDistance) {
+      best = { timestamp: capture.timestamp, original: capture.original, capturedAt };
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * The replay URL of a capture. The template takes `{timestamp}` and `{url}`.
+ * @param {string} template The Wayback Machine's when empty
+ * @param {{timestamp: string, original: string}} capture
+ * @returns {string}
+ */
+export function replayUrl(template, capture) {
+  return (template || DEFAULT_REPLAY_TEMPLATE)
+    .replace('{timestamp}', () => capture.timestamp)
+    .replace('{url}', () => capture.original);
+}
@@ -5,6 +5,9 @@ import {
   wordJaccardSimilarity,
   getMetadataCoverage,
   computeSimilarPairs,
+  findSimilarToBookmark,
+  computeRelatedBookmarks,
+  computeKnowledgeGraph,
 } from '../src/analysis-core.js';
 
 describe('levenshteinDistance', () => {
@@ -45,7 +48,10 @@ describe('fuzzyTitleSimilarity', () => {
   });
 
   it('scores similar titles higher than dissimilar ones', () => {
-    const similar = fuzzyTitleSimilarity('Getting started with Svelte', 'Getting started in Svelte');
+    const similar = fuzzyTitleSimilarity(
+      'Getting started with Svelte',
+      'Getting started in Svelte',
+    );
     const dissimilar = fuzzyTitleSimilarity('Getting started with Svelte', 'Tax return checklist');
     expect(similar).toBeGreaterThan(dissimilar);
   });
@@ -146,7 +152,11 @@ describe('computeSimilarPairs', () => {
       category: 'dev',
       url: 'https://example.com/a',
     });
-    const bare = { id: '2', title: 'A shared headline about caching', url: 'https://example.com/b' };
+    const bare = {
+      id: '2',
+      title: 'A shared headline about caching',
+      url: 'https://example.com/b',
+    };
 
     const { pairs } = computeSimilarPairs([rich, bare], {
       requireHighCoverage: true,
@@ -155,3 +165,186 @@ describe('computeSimilarPairs', () => {
     expect(pairs).toEqual([]);
   });
 });
+
+describe('findSimilarToBookmark', () => {
+  const page = {
+    id: null,
+    url: 'https://docs.example.com/guide/install',
+    title: 'Installation guide',
+    domain: 'docs.example.com',
+  };
+
+  it('finds near-duplicates on the same site, best first', () => {
+    const bookmarks = [
+      {
+        id: '1',
+        url: 'https://docs.example.com/guide/installing',
+        title: 'Installation guide',
+        domain: 'docs.example.com',
+      },
+      {
+        id: '2',
+        url: 'https://docs.example.com/api/reference',
+        title: 'API reference',
+        domain: 'docs.example.com',
+      },
+    ];
+
+    const matches = findSimilarToBookmark(page, bookmarks);
+
+    expect(matches.map((m) => m.bookmark.id)).toEqual(['1']);
+    expect(matches[0]).toMatchObject({ sameDomain: true });
+  });
+
+  it('leaves out the page itself and exact URL duplicates', () => {
+    const bookmarks = [
+      { ...page, id: '1' },
+      { ...page, id: '2', url: 'https://docs.example.com/guide/install?ref=x' },
+    ];
+    expect(
+      findSimilarToBookmark({ ...page, id: '1' }, bookmarks).map((m) => m.bookmark.id),
+    ).toEqual(['2']);
+  });
+
+  it('holds other sites to a higher bar', () => {
+    const elsewhere = {
+      id: '3',
+      url: 'https://mirror.example.org/install',
+      title: 'Installation guide',
+      domain: 'mirror.example.org',
+    };
+    // Title alone scores 0.55 across domains, short of 0.5 + 0.1.
+    expect(findSimilarToBookmark(page, [elsewhere])).toEqual([]);
+    expect(findSimilarToBookmark(page, [elsewhere], { minSimilarity: 0.4 })).toHaveLength(1);
+  });
+});
+
+describe('computeRelatedBookmarks', () => {
+  const bookmark = (id, overrides = {}) => ({
+    id,
+    title: `Untitled ${id}`,
+    url: `https://site${id}.example/`,
+    domain: `site${id}.example`,
+    topics: [],
+    ...overrides,
+  });
+
+  const neighbourIds = (result, id) => (result.related[id] || []).map((n) => n.id);
+
+  it('relates bookmarks from the same repository across page types', () => {
+    const repo = {
+      platform: 'github',
+      creator: 'sveltejs',
+      platformData: { extra: { repo: 'kit' } },
+    };
+    const result = computeRelatedBookmarks([
+      bookmark('1', { ...repo, title: 'sveltejs/kit', domain: 'github.com' }),
+      bookmark('2', { ...repo, title: 'Routing issue #123', domain: 'github.com' }),
+      bookmark('3', { title: 'Sourdough starter tips' }),
+    ]);
+
+    expect(neighbourIds(result, '1')).toEqual(['2']);
+    expect(result.related['1'][0].reasons.creator).toBe('repo');
+    expect(result.related['3']).toBeUndefined();
+  });
+
+  it('ranks combined signals above a single one', () => {
+    const result = computeRelatedBookmarks([
+      bookmark('1', { title: 'Rust async runtime internals', topics: ['tech/programming'] }),
+      bookmark('2', { title: 'Rust async runtime compared', topics: ['tech/programming'] }),
+      bookmark('3', { title: 'Writing a web server', topics: ['tech/programming'] }),
+    ]);
+
+    expect(neighbourIds(result, '1')).toEqual(['2', '3']);
+    expect(result.related['1'][0].reasons.topics).toEqual(['tech/programming']);
+  });
+
+  it('does not relate bookmarks by domain alone', () => {
+    const result = computeRelatedBookmarks([
+      bookmark('1', { title: 'Alpha', domain: 'example.com' }),
+      bookmark('2', { title: 'Omega', domain: 'example.com' }),
+    ]);
+    expect(result.stats.withRelated).toBe(0);
+  });
+
+  it('leaves exact URL duplicates to the duplicates view and honours the limit', () => {
+    const same = { title: 'Same page title', url: 'https://example.com/same' };
+    const others = Array.from({ length: 5 }, (_, i) =>
+      bookmark(`o${i}`, { title: `Same page title ${i}` }),
+    );
+    const result = computeRelatedBookmarks([bookmark('1', same), bookmark('2', same), ...others], {
+      limit: 3,
+    });
+
+    expect(neighbourIds(result, '1')).not.toContain('2');
+    expect(result.related['1']).toHaveLength(3);
+  });
+});
+
+describe('computeKnowledgeGraph', () => {
+  const rust = (id) => ({
+    id,
+    topics: ['rust'],
+    domain: 'github.com',
+    folderPath: 'Dev/Rust',
+    creator: 'tokio-rs',
+    platform: 'github',
+  });
+  const food = (id) => ({ id, topics: ['cooking'], domain: 'seriouseats.com', folderPath: 'Food' });
+  const bookmarks = [
+    rust('1'),
+    rust('2'),
+    rust('3'),
+    food('4'),
+    food('5'),
+    { id: '6', topics: ['knitting'], domain: 'ravelry.com', folderPath: 'Food' },
+  ];
+  const byId = (graph) => new Map(graph.nodes.map((node) => [node.id, node]));
+
+  it('links nodes by shared bookmarks and drops ones seen once', () => {
+    const graph = computeKnowledgeGraph(bookmarks, { iterations: 50 });
+    const nodes = byId(graph);
+
+    expect([...nodes.keys()].sort()).toEqual([
+      'creator:github:tokio-rs',
+      'domain:github.com',
+      'domain:seriouseats.com',
+      'folder:Dev/Rust',
+      'folder:Food',
+      'topic:cooking',
+      'topic:rust',
+    ]);
+    expect(nodes.get('folder:Food').count).toBe(3);
+    expect(graph.edges).toContainEqual({
+      source: 'topic:rust',
+      target: 'domain:github.com',
+      weight: 3,
+    });
+    expect(graph.edges.some((e) => e.source === 'topic:rust' && e.target === 'topic:cooking')).toBe(
+      false,
+    );
+  });
+
+  it('clusters each connected group together and lays it out in bounds', () => {
+    const graph = computeKnowledgeGraph(bookmarks, { iterations: 50, size: 500 });
+    const nodes = byId(graph);
+
+    expect(graph.clusters).toHaveLength(2);
+    expect(graph.clusters[0]).toMatchObject({ id: 0, size: 12 });
+    expect(nodes.get('creator:github:tokio-rs').cluster).toBe(0);
+    expect(nodes.get('folder:Food').cluster).toBe(1);
+    expect(nodes.get('topic:cooking').cluster).toBe(1);
+    for (const node of graph.nodes) {
+      expect(node.x).toBeGreaterThanOrEqual(0);
+      expect(node.x).toBeLessThanOrEqual(500);
+      expect(node.y).toBeGreaterThanOrEqual(0);
+      expect(node.y).toBeLessThanOrEqual(500);
+    }
+    expect(computeKnowledgeGraph(bookmarks, { iterations: 50, size: 500 })).toEqual(graph);
+  });
+
+  it('only uses the creators it is given', () => {
+    const graph = computeKnowledgeGraph(bookmarks, { creators: [], iterations: 10 });
+    expect(graph.nodes.some((node) => node.kind === 'creator')).toBe(false);
+  });
+});
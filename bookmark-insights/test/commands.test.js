@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { fuzzyScore, rankCommands, parseCommandInput, BULK_COMMANDS } from '../src/commands.js';
+
+describe('fuzzyScore', () => {
+  it('matches subsequences case-insensitively', () => {
+    expect(fuzzyScore('cpu', 'Copy URLs')).not.toBeNull();
+    expect(fuzzyScore('', 'Copy URLs')).toBe(0);
+    expect(fuzzyScore('xyz', 'Copy URLs')).toBeNull();
+  });
+
+  it('prefers word starts and runs of letters', () => {
+    expect(fuzzyScore('rl', 'Add to reading list')).toBeGreaterThan(fuzzyScore('rl', 'Copy URLs'));
+    expect(fuzzyScore('oa', 'Open all')).toBeGreaterThan(fuzzyScore('oa', 'Go back'));
+  });
+});
+
+describe('rankCommands', () => {
+  it('keeps the list order for empty input', () => {
+    expect(rankCommands(BULK_COMMANDS, '  ').map(c => c.id)).toEqual(BULK_COMMANDS.map(c => c.id));
+  });
+
+  it('ranks by label and keywords and drops non-matches', () => {
+    expect(rankCommands(BULK_COMMANDS, 'trash')[0].id).toBe('trash');
+    expect(rankCommands(BULK_COMMANDS, 'md')[0].id).toBe('markdown');
+    expect(rankCommands(BULK_COMMANDS, 'rl')[0].id).toBe('readingList');
+    expect(rankCommands(BULK_COMMANDS, 'qqq')).toEqual([]);
+  });
+});
+
+describe('parseCommandInput', () => {
+  it('reads plain commands', () => {
+    expect(parseCommandInput('open all')).toEqual({ query: null, command: 'open all', argument: '' });
+  });
+
+  it('splits a query chained with either arrow', () => {
+    expect(parseCommandInput('domain:medium.com dead:yes → trash')).toEqual({
+      query: 'domain:medium.com dead:yes',
+      command: 'trash',
+      argument: ''
+    });
+    expect(parseCommandInput('tag:go -> move /Code/Go')).toEqual({
+      query: 'tag:go',
+      command: 'move',
+      argument: '/Code/Go'
+    });
+  });
+
+  it('leaves the query empty when nothing precedes the arrow', () => {
+    expect(parseCommandInput('→ trash').query).toBe('');
+  });
+});
@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { gzipText, gunzipText } from '../src/compression.js';
+
+describe('gzipText / gunzipText', () => {
+  it('round-trips text, including non-ASCII', async () => {
+    const text = 'Zürich — “quotes” and emoji 📦\n'.repeat(200);
+    const blob = await gzipText(text);
+    expect(blob.size).toBeLessThan(text.length);
+    expect(await gunzipText(blob)).toBe(text);
+  });
+
+  it('handles empty text', async () => {
+    expect(await gunzipText(await gzipText(''))).toBe('');
+  });
+});
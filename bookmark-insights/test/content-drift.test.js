@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeContentFingerprint,
+  compareFingerprints,
+  detectContentDrift,
+} from '../src/content-drift.js';
+
+const article = {
+  title: 'Understanding the Rust borrow checker',
+  description: 'A walkthrough of lifetimes, borrows and moves with worked examples.',
+  siteName: 'Example Blog',
+  snippet:
+    'The borrow checker enforces that every reference is valid for as long as it is used. ' +
+    'In this post we walk through lifetimes, shared and mutable borrows, and moves, with ' +
+    'examples that fail to compile and the small changes that make them work.',
+};
+
+const parked = {
+  title: 'example-blog.com is for sale',
+  description: 'This domain may be for sale. Buy this domain today.',
+  siteName: null,
+  snippet: 'Related searches: cheap flights, car insurance, online casino, best credit cards.',
+};
+
+describe('computeContentFingerprint', () => {
+  it('returns null when the page gave nothing to fingerprint', () => {
+    expect(computeContentFingerprint({})).toBeNull();
+    expect(computeContentFingerprint({ title: '  ', snippet: '...' })).toBeNull();
+  });
+
+  it('keeps the header for the before/after comparison', () => {
+    const fingerprint = computeContentFingerprint(article);
+    expect(fingerprint.header).toEqual({
+      title: article.title,
+      description: article.description,
+      siteName: article.siteName,
+    });
+    expect(fingerprint.signature).toHaveLength(32);
+  });
+
+  it('is stable for the same page', () => {
+    const a = computeContentFingerprint(article);
+    const b = computeContentFingerprint({ ...article });
+    expect(a.hash).toBe(b.hash);
+    expect(a.signature).toEqual(b.signature);
+  });
+});
+
+describe('compareFingerprints', () => {
+  it('scores an identical page as 1', () => {
+    const fingerprint = computeContentFingerprint(article);
+    expect(compareFingerprints(fingerprint, computeContentFingerprint(article))).toBe(1);
+  });
+
+  it('falls back to the header when one side has no snippet', () => {
+    const previous = computeContentFingerprint(article);
+    const current = computeContentFingerprint({ ...article, snippet: null });
+    expect(current.signature).toBeNull();
+    expect(compareFingerprints(previous, current)).toBe(1);
+  });
+});
+
+describe('detectContentDrift', () => {
+  it('reports nothing without a stored fingerprint', () => {
+    expect(detectContentDrift(null, computeContentFingerprint(article))).toBeNull();
+    expect(detectContentDrift(undefined, computeContentFingerprint(article))).toBeNull();
+  });
+
+  it('does not flag small edits to the same page', () => {
+    const previous = computeContentFingerprint(article);
+    const current = computeContentFingerprint({
+      ...article,
+      description: 'A walkthrough of lifetimes, borrows and moves, with worked examples (updated).',
+    });
+    expect(detectContentDrift(previous, current)).toBeNull();
+  });
+
+  it('flags a parked domain that replaced the article', () => {
+    const previous = computeContentFingerprint(article);
+    const current = computeContentFingerprint(parked);
+    const drift = detectContentDrift(previous, current);
+
+    expect(drift).not.toBeNull();
+    expect(drift.similarity).toBeLessThan(0.35);
+    expect(drift.previous.title).toBe(article.title);
+    expect(drift.current.title).toBe(parked.title);
+    expect(typeof drift.detectedAt).toBe('number');
+  });
+
+  it('honours a custom threshold', () => {
+    const previous = computeContentFingerprint(article);
+    const current = computeContentFingerprint(parked);
+    expect(detectContentDrift(previous, current, 0)).toBeNull();
+  });
+});
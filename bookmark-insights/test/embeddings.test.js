@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import {
+  cosineSimilarity,
+  embedBookmarkSource,
+  embeddingSource,
+  embeddingSourceHash,
+  embedText,
+} from '../src/embeddings.js';
+
+const embedBookmark = (bookmark) => embedBookmarkSource(embeddingSource(bookmark));
+
+describe('embedText', () => {
+  it('returns a unit vector', () => {
+    const vector = embedText('container orchestration');
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    expect(norm).toBeCloseTo(1, 5);
+  });
+
+  it('returns null when there is nothing to embed', () => {
+    expect(embedText('')).toBeNull();
+    expect(embedText('the and of')).toBeNull();
+  });
+
+  it('is deterministic', () => {
+    expect(embedText('rust borrow checker')).toEqual(embedText('rust borrow checker'));
+  });
+});
+
+describe('semantic similarity', () => {
+  const query = embedText('container orchestration');
+
+  it('relates words that share a concept but no spelling', () => {
+    const kubernetes = embedBookmark({ title: 'Kubernetes in practice' });
+    const sourdough = embedBookmark({ title: 'Best sourdough recipe', description: 'Bake bread' });
+
+    expect(cosineSimilarity(query, kubernetes)).toBeGreaterThan(0.5);
+    expect(cosineSimilarity(query, sourdough)).toBeLessThan(0.1);
+  });
+
+  it('matches plural and inflected forms of lexicon terms', () => {
+    const docker = embedBookmark({ title: 'Shipping containerized apps with Docker' });
+    expect(cosineSimilarity(query, docker)).toBeGreaterThan(0.5);
+  });
+
+  it('uses keywords and description as well as the title', () => {
+    const bookmark = embedBookmark({
+      title: 'Weekend reading',
+      description: 'Notes from running pods in production',
+      keywords: ['helm', 'k8s'],
+    });
+    expect(cosineSimilarity(query, bookmark)).toBeGreaterThan(0.3);
+  });
+
+  it('scores a missing vector as unrelated', () => {
+    expect(cosineSimilarity(query, null)).toBe(0);
+  });
+});
+
+describe('embeddingSourceHash', () => {
+  it('changes only when the embedded text changes', () => {
+    const base = { title: 'Tokio tutorial', description: 'Async Rust', keywords: ['rust'] };
+    const hash = embeddingSourceHash(embeddingSource(base));
+
+    expect(embeddingSourceHash(embeddingSource({ ...base, url: 'https://x' }))).toBe(hash);
+    expect(embeddingSourceHash(embeddingSource({ ...base, description: 'Async' }))).not.toBe(hash);
+  });
+});
@@ -12,11 +12,14 @@ vi.mock('../src/url-safety.js', () => ({
 const { safeFetch, isFetchableUrl } = await import('../src/url-safety.js');
 const {
   checkBookmarkAlive,
+  checkLinkHealth,
   classifyStatus,
   LINK_ALIVE,
   LINK_DEAD,
   LINK_BLOCKED,
   LINK_UNKNOWN,
+  getEnrichmentStats,
+  resetEnrichmentStats,
 } = await import('../src/enrichment.js');
 
 function response(status, extra = {}) {
@@ -187,6 +190,7 @@ describe('checkBookmarkAlive', () => {
     // indistinguishable here, so the verdict is deferred to the caller.
     expect(result.state).toBe(LINK_UNKNOWN);
     expect(result.networkError).toBe(true);
+    expect(result.errorClass).toBe('network');
   });
 
   it('reports unknown for URLs it must not fetch', async () => {
@@ -198,3 +202,104 @@ describe('checkBookmarkAlive', () => {
     expect(safeFetch).not.toHaveBeenCalled();
   });
 });
+
+describe('checkLinkHealth', () => {
+  async function sweepCheck(bookmark) {
+    const pending = checkLinkHealth(bookmark);
+    await vi.advanceTimersByTimeAsync(10000);
+    return pending;
+  }
+
+  it('records a verdict without touching the enrichment freshness guard', async () => {
+    safeFetch.mockResolvedValueOnce(response(404)).mockResolvedValueOnce(response(404));
+
+    const changes = await sweepCheck({ url: freshUrl(), isAlive: true });
+
+    expect(changes).toMatchObject({ isAlive: false, accessBlocked: false, lastStatus: 404 });
+    expect(changes).not.toHaveProperty('lastChecked');
+  });
+
+  it('marks a blocked page as up but blocked', async () => {
+    safeFetch.mockResolvedValueOnce(response(403));
+
+    const changes = await sweepCheck({ url: freshUrl() });
+
+    expect(changes).toMatchObject({ isAlive: true, accessBlocked: true });
+  });
+
+  it('leaves the stored verdict alone on a transient status', async () => {
+    safeFetch.mockResolvedValueOnce(response(503));
+
+    const changes = await sweepCheck({ url: freshUrl(), isAlive: false });
+
+    expect(changes).not.toHaveProperty('isAlive');
+    expect(changes.lastStatus).toBe(503);
+  });
+
+  it('needs a repeated network error before declaring the link dead', async () => {
+    const url = freshUrl();
+    safeFetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const first = await sweepCheck({ url, checkFailures: 0 });
+    expect(first).not.toHaveProperty('isAlive');
+    expect(first.checkFailures).toBe(1);
+
+    const second = await sweepCheck({ url, checkFailures: 1 });
+    expect(second).toMatchObject({ isAlive: false, checkFailures: 2 });
+  });
+
+  it('records where a redirected link ends up, and counts repeats of the same target', async () => {
+    const url = freshUrl();
+    const moved = { redirected: true, url: 'https://new.example.com/page' };
+    safeFetch.mockResolvedValue(response(200, moved));
+
+    const first = await sweepCheck({ url });
+    expect(first.redirect).toMatchObject({ url: 'https://new.example.com/page', count: 1 });
+
+    const second = await sweepCheck({ url, redirect: first.redirect });
+    expect(second.redirect.count).toBe(2);
+
+    safeFetch.mockResolvedValue(response(200, { redirected: false, url }));
+    expect((await sweepCheck({ url, redirect: second.redirect })).redirect).toBeNull();
+  });
+});
+
+describe('getEnrichmentStats', () => {
+  beforeEach(() => resetEnrichmentStats());
+
+  it('records each request per host, with statuses and error classes', async () => {
+    const url = freshUrl();
+    const host = new URL(url).hostname;
+    safeFetch
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(response(404));
+
+    await probe(url);
+
+    const record = getEnrichmentStats().stats.hosts[host];
+    expect(record).toMatchObject({ requests: 2, ok: 0, failed: 2 });
+    expect(record.errors).toEqual({ network: 1 });
+    expect(record.statuses).toEqual({ 404: 1 });
+  });
+
+  it('reports a Retry-After backoff and the host it applies to', async () => {
+    const url = freshUrl();
+    const host = new URL(url).hostname;
+    safeFetch.mockResolvedValueOnce(response(429, { retryAfter: '60' }));
+
+    await probe(url);
+
+    const { stats, backoffUntil } = getEnrichmentStats();
+    expect(stats.hosts[host]).toMatchObject({ backoffs: 1, lastBackoffMs: 60000 });
+    expect(backoffUntil[host]).toBeGreaterThan(Date.now());
+  });
+
+  it('starts over from saved statistics', () => {
+    const saved = { since: 1, hosts: { 'a.example.com': { requests: 3 } } };
+    resetEnrichmentStats(saved);
+    expect(getEnrichmentStats().stats).toBe(saved);
+
+    resetEnrichmentStats();
+    expect(getEnrichmentStats().stats.hosts).toEqual({});
+  });
+});
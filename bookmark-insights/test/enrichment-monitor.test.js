@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import {
+  classifyFetchError,
+  createMonitorStats,
+  recordRequest,
+  summarizeMonitor,
+  normalizeHostPattern,
+  isHostExcluded,
+  describeFailure,
+} from '../src/enrichment-monitor.js';
+
+function named(name) {
+  const error = new Error('failed');
+  error.name = name;
+  return error;
+}
+
+describe('classifyFetchError', () => {
+  it('tells timeouts, blocked addresses and network failures apart', () => {
+    expect(classifyFetchError(named('AbortError'))).toBe('timeout');
+    expect(classifyFetchError(named('TimeoutError'))).toBe('timeout');
+    expect(classifyFetchError(new Error('Blocked URL: http://10.0.0.1/'))).toBe('blocked');
+    expect(classifyFetchError(new TypeError('Failed to fetch'))).toBe('network');
+    expect(classifyFetchError(new Error('Privacy mode is on'))).toBe('error');
+  });
+});
+
+describe('recordRequest', () => {
+  it('counts outcomes, statuses, errors, latency and backoffs per host', () => {
+    const stats = createMonitorStats(0);
+    recordRequest(stats, { host: 'a.com', status: 200, latencyMs: 100, at: 1 });
+    recordRequest(stats, { host: 'a.com', status: 429, latencyMs: 300, backoffMs: 5000, at: 2 });
+    recordRequest(stats, { host: 'a.com', error: 'timeout', latencyMs: 200, at: 3 });
+
+    expect(stats.hosts['a.com']).toEqual({
+      requests: 3,
+      ok: 1,
+      failed: 2,
+      statuses: { 200: 1, 429: 1 },
+      errors: { timeout: 1 },
+      latencyTotalMs: 600,
+      latencyMaxMs: 300,
+      backoffs: 1,
+      lastBackoffMs: 5000,
+      lastAt: 3,
+    });
+  });
+
+  it('counts a redirect status as a success', () => {
+    const stats = createMonitorStats(0);
+    recordRequest(stats, { host: 'a.com', status: 304, latencyMs: 10 });
+    expect(stats.hosts['a.com']).toMatchObject({ ok: 1, failed: 0 });
+  });
+
+  it('ignores requests without a host', () => {
+    const stats = createMonitorStats(0);
+    recordRequest(stats, { host: null, status: 200, latencyMs: 10 });
+    expect(stats.hosts).toEqual({});
+  });
+
+  it('drops the least recently contacted hosts beyond the limit', () => {
+    const stats = createMonitorStats(0);
+    for (let i = 0; i <= 500; i++) {
+      recordRequest(stats, { host: `h${i}.com`, status: 200, latencyMs: 1, at: 1000 + i });
+    }
+    expect(Object.keys(stats.hosts)).toHaveLength(500);
+    expect(stats.hosts['h0.com']).toBeUndefined();
+    expect(stats.hosts['h500.com']).toBeDefined();
+  });
+});
+
+describe('summarizeMonitor', () => {
+  it('sums histograms across hosts and lists failing hosts first', () => {
+    const stats = createMonitorStats(0);
+    recordRequest(stats, { host: 'good.com', status: 200, latencyMs: 100 });
+    recordRequest(stats, { host: 'good.com', status: 200, latencyMs: 300 });
+    recordRequest(stats, { host: 'bad.com', status: 404, latencyMs: 50 });
+    recordRequest(stats, { host: 'bad.com', error: 'network', latencyMs: 10 });
+    recordRequest(stats, { host: 'bad.com', error: 'timeout', latencyMs: 10 });
+
+    const summary = summarizeMonitor(stats, { 'bad.com': 5000 }, 2000);
+
+    expect(summary).toMatchObject({ requests: 5, ok: 2, failed: 3 });
+    expect(summary.statuses).toEqual([
+      { status: 200, count: 2 },
+      { status: 404, count: 1 },
+    ]);
+    // In ERROR_CLASSES order, not insertion order.
+    expect(summary.errors.map((e) => e.error)).toEqual(['timeout', 'network']);
+    expect(summary.hosts.map((h) => h.host)).toEqual(['bad.com', 'good.com']);
+    expect(summary.hosts[0].waitingMs).toBe(3000);
+    expect(summary.hosts[1]).toMatchObject({ avgLatencyMs: 200, maxLatencyMs: 300, waitingMs: 0 });
+  });
+});
+
+describe('normalizeHostPattern', () => {
+  it('reduces URLs and hostnames to a bare host', () => {
+    expect(normalizeHostPattern('https://www.Example.com/some/page')).toBe('example.com');
+    expect(normalizeHostPattern('  docs.example.com ')).toBe('docs.example.com');
+  });
+
+  it('rejects input that is not a hostname', () => {
+    expect(normalizeHostPattern('')).toBeNull();
+    expect(normalizeHostPattern('localhost')).toBeNull();
+    expect(normalizeHostPattern('not a host')).toBeNull();
+  });
+});
+
+describe('isHostExcluded', () => {
+  it('matches the host and its subdomains, not lookalikes', () => {
+    const excluded = ['example.com'];
+    expect(isHostExcluded('https://example.com/a', excluded)).toBe(true);
+    expect(isHostExcluded('https://www.example.com/a', excluded)).toBe(true);
+    expect(isHostExcluded('https://notexample.com/a', excluded)).toBe(false);
+    expect(isHostExcluded('not a url', excluded)).toBe(false);
+    expect(isHostExcluded('https://example.com/a', [])).toBe(false);
+  });
+});
+
+describe('describeFailure', () => {
+  it('prefers the enrichment error, then the fetch error class, then the status', () => {
+    expect(describeFailure({ enrichmentError: 'boom', lastFetchError: 'timeout' })).toMatchObject({
+      kind: 'error',
+      key: 'error',
+    });
+    expect(describeFailure({ lastFetchError: 'timeout', lastStatus: 404 })).toMatchObject({
+      kind: 'error',
+      key: 'timeout',
+    });
+    expect(describeFailure({ lastStatus: 404 })).toEqual({
+      kind: 'status',
+      key: '404',
+      label: 'HTTP 404',
+    });
+    expect(describeFailure({ lastStatus: 200 })).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// The real db.js over an in-memory IndexedDB. Deep Analysis is the await in
+// the middle of enrichFromVisit; `duringAnalysis` runs there, which is where
+// an edit in the annotation editor lands while a bookmark is being enriched.
+let duringAnalysis = null;
+
+vi.mock('../src/analysis-client.js', () => ({
+  runDeepAnalysis: async (bookmarks) => {
+    if (duringAnalysis) await duringAnalysis();
+    return bookmarks.map(() => ({ topics: ['ops'] }));
+  },
+}));
+
+const { db, updateSettings, updateBookmarkAnnotations, saveEnrichedBookmarks } =
+  await import('../src/db.js');
+const { enrichFromVisit } = await import('../src/enrichment.js');
+
+const PAGE = 'https://wiki.corp.example.com/spaces/ENG/pages/42';
+
+const capture = {
+  meta: { description: 'How deploys work', keywords: 'deploy' },
+  openGraph: {},
+  twitterCard: {},
+  jsonLd: [],
+  other: { title: 'Deploys' },
+  paragraphs: [],
+  wordCount: 900,
+  signIn: false,
+};
+
+beforeEach(async () => {
+  duringAnalysis = null;
+  await db.bookmarks.clear();
+  await db.bookmarks.put({ id: '7', title: 'Deploys', url: PAGE, tags: ['old'], note: null });
+  await updateSettings({ visitEnrichmentEnabled: true });
+});
+
+describe('saving enrichment results', () => {
+  it('keeps tags and a note the user saved while the bookmark was being enriched', async () => {
+    duringAnalysis = () =>
+      updateBookmarkAnnotations('7', { tags: ['deploys'], note: 'Read first' });
+
+    const result = await enrichFromVisit('7', capture, PAGE);
+
+    expect(result).toMatchObject({ success: true, wrote: true });
+    const stored = await db.bookmarks.get('7');
+    expect(stored).toMatchObject({
+      description: 'How deploys work',
+      topics: ['ops'],
+      tags: ['deploys'],
+      note: 'Read first',
+    });
+  });
+
+  it('does not bring back a bookmark deleted while it was being enriched', async () => {
+    const bookmark = await db.bookmarks.get('7');
+    await db.bookmarks.delete('7');
+
+    await saveEnrichedBookmarks([{ ...bookmark, description: 'Late result' }]);
+
+    expect(await db.bookmarks.get('7')).toBeUndefined();
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { toCsv, toMarkdown, toNetscapeHtml } from '../src/exporters.js';
+import { parseImportFile } from '../src/importers.js';
 
 const bookmarks = [
   {
@@ -11,6 +12,8 @@ const bookmarks = [
     description: 'Bundler docs',
     keywords: ['bundler', 'js'],
     topics: ['dev/tooling'],
+    tags: ['build', 'reference'],
+    note: 'Read the plugin section first',
     dateAdded: 1700000000000,
     accessCount: 3,
   },
@@ -39,6 +42,12 @@ describe('toCsv', () => {
     // A title starting with = would otherwise be evaluated on open.
     expect(toCsv(bookmarks)).toContain(`"'=SUM(A1:A2)`);
   });
+
+  it('includes the user tags and note', () => {
+    const [header, first] = toCsv(bookmarks).split('\r\n');
+    expect(header).toContain('"tags","note"');
+    expect(first).toContain('"build; reference","Read the plugin section first"');
+  });
 });
 
 describe('toMarkdown', () => {
@@ -53,6 +62,12 @@ describe('toMarkdown', () => {
     const md = toMarkdown([{ ...bookmarks[0], title: 'A [B] C' }]);
     expect(md).toContain('[A \\[B\\] C]');
   });
+
+  it('appends tags as hashtags and the note as a sub-bullet', () => {
+    const md = toMarkdown(bookmarks);
+    expect(md).toContain('[Rollup Guide](https://rollupjs.org/guide/) #build #reference');
+    expect(md).toContain('  - Note: Read the plugin section first');
+  });
 });
 
 describe('toNetscapeHtml', () => {
@@ -69,4 +84,11 @@ describe('toNetscapeHtml', () => {
   it('writes ADD_DATE in seconds', () => {
     expect(toNetscapeHtml(bookmarks)).toContain('ADD_DATE="1700000000"');
   });
+
+  it('round-trips tags through the importer', () => {
+    const { items } = parseImportFile(toNetscapeHtml(bookmarks));
+    const rollup = items.find((item) => item.url === 'https://rollupjs.org/guide/');
+    expect(rollup.tags).toEqual(['build', 'reference']);
+    expect(items.find((item) => item.url.startsWith('https://example.com')).tags).toEqual([]);
+  });
 });
@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// chrome.bookmarks is an in-memory tree: each node keeps its parent, and each
+// folder an ordered list of child ids, so moves and undo can be checked for
+// both the folder and the position a bookmark ends up in.
+let events = [];
+let nodes = new Map();
+let nextId = 1000;
+
+vi.mock('../src/db.js', () => ({
+  getAllBookmarks: async () => [],
+  getEventsByType: async type => events.filter(e => e.type === type),
+  logEvent: async (bookmarkId, type, metadata = {}) => {
+    events.push({ bookmarkId, type, timestamp: events.length + 1, ...metadata });
+    return true;
+  }
+}));
+
+function add(id, parentId, title, url, index) {
+  nodes.set(id, { id, parentId, title, url, children: url ? undefined : [] });
+  if (parentId) {
+    const siblings = nodes.get(parentId).children;
+    siblings.splice(index ?? siblings.length, 0, id);
+  }
+  return id;
+}
+
+function toTree(id) {
+  const node = nodes.get(id);
+  const siblings = node.parentId ? nodes.get(node.parentId).children : [id];
+  return {
+    id,
+    parentId: node.parentId,
+    index: siblings.indexOf(id),
+    title: node.title,
+    url: node.url,
+    children: node.children?.map(toTree)
+  };
+}
+
+// Folders by title, bookmarks by id: what undo must restore.
+function shape(id) {
+  const node = nodes.get(id);
+  return node.url ? id : { title: node.title, children: node.children.map(shape) };
+}
+
+function detach(id) {
+  const siblings = nodes.get(nodes.get(id).parentId).children;
+  siblings.splice(siblings.indexOf(id), 1);
+}
+
+vi.stubGlobal('chrome', {
+  bookmarks: {
+    get: async id => {
+      const { children, ...node } = toTree(id);
+      return [node];
+    },
+    getChildren: async id => toTree(id).children.map(({ children, ...node }) => node),
+    move: async (id, { parentId, index }) => {
+      detach(id);
+      nodes.get(id).parentId = parentId;
+      const siblings = nodes.get(parentId).children;
+      siblings.splice(index ?? siblings.length, 0, id);
+    },
+    create: async ({ parentId, title, index }) =>
+      toTree(add(String(nextId++), parentId, title, undefined, index)),
+    update: async (id, { title }) => {
+      nodes.get(id).title = title;
+    },
+    remove: async id => {
+      if (nodes.get(id).children?.length) throw new Error("Can't remove non-empty folder");
+      detach(id);
+      nodes.delete(id);
+    }
+  }
+});
+
+const {
+  analyzeFolderHealth,
+  previewFolderPlan,
+  applyFolderPlan,
+  undoFolderPlan,
+  getRecentFolderPlans
+} = await import('../src/folder-health.js');
+
+const TOPICS = ['tech', 'coding', 'tutorials', 'blogs', 'videos', 'news'];
+let records = [];
+
+function bookmark(id, parentId, extra = {}) {
+  add(id, parentId, `Page ${id}`, `https://example.com/${id}`);
+  records.push({ id, title: `Page ${id}`, url: `https://example.com/${id}`, ...extra });
+}
+
+beforeEach(() => {
+  events = [];
+  nodes = new Map();
+  records = [];
+  add('0', null, '');
+  add('1', '0', 'Bookmarks bar');
+  add('2', '0', 'Other bookmarks');
+
+  // Two spellings side by side, and one more under another parent.
+  add('10', '1', 'Recipes');
+  for (let i = 0; i < 4; i++) bookmark(`r${i}`, '10');
+  add('11', '1', 'recipe');
+  for (let i = 0; i < 3; i++) bookmark(`q${i}`, '11');
+  add('12', '2', 'Recipe');
+  for (let i = 0; i < 3; i++) bookmark(`p${i}`, '12');
+
+  add('20', '2', 'Misc');
+  bookmark('t0', '20');
+
+  add('30', '2', 'Old links');
+  for (let i = 0; i < 4; i++) bookmark(`d${i}`, '30', { isAlive: false });
+
+  let parentId = '2';
+  for (let depth = 0; depth < 5; depth++) parentId = add(`4${depth}`, parentId, `Level ${depth}`);
+  for (let i = 0; i < 3; i++) bookmark(`n${i}`, parentId);
+
+  add('50', '2', 'Inbox');
+  for (let i = 0; i < 120; i++) bookmark(`m${i}`, '50', { topics: [TOPICS[i % 6]] });
+});
+
+describe('analyzeFolderHealth', () => {
+  it('reports tiny, near-duplicate, deep, dead and mixed folders', () => {
+    const { issues } = analyzeFolderHealth([toTree('0')], records);
+
+    expect(issues.tiny.map(f => f.path)).toEqual(['Other bookmarks/Misc']);
+    expect(issues.similar).toHaveLength(1);
+    expect(issues.similar[0].folders.map(f => f.folderId)).toEqual(['10', '11', '12']);
+    expect(issues.deep.map(f => f.depth)).toEqual([6]);
+    expect(issues.dead).toEqual([expect.objectContaining({ folderId: '30', dead: 4, count: 4 })]);
+    expect(issues.mixed).toEqual([expect.objectContaining({ folderId: '50', entropy: 2.58 })]);
+  });
+
+  it('merges same-parent duplicates, renames stray spellings and splits mixed folders', () => {
+    const { proposals } = analyzeFolderHealth([toTree('0')], records);
+    const byId = new Map(proposals.map(p => [p.id, p]));
+
+    expect(byId.get('merge:11:10')).toMatchObject({ type: 'merge' });
+    expect(byId.get('rename:12')).toMatchObject({ title: 'Recipes' });
+    expect(byId.get('merge:20:2')).toMatchObject({ reason: 'Only 1 bookmark' });
+    expect(byId.get('split:50').groups).toHaveLength(6);
+    expect(byId.get('split:50').groups[0].bookmarkIds).toHaveLength(20);
+  });
+
+  it('never merges a folder that another merge is targeting', () => {
+    add('13', '10', 'Pasta');
+    bookmark('x0', '13');
+    const { proposals } = analyzeFolderHealth([toTree('0')], records);
+    expect(proposals.map(p => p.id)).toContain('merge:13:10');
+    expect(proposals.filter(p => p.type === 'merge' && p.folderId === '10')).toEqual([]);
+  });
+});
+
+describe('previewFolderPlan', () => {
+  it('shows only the branches a plan changes', () => {
+    const { proposals } = analyzeFolderHealth([toTree('0')], records);
+    const chosen = proposals.filter(p => ['merge:11:10', 'rename:12'].includes(p.id));
+    const rows = previewFolderPlan([toTree('0')], chosen);
+
+    expect(rows.map(r => [r.depth, r.title, r.status])).toEqual([
+      [0, 'Bookmarks bar', null],
+      [1, 'Recipes', 'changed'],
+      [1, 'recipe', 'removed'],
+      [0, 'Other bookmarks', null],
+      [1, 'Recipes', 'renamed']
+    ]);
+    expect(rows[1]).toMatchObject({ count: 7, delta: 3 });
+    expect(rows[4].previousTitle).toBe('Recipe');
+  });
+});
+
+describe('applyFolderPlan and undoFolderPlan', () => {
+  it('applies a plan as one event and puts everything back on undo', async () => {
+    const before = shape('0');
+    const { proposals } = analyzeFolderHealth([toTree('0')], records);
+
+    const result = await applyFolderPlan(proposals);
+    expect(result.errors).toEqual([]);
+    expect(result).toMatchObject({ moved: 124, created: 6, removed: 2, renamed: 1 });
+    expect(events.map(e => e.type)).toEqual(['folder-plan']);
+    expect(nodes.has('11')).toBe(false);
+    expect(nodes.get('10').children).toEqual(['r0', 'r1', 'r2', 'r3', 'q0', 'q1', 'q2']);
+    expect(nodes.get('50').children).toHaveLength(6);
+
+    const undo = await undoFolderPlan(result.planId);
+    expect(undo.errors).toEqual([]);
+
+    // Removed folders come back under new ids; titles and order are as they were.
+    expect(shape('0')).toEqual(before);
+
+    expect(await getRecentFolderPlans()).toEqual([
+      expect.objectContaining({ planId: result.planId, moved: 124, undone: true })
+    ]);
+  });
+
+  it('refuses to undo a plan twice', async () => {
+    const { proposals } = analyzeFolderHealth([toTree('0')], records);
+    const { planId } = await applyFolderPlan(proposals);
+    await undoFolderPlan(planId);
+    const after = shape('0');
+    const nodeCount = nodes.size;
+
+    await expect(undoFolderPlan(planId)).rejects.toThrow('already undone');
+    expect(shape('0')).toEqual(after);
+    expect(nodes.size).toBe(nodeCount);
+    expect(events.filter(e => e.type === 'folder-plan-undo')).toHaveLength(1);
+  });
+});
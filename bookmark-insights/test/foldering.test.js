@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { suggestFolderForBookmark, normalizeFolderName } from '../src/foldering.js';
+
+const folders = [
+  { id: '1', path: 'Bookmarks Bar' },
+  { id: '10', path: 'Bookmarks Bar/Dev' },
+  { id: '2', path: 'Other Bookmarks' },
+  { id: '20', path: 'Other Bookmarks/Reading' },
+];
+
+// detectTopics puts this under Programming (and Tutorials).
+const page = {
+  id: null,
+  url: 'https://kubernetes.io/docs/deploy',
+  title: 'Kubernetes deployment guide',
+  domain: 'kubernetes.io',
+};
+
+function filed(id, parentId, topics) {
+  return { id, parentId, topics, url: `https://example.com/${id}`, title: id };
+}
+
+describe('normalizeFolderName', () => {
+  it('compares names without case, emoji or punctuation', () => {
+    expect(normalizeFolderName('👨‍💻 Programming')).toBe(normalizeFolderName('programming'));
+  });
+});
+
+describe('suggestFolderForBookmark', () => {
+  it('prefers a folder already named after the topic', () => {
+    const withNamed = [...folders, { id: '30', path: 'Other Bookmarks/Programming' }];
+    expect(suggestFolderForBookmark(page, [], withNamed)).toMatchObject({
+      topic: 'coding',
+      folderId: '30',
+      path: 'Other Bookmarks/Programming',
+      create: false,
+    });
+  });
+
+  it('falls back to the folder holding most bookmarks on the topic', () => {
+    const bookmarks = [
+      filed('a', '10', ['coding']),
+      filed('b', '10', ['coding']),
+      filed('c', '10', ['coding']),
+      filed('d', '20', ['coding']),
+    ];
+    expect(suggestFolderForBookmark(page, bookmarks, folders)).toMatchObject({
+      folderId: '10',
+      path: 'Bookmarks Bar/Dev',
+      create: false,
+    });
+  });
+
+  it('proposes a new folder under Other Bookmarks when no folder is home to a topic', () => {
+    const bookmarks = [filed('a', '10', ['coding'])];
+    expect(suggestFolderForBookmark(page, bookmarks, folders)).toMatchObject({
+      topic: 'coding',
+      folderId: null,
+      create: true,
+      parentId: '2',
+    });
+    expect(suggestFolderForBookmark(page, bookmarks, folders).path).toMatch(
+      /^Other Bookmarks\/.*Programming$/,
+    );
+  });
+
+  it('has nothing to say when no topic is detected', () => {
+    const untitled = { url: 'https://x.example.com/', title: 'Untitled', domain: 'x.example.com' };
+    expect(suggestFolderForBookmark(untitled, [], folders)).toBeNull();
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Events come from an in-memory table; chrome.bookmarks is a map of nodes the
+// revert calls edit in place.
+let events = [];
+let nodes = new Map();
+let trash = new Set();
+
+vi.mock('../src/db.js', () => ({
+  getEventsForBookmark: async id => events.filter(e => e.bookmarkId === id),
+  getRecentEvents: async ({ types }) =>
+    events.filter(e => !types || types.includes(e.type)).reverse(),
+  restoreFromTrash: async ids => {
+    const found = ids.filter(id => trash.has(id));
+    found.forEach(id => trash.delete(id));
+    return { restored: found.length, errors: found.length ? [] : [{ error: 'Not in trash' }] };
+  },
+  deleteBookmarks: async ids => {
+    ids.forEach(id => nodes.delete(id));
+    return { deletedIds: ids, errors: [] };
+  }
+}));
+
+vi.stubGlobal('chrome', {
+  bookmarks: {
+    get: async id => {
+      if (!nodes.has(id)) throw new Error(`Can't find bookmark for id.`);
+      return [{ ...nodes.get(id) }];
+    },
+    update: async (id, changes) => Object.assign(nodes.get(id), changes),
+    move: async (id, { parentId }) => {
+      nodes.get(id).parentId = parentId;
+    }
+  }
+});
+
+const { classifyLinkChange } = await import('../src/link-sweep.js');
+const { describeEvent, buildTimeline, getBookmarkHistory, getActivityFeed, revertEvent } =
+  await import('../src/history.js');
+
+beforeEach(() => {
+  events = [];
+  nodes = new Map([['b1', { id: 'b1', title: 'New title', url: 'https://a.com', parentId: '20' }]]);
+  trash = new Set();
+});
+
+describe('describeEvent', () => {
+  it('describes renames and moves from their before/after values', () => {
+    const rename = describeEvent({
+      type: 'update',
+      title: 'New',
+      before: { title: 'Old' },
+      after: { title: 'New' }
+    });
+    expect(rename.text).toBe('Renamed from “Old” to “New”');
+
+    const move = describeEvent({
+      type: 'update',
+      moved: true,
+      before: { parentId: '10', folderPath: 'Reading' },
+      after: { parentId: '20', folderPath: 'Archive/2024' }
+    });
+    expect(move).toEqual({ icon: '📁', text: 'Moved from /Reading to /Archive/2024' });
+  });
+
+  it('still describes events logged without before/after', () => {
+    expect(describeEvent({ type: 'update', title: 'New' }).text).toBe('Renamed to “New”');
+    expect(describeEvent({ type: 'update', moved: true, parentId: '2' }).text).toBe('Moved');
+  });
+});
+
+describe('buildTimeline', () => {
+  it('folds consecutive visits and marks dead/revived transitions', () => {
+    const timeline = buildTimeline([
+      { eventId: 1, type: 'create', timestamp: 1, after: { title: 'A' } },
+      { eventId: 2, type: 'access', timestamp: 2 },
+      { eventId: 3, type: 'access', timestamp: 3 },
+      { eventId: 4, type: 'access', timestamp: 4 },
+      { eventId: 5, type: 'enrichment', timestamp: 5, success: true, isAlive: true },
+      { eventId: 6, type: 'enrichment', timestamp: 6, success: true, isAlive: false },
+      { eventId: 7, type: 'enrichment', timestamp: 7, success: true, isAlive: true }
+    ]);
+
+    expect(timeline.map(e => e.text)).toEqual([
+      'Revived',
+      'Went dead',
+      'Enriched',
+      'Opened 3 times',
+      'Bookmarked'
+    ]);
+    const visits = timeline[3];
+    expect(visits.count).toBe(3);
+    expect(visits.until).toBe(4);
+    expect(visits.revertible).toBe(false);
+    expect(timeline[4].revertible).toBe(true);
+  });
+});
+
+describe('buildTimeline with link sweep events', () => {
+  // Logged the way the sweep logs them: the change classifyLinkChange reports.
+  function sweepEvent(eventId, bookmark, changes) {
+    return {
+      eventId,
+      type: 'linkHealth',
+      timestamp: eventId,
+      change: classifyLinkChange(bookmark, changes),
+      status: changes.lastStatus
+    };
+  }
+
+  it('shows a dead link as dead and the enrichment after it as a revival', () => {
+    const timeline = buildTimeline([
+      { eventId: 1, type: 'enrichment', timestamp: 1, success: true, isAlive: true },
+      sweepEvent(2, { isAlive: true }, { isAlive: false, lastStatus: 404 }),
+      { eventId: 3, type: 'enrichment', timestamp: 3, success: true, isAlive: true }
+    ]);
+
+    expect(timeline.map(e => e.text)).toEqual(['Revived', 'Went dead (404)', 'Enriched']);
+  });
+
+  it('shows a blocked link as blocked', () => {
+    const [entry] = buildTimeline([
+      sweepEvent(1, { isAlive: true }, { isAlive: true, accessBlocked: true, lastStatus: 403 })
+    ]);
+    expect(entry.text).toBe('Became blocked');
+  });
+});
+
+describe('getBookmarkHistory', () => {
+  it('follows a restored bookmark back to the events of its old id', async () => {
+    events = [
+      { eventId: 1, bookmarkId: 'old', type: 'create', timestamp: 1, after: { title: 'A' } },
+      { eventId: 2, bookmarkId: 'old', type: 'delete', timestamp: 2, before: { url: 'https://a.com' } },
+      { eventId: 3, bookmarkId: 'new', type: 'create', timestamp: 3, recovered: true, previousId: 'old' },
+      { eventId: 4, bookmarkId: 'other', type: 'access', timestamp: 4 }
+    ];
+
+    const history = await getBookmarkHistory('new');
+    expect(history.map(e => e.eventId)).toEqual([1, 2, 3]);
+  });
+});
+
+describe('getActivityFeed', () => {
+  it('filters by type and annotates each event', async () => {
+    events = [
+      { eventId: 1, bookmarkId: 'b1', type: 'access', timestamp: 1 },
+      { eventId: 2, bookmarkId: 'b1', type: 'update', timestamp: 2, before: { title: 'A' },
+        after: { title: 'B' } }
+    ];
+
+    const feed = await getActivityFeed({ filter: 'changes' });
+    expect(feed).toHaveLength(1);
+    expect(feed[0]).toMatchObject({ eventId: 2, icon: '✏️', revertible: true });
+  });
+});
+
+describe('revertEvent', () => {
+  it('renames a bookmark back', async () => {
+    await revertEvent({
+      bookmarkId: 'b1',
+      type: 'update',
+      before: { title: 'Old title' },
+      after: { title: 'New title' }
+    });
+    expect(nodes.get('b1').title).toBe('Old title');
+  });
+
+  it('moves a bookmark back to its old folder', async () => {
+    await revertEvent({
+      bookmarkId: 'b1',
+      type: 'update',
+      moved: true,
+      before: { parentId: '10' },
+      after: { parentId: '20' }
+    });
+    expect(nodes.get('b1').parentId).toBe('10');
+  });
+
+  it('refuses when the bookmark changed again since', async () => {
+    await expect(revertEvent({
+      bookmarkId: 'b1',
+      type: 'update',
+      before: { title: 'Older' },
+      after: { title: 'Something else' }
+    })).rejects.toThrow('changed again since');
+    expect(nodes.get('b1').title).toBe('New title');
+  });
+
+  it('brings a deleted bookmark back from the trash', async () => {
+    trash.add('gone');
+    await revertEvent({ bookmarkId: 'gone', type: 'delete', before: { url: 'https://gone.com' } });
+    expect(trash.has('gone')).toBe(false);
+
+    await expect(revertEvent({ bookmarkId: 'gone', type: 'delete', before: { url: 'https://gone.com' } }))
+      .rejects.toThrow('Not in trash');
+  });
+});
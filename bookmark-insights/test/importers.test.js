@@ -0,0 +1,266 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi } from 'vitest';
+import {
+  detectImportFormat,
+  parseImportFile,
+  flagImportDuplicates,
+  importBookmarks,
+} from '../src/importers.js';
+import { db, recordCreatedBookmark } from '../src/db.js';
+
+const NETSCAPE = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000">Dev</H3>
+    <DL><p>
+        <DT><H3>Tools &amp; Libraries</H3>
+        <DL><p>
+            <DT><A HREF="https://rollupjs.org/guide/" ADD_DATE="1700000000" TAGS="js,Bundler">Rollup &amp; friends</A>
+        </DL><p>
+        <DT><A HREF="https://developer.mozilla.org/" ADD_DATE="1700000001">MDN</A>
+    </DL><p>
+    <DT><A HREF="javascript:alert(1)">Bookmarklet</A>
+    <DT><A HREF="https://example.com/top">Top level</A>
+</DL><p>`;
+
+const POCKET_HTML = `<!DOCTYPE html>
+<html><head><title>Pocket Export</title></head><body>
+<h1>Unread</h1>
+<ul>
+<li><a href="https://example.com/article" time_added="1700000000" tags="reading,long">An article</a></li>
+</ul>
+<h1>Read Archive</h1>
+<ul>
+<li><a href="https://example.com/old" time_added="1600000000" tags="">Old one</a></li>
+</ul>
+</body></html>`;
+
+const POCKET_CSV = `title,url,time_added,tags,status
+"Comma, in title",https://example.com/a,1700000000,dev|js,unread
+Plain,https://example.com/b,1700000001,,archive
+`;
+
+const RAINDROP_CSV = `id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite
+1,"Svelte docs","","Multi
+line excerpt",https://svelte.dev/docs,Dev / Frontend,"svelte, ui",2024-01-02T03:04:05.000Z,,,false
+`;
+
+const PINBOARD_JSON = JSON.stringify([
+  {
+    href: 'https://pinboard.in/',
+    description: 'Pinboard',
+    extended: 'Social bookmarking, the old way',
+    time: '2023-05-01T10:00:00Z',
+    toread: 'no',
+    tags: 'bookmarking  Tools',
+  },
+]);
+
+describe('detectImportFormat', () => {
+  it('recognises every supported export from its content', () => {
+    expect(detectImportFormat(NETSCAPE)).toBe('netscape');
+    expect(detectImportFormat(POCKET_HTML)).toBe('pocket-html');
+    expect(detectImportFormat(POCKET_CSV)).toBe('pocket-csv');
+    expect(detectImportFormat(RAINDROP_CSV)).toBe('raindrop');
+    expect(detectImportFormat(PINBOARD_JSON)).toBe('pinboard');
+  });
+
+  it('ignores a leading byte-order mark', () => {
+    expect(detectImportFormat('\uFEFF' + POCKET_CSV)).toBe('pocket-csv');
+  });
+
+  it('returns null for anything else', () => {
+    expect(detectImportFormat('just some text')).toBeNull();
+    expect(detectImportFormat('{"bookmarks": []}')).toBeNull();
+    expect(detectImportFormat('[1, 2, 3]')).toBeNull();
+  });
+});
+
+describe('parseImportFile', () => {
+  it('keeps the Netscape folder hierarchy and decodes entities', () => {
+    const { items } = parseImportFile(NETSCAPE);
+    const rollup = items.find((item) => item.url === 'https://rollupjs.org/guide/');
+    expect(rollup.title).toBe('Rollup & friends');
+    expect(rollup.folders).toEqual(['Dev', 'Tools & Libraries']);
+    expect(rollup.tags).toEqual(['js', 'bundler']);
+    expect(rollup.dateAdded).toBe(1700000000000);
+
+    // The closing </DL> of a nested folder must pop back to its parent.
+    expect(items.find((item) => item.title === 'MDN').folders).toEqual(['Dev']);
+    expect(items.find((item) => item.title === 'Top level').folders).toEqual([]);
+  });
+
+  it('keeps a slash inside a Netscape folder title', () => {
+    const { items } = parseImportFile(
+      NETSCAPE.replace('<H3 ADD_DATE="1700000000">Dev</H3>', '<H3>CI/CD</H3>'),
+    );
+    expect(items.find((item) => item.title === 'MDN').folders).toEqual(['CI/CD']);
+  });
+
+  it('skips links Chrome cannot usefully import', () => {
+    const { items, skipped } = parseImportFile(NETSCAPE);
+    expect(items.some((item) => item.url.startsWith('javascript:'))).toBe(false);
+    expect(skipped).toBe(1);
+  });
+
+  it('reads Pocket HTML tags and time_added', () => {
+    const { items } = parseImportFile(POCKET_HTML);
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({
+      title: 'An article',
+      tags: ['reading', 'long'],
+      dateAdded: 1700000000000,
+      folders: [],
+    });
+    expect(items[1].tags).toEqual([]);
+  });
+
+  it('reads Pocket CSV with quoted commas and pipe-separated tags', () => {
+    const { items } = parseImportFile(POCKET_CSV);
+    expect(items).toHaveLength(2);
+    expect(items[0].title).toBe('Comma, in title');
+    expect(items[0].tags).toEqual(['dev', 'js']);
+  });
+
+  it('reads Raindrop CSV including multi-line fields and nested collections', () => {
+    const { items } = parseImportFile(RAINDROP_CSV);
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({
+      url: 'https://svelte.dev/docs',
+      title: 'Svelte docs',
+      folders: ['Dev', 'Frontend'],
+      tags: ['svelte', 'ui'],
+      note: null,
+      dateAdded: Date.parse('2024-01-02T03:04:05.000Z'),
+    });
+  });
+
+  it('nests Raindrop collections only at a spaced slash', () => {
+    const { items } = parseImportFile(RAINDROP_CSV.replace('Dev / Frontend', 'Dev / CI/CD'));
+    expect(items[0].folders).toEqual(['Dev', 'CI/CD']);
+  });
+
+  it('reads Pinboard JSON, where the title is `description`', () => {
+    const { items } = parseImportFile(PINBOARD_JSON);
+    expect(items[0]).toMatchObject({
+      url: 'https://pinboard.in/',
+      title: 'Pinboard',
+      tags: ['bookmarking', 'tools'],
+      note: 'Social bookmarking, the old way',
+    });
+  });
+
+  it('falls back to the URL for an untitled link', () => {
+    const { items } = parseImportFile(`title,url,time_added,tags
+,https://example.com/untitled,1700000000,`);
+    expect(items[0].title).toBe('https://example.com/untitled');
+  });
+
+  it('throws on an unrecognised file', () => {
+    expect(() => parseImportFile('nothing here')).toThrow(/Unrecognised/);
+  });
+});
+
+describe('flagImportDuplicates', () => {
+  const existing = [{ id: '7', url: 'https://Example.com/A/', title: 'Stored' }];
+
+  it('matches stored bookmarks with the findDuplicates normalisation', () => {
+    const flagged = flagImportDuplicates(
+      [{ url: 'https://example.com/a', title: 'Incoming', tags: [] }],
+      existing,
+    );
+    expect(flagged[0].duplicateOf.id).toBe('7');
+    expect(flagged[0].duplicateInFile).toBe(false);
+  });
+
+  it('flags repeats within the file but keeps the first occurrence', () => {
+    const flagged = flagImportDuplicates(
+      [
+        { url: 'https://new.example/x', title: 'First', tags: [] },
+        { url: 'https://new.example/x/', title: 'Again', tags: [] },
+      ],
+      existing,
+    );
+    expect(flagged.map((item) => item.duplicateInFile)).toEqual([false, true]);
+    expect(flagged.every((item) => item.duplicateOf === null)).toBe(true);
+  });
+});
+
+describe('importBookmarks', () => {
+  it('recreates source folders title by title, once each', async () => {
+    const created = [];
+    vi.stubGlobal('chrome', {
+      bookmarks: {
+        create: async (details) => {
+          const node = { id: String(created.length + 100), ...details };
+          created.push(node);
+          return node;
+        },
+      },
+    });
+
+    const item = (url, folders) => ({ url, title: url, tags: [], note: null, folders });
+    const { imported } = await importBookmarks(
+      [
+        item('https://a.example/', ['Books / Papers', 'CI/CD']),
+        item('https://b.example/', ['Books / Papers', 'CI/CD']),
+        item('https://c.example/', []),
+      ],
+      '1',
+    );
+    vi.unstubAllGlobals();
+
+    expect(imported).toBe(3);
+    const folders = created.filter((node) => !node.url);
+    expect(folders.map((node) => [node.title, node.parentId])).toEqual([
+      ['Books / Papers', '1'],
+      ['CI/CD', folders[0].id],
+    ]);
+    const links = created.filter((node) => node.url);
+    expect(links.map((node) => node.parentId)).toEqual([folders[1].id, folders[1].id, '1']);
+  });
+
+  // onCreated records the node with Chrome's dateAdded, the moment of the
+  // import; the date from the source must win whichever write lands first.
+  it('keeps the date the source saved each bookmark', async () => {
+    await db.bookmarks.clear();
+    const IMPORTED_AT = 1750000000000;
+    const SAVED_AT = 1600000000000;
+    let nextId = 200;
+    vi.stubGlobal('chrome', {
+      bookmarks: {
+        create: async (details) => {
+          const node = { id: String(nextId++), dateAdded: IMPORTED_AT, ...details };
+          if (node.url.includes('first')) {
+            await recordCreatedBookmark({ id: node.id, url: node.url, dateAdded: IMPORTED_AT });
+          }
+          return node;
+        },
+      },
+    });
+
+    const item = (url) => ({
+      url,
+      title: url,
+      tags: [],
+      note: null,
+      folders: [],
+      dateAdded: SAVED_AT,
+    });
+    await importBookmarks(
+      [item('https://example.com/first'), item('https://example.com/later')],
+      '1',
+    );
+    vi.unstubAllGlobals();
+    await recordCreatedBookmark({
+      id: '201',
+      url: 'https://example.com/later',
+      dateAdded: IMPORTED_AT,
+    });
+
+    const stored = await db.bookmarks.bulkGet(['200', '201']);
+    expect(stored.map((bookmark) => bookmark.dateAdded)).toEqual([SAVED_AT, SAVED_AT]);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  selectSweepSlice,
+  selectSweepCandidates,
+  sweepBlockedReason,
+  classifyLinkChange,
+  summarizeLinkSweeps,
+} from '../src/link-sweep.js';
+
+const links = (...ids) => ids.map((id) => ({ id }));
+const ids = (slice) => slice.map((b) => b.id);
+
+describe('selectSweepSlice', () => {
+  it('covers the whole corpus over the configured number of days', () => {
+    const corpus = links('1', '2', '3', '4', '5', '6', '7');
+    const seen = [];
+    let cursor = null;
+    for (let day = 0; day < 3; day++) {
+      const result = selectSweepSlice(corpus, cursor, 3);
+      seen.push(...ids(result.slice));
+      cursor = result.cursor;
+    }
+    expect(new Set(seen)).toEqual(new Set(ids(corpus)));
+  });
+
+  it('orders numeric ids numerically, not as strings', () => {
+    const { slice } = selectSweepSlice(links('10', '9', '100', '2'), null, 2);
+    expect(ids(slice)).toEqual(['2', '9']);
+  });
+
+  it('resumes after the cursor even when the cursor bookmark was deleted', () => {
+    const { slice, cursor } = selectSweepSlice(links('1', '2', '4', '5'), '3', 2);
+    expect(ids(slice)).toEqual(['4', '5']);
+    expect(cursor).toBe('5');
+  });
+
+  it('wraps to the start and reports a completed pass', () => {
+    const { slice, cursor, wrapped } = selectSweepSlice(links('1', '2', '3', '4', '5'), '4', 2);
+    expect(ids(slice)).toEqual(['5', '1', '2']);
+    expect(cursor).toBe('2');
+    expect(wrapped).toBe(true);
+  });
+
+  it('returns an empty slice for an empty corpus', () => {
+    expect(selectSweepSlice([], '7', 14)).toEqual({ slice: [], cursor: null, wrapped: false });
+  });
+});
+
+describe('classifyLinkChange', () => {
+  it('reports a live link that stopped answering as newly dead', () => {
+    expect(classifyLinkChange({ isAlive: true }, { isAlive: false })).toBe('dead');
+    expect(classifyLinkChange({ isAlive: null }, { isAlive: false })).toBe('dead');
+  });
+
+  it('does not report a link that was already dead', () => {
+    expect(classifyLinkChange({ isAlive: false }, { isAlive: false })).toBeNull();
+  });
+
+  it('reports a dead link that answers again as revived', () => {
+    expect(classifyLinkChange({ isAlive: false }, { isAlive: true, accessBlocked: false })).toBe(
+      'revived',
+    );
+  });
+
+  it('reports a newly blocked link, but not one that was already blocked', () => {
+    const changes = { isAlive: true, accessBlocked: true };
+    expect(classifyLinkChange({ isAlive: true }, changes)).toBe('blocked');
+    expect(classifyLinkChange({ isAlive: true, accessBlocked: true }, changes)).toBeNull();
+  });
+
+  it('ignores inconclusive checks', () => {
+    expect(classifyLinkChange({ isAlive: false }, { lastStatus: 503 })).toBeNull();
+  });
+});
+
+describe('summarizeLinkSweeps', () => {
+  it('totals the window and keeps only the latest change per bookmark', () => {
+    const digest = summarizeLinkSweeps([
+      {
+        startedAt: 3000,
+        finishedAt: 3500,
+        checked: 10,
+        changes: [{ id: 'a', type: 'revived' }],
+      },
+      {
+        startedAt: 1000,
+        finishedAt: 1500,
+        checked: 10,
+        changes: [
+          { id: 'a', type: 'dead' },
+          { id: 'b', type: 'blocked' },
+        ],
+      },
+    ]);
+
+    expect(digest.sweeps).toBe(2);
+    expect(digest.checked).toBe(20);
+    expect(digest.lastSweepAt).toBe(3500);
+    expect(ids(digest.dead)).toEqual([]);
+    expect(ids(digest.revived)).toEqual(['a']);
+    expect(ids(digest.blocked)).toEqual(['b']);
+  });
+});
+
+describe('selectSweepCandidates', () => {
+  it('leaves out hosts excluded in the enrichment monitor, with their subdomains', () => {
+    const bookmarks = [
+      { id: '1', url: 'https://example.com/a' },
+      { id: '2', url: 'https://ratelimited.example.org/x' },
+      { id: '3', url: 'https://cdn.ratelimited.example.org/y' },
+      { id: '4', url: 'chrome://settings' },
+    ];
+    const settings = { enrichmentExcludedHosts: ['ratelimited.example.org'] };
+    expect(ids(selectSweepCandidates(bookmarks, settings))).toEqual(['1']);
+    expect(ids(selectSweepCandidates(bookmarks, {}))).toEqual(['1', '2', '3']);
+  });
+});
+
+describe('sweepBlockedReason', () => {
+  it('holds the sweep in privacy mode and while enrichment is paused', () => {
+    expect(sweepBlockedReason({ privacyMode: true })).toMatch(/Privacy/);
+    expect(sweepBlockedReason({ enrichmentPaused: true })).toMatch(/paused/);
+    expect(sweepBlockedReason({})).toBeNull();
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findPageBookmarks,
+  pageFromTab,
+  findSameSource,
+  buildPageContext,
+} from '../src/page-context.js';
+
+function bookmark(id, url, extra = {}) {
+  return {
+    id,
+    url,
+    title: `Bookmark ${id}`,
+    domain: new URL(url).hostname,
+    dateAdded: Number(id),
+    ...extra,
+  };
+}
+
+function github(id, owner, repo, path = '') {
+  return bookmark(id, `https://github.com/${owner}/${repo}${path}`, {
+    platform: 'github',
+    creator: owner,
+    platformData: { platform: 'github', creator: owner, extra: { owner, repo } },
+  });
+}
+
+describe('findPageBookmarks', () => {
+  it('matches the page, ignoring the fragment and tracking parameters', () => {
+    const bookmarks = [
+      bookmark('1', 'https://www.example.com/docs/'),
+      bookmark('2', 'https://example.com/docs?utm_source=feed#install'),
+      bookmark('3', 'https://example.com/docs/other'),
+    ];
+    expect(findPageBookmarks('https://example.com/docs', bookmarks).map((b) => b.id)).toEqual([
+      '1',
+      '2',
+    ]);
+  });
+
+  it('keeps pages that differ only in the query apart', () => {
+    const bookmarks = [
+      bookmark('1', 'https://www.youtube.com/watch?v=A'),
+      bookmark('2', 'https://wiki.example.com/pages/viewpage.action?pageId=42'),
+    ];
+    expect(findPageBookmarks('https://www.youtube.com/watch?v=B', bookmarks)).toEqual([]);
+    expect(
+      findPageBookmarks('https://wiki.example.com/pages/viewpage.action?pageId=999', bookmarks),
+    ).toEqual([]);
+  });
+});
+
+describe('pageFromTab', () => {
+  it('shapes a tab like a bookmark, with its platform data', () => {
+    const page = pageFromTab({
+      url: 'https://github.com/sveltejs/svelte/issues/12',
+      title: 'Issue 12',
+    });
+    expect(page).toMatchObject({
+      id: null,
+      title: 'Issue 12',
+      domain: 'github.com',
+      platform: 'github',
+      creator: 'sveltejs',
+    });
+    expect(page.platformData.extra.repo).toBe('svelte');
+  });
+});
+
+describe('findSameSource', () => {
+  const page = pageFromTab({ url: 'https://github.com/sveltejs/svelte/issues/12', title: '' });
+
+  it('prefers the same repository, most recent first', () => {
+    const bookmarks = [
+      github('1', 'sveltejs', 'svelte'),
+      github('2', 'SvelteJS', 'Svelte', '/pulls'),
+      github('3', 'sveltejs', 'kit'),
+      bookmark('4', 'https://github.com/explore'),
+    ];
+    const source = findSameSource(page, bookmarks);
+    expect(source).toMatchObject({ kind: 'repo', label: 'sveltejs/svelte', total: 2 });
+    expect(source.bookmarks.map((b) => b.id)).toEqual(['2', '1']);
+  });
+
+  it('falls back to the same creator, then the same site', () => {
+    expect(findSameSource(page, [github('3', 'sveltejs', 'kit')])).toMatchObject({
+      kind: 'creator',
+      label: 'sveltejs',
+    });
+    expect(findSameSource(page, [bookmark('4', 'https://github.com/explore')])).toMatchObject({
+      kind: 'domain',
+      label: 'github.com',
+    });
+  });
+
+  it('lists bookmarks of the same address with another query first', () => {
+    const watch = pageFromTab({ url: 'https://www.youtube.com/watch?v=B', title: '' });
+    const source = findSameSource(watch, [
+      bookmark('1', 'https://www.youtube.com/watch?v=A'),
+      bookmark('2', 'https://www.youtube.com/feed/library'),
+    ]);
+    expect(source).toMatchObject({ kind: 'path', label: 'youtube.com/watch', total: 1 });
+    expect(source.bookmarks.map((b) => b.id)).toEqual(['1']);
+  });
+
+  it('leaves out excluded ids and returns null when nothing matches', () => {
+    const bookmarks = [github('1', 'sveltejs', 'svelte')];
+    expect(findSameSource(page, bookmarks, new Set(['1']))).toBeNull();
+  });
+});
+
+describe('buildPageContext', () => {
+  const folders = [
+    { id: '2', path: 'Other Bookmarks' },
+    { id: '30', path: 'Other Bookmarks/Programming' },
+  ];
+
+  it('describes a bookmarked page from its stored record, without a folder suggestion', () => {
+    const stored = bookmark('1', 'https://example.com/a', {
+      folderPath: 'Bar/Docs',
+      accessCount: 4,
+    });
+    const context = buildPageContext(
+      { url: 'https://example.com/a/', title: 'A' },
+      [stored, bookmark('2', 'https://example.com/b')],
+      folders,
+    );
+    expect(context.page).toBe(stored);
+    expect(context.matches).toEqual([stored]);
+    expect(context.sameSource.bookmarks.map((b) => b.id)).toEqual(['2']);
+    expect(context.suggestion).toBeNull();
+  });
+
+  it('suggests a folder for a page that is not bookmarked', () => {
+    const context = buildPageContext(
+      { url: 'https://kubernetes.io/docs/deploy', title: 'Kubernetes deployment guide' },
+      [],
+      folders,
+    );
+    expect(context.matches).toEqual([]);
+    expect(context.suggestion).toMatchObject({ folderId: '30', create: false });
+  });
+
+  it('lists near-duplicates that are not the page itself', () => {
+    const near = bookmark('5', 'https://docs.example.com/guide/installing', {
+      title: 'Installation guide',
+    });
+    const context = buildPageContext(
+      { url: 'https://docs.example.com/guide/install', title: 'Installation guide' },
+      [near],
+      folders,
+    );
+    expect(context.nearDuplicates.map((d) => d.bookmark.id)).toEqual(['5']);
+  });
+});
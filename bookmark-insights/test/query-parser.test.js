@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, summarizeQuery } from '../src/query-parser.js';
+
+const NOW = new Date(2026, 5, 15, 12).getTime();
+const parse = query => parseQuery(query, { now: NOW });
+
+describe('parseQuery', () => {
+  it('parses grouping, OR, comparisons and negation', () => {
+    const { ast, error } = parse(
+      '(domain:github.com OR domain:gitlab.com) added:>2024-01-01 readingTime:<10 -dead:yes'
+    );
+    expect(error).toBeNull();
+    expect(ast.type).toBe('and');
+    expect(ast.children).toEqual([
+      {
+        type: 'or',
+        children: [
+          { type: 'filter', key: 'domain', value: 'github.com' },
+          { type: 'filter', key: 'domain', value: 'gitlab.com' }
+        ]
+      },
+      {
+        type: 'compare',
+        field: 'dateAdded',
+        op: '>',
+        start: new Date(2024, 0, 1).getTime(),
+        end: new Date(2024, 0, 2).getTime()
+      },
+      { type: 'compare', field: 'readingTime', op: '<', value: 10 },
+      { type: 'not', child: { type: 'filter', key: 'dead', value: true } }
+    ]);
+  });
+
+  it('keeps plain words side by side as any-of, as before', () => {
+    expect(parse('rust tokio').ast).toEqual({
+      type: 'any',
+      children: [
+        { type: 'term', value: 'rust' },
+        { type: 'term', value: 'tokio' }
+      ]
+    });
+    expect(parse('rust AND tokio').ast).toEqual({
+      type: 'and',
+      children: [
+        { type: 'term', value: 'rust' },
+        { type: 'term', value: 'tokio' }
+      ]
+    });
+    expect(parse('+rust tokio').ast.children).toContainEqual({ type: 'term', value: 'rust', required: true });
+  });
+
+  it('treats lowercase or/and/not and unknown keys as words', () => {
+    expect(summarizeQuery(parse('cats or dogs').ast).regular).toEqual(['cats', 'or', 'dogs']);
+    expect(summarizeQuery(parse('https://example.com/a').ast).regular).toEqual(['https://example.com/a']);
+  });
+
+  it('reads /pattern/ as a regex only when it stands alone', () => {
+    expect(parse('/react.*hooks?/').ast.type).toBe('regex');
+    expect(parse('/docs/api').ast).toEqual({ type: 'any', children: [{ type: 'term', value: '/docs/api' }] });
+    expect(parse('/docs').ast.children[0].value).toBe('/docs');
+  });
+
+  it('turns on semantic mode for a leading ~, after any filters', () => {
+    expect(parse('~container orchestration').semantic).toBe(true);
+    expect(parse('domain:example.com ~kubernetes').semantic).toBe(true);
+    expect(parse('kubernetes ~orchestration').semantic).toBe(false);
+  });
+
+  it('reads dates as the period they name, and relative dates from now', () => {
+    const month = parse('added:2024-03').ast;
+    expect(month.start).toBe(new Date(2024, 2, 1).getTime());
+    expect(month.end).toBe(new Date(2024, 3, 1).getTime());
+
+    const relative = parse('lastAccessed:<30d').ast;
+    expect(relative.field).toBe('lastAccessed');
+    expect(relative.start).toBe(new Date(2026, 4, 16).getTime());
+  });
+
+  it('keeps quoted filter values and strips a tag #', () => {
+    expect(parse('folder:"Work/Side Projects"').ast).toEqual({
+      type: 'filter',
+      key: 'folder',
+      value: 'work/side projects'
+    });
+    expect(parse('tag:#Reading').ast.value).toBe('reading');
+  });
+
+  it('reports errors with their position', () => {
+    const cases = [
+      ['(rust', 'Missing )', 0],
+      ['rust)', 'Unmatched )', 4],
+      ['rust OR', 'after OR', 7],
+      ['AND rust', 'before AND', 0],
+      ['"open quote', 'Unclosed quote', 0],
+      ['rust ()', 'Empty parentheses', 5],
+      ['dead:maybe', 'yes or no', 5],
+      ['added:>2024-13-01', 'Expected a date', 7],
+      ['readingTime:<ten', 'Expected a number', 13],
+      ['domain:', 'Expected a value', 7],
+      ['x /(a+)+/', 'unsafe regular expression', 2]
+    ];
+    for (const [query, message, position] of cases) {
+      const { ast, error } = parse(query);
+      expect(ast, query).toBeNull();
+      expect(error.message, query).toContain(message);
+      expect(error.position, query).toBe(position);
+    }
+  });
+});
+
+describe('summarizeQuery', () => {
+  it('sorts terms into the flat shape used for ranking and highlighting', () => {
+    const summary = summarizeQuery(parse('rust +async "event loop" -tokio NOT "old post" /w(ai)t/').ast);
+    expect(summary.positive).toEqual(['async']);
+    expect(summary.regular).toEqual(['rust']);
+    expect(summary.phrases).toEqual(['event loop']);
+    expect(summary.negative).toEqual(['tokio', 'old post']);
+    expect(summary.regexPatterns.map(String)).toEqual(['/w(ai)t/i']);
+  });
+});
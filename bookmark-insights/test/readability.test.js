@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { extractArticle, articleText } from '../src/readability.js';
+
+const PROSE =
+  'Service meshes move retries, timeouts and mutual TLS out of application code and into a sidecar proxy that runs next to every instance.';
+
+function page(body) {
+  return `<html><head><title>T</title><script>var x = "<p>${PROSE}</p>";</script></head><body>${body}</body></html>`;
+}
+
+describe('extractArticle', () => {
+  it('prefers the article over navigation and footers', () => {
+    const html = page(`
+      <nav><p>${PROSE} (nav copy)</p></nav>
+      <article>
+        <h1>Why a service mesh</h1>
+        <p>${PROSE}</p>
+        <p>${PROSE} The control plane pushes configuration to every proxy.</p>
+      </article>
+      <footer><p>${PROSE} (footer copy)</p></footer>`);
+    const article = extractArticle(html);
+    expect(article.blocks[0]).toEqual({ type: 'heading', text: 'Why a service mesh' });
+    expect(article.blocks).toHaveLength(3);
+    expect(articleText(article.blocks)).not.toContain('nav copy');
+    expect(articleText(article.blocks)).not.toContain('footer copy');
+    expect(article.truncated).toBe(false);
+    expect(article.wordCount).toBeGreaterThan(40);
+  });
+
+  it('drops link-heavy blocks and short fragments', () => {
+    const html = page(`
+      <p>${PROSE}</p>
+      <p>${PROSE} Sidecars also report metrics.</p>
+      <li><a href="/a">A very long link title that fills the whole item</a></li>
+      <p>Share</p>`);
+    const text = articleText(extractArticle(html).blocks);
+    expect(text).not.toContain('very long link');
+    expect(text).not.toContain('Share');
+  });
+
+  it('decodes entities and keeps whitespace inside code blocks', () => {
+    const html = page(`
+      <p>${PROSE} Fish &amp; chips &mdash; &#8220;quoted&#x201D;.</p>
+      <p>${PROSE}</p>
+      <pre><code>if (a &lt; b) {
+  run();
+}</code></pre>`);
+    const { blocks } = extractArticle(html);
+    expect(blocks[0].text).toContain('Fish & chips — “quoted”.');
+    expect(blocks[2]).toEqual({ type: 'code', text: 'if (a < b) {\n  run();\n}' });
+  });
+
+  it('never returns markup from the page', () => {
+    const html = page(`<p>${PROSE} <img src=x onerror="alert(1)"> <b>bold</b></p><p>${PROSE}</p>`);
+    const text = articleText(extractArticle(html).blocks);
+    expect(text).not.toMatch(/[<>]/);
+    expect(text).toContain('bold');
+  });
+
+  it('collapses a paragraph repeated back to back', () => {
+    const html = page(`<p>${PROSE}</p><p>${PROSE}</p><p>${PROSE} Once more, differently.</p>`);
+    expect(extractArticle(html).blocks).toHaveLength(2);
+  });
+
+  it('returns null for pages without enough prose', () => {
+    expect(extractArticle(page('<div id="app"></div><p>Loading…</p>'))).toBeNull();
+    expect(extractArticle('')).toBeNull();
+  });
+
+  it('truncates at maxChars', () => {
+    const html = page(Array.from({ length: 20 }, (_, i) => `<p>${PROSE} Part ${i}.</p>`).join(''));
+    const article = extractArticle(html, { maxChars: 500 });
+    expect(article.textLength).toBe(500);
+    expect(article.truncated).toBe(true);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const calls = [];
+
+vi.mock('../src/db.js', () => ({
+  adoptReadingListMeta: async (node) => {
+    calls.push(['adopt', node.url]);
+    return true;
+  },
+  removeFromReadingList: async (url) => {
+    calls.push(['remove', url]);
+    return true;
+  },
+  updateReadingListItem: async (url, hasBeenRead) => {
+    calls.push(['update', url, hasBeenRead]);
+    return true;
+  }
+}));
+
+const { selectUnreadOlderThan, markReadingListItemsRead, promoteReadingListItems } = await import(
+  '../src/reading-list.js'
+);
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 1700000000000;
+
+function entry(url, ageDays, hasBeenRead = false) {
+  return { url, title: url, hasBeenRead, creationTime: NOW - ageDays * DAY };
+}
+
+beforeEach(() => {
+  calls.length = 0;
+});
+
+describe('selectUnreadOlderThan', () => {
+  it('picks unread entries past the cutoff', () => {
+    const items = [
+      entry('https://a.example/', 45),
+      entry('https://b.example/', 10),
+      entry('https://c.example/', 60, true)
+    ];
+    expect(selectUnreadOlderThan(items, 30, NOW).map(item => item.url)).toEqual([
+      'https://a.example/'
+    ]);
+  });
+
+  it('keeps an entry added exactly at the cutoff', () => {
+    expect(selectUnreadOlderThan([entry('https://a.example/', 30)], 30, NOW)).toEqual([]);
+  });
+});
+
+describe('markReadingListItemsRead', () => {
+  it('marks each entry read and counts them', async () => {
+    const updated = await markReadingListItemsRead([
+      entry('https://a.example/', 1),
+      entry('https://b.example/', 2)
+    ]);
+    expect(updated).toBe(2);
+    expect(calls).toEqual([
+      ['update', 'https://a.example/', true],
+      ['update', 'https://b.example/', true]
+    ]);
+  });
+});
+
+describe('promoteReadingListItems', () => {
+  it('bookmarks, adopts enrichment, then removes the entry', async () => {
+    vi.stubGlobal('chrome', {
+      bookmarks: {
+        create: async ({ parentId, title, url }) => {
+          calls.push(['create', parentId, url]);
+          return { id: '99', parentId, title, url };
+        }
+      }
+    });
+
+    const result = await promoteReadingListItems([entry('https://a.example/', 1)], '5');
+    expect(result).toEqual({ promoted: 1, failed: 0 });
+    expect(calls).toEqual([
+      ['create', '5', 'https://a.example/'],
+      ['adopt', 'https://a.example/'],
+      ['remove', 'https://a.example/']
+    ]);
+    vi.unstubAllGlobals();
+  });
+
+  it('leaves the entry in the reading list when the bookmark cannot be created', async () => {
+    vi.stubGlobal('chrome', {
+      bookmarks: {
+        create: async () => {
+          throw new Error("Can't modify the root bookmark folders.");
+        }
+      }
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await promoteReadingListItems([entry('https://a.example/', 1)], '0');
+    expect(result).toEqual({ promoted: 0, failed: 1 });
+    expect(calls).toEqual([]);
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+});
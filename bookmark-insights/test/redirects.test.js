@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+let events = [];
+let urls = new Map();
+
+vi.mock('../src/db.js', () => ({
+  getEventsByType: async type => events.filter(e => e.type === type),
+  logEvent: async (bookmarkId, type, metadata = {}) => {
+    events.push({ bookmarkId, type, timestamp: events.length + 1, ...metadata });
+    return true;
+  }
+}));
+
+vi.stubGlobal('chrome', {
+  bookmarks: {
+    get: async id => {
+      if (!urls.has(id)) throw new Error("Can't find bookmark for id.");
+      return [{ id, url: urls.get(id) }];
+    },
+    update: async (id, { url }) => {
+      urls.set(id, url);
+    }
+  }
+});
+
+const {
+  noteRedirect,
+  resolveCanonical,
+  isLikelyMove,
+  movedTarget,
+  findMovedBookmarks,
+  applyUrlMoves,
+  undoUrlMoves,
+  getRecentUrlMoves
+} = await import('../src/redirects.js');
+
+const confirmed = (to, extra = {}) => ({ url: to, count: 2, firstSeen: 100, lastSeen: 200, ...extra });
+
+describe('noteRedirect', () => {
+  it('counts checks that land on the same target and restarts on a new one', () => {
+    const first = noteRedirect(null, 'http://a.com/x', 'https://a.com/x', 1);
+    expect(first).toEqual({ url: 'https://a.com/x', count: 1, firstSeen: 1, lastSeen: 1 });
+
+    const second = noteRedirect(first, 'http://a.com/x', 'https://a.com/x', 2);
+    expect(second).toEqual({ url: 'https://a.com/x', count: 2, firstSeen: 1, lastSeen: 2 });
+
+    expect(noteRedirect(second, 'http://a.com/x', 'https://b.com/x', 3)).toEqual({
+      url: 'https://b.com/x',
+      count: 1,
+      firstSeen: 3,
+      lastSeen: 3
+    });
+  });
+
+  it('forgets the redirect when a check is not redirected', () => {
+    expect(noteRedirect(confirmed('https://a.com/'), 'https://a.com/x', null)).toBeNull();
+    // fetch drops the fragment, which is not a redirect.
+    expect(noteRedirect(null, 'https://a.com/x#part', 'https://a.com/x')).toBeNull();
+  });
+});
+
+describe('resolveCanonical', () => {
+  it('resolves relative links against the page that was served', () => {
+    expect(resolveCanonical('/docs/v2/', 'https://new.com/docs/v2/?ref=x')).toBe(
+      'https://new.com/docs/v2/'
+    );
+    expect(resolveCanonical('javascript:alert(1)', 'https://new.com/')).toBeNull();
+    expect(resolveCanonical(undefined, 'https://new.com/')).toBeNull();
+  });
+});
+
+describe('isLikelyMove', () => {
+  it('accepts scheme, domain and path moves', () => {
+    expect(isLikelyMove('http://a.com/post', 'https://a.com/post')).toBe(true);
+    expect(isLikelyMove('https://old.com/post', 'https://new.com/blog/post')).toBe(true);
+  });
+
+  it('rejects sign-in walls and deep links sent to the front page', () => {
+    expect(isLikelyMove('https://a.com/doc/1', 'https://a.com/login?next=/doc/1')).toBe(false);
+    expect(isLikelyMove('https://a.com/doc/1', 'https://sso.a.com/oauth2/authorize')).toBe(false);
+    expect(isLikelyMove('https://a.com/doc/1', 'https://a.com/')).toBe(false);
+    expect(isLikelyMove('https://a.com/', 'https://www.a.com/')).toBe(true);
+  });
+});
+
+describe('movedTarget', () => {
+  it('needs the redirect confirmed', () => {
+    const bookmark = { url: 'http://a.com/x', redirect: confirmed('https://a.com/x', { count: 1 }) };
+    expect(movedTarget(bookmark)).toBeNull();
+    expect(movedTarget({ ...bookmark, redirect: confirmed('https://a.com/x') })).toBe(
+      'https://a.com/x'
+    );
+  });
+
+  it('prefers a same-site canonical URL and keeps the fragment', () => {
+    const bookmark = {
+      url: 'http://old.com/post#comments',
+      redirect: confirmed('https://new.com/post?utm_source=old'),
+      canonicalUrl: 'https://new.com/post'
+    };
+    expect(movedTarget(bookmark)).toBe('https://new.com/post#comments');
+    expect(movedTarget({ ...bookmark, canonicalUrl: 'https://elsewhere.com/post' })).toBe(
+      'https://new.com/post?utm_source=old#comments'
+    );
+  });
+});
+
+describe('findMovedBookmarks', () => {
+  it('lists live moved bookmarks, newest redirect first', () => {
+    const moved = findMovedBookmarks([
+      { id: '1', url: 'http://a.com/x', redirect: confirmed('https://a.com/x', { firstSeen: 1 }) },
+      { id: '2', url: 'http://b.com/x', redirect: confirmed('https://b.com/x', { firstSeen: 5 }) },
+      { id: '3', url: 'http://c.com/x', isAlive: false, redirect: confirmed('https://c.com/x') },
+      { id: '4', url: 'http://d.com/x', redirect: null }
+    ]);
+    expect(moved.map(m => [m.id, m.to])).toEqual([
+      ['2', 'https://b.com/x'],
+      ['1', 'https://a.com/x']
+    ]);
+  });
+});
+
+describe('applyUrlMoves and undoUrlMoves', () => {
+  beforeEach(() => {
+    events = [];
+    urls = new Map([
+      ['1', 'http://a.com/x'],
+      ['2', 'http://b.com/x']
+    ]);
+  });
+
+  it('updates bookmarks as one batch and undoes it as one', async () => {
+    const result = await applyUrlMoves([
+      { id: '1', to: 'https://a.com/x' },
+      { id: '2', to: 'https://b.com/x' },
+      { id: 'gone', to: 'https://c.com/x' }
+    ]);
+    expect(result.updated).toBe(2);
+    expect(result.errors.map(e => e.id)).toEqual(['gone']);
+    expect(urls.get('1')).toBe('https://a.com/x');
+    expect(events.filter(e => e.type === 'url-move')).toHaveLength(1);
+
+    const { undone, errors } = await undoUrlMoves(result.moveId);
+    expect({ undone, errors }).toEqual({ undone: 2, errors: [] });
+    expect([...urls.values()]).toEqual(['http://a.com/x', 'http://b.com/x']);
+    expect(await getRecentUrlMoves()).toMatchObject([{ moveId: result.moveId, updated: 2, undone: true }]);
+  });
+
+  it('leaves a bookmark alone on undo when its URL changed again since', async () => {
+    const { moveId } = await applyUrlMoves([
+      { id: '1', to: 'https://a.com/x' },
+      { id: '2', to: 'https://b.com/x' }
+    ]);
+    urls.set('2', 'https://b.com/edited');
+
+    const { undone, errors } = await undoUrlMoves(moveId);
+    expect(undone).toBe(1);
+    expect(errors).toEqual([{ id: '2', error: 'The URL has changed again since' }]);
+    expect(urls.get('2')).toBe('https://b.com/edited');
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { createRevisit, reviewRevisit, daysUntilDue } from '../src/resurface.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 5, 15, 12).getTime();
+
+describe('reviewRevisit', () => {
+  it('is first due a day after marking, then follows the SM-2 intervals', () => {
+    let revisit = createRevisit(NOW);
+    expect(revisit.due).toBe(NOW + DAY);
+
+    revisit = reviewRevisit(revisit, 'useful', revisit.due);
+    expect(revisit).toMatchObject({ interval: 6, repetitions: 1, ease: 2.6 });
+
+    revisit = reviewRevisit(revisit, 'useful', revisit.due);
+    expect(revisit).toMatchObject({ interval: 16, repetitions: 2, ease: 2.7 });
+    expect(revisit.due).toBe(revisit.lastReviewed + 16 * DAY);
+  });
+
+  it('grows the interval more slowly after "not now"', () => {
+    const start = reviewRevisit(createRevisit(NOW), 'useful', NOW + DAY);
+    const useful = reviewRevisit(start, 'useful', start.due);
+    const notNow = reviewRevisit(start, 'notNow', start.due);
+    expect(notNow.ease).toBe(2.46);
+    expect(notNow.interval).toBeLessThan(useful.interval);
+  });
+
+  it('asks again a few days after "not now" without ever growing the interval', () => {
+    const start = reviewRevisit(createRevisit(NOW), 'useful', NOW + DAY);
+    let revisit = start;
+    for (let i = 0; i < 10; i++) {
+      revisit = reviewRevisit(revisit, 'notNow', revisit.due);
+      expect(revisit).toMatchObject({ interval: 6, repetitions: 1 });
+      expect(revisit.due).toBe(revisit.lastReviewed + 3 * DAY);
+    }
+  });
+
+  it('never lets the ease fall below 1.3', () => {
+    let revisit = { ...createRevisit(NOW), ease: 1.35 };
+    revisit = reviewRevisit(revisit, 'notNow', revisit.due);
+    expect(revisit.ease).toBe(1.3);
+  });
+
+  it('restarts the clock on an early visit without moving the schedule along', () => {
+    const start = reviewRevisit(createRevisit(NOW), 'useful', NOW + DAY);
+    const visited = reviewRevisit(start, 'visit', start.lastReviewed + 2 * DAY);
+    expect(visited.repetitions).toBe(start.repetitions);
+    expect(visited.interval).toBe(6);
+    expect(visited.due).toBe(start.lastReviewed + 8 * DAY);
+  });
+
+  it('counts a visit once due as a review', () => {
+    const start = createRevisit(NOW);
+    const visited = reviewRevisit(start, 'visit', start.due + DAY);
+    expect(visited.repetitions).toBe(1);
+    expect(visited.ease).toBe(2.5);
+    expect(daysUntilDue(visited, start.due + DAY)).toBe(6);
+  });
+
+  it('takes the bookmark off the schedule on archive, and rejects unknown grades', () => {
+    expect(reviewRevisit(createRevisit(NOW), 'archive', NOW)).toBeNull();
+    expect(() => reviewRevisit(createRevisit(NOW), 'maybe', NOW)).toThrow('Unknown review grade');
+  });
+});
@@ -0,0 +1,332 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// The rules run against fixture bookmarks; db.js is an in-memory stand-in that
+// records the events and deletions the engine performs.
+let bookmarks = [];
+let savedRules = [];
+let events = [];
+let trash = new Map();
+let readingList = [];
+
+vi.mock('../src/db.js', () => ({
+  getAllBookmarks: vi.fn(async () => bookmarks.slice()),
+  getBookmarksByIds: async ids => bookmarks.filter(b => ids.includes(b.id)),
+  getAutomationRules: async () => savedRules,
+  getReadingListItems: async () => readingList.map(url => ({ url })),
+  getEventsByType: async type => events.filter(e => e.type === type),
+  getEventsForUrls: async (type, urls) => events.filter(e => e.type === type && urls.includes(e.url)),
+  logEvent: async (bookmarkId, type, metadata = {}) => {
+    events.push({ bookmarkId, type, timestamp: events.length + 1, ...metadata });
+    return true;
+  },
+  deleteBookmarks: async ids => {
+    for (const id of ids) trash.set(id, bookmarks.find(b => b.id === id));
+    bookmarks = bookmarks.filter(b => !ids.includes(b.id));
+    return { success: ids.length, deletedIds: ids, errors: [], cancelled: false };
+  },
+  restoreFromTrash: async ids => {
+    const rows = ids.filter(id => trash.has(id));
+    for (const id of rows) {
+      bookmarks.push({ ...trash.get(id), id: `${id}-restored` });
+      trash.delete(id);
+    }
+    return { restored: rows.length, errors: [] };
+  },
+  addToReadingList: async ({ url }) => {
+    readingList.push(url);
+    return true;
+  },
+  removeFromReadingList: async url => {
+    readingList = readingList.filter(u => u !== url);
+    return true;
+  },
+  getAllBookmarksWithReadingList: async () => bookmarks,
+  setCache: async () => {},
+  getCache: async () => null
+}));
+
+const folders = new Map();
+let nextFolderId = 100;
+
+vi.stubGlobal('chrome', {
+  bookmarks: {
+    getChildren: async parentId => {
+      if (parentId === '0') {
+        return [
+          { id: '1', title: 'Bookmarks bar' },
+          { id: '2', title: 'Other bookmarks' }
+        ];
+      }
+      return [...folders.values()].filter(f => f.parentId === parentId);
+    },
+    create: async ({ parentId, title }) => {
+      const folder = { id: String(nextFolderId++), parentId, title };
+      folders.set(folder.id, folder);
+      return folder;
+    },
+    move: async (id, { parentId }) => {
+      const bookmark = bookmarks.find(b => b.id === id);
+      if (!bookmark) throw new Error(`No bookmark ${id}`);
+      bookmark.parentId = parentId;
+    }
+  }
+});
+
+const {
+  validateRule,
+  describeRuleAction,
+  planRules,
+  runAutomationRules,
+  runBookmarkAction,
+  undoRuleRun,
+  getRecentRuleRuns
+} = await import('../src/rules.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+const ROOTS = [
+  { id: '1', title: 'Bookmarks bar' },
+  { id: '2', title: 'Other bookmarks' }
+];
+
+function bookmark(id, fields) {
+  return {
+    id,
+    title: `Bookmark ${id}`,
+    url: `https://example.com/${id}`,
+    domain: 'example.com',
+    parentId: '1',
+    folderPath: 'Bookmarks bar',
+    dateAdded: NOW - DAY,
+    ...fields
+  };
+}
+
+function rule(id, fields) {
+  return { id, name: id, enabled: true, minAgeDays: null, folder: null, ...fields };
+}
+
+const context = { roots: ROOTS, readingListUrls: new Set(), now: NOW };
+
+beforeEach(() => {
+  bookmarks = [];
+  savedRules = [];
+  events = [];
+  trash = new Map();
+  readingList = [];
+  folders.clear();
+});
+
+describe('validateRule', () => {
+  it('accepts complete rules and explains incomplete ones', () => {
+    expect(validateRule(rule('a', { query: 'dead:yes', action: 'trash' }))).toBeNull();
+    expect(validateRule(rule('a', { query: ' ', action: 'trash' }))).toMatch(/query/);
+    expect(validateRule(rule('a', { query: 'github', action: 'move' }))).toMatch(/folder/);
+    expect(validateRule(rule('a', { query: '~kubernetes', action: 'trash' }))).toMatch(/semantic/);
+    expect(validateRule(rule('a', { query: '(dead:yes', action: 'trash' }))).toMatch(/character 1/);
+    expect(validateRule(rule('a', { query: 'x', action: 'archive' }))).not.toBeNull();
+  });
+
+  it('describes actions', () => {
+    expect(describeRuleAction({ action: 'move', folder: 'Code / Repos/' })).toBe('Move to /Code/Repos');
+    expect(describeRuleAction({ action: 'readingList' })).toBe('Add to reading list');
+  });
+});
+
+describe('planRules', () => {
+  it('gives each bookmark to the first rule that would change it', async () => {
+    const items = [
+      bookmark('1', { domain: 'github.com', contentType: 'repo' }),
+      bookmark('2', { domain: 'github.com', contentType: 'repo', isAlive: false }),
+      bookmark('3', { isAlive: false })
+    ];
+    const plan = await planRules(
+      [
+        rule('repos', { query: 'domain:github.com type:repo', action: 'move', folder: '/Code/Repos' }),
+        rule('dead', { query: 'dead:yes', action: 'trash' })
+      ],
+      items,
+      context
+    );
+    expect(plan.map(p => p.bookmarks.map(b => b.id))).toEqual([['1', '2'], ['3']]);
+  });
+
+  it('passes over bookmarks already where a move rule would put them', async () => {
+    const items = [
+      bookmark('1', { domain: 'github.com', folderPath: 'Other bookmarks/Code/Repos', isAlive: false }),
+      bookmark('2', { domain: 'github.com' })
+    ];
+    const plan = await planRules(
+      [
+        rule('repos', { query: 'domain:github.com', action: 'move', folder: 'Code/Repos' }),
+        rule('dead', { query: 'dead:yes', action: 'trash' })
+      ],
+      items,
+      context
+    );
+    expect(plan[0].bookmarks.map(b => b.id)).toEqual(['2']);
+    // Still dead, so the next rule gets it.
+    expect(plan[1].bookmarks.map(b => b.id)).toEqual(['1']);
+  });
+
+  it('applies the age limit, the reading list, the skip hook and the enabled flag', async () => {
+    const items = [
+      bookmark('old', { platform: 'youtube', dateAdded: NOW - 90 * DAY }),
+      bookmark('new', { platform: 'youtube' }),
+      bookmark('listed', { platform: 'youtube', dateAdded: NOW - 90 * DAY })
+    ];
+    const plan = await planRules(
+      [
+        rule('off', { query: 'platform:youtube', action: 'trash', enabled: false }),
+        rule('yt', { query: 'platform:youtube', action: 'readingList', minAgeDays: 60 })
+      ],
+      items,
+      { ...context, readingListUrls: new Set(['https://example.com/listed']) }
+    );
+    expect(plan).toHaveLength(1);
+    expect(plan[0].bookmarks.map(b => b.id)).toEqual(['old']);
+
+    const skipped = await planRules([rule('yt', { query: 'platform:youtube', action: 'readingList' })], items, {
+      ...context,
+      skip: (r, b) => b.id === 'new'
+    });
+    expect(skipped[0].bookmarks.map(b => b.id)).toEqual(['old', 'listed']);
+  });
+});
+
+describe('runAutomationRules', () => {
+  it('previews without acting', async () => {
+    bookmarks = [bookmark('1', { isAlive: false })];
+    savedRules = [rule('dead', { query: 'dead:yes', action: 'trash' })];
+    const result = await runAutomationRules({ dryRun: true });
+    expect(result.rules[0]).toMatchObject({ ruleId: 'dead', matched: 1, action: 'Move to trash' });
+    expect(result.rules[0].preview[0].id).toBe('1');
+    expect(bookmarks).toHaveLength(1);
+    expect(events).toEqual([]);
+  });
+
+  it('logs every action and undoes a run', async () => {
+    bookmarks = [
+      bookmark('1', { domain: 'github.com' }),
+      bookmark('2', { isAlive: false }),
+      bookmark('3', { platform: 'youtube' })
+    ];
+    savedRules = [
+      rule('repos', { query: 'domain:github.com', action: 'move', folder: '/Code/Repos' }),
+      rule('dead', { query: 'dead:yes', action: 'trash' }),
+      rule('yt', { query: 'platform:youtube', action: 'readingList' })
+    ];
+
+    const { runId, rules } = await runAutomationRules();
+    expect(rules.map(r => r.applied)).toEqual([1, 1, 1]);
+
+    const codeFolder = [...folders.values()].find(f => f.title === 'Code');
+    expect(codeFolder.parentId).toBe('2');
+    const reposFolder = [...folders.values()].find(f => f.title === 'Repos');
+    expect(bookmarks.find(b => b.id === '1').parentId).toBe(reposFolder.id);
+    expect(trash.has('2')).toBe(true);
+    expect(readingList).toEqual(['https://example.com/3']);
+    expect(events.filter(e => e.type === 'rule').map(e => [e.bookmarkId, e.action, e.runId])).toEqual([
+      ['1', 'move', runId],
+      ['2', 'trash', runId],
+      ['3', 'readingList', runId]
+    ]);
+
+    const undo = await undoRuleRun(runId);
+    expect(undo).toEqual({ undone: 3, errors: [] });
+    expect(bookmarks.find(b => b.id === '1').parentId).toBe('1');
+    expect(bookmarks.some(b => b.id === '2-restored')).toBe(true);
+    expect(readingList).toEqual([]);
+
+    const [run] = await getRecentRuleRuns();
+    expect(run).toMatchObject({ runId, trigger: 'manual', actions: 3, undone: true });
+  });
+
+  it('refuses to undo a run twice', async () => {
+    bookmarks = [bookmark('1', { isAlive: false })];
+    savedRules = [rule('dead', { query: 'dead:yes', action: 'trash' })];
+    const { runId } = await runAutomationRules();
+    await undoRuleRun(runId);
+
+    await expect(undoRuleRun(runId)).rejects.toThrow('already undone');
+    expect(events.filter(e => e.type === 'rule-undo')).toHaveLength(1);
+  });
+
+  it('undoes only the chosen run when runs start in the same millisecond', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    bookmarks = [bookmark('1', { isAlive: false }), bookmark('2', { isAlive: false })];
+    savedRules = [rule('dead', { query: 'dead:yes', action: 'trash' })];
+    const first = await runAutomationRules({ trigger: 'create', bookmarkIds: ['1'] });
+    const second = await runAutomationRules({ trigger: 'create', bookmarkIds: ['2'] });
+    vi.restoreAllMocks();
+
+    expect(first.runId).not.toBe(second.runId);
+    expect(await undoRuleRun(second.runId)).toEqual({ undone: 1, errors: [] });
+    expect([...trash.keys()]).toEqual(['1']);
+  });
+
+  it('does not repeat an undone action on automatic triggers', async () => {
+    bookmarks = [bookmark('1', { isAlive: false })];
+    savedRules = [rule('dead', { query: 'dead:yes', action: 'trash' })];
+    const { runId } = await runAutomationRules({ trigger: 'enrichment', bookmarkIds: ['1'] });
+    await undoRuleRun(runId);
+
+    const again = await runAutomationRules({ trigger: 'enrichment', bookmarkIds: ['1-restored'] });
+    expect(again.rules[0].applied).toBe(0);
+    const manual = await runAutomationRules({ dryRun: true });
+    expect(manual.rules[0].matched).toBe(1);
+  });
+
+  it('reads only the chosen bookmarks on a create-triggered run', async () => {
+    const { getAllBookmarks } = await import('../src/db.js');
+    getAllBookmarks.mockClear();
+    bookmarks = [bookmark('1', { isAlive: false }), bookmark('2', { isAlive: false })];
+    savedRules = [rule('dead', { query: 'dead:yes', action: 'trash' })];
+
+    const run = await runAutomationRules({ trigger: 'create', bookmarkIds: ['2'] });
+
+    expect(run.rules[0].applied).toBe(1);
+    expect([...trash.keys()]).toEqual(['2']);
+    expect(getAllBookmarks).not.toHaveBeenCalled();
+  });
+});
+
+describe('runBookmarkAction', () => {
+  it('acts on chosen bookmarks and undoes like a rule run', async () => {
+    bookmarks = [bookmark('1'), bookmark('2'), bookmark('3')];
+    const result = await runBookmarkAction({ action: 'trash', bookmarkIds: ['1', '3'] });
+    expect(result).toMatchObject({ matched: 2, applied: 2, failed: 0 });
+    expect([...trash.keys()]).toEqual(['1', '3']);
+
+    const [run] = await getRecentRuleRuns();
+    expect(run).toMatchObject({ runId: result.runId, trigger: 'palette', actions: 2 });
+    expect(await undoRuleRun(result.runId)).toEqual({ undone: 2, errors: [] });
+  });
+
+  it('chains a query to an action, skipping bookmarks already in place', async () => {
+    bookmarks = [
+      bookmark('1', { isAlive: false }),
+      bookmark('2', { isAlive: false, folderPath: 'Other bookmarks/Dead', parentId: '9' }),
+      bookmark('3')
+    ];
+    const result = await runBookmarkAction({ action: 'move', folder: '/Dead', query: 'dead:yes' });
+    expect(result).toMatchObject({ matched: 1, applied: 1 });
+    const dead = [...folders.values()].find(f => f.title === 'Dead');
+    expect(bookmarks.find(b => b.id === '1').parentId).toBe(dead.id);
+    expect(bookmarks.find(b => b.id === '3').parentId).toBe('1');
+  });
+
+  it('needs a complete action and something to act on', async () => {
+    await expect(runBookmarkAction({ action: 'move', bookmarkIds: ['1'] })).rejects.toThrow(
+      'Choose a folder'
+    );
+    await expect(runBookmarkAction({ action: 'trash' })).rejects.toThrow('Choose bookmarks');
+    await expect(runBookmarkAction({ action: 'trash', query: '~rust' })).rejects.toThrow('semantic');
+    expect(await runBookmarkAction({ action: 'trash', query: 'dead:yes' })).toEqual({
+      runId: null,
+      matched: 0,
+      applied: 0,
+      failed: 0
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// searchBookmarks only needs the corpus and the (no-op) index cache from db.js;
+// the real FlexSearch index is built over these fixtures.
+const fixtures = [
+  {
+    id: '1',
+    title: 'Tokio tutorial',
+    url: 'https://tokio.rs/tokio/tutorial',
+    domain: 'tokio.rs',
+    dateAdded: 1700000000000,
+    tags: ['rust', 'reading'],
+    note: 'Follow up on the select! chapter',
+  },
+  {
+    id: '2',
+    title: 'Rust book',
+    url: 'https://doc.rust-lang.org/book/',
+    domain: 'doc.rust-lang.org',
+    dateAdded: 1700000001000,
+    tags: ['rust'],
+    note: null,
+  },
+  {
+    id: '3',
+    title: 'Svelte docs',
+    url: 'https://svelte.dev/docs',
+    domain: 'svelte.dev',
+    dateAdded: 1700000002000,
+    tags: [],
+    note: 'Compare with the React hooks article',
+  },
+];
+
+vi.mock('../src/db.js', () => ({
+  getAllBookmarksWithReadingList: async () => fixtures,
+  setCache: async () => {},
+  getCache: async () => null,
+}));
+
+const { searchBookmarks } = await import('../src/search.js');
+
+const ids = (response) => response.results.map((b) => b.id).sort();
+
+describe('tag: and note: filters', () => {
+  it('requires every repeated tag: filter to match', async () => {
+    expect(ids(await searchBookmarks('tag:rust'))).toEqual(['1', '2']);
+    expect(ids(await searchBookmarks('tag:rust tag:reading'))).toEqual(['1']);
+  });
+
+  it('accepts a leading # and ignores case', async () => {
+    expect(ids(await searchBookmarks('tag:#Reading'))).toEqual(['1']);
+  });
+
+  it('matches a quoted phrase in the note', async () => {
+    expect(ids(await searchBookmarks('note:"react hooks"'))).toEqual(['3']);
+    expect(ids(await searchBookmarks('note:follow'))).toEqual(['1']);
+  });
+
+  it('finds tags and notes with plain search terms', async () => {
+    expect(ids(await searchBookmarks('reading'))).toEqual(['1']);
+    expect(ids(await searchBookmarks('chapter'))).toEqual(['1']);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// body: searches the page archive, which db.js serves separately from the
+// bookmark records; both are fixtures here.
+const fixtures = [
+  { id: '1', title: 'Istio intro', url: 'https://istio.io/intro', domain: 'istio.io', dateAdded: 1 },
+  { id: '2', title: 'Linkerd docs', url: 'https://linkerd.io/docs', domain: 'linkerd.io', dateAdded: 2 },
+  { id: '3', title: 'Unarchived', url: 'https://example.com/', domain: 'example.com', dateAdded: 3 }
+];
+
+let bodies = [
+  { url: 'https://istio.io/intro', text: 'A service mesh with Envoy sidecars.' },
+  { url: 'https://linkerd.io/docs', text: 'An ultralight service mesh written in Rust.' }
+];
+
+vi.mock('../src/db.js', () => ({
+  getAllBookmarksWithReadingList: async () => fixtures,
+  setCache: async () => {},
+  getCache: async () => null,
+  getArchivedBodies: async () => bodies,
+  getPageArchiveSignature: async () => `${bodies.length}`
+}));
+
+const { searchBookmarks } = await import('../src/search.js');
+
+const ids = response => response.results.map(b => b.id).sort();
+
+describe('body: filter', () => {
+  it('matches every word of a quoted phrase in archived text', async () => {
+    expect(ids(await searchBookmarks('body:"service mesh"'))).toEqual(['1', '2']);
+    expect(ids(await searchBookmarks('body:"mesh rust"'))).toEqual(['2']);
+  });
+
+  it('matches word prefixes and combines with other terms', async () => {
+    expect(ids(await searchBookmarks('body:envoy'))).toEqual(['1']);
+    expect(ids(await searchBookmarks('linkerd body:ultra'))).toEqual(['2']);
+  });
+
+  it('picks up newly archived pages', async () => {
+    expect(ids(await searchBookmarks('body:example'))).toEqual([]);
+    bodies = [...bodies, { url: 'https://example.com/', text: 'An example domain page.' }];
+    expect(ids(await searchBookmarks('body:example'))).toEqual(['3']);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi } from 'vitest';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+
+const fixtures = [
+  {
+    id: '1',
+    title: 'Tokio tutorial',
+    url: 'https://github.com/tokio-rs/tokio',
+    domain: 'github.com',
+    dateAdded: new Date(2024, 4, 1).getTime(),
+    readingTime: 8,
+    accessCount: 5,
+    lastAccessed: NOW - 2 * DAY,
+    contentQualityScore: 80
+  },
+  {
+    id: '2',
+    title: 'GitLab CI recipes',
+    url: 'https://gitlab.com/recipes/ci',
+    domain: 'gitlab.com',
+    dateAdded: new Date(2024, 1, 10).getTime(),
+    readingTime: 25,
+    accessCount: 0,
+    publishedDate: '2019-06-01'
+  },
+  {
+    id: '3',
+    title: 'Old Rust blog post',
+    url: 'https://github.com/someone/blog',
+    domain: 'github.com',
+    dateAdded: new Date(2023, 6, 1).getTime(),
+    readingTime: 4,
+    isAlive: false,
+    lastChecked: NOW - DAY
+  },
+  {
+    id: '4',
+    title: 'Svelte docs',
+    url: 'https://svelte.dev/docs',
+    domain: 'svelte.dev',
+    dateAdded: new Date(2025, 0, 1).getTime(),
+    accessCount: 1,
+    lastAccessed: NOW - 400 * DAY
+  }
+];
+
+vi.mock('../src/db.js', () => ({
+  getAllBookmarksWithReadingList: async () => fixtures,
+  setCache: async () => {},
+  getCache: async () => null
+}));
+
+const { searchBookmarks, filterBookmarksByQuery } = await import('../src/search.js');
+
+const match = async query => (await filterBookmarksByQuery(fixtures, query)).map(b => b.id).sort();
+
+describe('boolean queries', () => {
+  it('handles grouping, OR, comparisons and negated filters together', async () => {
+    expect(await match(
+      '(domain:github.com OR domain:gitlab.com) added:>2024-01-01 readingTime:<10 -dead:yes'
+    )).toEqual(['1']);
+    expect(await match('(domain:github.com OR domain:gitlab.com) -dead:yes')).toEqual(['1', '2']);
+  });
+
+  it('keeps the old term rules', async () => {
+    expect(await match('tokio svelte')).toEqual(['1', '4']);
+    expect(await match('+rust -tokio')).toEqual(['3']);
+    expect(await match('tokio AND svelte')).toEqual([]);
+    expect(await match('NOT (tokio OR svelte) domain:github.com')).toEqual(['3']);
+  });
+
+  it('compares numbers, and never matches a missing value', async () => {
+    expect(await match('accessCount:>=1')).toEqual(['1', '4']);
+    expect(await match('accessCount:0')).toEqual(['2', '3']);
+    expect(await match('quality:>50')).toEqual(['1']);
+    expect(await match('readingTime:<=8')).toEqual(['1', '3']);
+  });
+
+  it('compares dates by the period they name', async () => {
+    expect(await match('added:2024')).toEqual(['1', '2']);
+    expect(await match('added:<=2024-02')).toEqual(['2', '3']);
+    expect(await match('published:<2020')).toEqual(['2']);
+    expect(await match('lastAccessed:>=7d')).toEqual(['1']);
+    expect(await match('lastAccessed:<1y')).toEqual(['4']);
+  });
+
+  it('matches nothing for a query that does not parse', async () => {
+    expect(await match('(tokio')).toEqual([]);
+  });
+});
+
+describe('searchBookmarks', () => {
+  it('returns the parse error instead of results', async () => {
+    const response = await searchBookmarks('tokio OR', null, { computeStats: true });
+    expect(response.results).toEqual([]);
+    expect(response.error).toEqual({ message: 'Expected a search term after OR', position: 8 });
+    expect(response.stats.domains).toEqual([]);
+  });
+
+  it('ranks the words of a boolean query', async () => {
+    const response = await searchBookmarks('(tokio OR rust) domain:github.com');
+    expect(response.results.map(b => b.id)).toEqual(['1', '3']);
+    expect(response.parsedQuery.regular).toEqual(['tokio', 'rust']);
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { compileUserRegex, publishedTimestamp } from '../src/search.js';
+import { compileUserRegex } from '../src/query-parser.js';
+import { publishedTimestamp } from '../src/search.js';
 
 describe('compileUserRegex', () => {
   it('strips g and y so .test() is not stateful across bookmarks', () => {
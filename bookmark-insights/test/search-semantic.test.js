@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+
+const fixtures = [
+  {
+    id: '1',
+    title: 'Kubernetes in practice',
+    url: 'https://example.com/k8s',
+    domain: 'example.com',
+    dateAdded: 1700000000000,
+  },
+  {
+    id: '2',
+    title: 'Container orchestration compared',
+    url: 'https://blog.example.org/orchestration',
+    domain: 'blog.example.org',
+    dateAdded: 1700000001000,
+  },
+  {
+    id: '3',
+    title: 'Best sourdough recipe',
+    url: 'https://bread.example.net/',
+    domain: 'bread.example.net',
+    dateAdded: 1700000002000,
+  },
+];
+
+const stored = new Map();
+
+vi.mock('../src/db.js', () => ({
+  getAllBookmarksWithReadingList: async () => fixtures,
+  setCache: async () => {},
+  getCache: async () => null,
+  getEmbeddings: async () => [...stored.values()],
+  saveEmbeddings: async (rows) => rows.forEach((row) => stored.set(row.id, row)),
+}));
+
+const { searchBookmarks } = await import('../src/search.js');
+
+const ids = (response) => response.results.map((b) => b.id);
+
+describe('semantic search', () => {
+  it('keeps plain queries lexical', async () => {
+    const response = await searchBookmarks('container orchestration');
+    expect(ids(response)).toEqual(['2']);
+    expect(response.semantic).toBe(false);
+  });
+
+  it('finds related bookmarks with no shared words under ~', async () => {
+    const response = await searchBookmarks('~container orchestration');
+    expect(response.semantic).toBe(true);
+    expect(ids(response).sort()).toEqual(['1', '2']);
+    // The literal match still ranks first.
+    expect(ids(response)[0]).toBe('2');
+  });
+
+  it('caches vectors for the bookmarks it scored', async () => {
+    await searchBookmarks('~kubernetes');
+    expect([...stored.keys()].sort()).toEqual(['1', '2', '3']);
+    expect(stored.get('1').vector).toBeInstanceOf(Float32Array);
+  });
+
+  it('still applies exclusions and field filters', async () => {
+    expect(ids(await searchBookmarks('~container orchestration -compared'))).toEqual(['1']);
+    expect(ids(await searchBookmarks('~container orchestration domain:example.com'))).toEqual([
+      '1',
+    ]);
+  });
+});
@@ -0,0 +1,252 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// One device against a shared sync area: db.js is an in-memory settings row
+// that stamps changes the way the real one does, and chrome.storage is two
+// plain objects.
+let settings;
+let syncArea;
+let localArea;
+
+vi.mock('../src/db.js', () => ({
+  getSettings: async () => settings,
+  updateSettings: async (changes, stamps = null) => {
+    const fieldUpdatedAt = { ...settings.fieldUpdatedAt };
+    for (const field of Object.keys(changes)) {
+      fieldUpdatedAt[field] = stamps?.[field] ?? Date.now();
+    }
+    settings = { ...settings, ...changes, fieldUpdatedAt };
+    return true;
+  }
+}));
+
+function fakeArea(getStore) {
+  return {
+    get: async keys => {
+      const store = getStore();
+      if (keys === null) return { ...store };
+      const wanted = Array.isArray(keys) ? keys : [keys];
+      return Object.fromEntries(wanted.filter(k => k in store).map(k => [k, store[k]]));
+    },
+    set: async items => {
+      Object.assign(getStore(), structuredClone(items));
+    },
+    remove: async keys => {
+      for (const key of [].concat(keys)) delete getStore()[key];
+    }
+  };
+}
+
+vi.stubGlobal('chrome', {
+  storage: {
+    sync: fakeArea(() => syncArea),
+    local: fakeArea(() => localArea)
+  }
+});
+
+const { encodeField, decodeField, syncSettings, resetToSyncedSettings, getSyncStatus } =
+  await import('../src/settings-sync.js');
+
+function manyRules(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `rule-${i}`,
+    name: `Rule ${i} — “quoted” 📚`,
+    query: `domain:example${i}.com "some phrase" tag:reading`,
+    action: 'move',
+    folder: `Archive/Topic ${i}`,
+    enabled: true
+  }));
+}
+
+beforeEach(() => {
+  settings = {
+    enrichmentBatchSize: 50,
+    savedSearches: [],
+    automationRules: [],
+    settingsSyncEnabled: true,
+    fieldUpdatedAt: {}
+  };
+  syncArea = {};
+  localArea = {};
+});
+
+describe('encodeField / decodeField', () => {
+  it('keeps small values in a single item', () => {
+    const items = encodeField('enrichmentBatchSize', 80, 1000);
+    expect(Object.keys(items)).toEqual(['bi:enrichmentBatchSize']);
+    expect(decodeField(items, 'enrichmentBatchSize')).toEqual({ updatedAt: 1000, value: 80 });
+  });
+
+  it('chunks large values so every item fits the per-item quota', () => {
+    const rules = manyRules(150);
+    const items = encodeField('automationRules', rules, 1000);
+    expect(Object.keys(items).length).toBeGreaterThan(2);
+    for (const [key, value] of Object.entries(items)) {
+      const bytes = new TextEncoder().encode(key + JSON.stringify(value)).length;
+      expect(bytes).toBeLessThanOrEqual(8192);
+    }
+    expect(decodeField(items, 'automationRules')).toEqual({ updatedAt: 1000, value: rules });
+  });
+
+  it('reports a half-written chunked value as unreadable', () => {
+    const items = encodeField('automationRules', manyRules(150), 1000);
+    delete items['bi:automationRules#1'];
+    expect(decodeField(items, 'automationRules')).toEqual({ updatedAt: 1000, unreadable: true });
+
+    const older = encodeField('automationRules', manyRules(149), 900);
+    const newer = encodeField('automationRules', manyRules(150), 1000);
+    const torn = { ...older, 'bi:automationRules': newer['bi:automationRules'] };
+    expect(decodeField(torn, 'automationRules').unreadable).toBe(true);
+  });
+});
+
+describe('syncSettings', () => {
+  it('pushes fields changed locally and leaves untouched defaults alone', async () => {
+    settings.enrichmentBatchSize = 120;
+    settings.fieldUpdatedAt.enrichmentBatchSize = 5000;
+
+    const status = await syncSettings();
+
+    expect(status.pushed).toEqual(['enrichmentBatchSize']);
+    expect(syncArea['bi:enrichmentBatchSize']).toEqual({ t: 5000, v: 120 });
+    expect(syncArea['bi:savedSearches']).toBeUndefined();
+    expect(status.lastSyncAt).toBeGreaterThan(0);
+  });
+
+  it('keeps whichever side changed a field last', async () => {
+    settings.enrichmentBatchSize = 120;
+    settings.savedSearches = [{ id: 's1', name: 'Mine', query: 'old' }];
+    settings.fieldUpdatedAt = { enrichmentBatchSize: 5000, savedSearches: 1000 };
+    Object.assign(
+      syncArea,
+      encodeField('enrichmentBatchSize', 30, 4000),
+      encodeField('savedSearches', [{ id: 's2', name: 'Theirs', query: 'new' }], 2000)
+    );
+
+    const status = await syncSettings();
+
+    expect(status.pushed).toEqual(['enrichmentBatchSize']);
+    expect(status.pulled).toEqual(['savedSearches']);
+    expect(settings.enrichmentBatchSize).toBe(120);
+    expect(syncArea['bi:enrichmentBatchSize'].v).toBe(120);
+    expect(settings.savedSearches[0].name).toBe('Theirs');
+    // The pulled value keeps the remote time, so the next sync is a no-op.
+    expect(settings.fieldUpdatedAt.savedSearches).toBe(2000);
+    const again = await syncSettings();
+    expect(again.pulled).toEqual([]);
+    expect(again.pushed).toEqual([]);
+  });
+
+  it('syncs taxonomy edits, chunked when they outgrow one item', async () => {
+    const topics = Object.fromEntries(
+      Array.from({ length: 120 }, (_, i) => [
+        `topic-${i}`,
+        { name: `Topic ${i}`, keywords: ['alpha', 'beta', 'gamma', `word-${i}`] }
+      ])
+    );
+    Object.assign(
+      syncArea,
+      encodeField('topicTaxonomy', topics, 3000),
+      encodeField('categoryRules', { 'example.com': 'work' }, 3000)
+    );
+
+    const status = await syncSettings();
+
+    expect(status.pulled).toEqual(['topicTaxonomy', 'categoryRules']);
+    expect(Object.keys(syncArea).some(key => key.startsWith('bi:topicTaxonomy#'))).toBe(true);
+    expect(settings.topicTaxonomy).toEqual(topics);
+    expect(settings.categoryRules).toEqual({ 'example.com': 'work' });
+  });
+
+  it('removes chunks left over from a longer earlier value', async () => {
+    Object.assign(syncArea, encodeField('automationRules', manyRules(150), 1000));
+    settings.automationRules = manyRules(1);
+    settings.fieldUpdatedAt.automationRules = 2000;
+
+    await syncSettings();
+
+    expect(Object.keys(syncArea).filter(k => k.startsWith('bi:automationRules'))).toEqual([
+      'bi:automationRules'
+    ]);
+    expect(decodeField(syncArea, 'automationRules').value).toEqual(manyRules(1));
+  });
+
+  it('skips an incomplete remote value instead of overwriting it', async () => {
+    const items = encodeField('automationRules', manyRules(150), 9000);
+    delete items['bi:automationRules#0'];
+    Object.assign(syncArea, items);
+    settings.automationRules = manyRules(2);
+    settings.fieldUpdatedAt.automationRules = 1000;
+
+    const status = await syncSettings();
+
+    expect(status.unreadable).toEqual(['automationRules']);
+    expect(settings.automationRules).toEqual(manyRules(2));
+    expect(syncArea['bi:automationRules'].n).toBeGreaterThan(1);
+  });
+
+  it('syncs the dashboard view state with its own timestamp', async () => {
+    Object.assign(syncArea, encodeField('viewState', { viewMode: 'grid' }, 3000));
+    localArea.dashboardViewState = { viewMode: 'list' };
+    localArea.dashboardViewStateUpdatedAt = 1000;
+
+    await syncSettings();
+
+    expect(localArea.dashboardViewState).toEqual({ viewMode: 'grid' });
+    expect(localArea.dashboardViewStateUpdatedAt).toBe(3000);
+  });
+
+  it('records a failed sync in the status', async () => {
+    settings.enrichmentBatchSize = 120;
+    settings.fieldUpdatedAt.enrichmentBatchSize = 5000;
+    const get = chrome.storage.sync.get;
+    chrome.storage.sync.get = async () => {
+      throw new Error('Sync is unavailable');
+    };
+    try {
+      await syncSettings();
+    } finally {
+      chrome.storage.sync.get = get;
+    }
+
+    const status = await getSyncStatus();
+    expect(status.error).toBe('Sync is unavailable');
+    expect(status.lastSyncAt).toBeNull();
+  });
+
+  it('syncs the other fields when one does not fit, and names it in the status', async () => {
+    settings.enrichmentBatchSize = 120;
+    settings.automationRules = manyRules(150);
+    settings.fieldUpdatedAt = { enrichmentBatchSize: 5000, automationRules: 5000 };
+    const set = chrome.storage.sync.set;
+    chrome.storage.sync.set = async items => {
+      if ('bi:automationRules' in items) throw new Error('QUOTA_BYTES quota exceeded');
+      return set(items);
+    };
+    try {
+      await syncSettings();
+    } finally {
+      chrome.storage.sync.set = set;
+    }
+
+    const status = await getSyncStatus();
+    expect(status.pushed).toEqual(['enrichmentBatchSize']);
+    expect(status.unsent).toEqual(['automationRules']);
+    expect(status.error).toBeNull();
+    expect(syncArea['bi:enrichmentBatchSize'].v).toBe(120);
+  });
+});
+
+describe('resetToSyncedSettings', () => {
+  it('takes the synced copy even where this device changed a field later', async () => {
+    settings.enrichmentBatchSize = 120;
+    settings.fieldUpdatedAt.enrichmentBatchSize = 9000;
+    Object.assign(syncArea, encodeField('enrichmentBatchSize', 30, 1000));
+
+    const result = await resetToSyncedSettings();
+
+    expect(result.applied).toEqual(['enrichmentBatchSize']);
+    expect(settings.enrichmentBatchSize).toBe(30);
+    expect(settings.fieldUpdatedAt.enrichmentBatchSize).toBe(1000);
+    expect(settings.savedSearches).toEqual([]);
+  });
+});
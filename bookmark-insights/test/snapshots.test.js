@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import { selectSnapshotsToKeep, diffBackup } from '../src/snapshots.js';
+import { migrateBackup, validateBackup } from '../src/db.js';
+
+// Local noon keeps every timestamp inside its calendar day whatever the
+// machine's time zone.
+function at(year, month, day, hour = 12) {
+  return new Date(year, month - 1, day, hour).getTime();
+}
+
+function snapshot(id, createdAt, trigger = 'scheduled') {
+  return { id, createdAt, trigger };
+}
+
+function backupWith(bookmarks, settings = []) {
+  return {
+    version: '2.1',
+    schemaVersion: 4,
+    data: { bookmarks, settings, events: [], trash: [], readingListMeta: [] }
+  };
+}
+
+describe('selectSnapshotsToKeep', () => {
+  it('keeps the newest snapshot of each recent day, week and month', () => {
+    const snapshots = [];
+    let id = 1;
+    // One snapshot a day from 1 January to 15 March 2026, plus a second on the last day.
+    for (let t = at(2026, 1, 1); t <= at(2026, 3, 15); t += 24 * 60 * 60 * 1000) {
+      snapshots.push(snapshot(id++, t));
+    }
+    snapshots.push(snapshot(id++, at(2026, 3, 15, 18), 'manual'));
+
+    const keep = selectSnapshotsToKeep(snapshots, { daily: 3, weekly: 2, monthly: 3 });
+    const kept = snapshots.filter(s => keep.has(s.id)).map(s => new Date(s.createdAt));
+    const labels = kept.map(
+      d => `${d.getMonth() + 1}/${d.getDate()}${d.getHours() === 18 ? 'pm' : ''}`
+    );
+
+    // Days: 15 (the later one), 14, 13. Weeks (Mon-Sun): 15 is a Sunday, so the
+    // week of 9-15 and the week of 2-8. Months: March, February, January.
+    expect(labels.sort()).toEqual(['1/31', '2/28', '3/13', '3/14', '3/15pm', '3/8'].sort());
+  });
+
+  it('keeps pre-restore snapshots outside the rotation', () => {
+    const snapshots = [
+      snapshot(1, at(2026, 3, 10), 'pre-restore'),
+      snapshot(2, at(2026, 3, 11), 'pre-restore'),
+      snapshot(3, at(2026, 3, 12), 'pre-restore'),
+      snapshot(4, at(2026, 3, 13), 'pre-restore'),
+      snapshot(5, at(2026, 3, 13, 8)),
+      snapshot(6, at(2026, 3, 13, 20))
+    ];
+    const keep = selectSnapshotsToKeep(snapshots, { daily: 1, weekly: 0, monthly: 0 });
+    expect([...keep].sort()).toEqual([2, 3, 4, 6]);
+  });
+
+  it('always keeps the newest snapshot even with retention switched off', () => {
+    const snapshots = [snapshot(1, at(2026, 3, 1)), snapshot(2, at(2026, 3, 2))];
+    expect([...selectSnapshotsToKeep(snapshots, { daily: 0, weekly: 0, monthly: 0 })]).toEqual([2]);
+  });
+});
+
+describe('diffBackup', () => {
+  it('lists bookmarks added, removed and modified, and settings that differ', () => {
+    const backup = backupWith(
+      [
+        { id: '1', title: 'Same', url: 'https://a.example/' },
+        { id: '2', title: 'Old title', url: 'https://b.example/', tags: ['x'] },
+        { id: '4', title: 'Gone since', url: 'https://d.example/' }
+      ],
+      [{ key: 'app', enrichmentBatchSize: 50, privacyMode: false, fieldUpdatedAt: { a: 1 } }]
+    );
+    const current = {
+      bookmarks: [
+        { id: '1', title: 'Same', url: 'https://a.example/' },
+        { id: '2', title: 'New title', url: 'https://b.example/', tags: ['x'], note: 'hi' },
+        { id: '3', title: 'Added since', url: 'https://c.example/' }
+      ],
+      settings: { key: 'app', enrichmentBatchSize: 100, privacyMode: false, fieldUpdatedAt: { a: 2 } }
+    };
+
+    const diff = diffBackup(backup, current);
+
+    expect(diff.added.map(b => b.id)).toEqual(['4']);
+    expect(diff.removed.map(b => b.id)).toEqual(['3']);
+    expect(diff.modified).toEqual([
+      { id: '2', title: 'Old title', url: 'https://b.example/', fields: ['title', 'note'] }
+    ]);
+    expect(diff.settings).toEqual([{ key: 'enrichmentBatchSize', current: 100, backup: 50 }]);
+  });
+});
+
+describe('backup migration', () => {
+  it('upgrades a schema 3 backup with the tables it did not have', () => {
+    const old = {
+      version: '2.1',
+      schemaVersion: 3,
+      createdAt: '2026-01-01T00:00:00.000Z',
+      metadata: { totalBookmarks: 1 },
+      data: { bookmarks: [{ id: '1', url: 'https://a.example/' }], settings: [], events: [] }
+    };
+
+    const migrated = migrateBackup(old);
+
+    expect(migrated.schemaVersion).toBe(4);
+    expect(migrated.data.trash).toEqual([]);
+    expect(migrated.data.readingListMeta).toEqual([]);
+    expect(migrated.data.bookmarks[0]).toEqual({
+      id: '1',
+      url: 'https://a.example/',
+      tags: [],
+      note: null
+    });
+    expect(old.data.trash).toBeUndefined();
+  });
+
+  it('restores the plain JSON export through the same path', () => {
+    const exported = {
+      exportDate: '2026-02-01T00:00:00.000Z',
+      version: '2.0',
+      totalBookmarks: 1,
+      bookmarks: [{ id: '7', url: 'https://e.example/', title: 'E', tags: ['t'] }]
+    };
+
+    const result = validateBackup(exported);
+
+    expect(result.valid).toBe(true);
+    expect(result.migratedFrom).toBe(0);
+    expect(result.createdAt).toBe('2026-02-01T00:00:00.000Z');
+    expect(result.backup.schemaVersion).toBe(4);
+    expect(result.backup.data.bookmarks[0].tags).toEqual(['t']);
+    expect(result.metadata.totalBookmarks).toBe(1);
+  });
+
+  it('treats an unversioned data backup as schema 3', () => {
+    const result = validateBackup({
+      version: '2.1',
+      data: { bookmarks: [], settings: [], events: [] }
+    });
+    expect(result.valid).toBe(true);
+    expect(result.migratedFrom).toBe(3);
+  });
+
+  it('rejects a backup from a newer release', () => {
+    const result = validateBackup({ ...backupWith([]), schemaVersion: 99 });
+    expect(result.valid).toBe(false);
+    expect(result.issues).toContain('Backup was made by a newer version of the extension');
+  });
+
+  it('leaves current backups untouched', () => {
+    const current = backupWith([{ id: '1', url: 'https://a.example/', tags: [], note: null }]);
+    expect(validateBackup(current).migratedFrom).toBeNull();
+    expect(migrateBackup(current)).toBe(current);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/db.js', () => ({
+  getSettings: async () => ({})
+}));
+
+const {
+  validateTaxonomy,
+  addTopic,
+  formatRuleLines,
+  parseRuleLines,
+  exportTaxonomy,
+  parseTaxonomyImport,
+  summarizeReclassification
+} = await import('../src/taxonomy.js');
+
+describe('validateTaxonomy', () => {
+  it('accepts topics whose ids match their keys', () => {
+    const taxonomy = {};
+    addTopic(taxonomy, 'Internal Platforms');
+    addTopic(taxonomy, 'Deploy Tools', 'internal-platforms');
+    expect(validateTaxonomy(taxonomy)).toBeNull();
+    expect(taxonomy['internal-platforms'].subtopics['deploy-tools'].id).toBe(
+      'internal-platforms/deploy-tools'
+    );
+  });
+
+  it('names the topic that is wrong', () => {
+    expect(validateTaxonomy({ bio: { id: 'biology', name: 'Bio' } })).toMatch('"bio"');
+    expect(validateTaxonomy({ bio: { id: 'bio', name: '' } })).toMatch('needs a name');
+    expect(validateTaxonomy({ bio: { id: 'bio', name: 'Bio', keywords: 'dna' } })).toMatch(
+      'keywords'
+    );
+    expect(validateTaxonomy([])).toMatch('object of topics');
+  });
+
+  it('refuses a duplicate or empty topic name', () => {
+    const taxonomy = {};
+    addTopic(taxonomy, 'Bio');
+    expect(() => addTopic(taxonomy, 'bio!')).toThrow('already a topic');
+    expect(() => addTopic(taxonomy, '🧬')).toThrow('letters or digits');
+  });
+});
+
+describe('rule lines', () => {
+  it('round-trips rules through the editor text', () => {
+    const rules = { 'github.com': 'code', '/docs': 'documentation' };
+    expect(parseRuleLines(formatRuleLines(rules))).toEqual(rules);
+    expect(parseRuleLines('\n  Ensembl.org =  Reference \n')).toEqual({
+      'ensembl.org': 'reference'
+    });
+  });
+
+  it('points at the line it cannot read', () => {
+    expect(() => parseRuleLines('github.com = code\nnot a rule')).toThrow('Line 2');
+  });
+});
+
+describe('taxonomy export', () => {
+  const current = {
+    topicTaxonomy: { bio: { id: 'bio', name: 'Bio', keywords: ['genome'] } },
+    categoryRules: { 'ensembl.org': 'reference' },
+    pathPatterns: {}
+  };
+
+  it('imports what it exports', () => {
+    expect(parseTaxonomyImport(exportTaxonomy(current))).toEqual(current);
+  });
+
+  it('rejects other files and invalid taxonomies', () => {
+    expect(() => parseTaxonomyImport('nope')).toThrow('Not a JSON file');
+    expect(() => parseTaxonomyImport('{"rules": []}')).toThrow('Not a taxonomy export');
+    const broken = JSON.parse(exportTaxonomy(current));
+    broken.topics.bio.id = 'x';
+    expect(() => parseTaxonomyImport(JSON.stringify(broken))).toThrow('must have the id');
+  });
+});
+
+describe('summarizeReclassification', () => {
+  it('counts moves between main topics and per-topic totals', () => {
+    const summary = summarizeReclassification([
+      { id: '1', before: ['tech'], after: ['bio', 'tech'] },
+      { id: '2', before: ['tech'], after: ['bio'] },
+      { id: '3', before: [], after: ['news'] }
+    ]);
+    expect(summary.changed).toBe(3);
+    expect(summary.moves).toEqual([
+      { from: 'tech', to: 'bio', count: 2 },
+      { from: null, to: 'news', count: 1 }
+    ]);
+    expect(summary.topics).toEqual([
+      { topic: 'bio', before: 0, after: 2 },
+      { topic: 'tech', before: 2, after: 1 },
+      { topic: 'news', before: 0, after: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,57 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { thumbnailSize } from '../src/thumbnails.js';
+import { db, saveThumbnail } from '../src/db.js';
+
+describe('thumbnailSize', () => {
+  it('scales wide captures down to the thumbnail width, keeping the aspect ratio', () => {
+    expect(thumbnailSize(1600, 900)).toEqual({ width: 400, height: 225 });
+    expect(thumbnailSize(2560, 1333, 320)).toEqual({ width: 320, height: 167 });
+  });
+
+  it('never scales up', () => {
+    expect(thumbnailSize(300, 200)).toEqual({ width: 300, height: 200 });
+  });
+});
+
+describe('saveThumbnail', () => {
+  const blob = (size) => new Blob(['x'.repeat(size)]);
+
+  beforeEach(async () => {
+    await db.thumbnails.clear();
+    await db.thumbnails.bulkPut([
+      { id: 'a', blob: blob(40), size: 40, capturedAt: 0, lastUsed: 300 },
+      { id: 'b', blob: blob(30), size: 30, capturedAt: 0, lastUsed: 100 },
+      { id: 'c', blob: blob(50), size: 50, capturedAt: 0, lastUsed: 200 },
+    ]);
+  });
+
+  async function storedIds() {
+    return (await db.thumbnails.toCollection().primaryKeys()).sort();
+  }
+
+  it('drops the least recently shown thumbnails until the total fits', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(400);
+    expect(await saveThumbnail('d', blob(10), 100)).toBe(true);
+    vi.restoreAllMocks();
+    expect(await storedIds()).toEqual(['a', 'c', 'd']);
+
+    expect(await saveThumbnail('e', blob(10), 60)).toBe(true);
+    expect(await storedIds()).toEqual(['a', 'd', 'e']);
+  });
+
+  it('keeps everything under the quota', async () => {
+    expect(await saveThumbnail('d', blob(10), 130)).toBe(true);
+    expect(await storedIds()).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('refuses a thumbnail larger than the quota without evicting anything', async () => {
+    expect(await saveThumbnail('d', blob(200), 100)).toBe(false);
+    expect(await storedIds()).toEqual(['a', 'b', 'c']);
+  });
+
+  it('evicts only as many as it takes to fit a large thumbnail', async () => {
+    expect(await saveThumbnail('d', blob(90), 150)).toBe(true);
+    expect(await storedIds()).toEqual(['a', 'd']);
+  });
+});
@@ -1,5 +1,12 @@
-import { describe, it, expect } from 'vitest';
-import { detectTopics, getTopicDisplayName } from '../src/topics.js';
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  detectTopics,
+  getTopicDisplayName,
+  setTopicTaxonomy,
+  getCustomTopicTaxonomy,
+  getBuiltInTopicTaxonomy,
+  migrateBookmarksWithTopics
+} from '../src/topics.js';
 
 describe('detectTopics', () => {
   it('detects a topic from a well-known domain', () => {
@@ -46,3 +53,74 @@ describe('getTopicDisplayName', () => {
     expect(getTopicDisplayName('not-a-real-topic')).toBeTruthy();
   });
 });
+
+describe('user taxonomy', () => {
+  const bio = {
+    id: 'bio',
+    name: 'Bioinformatics',
+    icon: '🧬',
+    keywords: ['genome'],
+    domains: ['ensembl.org'],
+    paths: ['/pipelines/'],
+    subtopics: {
+      seq: { id: 'bio/seq', name: 'Sequencing', keywords: ['sequencing'] }
+    }
+  };
+
+  afterEach(() => setTopicTaxonomy(null));
+
+  it('classifies and names topics from the active taxonomy', () => {
+    setTopicTaxonomy({ ...getBuiltInTopicTaxonomy(), bio });
+    expect(getCustomTopicTaxonomy()).not.toBeNull();
+    expect(getTopicDisplayName('bio/seq')).toBe('🧬 Sequencing');
+    const bookmark = { title: 'Genome sequencing notes', url: 'https://x.example/' };
+    expect(detectTopics(bookmark)).toEqual(['bio', 'bio/seq']);
+  });
+
+  it('scores URL path patterns', () => {
+    setTopicTaxonomy({ bio });
+    const bookmark = { title: 'Runbook', url: 'https://git.corp.example/pipelines/align' };
+    expect(detectTopics(bookmark)).toEqual(['bio']);
+  });
+
+  it('goes back to the built-in taxonomy on null', () => {
+    setTopicTaxonomy({ bio });
+    setTopicTaxonomy(null);
+    expect(getCustomTopicTaxonomy()).toBeNull();
+    expect(getTopicDisplayName('bio')).toBe('bio');
+  });
+});
+
+describe('migrateBookmarksWithTopics', () => {
+  const run = async (bookmarks, options) => {
+    const written = [];
+    const result = await migrateBookmarksWithTopics(
+      async () => bookmarks,
+      async rows => written.push(...rows),
+      null,
+      options
+    );
+    return { result, written };
+  };
+
+  const bookmarks = [
+    { id: 'a', title: 'Genome browser', url: 'https://a.example/', topics: [] },
+    { id: 'b', title: 'Genome assembly', url: 'https://b.example/', topics: ['news'] }
+  ];
+
+  afterEach(() => setTopicTaxonomy(null));
+
+  it('only fills in missing topics by default', async () => {
+    setTopicTaxonomy({ bio: { id: 'bio', name: 'Bio', keywords: ['genome'] } });
+    const { result, written } = await run(bookmarks);
+    expect(written.map(b => b.id)).toEqual(['a']);
+    expect(result.changes).toEqual([{ id: 'a', before: [], after: ['bio'] }]);
+  });
+
+  it('re-detects every bookmark with `all` and reports what changed', async () => {
+    setTopicTaxonomy({ bio: { id: 'bio', name: 'Bio', keywords: ['genome'] } });
+    const { result } = await run(bookmarks, { all: true });
+    expect(result.migrated).toBe(2);
+    expect(result.changes[1]).toEqual({ id: 'b', before: ['news'], after: ['bio'] });
+  });
+});
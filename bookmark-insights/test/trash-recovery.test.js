@@ -0,0 +1,140 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// The real db.js over an in-memory IndexedDB. chrome.bookmarks.create hands
+// out fresh ids, as Chrome does; `onCreate` lets a test run the background's
+// create handling inside the call, before restoreFromTrash writes its record.
+let nextId = 100;
+let onCreate = null;
+
+vi.stubGlobal('chrome', {
+  bookmarks: {
+    create: async (details) => {
+      const node = { id: String(nextId++), parentId: details.parentId, ...details };
+      if (onCreate) await onCreate(node);
+      return node;
+    },
+  },
+});
+
+const {
+  db,
+  takeTrashedByUrl,
+  recordCreatedBookmark,
+  restoreFromTrash,
+  recordImportedBookmark,
+  adoptReadingListMeta,
+  logEvent,
+} = await import('../src/db.js');
+const { getBookmarkHistory } = await import('../src/history.js');
+
+const URL_A = 'https://example.com/a';
+
+function trashed(id, url = URL_A, deletedAt = 1000) {
+  return { id, url, title: 'A', parentId: '1', description: 'Kept', deletedAt };
+}
+
+// What handleBookmarkCreated does for a new node: write the record, then log
+// the create with the link back to the trashed id.
+async function handleCreated(node) {
+  const result = await recordCreatedBookmark({ id: node.id, title: node.title, url: node.url });
+  await logEvent(node.id, 'create', result.previousId ? { previousId: result.previousId } : {});
+  return result;
+}
+
+beforeEach(async () => {
+  nextId = 100;
+  onCreate = null;
+  await Promise.all([db.bookmarks.clear(), db.trash.clear(), db.events.clear()]);
+});
+
+describe('takeTrashedByUrl', () => {
+  it('claims the most recent row and reports the id it had', async () => {
+    await db.trash.bulkPut([trashed('old', URL_A, 1000), trashed('older', URL_A, 500)]);
+
+    const taken = await takeTrashedByUrl(URL_A);
+
+    expect(taken.previousId).toBe('old');
+    expect(taken.record).toMatchObject({ url: URL_A, description: 'Kept' });
+    expect(taken.record).not.toHaveProperty('id');
+    expect(await db.trash.count()).toBe(0);
+  });
+
+  it('returns null for a URL that is not in the trash', async () => {
+    expect(await takeTrashedByUrl(URL_A)).toBeNull();
+  });
+});
+
+describe('recordCreatedBookmark', () => {
+  it('links a re-bookmarked URL to its history before the delete', async () => {
+    await logEvent('old', 'delete', {});
+    await db.trash.put(trashed('old'));
+
+    const { record, previousId } = await handleCreated({ id: 'new', title: 'A', url: URL_A });
+
+    expect(previousId).toBe('old');
+    expect(record).toMatchObject({ id: 'new', description: 'Kept' });
+    const history = await getBookmarkHistory('new');
+    expect(history.map((event) => [event.bookmarkId, event.type])).toEqual([
+      ['old', 'delete'],
+      ['new', 'create'],
+    ]);
+  });
+
+  // Automation rules skip recoveries; an import must not look like one.
+  it('does not call an imported bookmark a recovery, whichever write lands first', async () => {
+    const node = { id: 'new', title: 'A', url: URL_A, parentId: '1' };
+    await recordImportedBookmark(node, { tags: ['imported'], importSource: 'pinboard' });
+
+    const { record, previousId } = await recordCreatedBookmark({ id: 'new', url: URL_A });
+
+    expect(previousId).toBeNull();
+    expect(record.tags).toEqual(['imported']);
+
+    await db.bookmarks.clear();
+    expect((await recordCreatedBookmark({ id: 'new', url: URL_A })).previousId).toBeNull();
+    await recordImportedBookmark(node, { tags: ['imported'], importSource: 'pinboard' });
+    expect((await db.bookmarks.get('new')).tags).toEqual(['imported']);
+  });
+
+  it('does not call a promoted reading-list entry a recovery', async () => {
+    const node = { id: 'new', title: 'A', url: URL_A, parentId: '1' };
+    await db.readingListMeta.put({ url: URL_A, description: 'From the reading list' });
+    await adoptReadingListMeta(node);
+
+    const { record, previousId } = await recordCreatedBookmark({ id: 'new', url: URL_A });
+
+    expect(previousId).toBeNull();
+    expect(record.description).toBe('From the reading list');
+  });
+});
+
+describe('restoreFromTrash', () => {
+  it('links the restored bookmark when onCreated runs after the restore', async () => {
+    await db.trash.put(trashed('old'));
+
+    await restoreFromTrash(['old']);
+    const { previousId } = await handleCreated({ id: '100', title: 'A', url: URL_A });
+
+    expect(previousId).toBe('old');
+    const stored = await db.bookmarks.get('100');
+    expect(stored.description).toBe('Kept');
+    expect(stored).not.toHaveProperty('restoredFrom');
+  });
+
+  it('links the restored bookmark when onCreated runs first', async () => {
+    await db.trash.put(trashed('old'));
+    let handled = null;
+    onCreate = async (node) => {
+      handled = await handleCreated(node);
+    };
+
+    await restoreFromTrash(['old']);
+
+    expect(handled.previousId).toBe('old');
+    const stored = await db.bookmarks.get('100');
+    expect(stored.description).toBe('Kept');
+    expect(stored).not.toHaveProperty('restoredFrom');
+    expect((await getBookmarkHistory('100')).map((event) => event.previousId)).toEqual(['old']);
+  });
+});
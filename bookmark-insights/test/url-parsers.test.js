@@ -1,5 +1,10 @@
 import { describe, it, expect } from 'vitest';
-import { parseBookmarkUrl } from '../src/url-parsers.js';
+import {
+  parseBookmarkUrl,
+  validateUrlParser,
+  getPlatformDisplayName,
+  getPlatformIcon
+} from '../src/url-parsers.js';
 
 describe('parseBookmarkUrl', () => {
   it('parses a YouTube video URL', () => {
@@ -38,3 +43,119 @@ describe('parseBookmarkUrl', () => {
     expect(result.platform).toBeDefined();
   });
 });
+
+describe('built-in platform parsers', () => {
+  const cases = [
+    ['https://arxiv.org/abs/2301.01234v2', 'arxiv', 'paper', '2301.01234'],
+    ['https://arxiv.org/pdf/hep-th/9901001', 'arxiv', 'paper', 'hep-th/9901001'],
+    ['https://pypi.org/project/requests/2.31.0/', 'pypi', 'package', 'requests'],
+    ['https://crates.io/crates/tokio', 'crates', 'package', 'tokio'],
+    ['https://docs.rs/serde/1.0.0/serde/', 'crates', 'documentation', 'serde'],
+    ['https://news.ycombinator.com/item?id=38000000', 'hackernews', 'discussion', '38000000'],
+    ['https://acme.atlassian.net/browse/OPS-42', 'jira', 'issue', 'OPS-42'],
+    ['https://docs.google.com/spreadsheets/d/1AbC/edit#gid=0', 'googledocs', 'spreadsheet', '1AbC'],
+    ['https://www.figma.com/design/AbC123/Landing-Page?node-id=1-2', 'figma', 'design', 'AbC123'],
+    ['https://open.spotify.com/intl-de/episode/4rOoJ6Egrf8K2IrywzwOMk', 'spotify',
+      'podcast-episode', '4rOoJ6Egrf8K2IrywzwOMk'],
+    ['https://en.m.wikipedia.org/wiki/Rust_(programming_language)', 'wikipedia', 'article',
+      'Rust (programming language)']
+  ];
+
+  it.each(cases)('parses %s', (url, platform, type, identifier) => {
+    const result = parseBookmarkUrl(url);
+    expect(result.platform).toBe(platform);
+    expect(result.type).toBe(type);
+    expect(result.identifier).toBe(identifier);
+  });
+
+  it('reads GitLab merge requests in nested groups like GitHub pull requests', () => {
+    const result = parseBookmarkUrl('https://gitlab.com/acme/platform/api/-/merge_requests/12');
+    expect(result).toMatchObject({ platform: 'gitlab', type: 'pr', creator: 'acme', identifier: 'api' });
+    expect(result.extra).toEqual({ owner: 'acme/platform', repo: 'api', number: 12 });
+  });
+
+  it('pulls owners and titles out of Notion and Apple Podcasts URLs', () => {
+    const notion = parseBookmarkUrl(
+      'https://www.notion.so/acme/Q3-Roadmap-0123456789abcdef0123456789abcdef?v=1'
+    );
+    expect(notion).toMatchObject({
+      type: 'database',
+      creator: 'acme',
+      identifier: '0123456789abcdef0123456789abcdef',
+      extra: { title: 'Q3 Roadmap' }
+    });
+
+    const episode = parseBookmarkUrl(
+      'https://podcasts.apple.com/us/podcast/the-changelog/id341623264?i=1000600000000'
+    );
+    expect(episode).toMatchObject({
+      platform: 'applepodcasts',
+      type: 'podcast-episode',
+      creator: 'the changelog',
+      identifier: '1000600000000',
+      extra: { country: 'us', showId: '341623264' }
+    });
+  });
+
+  it('takes display names and icons from the registry', () => {
+    expect(getPlatformDisplayName('hackernews')).toBe('Hacker News');
+    expect(getPlatformDisplayName('github')).toBe('GitHub');
+    expect(getPlatformDisplayName('other')).toBe('Other');
+    expect(getPlatformDisplayName('work-jira')).toBe('work-jira');
+    expect(getPlatformIcon('crates')).toBe('🦀');
+    expect(getPlatformIcon('unknown')).toBe('🔗');
+  });
+});
+
+describe('custom URL parsers', () => {
+  const jira = {
+    name: 'Work Jira',
+    host: 'jira.example.com, *.jira.example.org',
+    pattern: '/browse/{project}-{number}',
+    type: 'issue',
+    identifier: '{project}-{number}',
+    creator: '{project}'
+  };
+
+  it('parses a URL with a template', () => {
+    const result = parseBookmarkUrl('https://jira.example.com/browse/OPS-42/', null, [jira]);
+    expect(result).toEqual({
+      platform: 'work-jira',
+      type: 'issue',
+      creator: 'OPS',
+      identifier: 'OPS-42',
+      subtype: null,
+      extra: { project: 'OPS', number: '42', customParser: 'Work Jira' }
+    });
+    expect(parseBookmarkUrl('https://eu.jira.example.org/browse/A-1', null, [jira]).identifier)
+      .toBe('A-1');
+  });
+
+  it('falls through when the path does not match, and skips disabled templates', () => {
+    const gitlab = { name: 'Own GitLab', host: 'gitlab.com', pattern: '/acme/*', type: 'repo' };
+    expect(parseBookmarkUrl('https://gitlab.com/acme/api/-/issues/3', null, [gitlab]).platform)
+      .toBe('own-gitlab');
+    expect(parseBookmarkUrl('https://gitlab.com/other/api', null, [gitlab]).platform).toBe('gitlab');
+    expect(parseBookmarkUrl('https://jira.example.com/browse/OPS-42', null, [
+      { ...jira, enabled: false }
+    ]).platform).toBe('other');
+  });
+
+  it('uses the last placeholder as the identifier by default', () => {
+    const wiki = { name: 'Wiki', host: 'wiki.corp', pattern: '/{space}/{page}' };
+    const result = parseBookmarkUrl('https://wiki.corp/eng/On%20call', null, [wiki]);
+    expect(result.type).toBe('page');
+    expect(result.identifier).toBe('On call');
+    expect(result.creator).toBeNull();
+  });
+
+  it('validates templates', () => {
+    expect(validateUrlParser(jira)).toBeNull();
+    expect(validateUrlParser({ ...jira, name: ' ' })).toMatch(/name/);
+    expect(validateUrlParser({ ...jira, host: 'https://jira.example.com' })).toMatch(/not a host/);
+    expect(validateUrlParser({ ...jira, pattern: '/browse/{key' })).toMatch(/Placeholders/);
+    expect(validateUrlParser({ ...jira, pattern: '/{a}/{a}' })).toMatch(/twice/);
+    expect(validateUrlParser({ ...jira, identifier: '{key}' })).toMatch(/\{key\}/);
+    expect(validateUrlParser({ ...jira, type: 'Issue' })).toMatch(/type/);
+  });
+});
@@ -1,5 +1,5 @@
-import { describe, it, expect } from 'vitest';
-import { isFetchableUrl, safeImageUrl, safeHref } from '../src/url-safety.js';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { isFetchableUrl, safeImageUrl, safeHref, safeFetch } from '../src/url-safety.js';
 
 describe('isFetchableUrl', () => {
   it('accepts public http and https URLs', () => {
@@ -97,3 +97,21 @@ describe('safeHref', () => {
     expect(safeHref(undefined)).toBeNull();
   });
 });
+
+describe('safeFetch', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reaches a private host only when allowed to', async () => {
+    const fetch = vi.fn(async url => ({ ok: true, status: 200, url, headers: new Headers(), body: null }));
+    vi.stubGlobal('fetch', fetch);
+
+    await expect(safeFetch('http://localhost:8080/cdx')).rejects.toThrow('Blocked URL');
+    expect(fetch).not.toHaveBeenCalled();
+
+    const response = await safeFetch('http://localhost:8080/cdx', { allowPrivate: true });
+    expect(response).toMatchObject({ ok: true, status: 200 });
+    await expect(safeFetch('file:///etc/passwd', { allowPrivate: true })).rejects.toThrow('Blocked URL');
+  });
+});
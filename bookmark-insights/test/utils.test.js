@@ -1,5 +1,14 @@
 import { describe, it, expect } from 'vitest';
-import { highlightSegments, getDomainLabel, getSortFunction, getGeneratedFavicon } from '../src/utils.js';
+import {
+  highlightSegments,
+  getDomainLabel,
+  getSortFunction,
+  getGeneratedFavicon,
+  flattenFolders,
+  normalizeUrlForMatching,
+  normalizePageUrl,
+  isSamePage
+} from '../src/utils.js';
 
 describe('highlightSegments', () => {
   const query = { positive: [], phrases: [], regular: ['svelte'], regexPatterns: [] };
@@ -84,3 +93,61 @@ describe('getSortFunction', () => {
     expect(items.sort(sort).map(i => i.title)).toEqual(['a', 'b']);
   });
 });
+
+describe('flattenFolders', () => {
+  it('lists folders with their paths, skipping the root and bookmarks', () => {
+    const tree = [
+      {
+        id: '0',
+        title: '',
+        children: [
+          {
+            id: '1',
+            title: 'Bookmarks Bar',
+            children: [
+              { id: '10', title: 'Dev', children: [{ id: '11', title: 'Page', url: 'https://a.example/' }] },
+              { id: '12', title: 'Loose', url: 'https://b.example/' }
+            ]
+          },
+          { id: '2', title: 'Other Bookmarks', children: [] }
+        ]
+      }
+    ];
+    expect(flattenFolders(tree)).toEqual([
+      { id: '1', path: 'Bookmarks Bar' },
+      { id: '10', path: 'Bookmarks Bar/Dev' },
+      { id: '2', path: 'Other Bookmarks' }
+    ]);
+  });
+});
+
+describe('normalizeUrlForMatching', () => {
+  it('ignores scheme, www, case, query and a trailing slash', () => {
+    expect(normalizeUrlForMatching('https://www.Example.com/Docs/?tab=1#top')).toBe('example.com/docs');
+    expect(normalizeUrlForMatching('http://example.com/docs')).toBe('example.com/docs');
+  });
+
+  it('lowercases what it cannot parse', () => {
+    expect(normalizeUrlForMatching('Not A URL')).toBe('not a url');
+  });
+});
+
+describe('normalizePageUrl / isSamePage', () => {
+  it('keeps the query, so pages on one path stay apart', () => {
+    expect(isSamePage('https://youtube.com/watch?v=A', 'https://youtube.com/watch?v=B')).toBe(false);
+    expect(normalizePageUrl('https://www.youtube.com/watch?v=A')).toBe('youtube.com/watch?v=A');
+  });
+
+  it('ignores the fragment, tracking parameters, parameter order and a trailing slash', () => {
+    expect(
+      isSamePage(
+        'https://example.com/docs/?b=2&a=1',
+        'https://www.example.com/docs?a=1&utm_source=feed&b=2&fbclid=x#top'
+      )
+    ).toBe(true);
+  });
+
+  it('is false when either URL is missing', () => {
+    expect(isSamePage('', 'https://example.com')).toBe(false);
+  });
+});
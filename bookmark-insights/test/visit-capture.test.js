@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+let stored;
+let settings;
+
+vi.mock('../src/db.js', () => ({
+  getSettings: async () => settings,
+  getBookmark: async (id) => (stored?.id === id ? { ...stored } : null),
+  saveEnrichedBookmarks: async ([bookmark]) => {
+    stored = bookmark;
+    return true;
+  },
+  logEvent: async () => true,
+  invalidateMetricCaches: async () => {},
+}));
+
+const { buildVisitMetadata, needsVisitEnrichment } = await import('../src/visit-capture.js');
+const { enrichFromVisit } = await import('../src/enrichment.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE = 'https://wiki.corp.example.com/spaces/ENG/pages/42';
+
+function capture(overrides = {}) {
+  return {
+    meta: { description: 'How deploys work', keywords: 'deploy, release , ,ops' },
+    openGraph: {},
+    twitterCard: {},
+    jsonLd: [{ '@type': 'TechArticle', headline: 'Deploys' }],
+    other: { title: 'Deploys - Engineering', canonical: '/spaces/ENG/pages/42' },
+    favicon: '/favicon.ico',
+    paragraphs: ['We accept cookies on this site to make it work better for everyone here.'],
+    wordCount: 900,
+    signIn: false,
+    ...overrides,
+  };
+}
+
+describe('buildVisitMetadata', () => {
+  it('maps a capture to the fetched-metadata shape, resolving links against the page', () => {
+    const metadata = buildVisitMetadata(capture(), PAGE);
+
+    expect(metadata.description).toBe('How deploys work');
+    expect(metadata.keywords).toEqual(['deploy', 'release', 'ops']);
+    expect(metadata.faviconUrl).toBe('https://wiki.corp.example.com/favicon.ico');
+    expect(metadata.canonicalUrl).toBe(PAGE);
+    expect(metadata.rawMetadata.jsonLd).toHaveLength(1);
+    expect(metadata.readingTime).toBe(4);
+  });
+
+  it('prefers og:description and drops cookie banners from the snippet', () => {
+    const metadata = buildVisitMetadata(
+      capture({ openGraph: { 'og:description': 'From Open Graph' } }),
+      PAGE,
+    );
+    expect(metadata.description).toBe('From Open Graph');
+    expect(metadata.snippet).toBeNull();
+  });
+
+  it('gives no reading time for pages with little text', () => {
+    expect(buildVisitMetadata(capture({ wordCount: 40 }), PAGE).readingTime).toBeNull();
+  });
+
+  it('refuses unsafe favicon schemes', () => {
+    expect(buildVisitMetadata(capture({ favicon: 'javascript:alert(1)' }), PAGE).faviconUrl).toBe(
+      null,
+    );
+  });
+});
+
+describe('needsVisitEnrichment', () => {
+  const on = { visitEnrichmentEnabled: true, enrichmentFreshnessDays: 30 };
+  const now = 100 * DAY_MS;
+
+  it('captures unenriched and stale bookmarks only', () => {
+    expect(needsVisitEnrichment({ url: PAGE }, on, now)).toBe(true);
+    expect(needsVisitEnrichment({ url: PAGE, enrichedAt: now - 31 * DAY_MS }, on, now)).toBe(true);
+    expect(needsVisitEnrichment({ url: PAGE, enrichedAt: now - DAY_MS }, on, now)).toBe(false);
+  });
+
+  it('stays off without the setting, in privacy mode and for excluded hosts', () => {
+    expect(needsVisitEnrichment({ url: PAGE }, {}, now)).toBe(false);
+    expect(needsVisitEnrichment({ url: PAGE }, { ...on, privacyMode: true }, now)).toBe(false);
+    expect(
+      needsVisitEnrichment({ url: PAGE }, { ...on, enrichmentExcludedHosts: ['example.com'] }, now),
+    ).toBe(false);
+  });
+});
+
+describe('enrichFromVisit', () => {
+  beforeEach(() => {
+    settings = { visitEnrichmentEnabled: true, enrichmentFreshnessDays: 30 };
+    stored = {
+      id: '7',
+      title: 'Deploys',
+      url: PAGE,
+      isAlive: true,
+      accessBlocked: true,
+      lastStatus: 401,
+    };
+  });
+
+  it('enriches the bookmark from the page and marks where it came from', async () => {
+    const result = await enrichFromVisit('7', capture(), PAGE);
+
+    expect(result).toMatchObject({ success: true, wrote: true });
+    expect(stored).toMatchObject({
+      description: 'How deploys work',
+      enrichedFrom: 'visit',
+      readingTime: 4,
+      enrichmentError: null,
+    });
+    expect(stored.enrichedAt).toBeGreaterThan(0);
+    expect(Array.isArray(stored.topics)).toBe(true);
+    expect(stored.contentQualityScore).toEqual(expect.any(Number));
+    // The anonymous verdict still stands for anonymous access.
+    expect(stored).toMatchObject({ accessBlocked: true, lastStatus: 401 });
+  });
+
+  it('leaves the bookmark alone when the tab shows a sign-in form', async () => {
+    const result = await enrichFromVisit('7', capture({ signIn: true }), PAGE);
+
+    expect(result).toMatchObject({ success: false, skipped: true });
+    expect(stored.enrichedAt).toBeUndefined();
+  });
+
+  it('does not take metadata from another page on the same path', async () => {
+    stored.url = 'https://wiki.corp.example.com/pages/viewpage.action?pageId=42';
+    const other = 'https://wiki.corp.example.com/pages/viewpage.action?pageId=999';
+
+    const result = await enrichFromVisit('7', capture(), other);
+
+    expect(result).toMatchObject({ success: false, skipped: true });
+    expect(stored.description).toBeUndefined();
+    expect(stored.enrichedFrom).toBeUndefined();
+
+    const same = `${stored.url}&utm_source=chat#comments`;
+    expect(await enrichFromVisit('7', capture(), same)).toMatchObject({ success: true });
+  });
+
+  it('skips bookmarks enriched within the freshness window', async () => {
+    stored.enrichedAt = Date.now();
+    const result = await enrichFromVisit('7', capture(), PAGE);
+    expect(result).toMatchObject({ skipped: true, alreadyEnriched: true });
+    expect(stored.enrichedFrom).toBeUndefined();
+  });
+});
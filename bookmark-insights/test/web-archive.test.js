@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// The lookup's only network access is safeFetch; faking it plays the part of
+// a local stand-in archive endpoint.
+vi.mock('../src/url-safety.js', () => ({
+  safeFetch: vi.fn(),
+  isFetchableUrl: vi.fn(() => true),
+  safeImageUrl: vi.fn(href => href),
+}));
+
+const { safeFetch } = await import('../src/url-safety.js');
+const { lookupWebArchive } = await import('../src/enrichment.js');
+const {
+  toArchiveTimestamp,
+  fromArchiveTimestamp,
+  buildCdxQuery,
+  parseCdxResponse,
+  pickClosestCapture,
+  replayUrl,
+} = await import('../src/web-archive.js');
+
+const JUNE_2020 = Date.UTC(2020, 5, 15, 12, 0, 0);
+
+describe('archive timestamps', () => {
+  it('round-trips 14-digit timestamps in UTC', () => {
+    expect(toArchiveTimestamp(JUNE_2020)).toBe('20200615120000');
+    expect(fromArchiveTimestamp('20200615120000')).toBe(JUNE_2020);
+  });
+
+  it('reads short timestamps as the start of the period', () => {
+    expect(fromArchiveTimestamp('2019')).toBe(Date.UTC(2019, 0, 1));
+    expect(fromArchiveTimestamp('201906')).toBe(Date.UTC(2019, 5, 1));
+    expect(fromArchiveTimestamp('not-a-date')).toBeNull();
+  });
+});
+
+describe('buildCdxQuery', () => {
+  it('asks the Wayback Machine by default for captures near a time', () => {
+    const query = new URL(buildCdxQuery('', 'https://example.com/a?b=1', JUNE_2020));
+    expect(query.origin + query.pathname).toBe('https://web.archive.org/cdx/search/cdx');
+    expect(query.searchParams.get('url')).toBe('https://example.com/a?b=1');
+    expect(query.searchParams.get('closest')).toBe('20200615120000');
+    expect(query.searchParams.get('sort')).toBe('closest');
+  });
+
+  it('keeps a custom endpoint and rejects non-http ones', () => {
+    expect(buildCdxQuery('http://localhost:8080/coll/cdx', 'https://x.com/', JUNE_2020)).toMatch(
+      /^http:\/\/localhost:8080\/coll\/cdx\?url=/
+    );
+    expect(() => buildCdxQuery('ftp://archive.example', 'https://x.com/', JUNE_2020)).toThrow('http(s)');
+  });
+});
+
+describe('parseCdxResponse', () => {
+  const expected = [
+    { timestamp: '20200101000000', original: 'https://x.com/', status: '200' },
+    { timestamp: '20210101000000', original: 'https://x.com/', status: '404' },
+  ];
+
+  it('reads a JSON table with a header row', () => {
+    const body = JSON.stringify([
+      ['timestamp', 'original', 'statuscode'],
+      ['20200101000000', 'https://x.com/', '200'],
+      ['20210101000000', 'https://x.com/', '404'],
+    ]);
+    expect(parseCdxResponse(body)).toEqual(expected);
+  });
+
+  it('reads one JSON object per line', () => {
+    const body = [
+      '{"urlkey": "com,x)/", "timestamp": "20200101000000", "url": "https://x.com/", "status": "200"}',
+      '{"urlkey": "com,x)/", "timestamp": "20210101000000", "url": "https://x.com/", "status": "404"}',
+    ].join('\n');
+    expect(parseCdxResponse(body)).toEqual(expected);
+  });
+
+  it('reads plain space-separated lines and empty answers', () => {
+    expect(parseCdxResponse('20200101000000 https://x.com/ 200\n20210101000000 https://x.com/ 404\n')).toEqual(
+      expected
+    );
+    expect(parseCdxResponse('')).toEqual([]);
+    expect(parseCdxResponse('[]')).toEqual([]);
+  });
+});
+
+describe('pickClosestCapture', () => {
+  it('picks the nearest successful capture', () => {
+    const captures = [
+      { timestamp: '20180101000000', original: 'https://x.com/', status: '200' },
+      { timestamp: '20200601000000', original: 'https://x.com/', status: '404' },
+      { timestamp: '20200701000000', original: 'https://x.com/', status: '301' },
+      { timestamp: '20210101000000', original: 'https://x.com/', status: '-' },
+    ];
+    expect(pickClosestCapture(captures, JUNE_2020)).toEqual({
+      timestamp: '20210101000000',
+      original: 'https://x.com/',
+      capturedAt: Date.UTC(2021, 0, 1),
+    });
+    expect(pickClosestCapture(captures.slice(1, 3), JUNE_2020)).toBeNull();
+  });
+});
+
+describe('replayUrl', () => {
+  it('fills the template', () => {
+    const capture = { timestamp: '20200101000000', original: 'https://x.com/$1' };
+    expect(replayUrl('', capture)).toBe('https://web.archive.org/web/20200101000000/https://x.com/$1');
+    expect(replayUrl('http://localhost:8080/coll/{timestamp}/{url}', capture)).toBe(
+      'http://localhost:8080/coll/20200101000000/https://x.com/$1'
+    );
+  });
+});
+
+describe('lookupWebArchive', () => {
+  const settings = {
+    webArchiveEndpoint: 'http://localhost:8080/coll/cdx',
+    webArchiveReplayTemplate: 'http://localhost:8080/coll/{timestamp}/{url}',
+  };
+  let hostCounter = 0;
+  const bookmark = () => ({ url: `https://gone-${++hostCounter}.example.com/`, enrichedAt: JUNE_2020 });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    safeFetch.mockReset();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  async function lookup(target, overrides = {}) {
+    const pending = lookupWebArchive(target, { ...settings, ...overrides });
+    // Rejections are asserted by the caller once the timers have run.
+    pending.catch(() => {});
+    await vi.advanceTimersByTimeAsync(10000);
+    return pending;
+  }
+
+  it('records the closest capture from a local endpoint', async () => {
+    safeFetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      body: '20200610000000 https://gone.example.com/ 200\n20190101000000 https://gone.example.com/ 200',
+    });
+    const result = await lookup(bookmark());
+    expect(result).toMatchObject({
+      url: 'http://localhost:8080/coll/20200610000000/https://gone.example.com/',
+      timestamp: '20200610000000',
+      capturedAt: Date.UTC(2020, 5, 10),
+    });
+    expect(safeFetch.mock.calls[0][1]).toMatchObject({ allowPrivate: true });
+  });
+
+  it('records a miss, fails on server errors, and stays off in privacy mode', async () => {
+    safeFetch.mockResolvedValueOnce({ ok: false, status: 404, body: '' });
+    expect(await lookup(bookmark())).toMatchObject({ url: null, timestamp: null });
+
+    safeFetch.mockResolvedValueOnce({ ok: false, status: 502, body: '' });
+    await expect(lookup(bookmark())).rejects.toThrow('HTTP 502');
+
+    await expect(lookup(bookmark(), { privacyMode: true })).rejects.toThrow('Privacy mode');
+    expect(safeFetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps bookmark URLs to public hosts when the Wayback Machine is used', async () => {
+    safeFetch.mockResolvedValue({ ok: true, status: 200, body: '[]' });
+    await lookup(bookmark(), { webArchiveEndpoint: '', webArchiveReplayTemplate: '' });
+    expect(safeFetch.mock.calls[0][1]).toMatchObject({ allowPrivate: false });
+  });
+});